@@ -7,17 +7,33 @@ import express from "express";
 
 // Import middleware
 import corsMiddleware from "./middleware/cors.js";
+import requestLogger from "./middleware/requestLogger.js";
+import requestMetrics from "./middleware/requestMetrics.js";
+import requestBudget from "./middleware/requestBudget.js";
 import webRateLimiter from "./middleware/webRateLimiter.js";
-import aiRateLimiter from "./middleware/aiRateLimiter.js";
+import apiKeyAuth from "./middleware/apiKeyAuth.js";
 import errorHandler from "./middleware/errorHandler.js";
+import { ApiError } from "./services/apiErrors.js";
+import logger from "./utils/logger.js";
+import { validateConfig } from "./utils/configValidation.js";
 
 // Import routes
 import healthRoutes from "./routes/healthRoute.js";
 import timelineCreatorRoutes from "./routes/timelineCreatorRoute.js";
 import searchSuggestionsRoutes from "./routes/searchSuggestionsRoute.js";
 import relatedEventsRoutes from "./routes/relatedEventsRoute.js";
+import nearbyPlacesRoutes from "./routes/nearbyPlacesRoute.js";
+import docsRoutes from "./routes/docsRoute.js";
+import jobsRoutes from "./routes/jobsRoute.js";
+import quotaRoutes from "./routes/quotaRoute.js";
+import metricsRoutes from "./routes/metricsRoute.js";
+
+validateConfig(); // Exit on missing keys or unknown AI providers
 
 const app = express(); // Create Express application
+app.use(requestLogger); // X-Request-Id + access log, first so every log line has the ID
+app.use(requestMetrics); // request count and latency per route for /metrics
+app.use(requestBudget); // time budget shared by a request's upstream calls and retries
 app.use(express.json()); // Enables JSON parsing for POST requests
 
 // Backend port
@@ -25,20 +41,28 @@ const port = process.env.PORT;
 
 // Apply middleware
 app.use(corsMiddleware);
+app.use("/api", apiKeyAuth); // optional API key - switches rate limits to the key's tier
 
 // Routes
 app.use("/health", healthRoutes); // endpoint for backend health check
+app.use("/metrics", metricsRoutes); // Prometheus metrics (requests, upstream calls, AI tokens, cache, rate limits)
+app.use("/", docsRoutes); // OpenAPI document (/openapi.json) and docs page (/docs)
 app.use("/api/search/suggestions", webRateLimiter, searchSuggestionsRoutes); // search suggestions with rate limiting
-app.use("/api/timeline", aiRateLimiter, timelineCreatorRoutes); // timeline creator with AI rate limiting (10/hour)
-app.use("/api/related-events", aiRateLimiter, relatedEventsRoutes); // related events with AI rate limiting (10/hour)
+app.use("/api/places/nearby", webRateLimiter, nearbyPlacesRoutes); // nearby places with rate limiting
+app.use("/api/timeline", webRateLimiter, timelineCreatorRoutes); // timeline creator, also AI rate limited per route (10 credits/hour per IP)
+app.use("/api/related-events", webRateLimiter, relatedEventsRoutes); // related events, also AI rate limited per route (10 credits/hour per IP)
+app.use("/api/jobs", webRateLimiter, jobsRoutes); // background jobs, also AI rate limited on submit
+app.use("/api/quota", quotaRoutes); // remaining web and AI quota for the caller (not rate limited, so clients can always check)
 
 // 404 handler for unknown routes
-app.use((req, res) => res.status(404).json({ error: "Not found" }));
+app.use((req, res, next) =>
+  next(new ApiError("Not found", "ROUTE_NOT_FOUND", 404))
+);
 
 // Global error handler
 app.use(errorHandler);
 
 // Start server
 app.listen(port, () =>
-  console.log(`Server listening on http://localhost:${port}`)
+  logger.info(`Server listening on http://localhost:${port}`, { port: port })
 );
@@ -1,27 +1,219 @@
-import rateLimit, { ipKeyGenerator } from "express-rate-limit";
 import config from "../utils/config.js";
+import {
+  createQuotaCounter,
+  describeWindow,
+  formatQuotaWindow,
+} from "../utils/quotaCounter.js";
+import { RateLimitError } from "../services/quotaErrors.js";
+import { currentRoute, rateLimitRejections } from "../utils/metrics.js";
+import { rateLimitKey, apiKeyTier } from "./apiKeyAuth.js";
 
-// AI-specific rate limiting middleware - Limits AI API requests to 10 per hour
-const aiRateLimiter = rateLimit({
-  windowMs: config.aiRateLimit.windowMs, // Time window (1 hour)
-  max: config.aiRateLimit.maxRequests, // Max AI requests per window (10)
-  message: {
-    error:
-      "AI request limit exceeded. You can make 09 AI requests per hour. Please try again later.",
-    retryAfter: Math.ceil(config.aiRateLimit.windowMs / 60000) + " minutes",
-    limit: config.aiRateLimit.maxRequests,
-    window: "1 hour",
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// AI limits in credits - a request must fit in every limit that applies
+const AI_LIMITS = {
+  hourly: {
+    counter: createQuotaCounter(config.aiRateLimit.windowMs), // Time window (1 hour)
+    // The API key's tier, or the per-IP default (10)
+    limit: (req) =>
+      apiKeyTier(req)?.aiPerHour ?? config.aiRateLimit.maxRequests,
   },
-  standardHeaders: true, // Include rate limit info in headers
-  legacyHeaders: false, // Disable legacy X-RateLimit headers
-  keyGenerator: ipKeyGenerator, // Use proper IPv6-compatible key generator
-  skip: (req) => {
-    // Skip rate limiting in development if needed
-    return (
-      config.server.nodeEnv === "development" &&
-      process.env.SKIP_AI_RATE_LIMIT === "true"
-    );
+  daily: {
+    counter: createQuotaCounter(DAY_MS),
+    // API keys only - anonymous clients just have the hourly limit
+    limit: (req) => apiKeyTier(req)?.aiPerDay ?? null,
   },
-});
+};
+
+// Skip rate limiting in development if needed
+const skipInDevelopment = () =>
+  config.server.nodeEnv === "development" &&
+  process.env.SKIP_AI_RATE_LIMIT === "true";
+
+// ─────────────────────────────────────────────────────────────
+// AI rate limiting middleware - spends credits from the caller's AI limits
+//  The request's full cost is reserved up front; a route that turns out
+//  cheaper (cache hit, rule-based extraction) calls setAiCost and the
+//  difference is refunded when the response finishes or the client leaves
+//  @param {string|Function} cost - Key of config.aiRateLimit.costs, or (req) => key
+//  @returns {Function} - Express middleware
+//  @throws {RateLimitError} - The cost doesn't fit in a limit (nothing is charged)
+// ─────────────────────────────────────────────────────────────
+const aiRateLimiter = (cost) => (req, res, next) => {
+  if (skipInDevelopment()) return next();
+
+  const key = rateLimitKey(req);
+  const reserved = config.aiRateLimit.costs[resolveCost(cost, req)];
+  const limits = applicableLimits(req);
+
+  // Check every limit before charging any
+  for (const { name, counter, limit } of limits) {
+    const { used, resetTime } = counter.get(key);
+    if (used + reserved > limit) {
+      rateLimitRejections.inc({ limiter: `ai_${name}`, route: currentRoute() });
+      throw new RateLimitError(
+        `AI request limit exceeded. You can spend ${limit} AI credits per ${describeWindow(
+          counter.windowMs
+        )} and this request costs ${reserved}. Please try again later.`,
+        {
+          code: "AI_RATE_LIMIT_EXCEEDED",
+          retryAfter: secondsUntil(resetTime),
+          limit: limit,
+          used: used,
+          cost: reserved,
+          window: describeWindow(counter.windowMs),
+        }
+      );
+    }
+  }
+
+  const charges = limits.map(({ counter, limit }) => ({
+    counter: counter,
+    limit: limit,
+    ...counter.charge(key, reserved),
+  }));
+  setRateLimitHeaders(res, charges[0]);
+
+  let settled = false;
+  let closed = false;
+  const settle = () => {
+    if (settled) return;
+    settled = true;
+    const spent = spentCredits(res.locals.aiCost, reserved);
+    if (spent < reserved) {
+      charges.forEach(({ counter, resetTime }) =>
+        counter.refund(key, reserved - spent, resetTime)
+      );
+    }
+  };
+
+  // A deferred cost is named by work that outlives the response (jobs)
+  const isNamed = () =>
+    res.locals.aiCost !== undefined || !res.locals.aiCostDeferred;
+
+  res.on("finish", () => isNamed() && settle());
+  res.on("close", () => {
+    closed = true;
+    // Client left before the route named its cost - setAiCost settles later
+    if (
+      (res.writableFinished && isNamed()) ||
+      res.locals.aiCost !== undefined
+    ) {
+      settle();
+    }
+  });
+  res.locals.settleAiCost = () => closed && settle();
+
+  next();
+};
+
+// ─────────────────────────────────────────────────────────────
+// Name what a request actually cost, once the route knows it
+//  The difference to the reserved cost is refunded when the response
+//  finishes, or right away when the client has already disconnected
+//  @param {Object} res - Express response
+//  @param {string|null} cost - Key of config.aiRateLimit.costs, null when
+//    nothing was spent
+// ─────────────────────────────────────────────────────────────
+export const setAiCost = (res, cost) => {
+  res.locals.aiCost = cost;
+  res.locals.settleAiCost?.();
+};
+
+// ─────────────────────────────────────────────────────────────
+// Keep the reserved credits until work that outlives the response
+// names its cost - the response finishing no longer settles them
+//  @param {Object} res - Express response
+//  @returns {Function} - (cost) => void, settles like setAiCost
+// ─────────────────────────────────────────────────────────────
+export const deferAiCost = (res) => {
+  res.locals.aiCostDeferred = true;
+  return (cost) => setAiCost(res, cost);
+};
+
+// ─────────────────────────────────────────────────────────────
+// Report the caller's AI limits without spending anything
+//  @param {Object} req - Express request (after apiKeyAuth)
+//  @returns {Object} - { hourly, daily (null when anonymous), costs }
+// ─────────────────────────────────────────────────────────────
+export const getAiQuota = (req) => {
+  const key = rateLimitKey(req);
+  const report = (name) => {
+    const { counter, limit } = AI_LIMITS[name];
+    const max = limit(req);
+    if (max === null) return null;
+    return formatQuotaWindow({
+      limit: max,
+      ...counter.get(key),
+      windowMs: counter.windowMs,
+    });
+  };
+
+  return {
+    hourly: report("hourly"),
+    daily: report("daily"),
+    costs: config.aiRateLimit.costs,
+  };
+};
+
+// ─────────────────────────────────────────────────────────────
+// Credits a request spent
+//  @param {string|null|undefined} cost - Named cost, null when nothing was
+//    spent, undefined when the route never named one
+//  @param {number} reserved - Credits reserved up front
+//  @returns {number} - Credits to keep
+// ─────────────────────────────────────────────────────────────
+const spentCredits = (cost, reserved) => {
+  if (cost === undefined) return reserved;
+  if (cost === null) return 0;
+  return config.aiRateLimit.costs[cost];
+};
+
+// ─────────────────────────────────────────────────────────────
+// Name the cost of a request
+//  @param {string|Function} cost - Cost name, or (req) => cost name
+//  @param {Object} req - Express request
+//  @returns {string} - Key of config.aiRateLimit.costs
+// ─────────────────────────────────────────────────────────────
+const resolveCost = (cost, req) =>
+  typeof cost === "function" ? cost(req) : cost;
+
+// ─────────────────────────────────────────────────────────────
+// Limits that apply to a request, hourly first
+//  @param {Object} req - Express request (after apiKeyAuth)
+//  @returns {Array} - [{ name, counter, limit }]
+// ─────────────────────────────────────────────────────────────
+const applicableLimits = (req) =>
+  Object.entries(AI_LIMITS)
+    .map(([name, { counter, limit }]) => ({
+      name: name,
+      counter: counter,
+      limit: limit(req),
+    }))
+    .filter(({ limit }) => limit !== null);
+
+// ─────────────────────────────────────────────────────────────
+// Set the standard RateLimit headers (draft-6) for a charged limit
+//  @param {Object} res - Express response
+//  @param {Object} charge - { counter, limit, used, resetTime }
+// ─────────────────────────────────────────────────────────────
+const setRateLimitHeaders = (res, { counter, limit, used, resetTime }) => {
+  res.set({
+    "RateLimit-Policy": `${limit};w=${Math.ceil(counter.windowMs / 1000)}`,
+    "RateLimit-Limit": String(limit),
+    "RateLimit-Remaining": String(Math.max(0, limit - used)),
+    "RateLimit-Reset": String(secondsUntil(resetTime)),
+  });
+};
+
+// ─────────────────────────────────────────────────────────────
+// Seconds until a window resets
+//  @param {number|null} resetTime - Reset timestamp in ms
+//  @returns {number|null} - Whole seconds, null when the window hasn't started
+// ─────────────────────────────────────────────────────────────
+const secondsUntil = (resetTime) =>
+  resetTime === null
+    ? null
+    : Math.max(0, Math.ceil((resetTime - Date.now()) / 1000));
 
 export default aiRateLimiter;
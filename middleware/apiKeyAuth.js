@@ -0,0 +1,59 @@
+import { ipKeyGenerator } from "express-rate-limit";
+import config from "../utils/config.js";
+import { findApiKey } from "../services/apiKeyStore.js";
+import { InvalidApiKeyError } from "../services/apiKeyErrors.js";
+
+// ─────────────────────────────────────────────────────────────
+//  API key authentication middleware - optional
+//  Requests without a key stay anonymous and are rate limited per IP;
+//  a valid key (X-API-Key or Authorization: Bearer) sets req.apiKey and
+//  the rate limiters switch to the key's tier. A wrong key is a 401
+//  rather than a silent fallback to the IP limit.
+// ─────────────────────────────────────────────────────────────
+const apiKeyAuth = async (req, res, next) => {
+  const key = readApiKey(req);
+  if (!key) return next();
+
+  const apiKey = await findApiKey(key);
+  if (!apiKey) {
+    throw new InvalidApiKeyError();
+  }
+
+  req.apiKey = apiKey;
+  next();
+};
+
+// ─────────────────────────────────────────────────────────────
+// Read the API key from the request headers
+//  @param {Object} req - Express request
+//  @returns {string|null} - Key, or null for anonymous requests
+// ─────────────────────────────────────────────────────────────
+const readApiKey = (req) => {
+  const header = req.get("X-API-Key");
+  if (header) return header.trim();
+
+  const match = /^Bearer\s+(\S+)$/i.exec(req.get("Authorization") || "");
+  return match ? match[1] : null;
+};
+
+// ─────────────────────────────────────────────────────────────
+// Rate limit bucket for a request: the API key, or the client IP
+//  @param {Object} req - Express request (after apiKeyAuth)
+//  @returns {string} - Rate limiter key
+// ─────────────────────────────────────────────────────────────
+export const rateLimitKey = (req) =>
+  req.apiKey ? `key:${req.apiKey.id}` : ipKeyGenerator(req.ip);
+
+// ─────────────────────────────────────────────────────────────
+// Quota tier of the request's API key
+//  Keys whose tier was removed from the config get the default tier
+//  @param {Object} req - Express request (after apiKeyAuth)
+//  @returns {Object|null} - { aiPerHour, aiPerDay, webRequests }, null when anonymous
+// ─────────────────────────────────────────────────────────────
+export const apiKeyTier = (req) => {
+  if (!req.apiKey) return null;
+  const { tiers, defaultTier } = config.apiKeys;
+  return tiers[req.apiKey.tier] || tiers[defaultTier];
+};
+
+export default apiKeyAuth;
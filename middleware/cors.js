@@ -1,10 +1,11 @@
 import cors from "cors";
+import logger from "../utils/logger.js";
 
 // CORS configuration - Brings the 2 allowed frontends to communicate with backend
 const getAllowedOrigins = () => {
   const frontendUrl = process.env.FRONTEND_URL;
   if (!frontendUrl) {
-    console.warn("FRONTEND_URL not set, allowing all origins");
+    logger.warn("FRONTEND_URL not set, allowing all origins");
     return ["*"];
   }
   return frontendUrl.split(",");
@@ -29,6 +30,15 @@ const corsMiddleware = cors({
     }
   },
   credentials: true,
+  // Let browser clients report the request ID and read their rate limits
+  exposedHeaders: [
+    "X-Request-Id",
+    "RateLimit-Limit",
+    "RateLimit-Remaining",
+    "RateLimit-Reset",
+    "RateLimit-Policy",
+    "Retry-After",
+  ],
 });
 
 export default corsMiddleware;
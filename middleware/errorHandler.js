@@ -1,16 +1,43 @@
 import config from "../utils/config.js";
+import { toApiError, errorEnvelope } from "../services/apiErrors.js";
+import logger from "../utils/logger.js";
 
-// Global error handler
+// ─────────────────────────────────────────────────────────────
+//  Global error handler - the only place errors become HTTP responses
+//  Typed errors carry their status, code and Retry-After; everything
+//  else is an internal error. Envelope: { success: false, error, code }
+// ─────────────────────────────────────────────────────────────
 const errorHandler = (error, req, res, next) => {
-  console.error("❌ Global error handler:", error);
+  const apiError = toApiError(error);
+
+  const fields = {
+    method: req.method,
+    url: req.originalUrl,
+    status: apiError.status,
+    code: apiError.code,
+  };
+  if (apiError.status >= 500) {
+    logger.error("Request failed", { ...fields, error: error });
+  } else {
+    logger.warn("Request rejected", { ...fields, error: error.message });
+  }
+
+  // Headers may already be out for streamed responses
+  if (res.headersSent) {
+    return next(error);
+  }
+
+  if (apiError.retryAfter !== null) {
+    res.set("Retry-After", String(apiError.retryAfter));
+  }
 
   // Don't leak error details in production
   const isDevelopment = config.server.nodeEnv === "development";
+  const isInternal = apiError.code === "INTERNAL_ERROR";
 
-  res.status(error.status || 500).json({
-    error: "Internal server error",
-    message: isDevelopment ? error.message : "Something went wrong",
-    ...(isDevelopment && { stack: error.stack }),
+  res.status(apiError.status).json({
+    ...errorEnvelope(apiError),
+    ...(isDevelopment && isInternal && { details: error.message }),
   });
 };
 
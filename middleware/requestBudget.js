@@ -0,0 +1,12 @@
+import config from "../utils/config.js";
+import { runWithTimeBudget } from "../services/httpClient.js";
+
+// ─────────────────────────────────────────────────────────────
+//  Request budget middleware - caps the time one request spends on
+//  upstream calls (retries included) at config.http.requestBudgetMs
+// ─────────────────────────────────────────────────────────────
+
+const requestBudget = (req, res, next) =>
+  runWithTimeBudget(config.http.requestBudgetMs, next);
+
+export default requestBudget;
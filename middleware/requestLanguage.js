@@ -0,0 +1,19 @@
+import { resolveLanguage } from "../utils/wiki/languages.js";
+
+// ─────────────────────────────────────────────────────────────
+//  Request language middleware - picks the Wikipedia edition and the
+//  language of AI answers. Runs after validateRequest: the validated
+//  `lang` (body or query) wins, then Accept-Language, then English.
+//  Sets req.language, Content-Language and Vary: Accept-Language.
+// ─────────────────────────────────────────────────────────────
+
+const requestLanguage = (req, res, next) => {
+  const requested = req.validated?.body?.lang ?? req.validated?.query?.lang;
+
+  req.language = resolveLanguage(requested, req.get("Accept-Language"));
+  res.vary("Accept-Language");
+  res.set("Content-Language", req.language);
+  next();
+};
+
+export default requestLanguage;
@@ -0,0 +1,44 @@
+import { randomUUID } from "crypto";
+import logger, { runWithLogContext } from "../utils/logger.js";
+
+// ─────────────────────────────────────────────────────────────
+//  Request logging middleware - correlation IDs and access log
+//  Every request gets an ID (the caller's X-Request-Id when it looks
+//  safe, otherwise a new UUID) that is returned as X-Request-Id and
+//  added to every log entry written while the request is handled
+// ─────────────────────────────────────────────────────────────
+
+// Accept caller IDs that can't inject anything into logs or headers
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{1,100}$/;
+
+const requestLogger = (req, res, next) => {
+  const incoming = req.get("X-Request-Id");
+  const requestId = REQUEST_ID_PATTERN.test(incoming || "")
+    ? incoming
+    : randomUUID();
+  const startedAt = process.hrtime.bigint();
+
+  req.id = requestId;
+  res.set("X-Request-Id", requestId);
+
+  runWithLogContext({ request_id: requestId }, () => {
+    // Listeners run outside the request's context - pass the ID along
+    res.on("finish", () => {
+      const durationMs =
+        Number(process.hrtime.bigint() - startedAt) / 1_000_000;
+
+      logger.info("Request completed", {
+        request_id: requestId,
+        method: req.method,
+        url: req.originalUrl,
+        status: res.statusCode,
+        duration_ms: Math.round(durationMs),
+        api_key_id: req.apiKey?.id,
+      });
+    });
+
+    next();
+  });
+};
+
+export default requestLogger;
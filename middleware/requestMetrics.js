@@ -0,0 +1,68 @@
+import { OPERATIONS } from "../routes/schemas/index.js";
+import {
+  httpRequests,
+  httpRequestDuration,
+  runWithMetricsRoute,
+  secondsSince,
+} from "../utils/metrics.js";
+
+// ─────────────────────────────────────────────────────────────
+//  Request metrics middleware - request count and latency per route
+//  Requests are labelled with their documented route template
+//  (/api/jobs/{id}), never the raw URL, so IDs and typos don't create
+//  new series. Upstream calls made while handling the request get the
+//  same route label.
+// ─────────────────────────────────────────────────────────────
+
+// Served routes that aren't in the OpenAPI document
+const UNDOCUMENTED_ROUTES = ["/openapi.json", "/docs"];
+
+// Route templates with a matcher for each
+const ROUTES = [
+  ...new Set([...OPERATIONS.map(({ path }) => path), ...UNDOCUMENTED_ROUTES]),
+].map((template) => ({
+  template: template,
+  pattern: new RegExp(
+    `^${template.replace(/\./g, "\\.").replace(/\{[^}]+\}/g, "[^/]+")}/?$`
+  ),
+}));
+
+// ─────────────────────────────────────────────────────────────
+// Find the route template for a request path
+//  @param {string} path - Request path without the query string
+//  @returns {string} - Route template, or "unmatched"
+// ─────────────────────────────────────────────────────────────
+const routeLabel = (path) =>
+  ROUTES.find(({ pattern }) => pattern.test(path))?.template || "unmatched";
+
+// ─────────────────────────────────────────────────────────────
+// Classify a response status
+//  @param {number} status - HTTP status code
+//  @returns {string} - success | client_error | rate_limited | server_error
+// ─────────────────────────────────────────────────────────────
+const requestOutcome = (status) => {
+  if (status === 429) return "rate_limited";
+  if (status >= 500) return "server_error";
+  if (status >= 400) return "client_error";
+  return "success";
+};
+
+const requestMetrics = (req, res, next) => {
+  const route = routeLabel(req.path);
+  const startedAt = process.hrtime.bigint();
+
+  // "close" also fires when the client disconnects (e.g. an SSE stream)
+  res.on("close", () => {
+    const labels = {
+      method: req.method,
+      route: route,
+      outcome: requestOutcome(res.statusCode),
+    };
+    httpRequests.inc(labels);
+    httpRequestDuration.observe(labels, secondsSince(startedAt));
+  });
+
+  runWithMetricsRoute(route, next);
+};
+
+export default requestMetrics;
@@ -0,0 +1,83 @@
+import { ValidationError } from "../services/apiErrors.js";
+import { validateSchema } from "../utils/validation/schemaValidator.js";
+
+// ─────────────────────────────────────────────────────────────
+//  Request validation middleware
+//  Checks the body, query string and path parameters against an operation
+//  from routes/schemas and exposes the cleaned values as
+//  req.validated = { body, query, params }
+// ─────────────────────────────────────────────────────────────
+
+// Where each part of the request is validated from, and whether strings are coerced
+const LOCATIONS = {
+  body: { read: (req) => req.body ?? {}, coerce: false },
+  query: { read: (req) => req.query ?? {}, coerce: true },
+  params: { read: (req) => req.params ?? {}, coerce: true },
+};
+
+// ─────────────────────────────────────────────────────────────
+// Build a middleware that validates requests for one operation
+//  @param {Object} operation - Operation with optional body and query schemas
+//  @returns {Function} - Express middleware
+// ─────────────────────────────────────────────────────────────
+const validateRequest = (operation) => (req, res, next) => {
+  const validated = {};
+  const fields = [];
+
+  for (const [location, { read, coerce }] of Object.entries(LOCATIONS)) {
+    const schema = operation[location];
+    if (!schema) continue;
+
+    const result = validateSchema(schema, read(req), { coerce: coerce });
+    validated[location] = result.value;
+    fields.push(
+      ...result.errors.map((error) => ({ location: location, ...error }))
+    );
+  }
+
+  if (fields.length > 0) {
+    throw toValidationError(fields);
+  }
+
+  req.validated = validated;
+  next();
+};
+
+// ─────────────────────────────────────────────────────────────
+// Validate part of a request that depends on other fields (e.g. job params)
+//  @param {Object} schema - JSON Schema
+//  @param {*} value - Value to validate
+//  @param {Object} options - { location: "body" | "query" | "params", path }
+//  @returns {*} - Cleaned value
+//  @throws {ValidationError} - With field-level errors
+// ─────────────────────────────────────────────────────────────
+export const validateOrThrow = (schema, value, options) => {
+  const result = validateSchema(schema, value, {
+    coerce: LOCATIONS[options.location].coerce,
+    path: options.path,
+  });
+
+  if (result.errors.length > 0) {
+    throw toValidationError(
+      result.errors.map((error) => ({ location: options.location, ...error }))
+    );
+  }
+  return result.value;
+};
+
+// ─────────────────────────────────────────────────────────────
+// Build the 400 error for a list of field errors
+//  @param {Array} fields - [{ location, field, message, rule }]
+//  @returns {ValidationError} - Message taken from the first field
+// ─────────────────────────────────────────────────────────────
+const toValidationError = (fields) => {
+  const [first] = fields;
+  const subject = first.field || `Request ${first.location}`;
+  return new ValidationError(
+    `${subject} ${first.message}`,
+    "VALIDATION_ERROR",
+    fields
+  );
+};
+
+export default validateRequest;
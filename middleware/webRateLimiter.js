@@ -1,16 +1,53 @@
 import rateLimit from "express-rate-limit";
 import config from "../utils/config.js";
+import { describeWindow, formatQuotaWindow } from "../utils/quotaCounter.js";
+import { RateLimitError } from "../services/quotaErrors.js";
+import { currentRoute, rateLimitRejections } from "../utils/metrics.js";
+import { rateLimitKey, apiKeyTier } from "./apiKeyAuth.js";
+
+// Max requests per window - the API key's tier, or the per-IP default
+const webLimit = (req) =>
+  apiKeyTier(req)?.webRequests ?? config.rateLimit.maxRequests;
 
 // Web API rate limiting middleware - Prevent abuse for general API endpoints
 const webRateLimiter = rateLimit({
   windowMs: config.rateLimit.windowMs, // Time window
-  max: config.rateLimit.maxRequests, // Max requests per window
-  message: {
-    error: "Too many requests from this IP, please try again later.",
-    retryAfter: Math.ceil(config.rateLimit.windowMs / 60000) + " minutes",
-  },
+  max: webLimit,
   standardHeaders: true, // Include rate limit info in headers
   legacyHeaders: false, // Disable legacy X-RateLimit headers
+  keyGenerator: rateLimitKey, // API key, or IPv6-compatible client IP
+  // Answer with the shared error envelope (Retry-After is already set)
+  handler: (req, res, next) => {
+    rateLimitRejections.inc({ limiter: "web", route: currentRoute() });
+    next(
+      new RateLimitError(
+        req.apiKey
+          ? "Too many requests for this API key, please try again later."
+          : "Too many requests from this IP, please try again later.",
+        {
+          limit: req.rateLimit.limit,
+          window: describeWindow(config.rateLimit.windowMs),
+        }
+      )
+    );
+  },
 });
 
+// ─────────────────────────────────────────────────────────────
+// Report the caller's web limit without counting a request
+//  @param {Object} req - Express request (after apiKeyAuth)
+//  @returns {Promise<Object>} - { limit, used, remaining, reset_at, window }
+// ─────────────────────────────────────────────────────────────
+export const getWebQuota = async (req) => {
+  const usage = await webRateLimiter.getKey(rateLimitKey(req));
+  const active = usage && usage.resetTime > Date.now();
+
+  return formatQuotaWindow({
+    limit: webLimit(req),
+    used: active ? usage.totalHits : 0,
+    resetTime: active ? usage.resetTime : null,
+    windowMs: config.rateLimit.windowMs,
+  });
+};
+
 export default webRateLimiter;
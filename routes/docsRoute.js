@@ -0,0 +1,45 @@
+import express from "express";
+import { buildOpenApiDocument } from "../utils/openapi.js";
+import { OPERATIONS, COMPONENT_SCHEMAS } from "./schemas/index.js";
+
+const router = express.Router();
+
+// Built once - the schemas don't change while the server runs
+const OPENAPI_DOCUMENT = buildOpenApiDocument(OPERATIONS, COMPONENT_SCHEMAS);
+
+// Swagger UI assets come from a CDN so the backend needs no extra package
+const SWAGGER_UI_URL = "https://unpkg.com/swagger-ui-dist@5";
+
+const DOCS_PAGE = `<!DOCTYPE html>
+<html lang="en">
+  <head>
+    <meta charset="utf-8" />
+    <title>Place Timeline API</title>
+    <link rel="stylesheet" href="${SWAGGER_UI_URL}/swagger-ui.css" />
+  </head>
+  <body>
+    <div id="swagger-ui"></div>
+    <script src="${SWAGGER_UI_URL}/swagger-ui-bundle.js"></script>
+    <script>
+      window.ui = SwaggerUIBundle({ url: "/openapi.json", dom_id: "#swagger-ui" });
+    </script>
+  </body>
+</html>`;
+
+// ─────────────────────────────────────────────────────────────
+//  GET /openapi.json - OpenAPI 3.1 document generated from route schemas
+//  @returns {Object} - OpenAPI document
+// ─────────────────────────────────────────────────────────────
+router.get("/openapi.json", (req, res) => {
+  res.json(OPENAPI_DOCUMENT);
+});
+
+// ─────────────────────────────────────────────────────────────
+//  GET /docs - Browsable API documentation (Swagger UI)
+//  @returns {string} - HTML page
+// ─────────────────────────────────────────────────────────────
+router.get("/docs", (req, res) => {
+  res.type("html").send(DOCS_PAGE);
+});
+
+export default router;
@@ -1,5 +1,6 @@
 import express from "express";
 import config from "../utils/config.js";
+import { getReadiness } from "../services/readinessService.js";
 
 const router = express.Router();
 
@@ -13,4 +14,11 @@ router.get("/", (req, res) => {
   });
 });
 
+// Readiness - probes Wikipedia, Wikidata and the AI provider (cached) and
+// reports circuit breaker states. 503 while a critical dependency is down.
+router.get("/ready", async (req, res) => {
+  const readiness = await getReadiness();
+  res.status(readiness.status === "not_ready" ? 503 : 200).json(readiness);
+});
+
 export default router;
@@ -0,0 +1,121 @@
+import express from "express";
+import aiRateLimiter, { deferAiCost } from "../middleware/aiRateLimiter.js";
+import validateRequest, {
+  validateOrThrow,
+} from "../middleware/validateRequest.js";
+import {
+  assertQueueCapacity,
+  submitJob,
+  getJob,
+} from "../services/jobService.js";
+import { resolveLanguage } from "../utils/wiki/languages.js";
+import {
+  JOB_PARAMS_SCHEMAS,
+  createJobOperation,
+  getJobOperation,
+} from "./schemas/jobsSchema.js";
+
+const router = express.Router();
+
+// ─────────────────────────────────────────────────────────────
+// Name the AI credits to reserve for a job submission
+//  Settled when the job finishes - the job runs after the response
+//  @param {Object} req - Request validated against createJobOperation
+//  @returns {string} - Key of config.aiRateLimit.costs
+// ─────────────────────────────────────────────────────────────
+const jobCost = (req) => {
+  const { type, params } = req.validated.body;
+  if (type === "related_events") return "relatedEvents";
+  // Rule-based timelines never call the AI
+  return params.method === "rules" ? "timelineRules" : "timeline";
+};
+
+// ─────────────────────────────────────────────────────────────
+// Validate a job's params against the schema of its type
+//  Runs before aiRateLimiter, so invalid params cost no credits
+//  @param {Object} req - Request validated against createJobOperation
+//  @param {Object} res - Express response
+//  @param {Function} next - Next middleware
+//  @throws {ValidationError} - The params don't match the job type
+// ─────────────────────────────────────────────────────────────
+const validateJobParams = (req, res, next) => {
+  const { type, params } = req.validated.body;
+  req.validated.body.params = validateOrThrow(
+    JOB_PARAMS_SCHEMAS[type],
+    params,
+    {
+      location: "body",
+      path: "params",
+    }
+  );
+  next();
+};
+
+// ─────────────────────────────────────────────────────────────
+// Reject a job before reserving credits when the queue is full
+//  @param {Object} req - Express request
+//  @param {Object} res - Express response
+//  @param {Function} next - Next middleware
+//  @throws {JobQueueFullError} - Too many jobs waiting
+// ─────────────────────────────────────────────────────────────
+const checkQueueCapacity = (req, res, next) => {
+  assertQueueCapacity();
+  next();
+};
+
+// ─────────────────────────────────────────────────────────────
+//  POST /jobs - Queue a timeline or related-events job
+//  Submitting reserves the AI credits of the synchronous call; the job
+//  settles them when it finishes (a failed job spends nothing)
+//  @param {string} type - "timeline" or "related_events"
+//  @param {Object} params - Body of the matching synchronous route; a missing
+//                           `lang` is taken from Accept-Language when queued
+//  @returns {Object} - 202 with the queued job and its status URL
+// ─────────────────────────────────────────────────────────────
+router.post(
+  "/",
+  validateRequest(createJobOperation),
+  validateJobParams,
+  checkQueueCapacity,
+  aiRateLimiter(jobCost),
+  async (req, res) => {
+    const { type, params: jobParams } = req.validated.body;
+    const settleCost = deferAiCost(res);
+
+    // The job runs after this request - fix its language now
+    res.vary("Accept-Language");
+    const job = await submitJob(
+      type,
+      {
+        ...jobParams,
+        lang: resolveLanguage(jobParams.lang, req.get("Accept-Language")),
+      },
+      { settleCost: settleCost }
+    ).catch((error) => {
+      settleCost(null); // Never queued - give the credits back
+      throw error;
+    });
+    const statusUrl = `${req.baseUrl}/${job.id}`;
+
+    res
+      .status(202)
+      .location(statusUrl)
+      .json({ success: true, data: { ...job, status_url: statusUrl } });
+  }
+);
+
+// ─────────────────────────────────────────────────────────────
+//  GET /jobs/:id - Get a job's status and result
+//  @param {string} id - Job ID returned by POST /jobs
+//  @returns {Object} - Job with result (succeeded) or error (failed)
+// ─────────────────────────────────────────────────────────────
+router.get("/:id", validateRequest(getJobOperation), async (req, res) => {
+  const job = await getJob(req.validated.params.id);
+
+  res.json({
+    success: true,
+    data: { ...job, status_url: `${req.baseUrl}/${job.id}` },
+  });
+});
+
+export default router;
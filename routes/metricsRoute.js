@@ -0,0 +1,12 @@
+import express from "express";
+import { renderMetrics } from "../utils/metrics.js";
+
+const router = express.Router();
+
+// Prometheus scrape endpoint - counters and histograms since startup
+router.get("/", (req, res) => {
+  res.type("text/plain; version=0.0.4; charset=utf-8");
+  res.send(renderMetrics());
+});
+
+export default router;
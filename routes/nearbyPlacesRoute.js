@@ -0,0 +1,60 @@
+import express from "express";
+import validateRequest from "../middleware/validateRequest.js";
+import requestLanguage from "../middleware/requestLanguage.js";
+import { searchNearby } from "../services/nearbyService.js";
+import { nearbyPlacesOperation } from "./schemas/nearbyPlacesSchema.js";
+import logger from "../utils/logger.js";
+
+const router = express.Router();
+
+// ─────────────────────────────────────────────────────────────
+//  GET /places/nearby - Find places around coordinates or a place
+//  @param {number} lat - Latitude of the center (with lon)
+//  @param {number} lon - Longitude of the center (with lat)
+//  @param {string} title - Place title used as the center instead of lat/lon
+//  @param {number} radius - Search radius in meters (default 1000, max 10000)
+//  @param {number} limit - Maximum number of places (default 10, max 50)
+//  @param {string} lang - Optional Wikipedia edition (default: Accept-Language, then "en")
+//  @returns {Object} - Nearby places sorted by distance
+// ─────────────────────────────────────────────────────────────
+router.get(
+  "/",
+  validateRequest(nearbyPlacesOperation),
+  requestLanguage,
+  async (req, res) => {
+    // Either title or lat+lon, radius and limit defaulted (see the schema)
+    const { lat, lon, title, radius, limit } = req.validated.query;
+
+    // Find places around the center
+    const { center, places } = await searchNearby({
+      lat: lat,
+      lon: lon,
+      title: title ?? null,
+      radius: radius,
+      limit: limit,
+      lang: req.language,
+    });
+
+    // Format response
+    const response = {
+      success: true,
+      data: {
+        center: center,
+        lang: req.language,
+        radius: radius,
+        places: places,
+        total_found: places.length,
+        timestamp: new Date().toISOString(),
+      },
+    };
+
+    logger.info("Nearby places found", {
+      lat: center.lat,
+      lon: center.lon,
+      count: places.length,
+    });
+    res.json(response);
+  }
+);
+
+export default router;
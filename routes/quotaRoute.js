@@ -0,0 +1,33 @@
+import express from "express";
+import { getWebQuota } from "../middleware/webRateLimiter.js";
+import { getAiQuota } from "../middleware/aiRateLimiter.js";
+
+const router = express.Router();
+
+// ─────────────────────────────────────────────────────────────
+//  GET /quota - Remaining web and AI quota for the caller
+//  Limits follow the API key when one is sent, the client IP otherwise
+//  @returns {Object} - Usage, remaining and reset time for each limit
+// ─────────────────────────────────────────────────────────────
+router.get("/", async (req, res) => {
+  const client = req.apiKey
+    ? {
+        type: "api_key",
+        key_id: req.apiKey.id,
+        name: req.apiKey.name,
+        tier: req.apiKey.tier,
+      }
+    : { type: "ip" };
+
+  res.json({
+    success: true,
+    data: {
+      client: client,
+      web: await getWebQuota(req),
+      ai: getAiQuota(req),
+      timestamp: new Date().toISOString(),
+    },
+  });
+});
+
+export default router;
@@ -1,39 +1,31 @@
 import express from "express";
+import validateRequest from "../middleware/validateRequest.js";
+import aiRateLimiter from "../middleware/aiRateLimiter.js";
+import requestLanguage from "../middleware/requestLanguage.js";
 import { findRelatedEvents } from "../services/relatedEventsService.js";
+import { getServiceStatus } from "../services/readinessService.js";
+import config from "../utils/config.js";
+import { relatedEventsOperation } from "./schemas/relatedEventsSchema.js";
+import logger from "../utils/logger.js";
 
 const router = express.Router();
 
 // ─────────────────────────────────────────────────────────────
 //  POST /related-events - Find related historical events for a place
 //  @param {Object} placeData - Place information with dates and location
+//  @param {string} lang - Optional language of the events (default: Accept-Language, then "en")
 //  @returns {Object} - Related historical events organized by category
 // ─────────────────────────────────────────────────────────────
-router.post("/", async (req, res) => {
-  try {
-    // Input validation
-    const { placeData } = req.body;
-
-    if (!placeData || typeof placeData !== "object") {
-      return res.status(400).json({
-        success: false,
-        error: "Invalid place data provided",
-        code: "INVALID_INPUT",
-      });
-    }
-
-    // Validate required fields
-    const { name } = placeData;
-    if (!name || typeof name !== "string" || name.trim().length === 0) {
-      return res.status(400).json({
-        success: false,
-        error: "Place name is required",
-        code: "MISSING_PLACE_NAME",
-      });
-    }
-
-    // Validate optional fields
+router.post(
+  "/",
+  validateRequest(relatedEventsOperation),
+  aiRateLimiter("relatedEvents"),
+  requestLanguage,
+  async (req, res) => {
+    // Name is trimmed and non-empty, optional fields are strings or null
+    const { placeData } = req.validated.body;
     const cleanPlaceData = {
-      name: name.trim(),
+      name: placeData.name,
       construction_start: placeData.construction_start || null,
       construction_end: placeData.construction_end || null,
       country: placeData.country || null,
@@ -41,8 +33,9 @@ router.post("/", async (req, res) => {
     };
 
     // Find related historical events
-    console.log(`Finding related events for: "${cleanPlaceData.name}"`);
-    const relatedEvents = await findRelatedEvents(cleanPlaceData);
+    const relatedEvents = await findRelatedEvents(cleanPlaceData, {
+      lang: req.language,
+    });
 
     // Format response
     const response = {
@@ -51,56 +44,30 @@ router.post("/", async (req, res) => {
       timestamp: new Date().toISOString(),
     };
 
-    console.log(
-      `Found ${relatedEvents.total_events} related events for: "${cleanPlaceData.name}"`
-    );
-    res.json(response);
-  } catch (error) {
-    console.error(`Related events search failed: ${error.message}`);
-
-    // Handle specific error types
-    if (error.message.includes("timeout")) {
-      return res.status(408).json({
-        success: false,
-        error: "Related events search timed out - please try again",
-        code: "TIMEOUT",
-      });
-    }
-
-    if (error.message.includes("quota") || error.message.includes("API key")) {
-      return res.status(503).json({
-        success: false,
-        error: "AI service temporarily unavailable",
-        code: "SERVICE_UNAVAILABLE",
-      });
-    }
-
-    if (error.message.includes("Invalid place data")) {
-      return res.status(400).json({
-        success: false,
-        error: error.message,
-        code: "INVALID_PLACE_DATA",
-      });
-    }
-
-    // Generic server error
-    res.status(500).json({
-      success: false,
-      error: "Internal server error",
-      code: "INTERNAL_ERROR",
+    logger.info("Related events found", {
+      place: cleanPlaceData.name,
+      count: relatedEvents.total_events,
     });
+    res.json(response);
   }
-});
+);
 
 // ─────────────────────────────────────────────────────────────
 //  GET /related-events - Health check for related events service
-//  @returns {Object} - Service status
+//  @returns {Object} - Service status, 503 while its AI provider is down
 // ─────────────────────────────────────────────────────────────
-router.get("/", (req, res) => {
-  res.json({
-    success: true,
-    message: "Related events service is running",
+router.get("/", async (req, res) => {
+  const { available, dependencies } = await getServiceStatus([
+    config.ai.useCases.relatedEvents.provider,
+  ]);
+
+  res.status(available ? 200 : 503).json({
+    success: available,
+    message: available
+      ? "Related events service is running"
+      : "Related events service is unavailable",
     timestamp: new Date().toISOString(),
+    dependencies: dependencies,
     endpoints: {
       POST: "Find related historical events for a place",
       GET: "Service health check",
@@ -0,0 +1,167 @@
+// ─────────────────────────────────────────────────────────────
+//  Shared OpenAPI Schemas
+//  Response building blocks referenced by the route operations and
+//  published under components.schemas in /openapi.json
+// ─────────────────────────────────────────────────────────────
+
+import { SUPPORTED_LANGUAGES } from "../../utils/wiki/languages.js";
+
+// ─────────────────────────────────────────────────────────────
+// Reference a shared schema by name
+//  @param {string} name - Key in COMPONENT_SCHEMAS
+//  @returns {Object} - { $ref }
+// ─────────────────────────────────────────────────────────────
+export const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+// ─────────────────────────────────────────────────────────────
+// Wrap a data schema in the success envelope
+//  @param {Object} dataSchema - Schema of the data field
+//  @returns {Object} - { success: true, data }
+// ─────────────────────────────────────────────────────────────
+export const successEnvelope = (dataSchema) => ({
+  type: "object",
+  required: ["success", "data"],
+  properties: {
+    success: { type: "boolean", const: true },
+    data: dataSchema,
+  },
+});
+
+// Allow null besides the schema's type
+export const nullable = (schema) => ({
+  ...schema,
+  type: [schema.type, "null"],
+});
+
+// Request field picking the Wikipedia edition and the language of AI answers
+export const languageField = {
+  type: "string",
+  enum: SUPPORTED_LANGUAGES,
+  description:
+    "Wikipedia language edition; defaults to the Accept-Language header, then English",
+  example: "es",
+};
+
+// Schemas shared by several operations (see suggestionComponents.js for search)
+export const SHARED_SCHEMAS = {
+  ErrorResponse: {
+    type: "object",
+    required: ["success", "error", "code"],
+    properties: {
+      success: { type: "boolean", const: false },
+      error: { type: "string", description: "Human-readable message" },
+      code: { type: "string", example: "VALIDATION_ERROR" },
+      limit: {
+        type: "number",
+        description: "Limit that was hit (429 only)",
+      },
+      fields: {
+        type: "array",
+        description: "Field-level problems (VALIDATION_ERROR only)",
+        items: ref("FieldError"),
+      },
+      candidates: {
+        type: "array",
+        description: "Place candidates (MULTIPLE_CHOICES only)",
+        items: ref("Suggestion"),
+      },
+    },
+  },
+
+  FieldError: {
+    type: "object",
+    required: ["location", "field", "message", "rule"],
+    properties: {
+      location: { type: "string", enum: ["body", "query", "params"] },
+      field: { type: "string", example: "query" },
+      message: {
+        type: "string",
+        example: "must be at least 2 characters long",
+      },
+      rule: { type: "string", example: "minLength" },
+    },
+  },
+
+  QuotaWindow: {
+    type: "object",
+    required: ["limit", "used", "remaining", "reset_at", "window"],
+    properties: {
+      limit: { type: "number" },
+      used: { type: "number" },
+      remaining: { type: "number" },
+      reset_at: {
+        type: ["string", "null"],
+        format: "date-time",
+        description: "Null until something is spent in this window",
+      },
+      window: { type: "string", example: "hour" },
+    },
+  },
+
+  Coordinates: {
+    type: "object",
+    required: ["lat", "lon"],
+    properties: {
+      lat: { type: "number" },
+      lon: { type: "number" },
+    },
+  },
+
+  NormalizedDate: {
+    type: "object",
+    required: ["display", "edtf", "earliest", "latest", "precision"],
+    properties: {
+      display: { type: "string", example: "1880s" },
+      edtf: { type: "string", example: "188X" },
+      earliest: { type: "integer", description: "Signed year, -500 = 500 BCE" },
+      latest: { type: "integer" },
+      precision: {
+        type: "string",
+        enum: ["day", "month", "year", "decade", "century", "millennium"],
+      },
+      era: { type: "string", enum: ["BCE", "CE"] },
+      approximate: { type: "boolean" },
+    },
+  },
+
+  Milestone: {
+    type: "object",
+    required: ["type", "date", "precision"],
+    properties: {
+      type: { type: "string", example: "construction_start" },
+      date: { type: "string", example: "January 1887" },
+      date_normalized: {
+        oneOf: [ref("NormalizedDate"), { type: "null" }],
+      },
+      precision: { type: "string" },
+      year: nullable({ type: "integer" }),
+      span: {
+        oneOf: [
+          {
+            type: "object",
+            properties: {
+              text: { type: "string" },
+              start: nullable({ type: "integer" }),
+              end: nullable({ type: "integer" }),
+            },
+          },
+          { type: "null" },
+        ],
+      },
+    },
+  },
+
+  RelatedEvent: {
+    type: "object",
+    required: ["event", "date", "location", "significance"],
+    properties: {
+      event: { type: "string" },
+      date: { type: "string" },
+      date_normalized: {
+        oneOf: [ref("NormalizedDate"), { type: "null" }],
+      },
+      location: { type: "string" },
+      significance: { type: "string" },
+    },
+  },
+};
@@ -0,0 +1,108 @@
+// ─────────────────────────────────────────────────────────────
+//  Health and service status - response schemas
+// ─────────────────────────────────────────────────────────────
+
+const dependencyStatus = {
+  type: "object",
+  properties: {
+    status: { type: "string", enum: ["up", "down"] },
+    critical: { type: "boolean" },
+    latency_ms: { type: ["integer", "null"] },
+    error: { type: "string", example: "HTTP 403" },
+    circuit: {
+      type: "object",
+      properties: {
+        state: { type: "string", enum: ["closed", "open", "half_open"] },
+        failures: { type: "integer" },
+        last_error: { type: "string" },
+        opened_at: { type: "string", format: "date-time" },
+        retry_after: { type: "integer" },
+      },
+    },
+  },
+};
+
+const dependencies = {
+  type: "object",
+  additionalProperties: dependencyStatus,
+};
+
+const serviceStatus = {
+  type: "object",
+  properties: {
+    success: { type: "boolean" },
+    message: { type: "string" },
+    timestamp: { type: "string", format: "date-time" },
+    dependencies: dependencies,
+    endpoints: {
+      type: "object",
+      additionalProperties: { type: "string" },
+    },
+  },
+};
+
+export const healthOperation = {
+  method: "get",
+  path: "/health",
+  tags: ["Health"],
+  summary: "Check that the backend is running",
+  response: {
+    type: "object",
+    properties: {
+      status: { type: "string", example: "OK" },
+      message: { type: "string" },
+      timestamp: { type: "string", format: "date-time" },
+      environment: { type: "string" },
+    },
+  },
+};
+
+export const readinessOperation = {
+  method: "get",
+  path: "/health/ready",
+  tags: ["Health"],
+  summary: "Check Wikipedia, Wikidata and the AI provider",
+  description:
+    "Probe results are cached for a few seconds; circuit breaker states are live. A dependency is down when its probe failed or its circuit is open.",
+  unavailable: "Wikipedia is down",
+  response: {
+    type: "object",
+    properties: {
+      status: { type: "string", enum: ["ready", "degraded", "not_ready"] },
+      checked_at: { type: "string", format: "date-time" },
+      dependencies: dependencies,
+    },
+  },
+};
+
+export const metricsOperation = {
+  method: "get",
+  path: "/metrics",
+  tags: ["Health"],
+  summary:
+    "Prometheus metrics - requests, upstream calls, AI tokens, cache and rate limits",
+  contentType: "text/plain",
+  response: {
+    type: "string",
+    example:
+      'upstream_requests_total{upstream="wikipedia_summary",route="/api/timeline",outcome="success"} 42',
+  },
+};
+
+export const searchSuggestionsStatusOperation = {
+  method: "get",
+  path: "/api/search/suggestions",
+  tags: ["Health"],
+  summary: "Search suggestions service status",
+  unavailable: "Wikipedia is down",
+  response: serviceStatus,
+};
+
+export const relatedEventsStatusOperation = {
+  method: "get",
+  path: "/api/related-events",
+  tags: ["Health"],
+  summary: "Related events service status",
+  unavailable: "The AI provider is down",
+  response: serviceStatus,
+};
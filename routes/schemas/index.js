@@ -0,0 +1,41 @@
+import { searchSuggestionsOperation } from "./searchSuggestionsSchema.js";
+import { nearbyPlacesOperation } from "./nearbyPlacesSchema.js";
+import {
+  timelineCreatorOperation,
+  timelineStreamOperation,
+} from "./timelineCreatorSchema.js";
+import { relatedEventsOperation } from "./relatedEventsSchema.js";
+import { createJobOperation, getJobOperation } from "./jobsSchema.js";
+import { quotaOperation } from "./quotaSchema.js";
+import { SHARED_SCHEMAS } from "./components.js";
+import { SUGGESTION_SCHEMAS } from "./suggestionComponents.js";
+import {
+  healthOperation,
+  readinessOperation,
+  metricsOperation,
+  searchSuggestionsStatusOperation,
+  relatedEventsStatusOperation,
+} from "./healthSchema.js";
+
+// ─────────────────────────────────────────────────────────────
+//  Every documented operation, in the order /docs lists them
+// ─────────────────────────────────────────────────────────────
+
+export const OPERATIONS = [
+  healthOperation,
+  readinessOperation,
+  metricsOperation,
+  searchSuggestionsOperation,
+  searchSuggestionsStatusOperation,
+  nearbyPlacesOperation,
+  timelineCreatorOperation,
+  timelineStreamOperation,
+  relatedEventsOperation,
+  relatedEventsStatusOperation,
+  createJobOperation,
+  getJobOperation,
+  quotaOperation,
+];
+
+// Published under components.schemas in /openapi.json
+export const COMPONENT_SCHEMAS = { ...SHARED_SCHEMAS, ...SUGGESTION_SCHEMAS };
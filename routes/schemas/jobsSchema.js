@@ -0,0 +1,100 @@
+import { successEnvelope } from "./components.js";
+import { timelineRequest, timelineData } from "./timelineCreatorSchema.js";
+import { relatedEventsRequest } from "./relatedEventsSchema.js";
+import { JOB_TYPES } from "../../services/jobService.js";
+
+// ─────────────────────────────────────────────────────────────
+//  Background jobs - request and response schemas
+// ─────────────────────────────────────────────────────────────
+
+// Job params are the body of the matching synchronous route
+export const JOB_PARAMS_SCHEMAS = {
+  timeline: timelineRequest,
+  related_events: relatedEventsRequest,
+};
+
+const timestamp = { type: ["string", "null"], format: "date-time" };
+
+const job = {
+  type: "object",
+  required: ["id", "type", "status", "created_at"],
+  properties: {
+    id: { type: "string", format: "uuid" },
+    type: { type: "string", enum: JOB_TYPES },
+    status: {
+      type: "string",
+      enum: ["queued", "running", "succeeded", "failed"],
+    },
+    params: { type: "object", additionalProperties: true },
+    result: {
+      description:
+        "Same data as the synchronous route once the job succeeded, otherwise null",
+      oneOf: [
+        timelineData,
+        { type: "object", additionalProperties: true },
+        { type: "null" },
+      ],
+    },
+    error: {
+      description: "Error envelope plus HTTP status when the job failed",
+      oneOf: [
+        {
+          type: "object",
+          properties: {
+            error: { type: "string" },
+            code: { type: "string" },
+            status: { type: "integer" },
+          },
+        },
+        { type: "null" },
+      ],
+    },
+    created_at: { type: "string", format: "date-time" },
+    started_at: timestamp,
+    finished_at: timestamp,
+    expires_at: {
+      ...timestamp,
+      description: "When a finished job's result is dropped",
+    },
+    status_url: { type: "string", example: "/api/jobs/3f0c..." },
+  },
+};
+
+export const createJobOperation = {
+  method: "post",
+  path: "/api/jobs",
+  tags: ["Jobs"],
+  summary: "Queue a timeline or related-events job",
+  description:
+    "Answers 202 with the job ID right away; poll `GET /api/jobs/{id}` for the result. Counts against the AI rate limit like the synchronous routes.",
+  body: {
+    type: "object",
+    required: ["type", "params"],
+    properties: {
+      type: { type: "string", enum: JOB_TYPES },
+      params: {
+        type: "object",
+        description: "Body of POST /api/timeline or POST /api/related-events",
+        oneOf: Object.values(JOB_PARAMS_SCHEMAS),
+      },
+    },
+  },
+  response: successEnvelope(job),
+  errors: [400, 401, 429, 503],
+};
+
+export const getJobOperation = {
+  method: "get",
+  path: "/api/jobs/{id}",
+  tags: ["Jobs"],
+  summary: "Get a job's status and result",
+  params: {
+    type: "object",
+    required: ["id"],
+    properties: {
+      id: { type: "string", minLength: 1, maxLength: 100 },
+    },
+  },
+  response: successEnvelope(job),
+  errors: [401, 404, 429],
+};
@@ -0,0 +1,87 @@
+import { ref, successEnvelope, languageField } from "./components.js";
+import { NEARBY_CONFIG } from "../../services/nearbyService.js";
+
+// ─────────────────────────────────────────────────────────────
+//  Nearby places - request and response schemas
+// ─────────────────────────────────────────────────────────────
+
+export const nearbyPlacesOperation = {
+  method: "get",
+  path: "/api/places/nearby",
+  tags: ["Search"],
+  summary: "Find places around coordinates or another place",
+  description:
+    "Provide either `title` or both `lat` and `lon`. With `title`, the article's coordinates are the center and the article itself is left out.",
+  query: {
+    type: "object",
+    properties: {
+      lat: { type: "number", minimum: -90, maximum: 90 },
+      lon: { type: "number", minimum: -180, maximum: 180 },
+      title: {
+        type: "string",
+        "x-trim": true,
+        minLength: 1,
+        maxLength: 100,
+        example: "Eiffel Tower",
+      },
+      radius: {
+        type: "integer",
+        minimum: NEARBY_CONFIG.minRadius,
+        maximum: NEARBY_CONFIG.maxRadius,
+        default: NEARBY_CONFIG.defaultRadius,
+        description: "Search radius in meters",
+      },
+      limit: {
+        type: "integer",
+        minimum: 1,
+        maximum: NEARBY_CONFIG.maxLimit,
+        default: NEARBY_CONFIG.defaultLimit,
+      },
+      lang: languageField,
+    },
+    oneOf: [{ required: ["title"] }, { required: ["lat", "lon"] }],
+  },
+  response: successEnvelope({
+    type: "object",
+    required: [
+      "center",
+      "lang",
+      "radius",
+      "places",
+      "total_found",
+      "timestamp",
+    ],
+    properties: {
+      center: {
+        type: "object",
+        properties: {
+          lat: { type: "number" },
+          lon: { type: "number" },
+          title: { type: ["string", "null"] },
+        },
+      },
+      lang: { type: "string", example: "fr" },
+      radius: { type: "integer" },
+      places: {
+        type: "array",
+        items: {
+          allOf: [
+            ref("Suggestion"),
+            {
+              type: "object",
+              properties: {
+                distance: {
+                  type: ["integer", "null"],
+                  description: "Meters from the center",
+                },
+              },
+            },
+          ],
+        },
+      },
+      total_found: { type: "integer" },
+      timestamp: { type: "string", format: "date-time" },
+    },
+  }),
+  errors: [300, 400, 401, 404, 408, 422, 429, 503],
+};
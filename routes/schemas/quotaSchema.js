@@ -0,0 +1,55 @@
+import { ref, successEnvelope } from "./components.js";
+
+// ─────────────────────────────────────────────────────────────
+//  Quota - response schema
+// ─────────────────────────────────────────────────────────────
+
+export const quotaOperation = {
+  method: "get",
+  path: "/api/quota",
+  tags: ["Quota"],
+  summary: "Show the caller's remaining web and AI quota",
+  description:
+    "Reports the limits for the API key sent with the request, or for the client IP when there is none. Checking does not spend AI credits; it counts as one web request.",
+  response: successEnvelope({
+    type: "object",
+    required: ["client", "web", "ai", "timestamp"],
+    properties: {
+      client: {
+        type: "object",
+        required: ["type"],
+        properties: {
+          type: { type: "string", enum: ["api_key", "ip"] },
+          key_id: { type: "string" },
+          name: { type: "string" },
+          tier: { type: "string", example: "standard" },
+        },
+      },
+      web: ref("QuotaWindow"),
+      ai: {
+        type: "object",
+        required: ["hourly", "daily", "costs"],
+        properties: {
+          hourly: ref("QuotaWindow"),
+          daily: {
+            description: "API keys only",
+            oneOf: [ref("QuotaWindow"), { type: "null" }],
+          },
+          costs: {
+            type: "object",
+            description: "AI credits each kind of request spends",
+            additionalProperties: { type: "number" },
+            example: {
+              timeline: 1,
+              timelineCached: 0,
+              timelineRules: 0,
+              relatedEvents: 2,
+            },
+          },
+        },
+      },
+      timestamp: { type: "string", format: "date-time" },
+    },
+  }),
+  errors: [401, 429],
+};
@@ -0,0 +1,88 @@
+import { ref, successEnvelope, languageField } from "./components.js";
+
+// ─────────────────────────────────────────────────────────────
+//  Related events - request and response schemas
+// ─────────────────────────────────────────────────────────────
+
+const optionalString = { type: ["string", "null"] };
+const normalizedDate = { oneOf: [ref("NormalizedDate"), { type: "null" }] };
+const eventList = { type: "array", items: ref("RelatedEvent") };
+
+// This route puts its timestamp next to data rather than inside it
+const withTimestamp = (envelope) => ({
+  ...envelope,
+  properties: {
+    ...envelope.properties,
+    timestamp: { type: "string", format: "date-time" },
+  },
+});
+
+// Request body, also the params of related_events jobs
+export const relatedEventsRequest = {
+  type: "object",
+  required: ["placeData"],
+  properties: {
+    placeData: {
+      type: "object",
+      required: ["name"],
+      properties: {
+        name: {
+          type: "string",
+          "x-trim": true,
+          minLength: 1,
+          example: "Eiffel Tower",
+        },
+        construction_start: { ...optionalString, example: "1887" },
+        construction_end: { ...optionalString, example: "1889" },
+        country: { ...optionalString, example: "France" },
+        date_precision: { ...optionalString, example: "year" },
+      },
+    },
+    lang: languageField,
+  },
+};
+
+export const relatedEventsOperation = {
+  method: "post",
+  path: "/api/related-events",
+  tags: ["Timeline"],
+  summary: "Find related historical events for a place",
+  body: relatedEventsRequest,
+  response: withTimestamp(
+    successEnvelope({
+      type: "object",
+      required: ["place_name", "related_events", "total_events", "lang"],
+      properties: {
+        place_name: { type: "string" },
+        place_dates: {
+          type: "object",
+          properties: {
+            construction_start: optionalString,
+            construction_start_normalized: normalizedDate,
+            construction_end: optionalString,
+            construction_end_normalized: normalizedDate,
+            country: optionalString,
+          },
+        },
+        related_events: {
+          type: "object",
+          properties: {
+            cultural_events: eventList,
+            scientific_discoveries: eventList,
+            political_events: eventList,
+            artistic_achievements: eventList,
+            regional_events: eventList,
+          },
+        },
+        total_events: { type: "integer" },
+        lang: {
+          type: "string",
+          description: "Language the events are described in",
+          example: "es",
+        },
+        generated_at: { type: "string", format: "date-time" },
+      },
+    })
+  ),
+  errors: [400, 401, 408, 429, 502, 503],
+};
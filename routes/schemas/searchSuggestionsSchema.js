@@ -0,0 +1,44 @@
+import { ref, successEnvelope, languageField } from "./components.js";
+
+// ─────────────────────────────────────────────────────────────
+//  Search suggestions - request and response schemas
+// ─────────────────────────────────────────────────────────────
+
+export const searchSuggestionsOperation = {
+  method: "post",
+  path: "/api/search/suggestions",
+  tags: ["Search"],
+  summary: "Get fuzzy search suggestions for places",
+  body: {
+    type: "object",
+    required: ["query"],
+    properties: {
+      query: {
+        type: "string",
+        "x-trim": true,
+        minLength: 2,
+        maxLength: 100,
+        description: "Place name, building, etc.",
+        example: "eifel tower",
+      },
+      lang: languageField,
+      debug: {
+        type: "boolean",
+        default: false,
+        description: "Add each suggestion's scoreBreakdown",
+      },
+    },
+  },
+  response: successEnvelope({
+    type: "object",
+    required: ["query", "lang", "suggestions", "total_found", "timestamp"],
+    properties: {
+      query: { type: "string" },
+      lang: { type: "string", example: "es" },
+      suggestions: { type: "array", items: ref("Suggestion") },
+      total_found: { type: "integer" },
+      timestamp: { type: "string", format: "date-time" },
+    },
+  }),
+  errors: [400, 401, 408, 429, 503],
+};
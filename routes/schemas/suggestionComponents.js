@@ -0,0 +1,119 @@
+// ─────────────────────────────────────────────────────────────
+//  Suggestion OpenAPI Schemas
+//  Place suggestions returned by search and nearby places, with the
+//  confidence breakdown and ranking factors behind their order
+// ─────────────────────────────────────────────────────────────
+
+import { ref, nullable } from "./components.js";
+
+export const SUGGESTION_SCHEMAS = {
+  Suggestion: {
+    type: "object",
+    required: ["title", "snippet", "confidence", "placeType"],
+    properties: {
+      title: { type: "string", description: "Title in the requested language" },
+      english_title: nullable({
+        type: "string",
+        description:
+          "Title on English Wikipedia, null without an English article",
+      }),
+      snippet: { type: "string" },
+      confidence: { type: "number", minimum: 0, maximum: 1 },
+      scoreBreakdown: {
+        oneOf: [ref("ScoreBreakdown"), { type: "null" }],
+        description: "Only with debug: how confidence was reached",
+      },
+      ranking: ref("Ranking"),
+      placeType: {
+        type: "string",
+        description:
+          "Type from Wikidata classes (e.g. religious_building, bridge, settlement), or building, city, landmark or area from keywords",
+        example: "tower",
+      },
+      placeConfidence: { type: "number", minimum: 0, maximum: 1 },
+      thumbnail: nullable({ type: "string" }),
+      country: nullable({ type: "string" }),
+      coordinates: { oneOf: [ref("Coordinates"), { type: "null" }] },
+      size: { type: "integer", description: "Article length in bytes" },
+      timestamp: nullable({
+        type: "string",
+        format: "date-time",
+        description: "Time of the article's last edit",
+      }),
+    },
+  },
+
+  ScoreBreakdown: {
+    type: "object",
+    required: [
+      "text",
+      "lexical",
+      "edit",
+      "trigram",
+      "phonetic",
+      "placeBoost",
+      "typeBonus",
+    ],
+    properties: {
+      text: {
+        type: "number",
+        description: "Weighted blend of the similarity parts below",
+      },
+      lexical: {
+        type: "number",
+        description: "Exact title, substring and shared words",
+      },
+      edit: { type: "number", description: "Edit distance per word" },
+      trigram: { type: "number", description: "Shared character trigrams" },
+      phonetic: { type: "number", description: "Words with the same Soundex" },
+      placeBoost: { type: "number", description: "From place confidence" },
+      typeBonus: { type: "number", description: "From the place category" },
+      didYouMean: {
+        type: "string",
+        description: "Wikipedia's suggested spelling, when scored against it",
+      },
+    },
+  },
+
+  Ranking: {
+    type: "object",
+    description:
+      "Search suggestions only: why the suggestion is ranked where it is",
+    required: [
+      "score",
+      "confidence",
+      "popularity",
+      "popularityWeight",
+      "pageviews",
+      "incomingLinks",
+      "size",
+    ],
+    properties: {
+      score: {
+        type: "number",
+        description:
+          "Ranking score: confidence and popularity blended by popularityWeight",
+        example: 0.9,
+      },
+      confidence: { type: "number", description: "Match with the query" },
+      popularity: nullable({
+        type: "number",
+        description:
+          "Popularity prior from pageviews, incoming links and size, log-scaled",
+      }),
+      popularityWeight: { type: "number", example: 0.2 },
+      pageviews: nullable({
+        type: "integer",
+        description: "Pageviews over the last POPULARITY_PAGEVIEW_DAYS days",
+      }),
+      incomingLinks: nullable({
+        type: "integer",
+        description: "Articles linking to this one",
+      }),
+      size: nullable({
+        type: "integer",
+        description: "Article length in bytes",
+      }),
+    },
+  },
+};
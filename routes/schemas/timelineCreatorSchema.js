@@ -0,0 +1,133 @@
+import { ref, successEnvelope, languageField } from "./components.js";
+import { EXTRACTION_METHODS } from "../../services/timelineService.js";
+
+// ─────────────────────────────────────────────────────────────
+//  Timeline creator - request and response schemas
+// ─────────────────────────────────────────────────────────────
+
+const nullableString = { type: ["string", "null"] };
+const normalizedDate = { oneOf: [ref("NormalizedDate"), { type: "null" }] };
+
+// Request fields shared by POST /api/timeline and the stream
+export const timelineRequest = {
+  type: "object",
+  required: ["query"],
+  properties: {
+    query: {
+      type: "string",
+      "x-trim": true,
+      minLength: 1,
+      description: "Place name, building, etc.",
+      example: "Eiffel Tower",
+    },
+    method: {
+      type: "string",
+      enum: EXTRACTION_METHODS,
+      default: "ai",
+      description: "Date extraction method",
+    },
+    resolve: {
+      type: "boolean",
+      default: false,
+      description: "Fall back to the best fuzzy match when no article is found",
+    },
+    lang: languageField,
+  },
+};
+
+export const timelineData = {
+  type: "object",
+  required: ["name", "lang", "milestones", "status", "method"],
+  properties: {
+    name: { type: "string", description: "Title in the requested language" },
+    english_name: {
+      ...nullableString,
+      description:
+        "Title on English Wikipedia, null without an English article",
+    },
+    lang: { type: "string", example: "es" },
+    redirected_from: nullableString,
+    resolution: {
+      oneOf: [
+        {
+          type: "object",
+          properties: {
+            query: { type: "string" },
+            title: { type: "string" },
+            confidence: { type: "number" },
+          },
+        },
+        { type: "null" },
+      ],
+    },
+    summary: { type: "string" },
+    thumbnail: nullableString,
+    url: nullableString,
+    coordinates: { oneOf: [ref("Coordinates"), { type: "null" }] },
+    type: nullableString,
+    country: nullableString,
+    milestones: { type: "array", items: ref("Milestone") },
+    construction_start: nullableString,
+    construction_start_normalized: normalizedDate,
+    construction_end: nullableString,
+    construction_end_normalized: normalizedDate,
+    date_precision: { type: "string" },
+    status: { type: "string", enum: ["completed", "ongoing", "unknown"] },
+    method: { type: "string", enum: EXTRACTION_METHODS },
+    fallback_reason: nullableString,
+    extracted_at: { type: "string", format: "date-time" },
+    conflicts: {
+      type: "array",
+      items: {
+        type: "object",
+        properties: {
+          field: { type: "string" },
+          ai: { type: "string" },
+          wikidata: { type: "string" },
+          wikidata_property: { type: "string" },
+        },
+      },
+    },
+    sources: {
+      type: "array",
+      items: {
+        type: "object",
+        required: ["name"],
+        properties: {
+          name: { type: "string", example: "wikipedia" },
+        },
+        additionalProperties: true,
+      },
+    },
+    wikidata: { type: ["object", "null"], additionalProperties: true },
+    revision: nullableString,
+    cached: { type: "boolean" },
+    cached_at: { type: ["string", "null"], format: "date-time" },
+  },
+};
+
+export const timelineCreatorOperation = {
+  method: "post",
+  path: "/api/timeline",
+  tags: ["Timeline"],
+  summary: "Create timeline data for a place",
+  body: timelineRequest,
+  response: successEnvelope(timelineData),
+  errors: [300, 400, 401, 404, 408, 429, 502, 503],
+};
+
+export const timelineStreamOperation = {
+  method: "get",
+  path: "/api/timeline/stream",
+  tags: ["Timeline"],
+  summary: "Create timeline data with Server-Sent Events progress",
+  description:
+    "Streams `resolving` ({ query }), `article` (Wikipedia card: name, english_name, lang, summary, thumbnail, url, coordinates, country, redirected_from, resolution), `extracting` ({ method }), then `done` with the same data as POST /api/timeline or `error` with the error envelope plus `status` and `retry_after`. Validation errors are answered with a regular 400 before the stream opens.",
+  query: timelineRequest,
+  contentType: "text/event-stream",
+  response: {
+    type: "string",
+    description: "event: <stage>\ndata: <JSON>",
+  },
+  errors: [400, 401, 429],
+};
@@ -1,101 +1,69 @@
 import express from "express";
+import validateRequest from "../middleware/validateRequest.js";
+import requestLanguage from "../middleware/requestLanguage.js";
 import { searchSuggestions } from "../services/wikiService.js";
+import { getServiceStatus } from "../services/readinessService.js";
+import { searchSuggestionsOperation } from "./schemas/searchSuggestionsSchema.js";
+import logger from "../utils/logger.js";
 
 const router = express.Router();
 
 // ─────────────────────────────────────────────────────────────
 //  POST /search/suggestions - Get search suggestions for a query
 //  @param {string} query - Search query (place name, building, etc.)
+//  @param {string} lang - Optional Wikipedia edition (default: Accept-Language, then "en")
+//  @param {boolean} debug - Optional: add each suggestion's score breakdown
 //  @returns {Object} - Array of search suggestions with confidence scores
 // ─────────────────────────────────────────────────────────────
-router.post("/", async (req, res) => {
-  try {
-    // Input validation
-    const { query } = req.body;
-
-    if (!query || typeof query !== "string" || query.trim().length === 0) {
-      return res.status(400).json({
-        success: false,
-        error: "Invalid search query",
-        code: "INVALID_INPUT",
-      });
-    }
-
-    const cleanQuery = query.trim();
-
-    // Minimum query length validation
-    if (cleanQuery.length < 2) {
-      return res.status(400).json({
-        success: false,
-        error: "Query must be at least 2 characters long",
-        code: "QUERY_TOO_SHORT",
-      });
-    }
-
-    // Maximum query length validation
-    if (cleanQuery.length > 100) {
-      return res.status(400).json({
-        success: false,
-        error: "Query must be less than 100 characters",
-        code: "QUERY_TOO_LONG",
-      });
-    }
+router.post(
+  "/",
+  validateRequest(searchSuggestionsOperation),
+  requestLanguage,
+  async (req, res) => {
+    // Query is trimmed and 2-100 characters long (see the schema)
+    const { query: cleanQuery, debug } = req.validated.body;
 
     // Get search suggestions from Wikipedia
-    console.log(`Getting search suggestions for: "${cleanQuery}"`);
-    const suggestions = await searchSuggestions(cleanQuery);
+    const suggestions = await searchSuggestions(cleanQuery, {
+      lang: req.language,
+      debug,
+    });
 
     // Format response
     const response = {
       success: true,
       data: {
         query: cleanQuery,
+        lang: req.language,
         suggestions: suggestions,
         total_found: suggestions.length,
         timestamp: new Date().toISOString(),
       },
     };
 
-    console.log(`Found ${suggestions.length} suggestions for: "${cleanQuery}"`);
-    res.json(response);
-  } catch (error) {
-    console.error(`Search suggestions failed: ${error.message}`);
-
-    // Handle specific error types
-    if (error.message.includes("timeout")) {
-      return res.status(408).json({
-        success: false,
-        error: "Search request timed out - please try again",
-        code: "TIMEOUT",
-      });
-    }
-
-    if (error.message.includes("API error")) {
-      return res.status(503).json({
-        success: false,
-        error: "Wikipedia service temporarily unavailable",
-        code: "SERVICE_UNAVAILABLE",
-      });
-    }
-
-    // Generic server error
-    res.status(500).json({
-      success: false,
-      error: "Internal server error",
-      code: "INTERNAL_ERROR",
+    logger.info("Search suggestions found", {
+      query: cleanQuery,
+      lang: req.language,
+      count: suggestions.length,
     });
+    res.json(response);
   }
-});
+);
 
 // ─────────────────────────────────────────────────────────────
 //  GET /search/suggestions - Health check for search suggestions
-//  @returns {Object} - Service status
+//  @returns {Object} - Service status, 503 while Wikipedia is down
 // ─────────────────────────────────────────────────────────────
-router.get("/", (req, res) => {
-  res.json({
-    success: true,
-    message: "Search suggestions service is running",
+router.get("/", async (req, res) => {
+  const { available, dependencies } = await getServiceStatus(["wikipedia"]);
+
+  res.status(available ? 200 : 503).json({
+    success: available,
+    message: available
+      ? "Search suggestions service is running"
+      : "Search suggestions service is unavailable",
     timestamp: new Date().toISOString(),
+    dependencies: dependencies,
     endpoints: {
       POST: "Get search suggestions for a query",
       GET: "Service health check",
@@ -1,99 +1,149 @@
 import express from "express";
-import { searchArticle } from "../services/wikiService.js";
-import { extractDates } from "../services/genaiService.js";
+import validateRequest from "../middleware/validateRequest.js";
+import aiRateLimiter, { setAiCost } from "../middleware/aiRateLimiter.js";
+import requestLanguage from "../middleware/requestLanguage.js";
+import {
+  aiCostOf,
+  lookupTimeline,
+  createTimeline,
+} from "../services/timelineService.js";
+import { formatTimelineResponse } from "../utils/timeline/timelineResponse.js";
+import { toApiError, errorEnvelope } from "../services/apiErrors.js";
+import { openEventStream } from "../utils/eventStream.js";
+import {
+  timelineCreatorOperation,
+  timelineStreamOperation,
+} from "./schemas/timelineCreatorSchema.js";
+import logger from "../utils/logger.js";
 
 const router = express.Router();
 
+// ─────────────────────────────────────────────────────────────
+// Find the article and its cached timeline before any credit is reserved,
+// so a client at its AI limit still gets timelines that are cached
+//  Lookup errors are kept for the handler: the stream reports them as events
+//  @param {string} location - "body" or "query", where the request's fields are
+//  @returns {Function} - Express middleware setting req.timelineLookup
+// ─────────────────────────────────────────────────────────────
+const lookupArticle = (location) => async (req, res, next) => {
+  const { query, method, resolve } = req.validated[location];
+  try {
+    req.timelineLookup = await lookupTimeline(query, {
+      method,
+      resolve,
+      lang: req.language,
+    });
+  } catch (error) {
+    req.timelineLookup = { error: error };
+  }
+  next();
+};
+
+// ─────────────────────────────────────────────────────────────
+// Name the credits to reserve for a timeline request
+//  @param {string} location - "body" or "query", where the request's fields are
+//  @returns {Function} - (req) => key of config.aiRateLimit.costs
+// ─────────────────────────────────────────────────────────────
+const timelineCost = (location) => (req) => {
+  const { error, cached } = req.timelineLookup;
+  // Nothing to extract when the article wasn't found
+  if (error || cached) return "timelineCached";
+  return req.validated[location].method === "rules"
+    ? "timelineRules"
+    : "timeline";
+};
+
 // ─────────────────────────────────────────────────────────────
 //  POST /timeline - Create timeline data for a place
 //  @param {string} query - Search query (place name, building, etc.)
+//  @param {string} method - Optional extraction method: "ai" (default) or "rules"
+//  @param {boolean} resolve - Optional: fall back to the best fuzzy match on 404
+//  @param {string} lang - Optional Wikipedia edition (default: Accept-Language, then "en")
 //  @returns {Object} - Complete timeline data with Wikipedia info and dates
 // ─────────────────────────────────────────────────────────────
-router.post("/", async (req, res) => {
-  try {
-    // Input validation
-    const { query } = req.body;
+router.post(
+  "/",
+  validateRequest(timelineCreatorOperation),
+  requestLanguage,
+  lookupArticle("body"),
+  aiRateLimiter(timelineCost("body")),
+  async (req, res) => {
+    // Validated and defaulted against the schema
+    const { query: cleanQuery, method, resolve } = req.validated.body;
+    if (req.timelineLookup.error) throw req.timelineLookup.error;
 
-    if (!query || typeof query !== "string" || query.trim().length === 0) {
-      return res.status(400).json({
-        success: false,
-        error: "Invalid search query",
-        code: "INVALID_INPUT",
-      });
-    }
+    // Extract dates unless they are cached for this revision
+    const timeline = await createTimeline(cleanQuery, {
+      method,
+      resolve,
+      lang: req.language,
+      lookup: req.timelineLookup,
+    });
 
-    const cleanQuery = query.trim();
+    // Cache hits and rule-based extraction cost less than an AI extraction
+    setAiCost(res, aiCostOf(timeline));
 
-    // Step 1: Get Wikipedia data
-    console.log(`Searching Wikipedia for: "${cleanQuery}"`);
-    const wikiData = await searchArticle(cleanQuery);
+    logger.info("Timeline created", {
+      place: timeline.wikiData.name,
+      cached: timeline.cached,
+    });
+    res.json({ success: true, data: formatTimelineResponse(timeline) });
+  }
+);
 
-    // Step 2: Extract dates using AI/ML API
-    console.log(`Extracting dates for: "${wikiData.name}"`);
-    const dateData = await extractDates(wikiData.summary, wikiData.name);
+// ─────────────────────────────────────────────────────────────
+//  GET /timeline/stream - Create a timeline with Server-Sent Events progress
+//  Events: resolving → article (Wikipedia card) → extracting → done | error
+//  @param {string} query - Search query (place name, building, etc.)
+//  @param {string} method - Optional extraction method: "ai" (default) or "rules"
+//  @param {boolean} resolve - Optional: fall back to the best fuzzy match on 404
+//  @param {string} lang - Optional Wikipedia edition (default: Accept-Language, then "en")
+//  @returns {Stream} - text/event-stream; "done" carries the POST /timeline data
+// ─────────────────────────────────────────────────────────────
+router.get(
+  "/stream",
+  validateRequest(timelineStreamOperation),
+  requestLanguage,
+  lookupArticle("query"),
+  aiRateLimiter(timelineCost("query")),
+  async (req, res) => {
+    const { query: cleanQuery, method, resolve } = req.validated.query;
+    const stream = openEventStream(req, res);
 
-    // Step 3: Combine and format response
-    const timelineData = {
-      success: true,
-      data: {
-        // Wikipedia data
-        name: wikiData.name,
-        summary: wikiData.summary,
-        thumbnail: wikiData.thumbnail,
-        url: wikiData.url,
-        coordinates: wikiData.coordinates,
-        type: wikiData.type,
-        country: wikiData.country,
+    try {
+      if (req.timelineLookup.error) throw req.timelineLookup.error;
 
-        // Extracted dates
-        construction_start: dateData.construction_start,
-        construction_end: dateData.construction_end,
-        date_precision: dateData.date_precision,
-        status: dateData.status,
-        extracted_at: dateData.extracted_at,
-      },
-    };
+      const timeline = await createTimeline(cleanQuery, {
+        method,
+        resolve,
+        lang: req.language,
+        onProgress: stream.send,
+        lookup: req.timelineLookup,
+      });
 
-    console.log(`Timeline created successfully for: "${wikiData.name}"`);
-    res.json(timelineData);
-  } catch (error) {
-    console.error(`Timeline creation failed: ${error.message}`);
-    console.error(`Error stack: ${error.stack}`);
+      setAiCost(res, aiCostOf(timeline));
 
-    // Handle specific error types
-    if (error.message.includes("not found")) {
-      return res.status(404).json({
-        success: false,
-        error: error.message,
-        code: "NOT_FOUND",
+      logger.info("Timeline streamed", {
+        place: timeline.wikiData.name,
+        cached: timeline.cached,
       });
-    }
-
-    if (error.message.includes("timeout")) {
-      return res.status(408).json({
-        success: false,
+      stream.send("done", formatTimelineResponse(timeline));
+    } catch (error) {
+      // The status line is already sent - report the error as an event
+      const apiError = toApiError(error);
+      logger.warn("Timeline stream failed", {
+        code: apiError.code,
         error: error.message,
-        code: "TIMEOUT",
       });
-    }
-
-    if (error.message.includes("quota") || error.message.includes("API key")) {
-      return res.status(503).json({
-        success: false,
-        error: "AI service temporarily unavailable",
-        code: "SERVICE_UNAVAILABLE",
+      stream.send("error", {
+        ...errorEnvelope(apiError),
+        status: apiError.status,
+        retry_after: apiError.retryAfter,
       });
+    } finally {
+      stream.close();
     }
-
-    // Generic server error with more details in development
-    const isDevelopment = process.env.NODE_ENV === "development";
-    res.status(500).json({
-      success: false,
-      error: "Internal server error",
-      code: "INTERNAL_ERROR",
-      ...(isDevelopment && { details: error.message }),
-    });
   }
-});
+);
 
 export default router;
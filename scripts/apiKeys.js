@@ -0,0 +1,86 @@
+import config from "../utils/config.js";
+import {
+  issueApiKey,
+  listApiKeys,
+  revokeApiKey,
+} from "../services/apiKeyStore.js";
+
+// ─────────────────────────────────────────────────────────────
+//  API key admin CLI - issue, list and revoke keys in the local key store
+//  Usage:
+//    npm run keys -- issue "<name>" [--tier <tier>]
+//    npm run keys -- list
+//    npm run keys -- revoke <id>
+//  A running server picks up changes on its next request.
+// ─────────────────────────────────────────────────────────────
+
+const USAGE = `Usage:
+  npm run keys -- issue "<name>" [--tier ${Object.keys(
+    config.apiKeys.tiers
+  ).join("|")}]
+  npm run keys -- list
+  npm run keys -- revoke <id>`;
+
+// ─────────────────────────────────────────────────────────────
+// Issue a key and print it - the only time the key is shown
+//  @param {Array} args - [name, "--tier", tier]
+// ─────────────────────────────────────────────────────────────
+const issue = async (args) => {
+  const tierIndex = args.indexOf("--tier");
+  const tier = tierIndex >= 0 ? args[tierIndex + 1] : undefined;
+  const [name] = args.filter(
+    (_, index) =>
+      tierIndex < 0 || (index !== tierIndex && index !== tierIndex + 1)
+  );
+
+  const issued = await issueApiKey(name, tier);
+  console.log(`✅ Issued ${issued.tier} key ${issued.id} for "${issued.name}"`);
+  console.log(`\n   ${issued.key}\n`);
+  console.log("Store it now - it can't be shown again.");
+};
+
+// ─────────────────────────────────────────────────────────────
+// Print every key with its tier quotas and status
+// ─────────────────────────────────────────────────────────────
+const list = async () => {
+  const keys = await listApiKeys();
+  if (keys.length === 0) {
+    console.log(`No API keys in ${config.apiKeys.file}`);
+    return;
+  }
+
+  console.table(
+    keys.map((key) => ({
+      id: key.id,
+      name: key.name,
+      tier: key.tier,
+      created: key.created_at,
+      status: key.revoked_at ? `revoked ${key.revoked_at}` : "active",
+    }))
+  );
+};
+
+// ─────────────────────────────────────────────────────────────
+// Revoke a key by ID
+//  @param {Array} args - [id]
+// ─────────────────────────────────────────────────────────────
+const revoke = async ([id]) => {
+  const revoked = await revokeApiKey(id);
+  console.log(`🔒 Revoked key ${revoked.id} ("${revoked.name}")`);
+};
+
+const COMMANDS = { issue: issue, list: list, revoke: revoke };
+
+const [command, ...args] = process.argv.slice(2);
+
+if (!COMMANDS[command]) {
+  console.error(USAGE);
+  process.exit(1);
+}
+
+try {
+  await COMMANDS[command](args);
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
@@ -0,0 +1,200 @@
+import fs from "fs/promises";
+
+// ─────────────────────────────────────────────────────────────
+//  Place detection eval - scores the place heuristics against the
+//  labeled corpus in eval/places and fails when they regress
+//  Usage:
+//    npm run eval:places                       # report, exit 1 on regression
+//    npm run eval:places -- --verbose          # also list misses and rankings
+//    npm run eval:places -- --update-baseline  # accept the current scores
+//  Runs offline: Wikidata classes come from eval/places/wikidata.json.
+// ─────────────────────────────────────────────────────────────
+
+const EVAL_DIR = new URL("../eval/places/", import.meta.url);
+const BASELINE_FILE = new URL("baseline.json", EVAL_DIR);
+
+// Drops within rounding of the baseline aren't regressions
+const TOLERANCE = 0.0005;
+
+const USAGE = `Usage:
+  npm run eval:places
+  npm run eval:places -- --verbose
+  npm run eval:places -- --update-baseline`;
+
+const FLAGS = ["--verbose", "--update-baseline"];
+const flags = process.argv.slice(2);
+
+if (flags.some((flag) => !FLAGS.includes(flag))) {
+  console.error(USAGE);
+  process.exit(1);
+}
+
+// The heuristics load the app config: evaluate without info logs
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || "warn";
+
+const { isPlace } = await import("../utils/wiki/placeDetection.js");
+const { NOT_A_PLACE, evaluate } = await import("./placeScoring.js");
+const { classifyItems } = await import("../services/placeClassifier.js");
+
+// Place checks compared by the eval, each (page, wikidataClasses) => placeCheck
+const PIPELINES = {
+  // As served: Wikidata classes first, keywords when Wikidata can't tell
+  wikidata: (page, classified) =>
+    classified.get(page.wikidata) || isPlace(page.title, page.snippet),
+  keywords: (page) => isPlace(page.title, page.snippet),
+};
+
+// ─────────────────────────────────────────────────────────────
+// Read a JSON file
+//  @param {URL} url - File URL
+//  @returns {Promise<*>} - Parsed contents
+// ─────────────────────────────────────────────────────────────
+const readJson = async (url) => JSON.parse(await fs.readFile(url, "utf8"));
+
+// ─────────────────────────────────────────────────────────────
+// Stand-in for getClassLinks that reads the Wikidata snapshot
+//  @param {Object} entities - { id: { instanceOf, subclassOf } }
+//  @returns {Function} - async (ids) => { id: { instanceOf, subclassOf } }
+// ─────────────────────────────────────────────────────────────
+const fixtureClassLinks = (entities) => async (ids) =>
+  Object.fromEntries(
+    ids
+      .filter((id) => entities[id])
+      .map((id) => [
+        id,
+        {
+          instanceOf: entities[id].instanceOf,
+          subclassOf: entities[id].subclassOf,
+        },
+      ])
+  );
+
+// ─────────────────────────────────────────────────────────────
+// Round a score for display and the baseline
+//  @param {number} value - Score
+//  @returns {number} - Score rounded to 4 decimals
+// ─────────────────────────────────────────────────────────────
+const round = (value) => Math.round(value * 10000) / 10000;
+
+// ─────────────────────────────────────────────────────────────
+// Print the misses and rankings of a pipeline
+//  @param {string} name - Pipeline name
+//  @param {Object} result - Output of evaluate
+// ─────────────────────────────────────────────────────────────
+const printDetails = (name, { misses, rankings }) => {
+  console.log(`\n🔍 ${name}: ${misses.length} misclassified pages`);
+  console.table(
+    misses.map(({ page, check }) => ({
+      page: page.id,
+      expected: page.place ? page.type : NOT_A_PLACE,
+      detected: check.isPlace ? check.placeType : NOT_A_PLACE,
+    }))
+  );
+
+  console.log(`\n🔍 ${name}: rankings`);
+  console.table(
+    rankings.map((ranking) => ({
+      query: ranking.query,
+      ranked: ranking.ranked
+        .map((result) => `${result.page} (${result.relevance})`)
+        .join(" > "),
+      rr: round(ranking.reciprocalRank),
+      ndcg: round(ranking.ndcg),
+    }))
+  );
+};
+
+// ─────────────────────────────────────────────────────────────
+// List the scores that fell below the baseline
+//  @param {Object} scores - { pipeline: { metric: value } }
+//  @param {Object} baseline - Same shape, from baseline.json
+//  @returns {Array} - [{ pipeline, metric, baseline, current }]
+// ─────────────────────────────────────────────────────────────
+const findRegressions = (scores, baseline) =>
+  Object.entries(baseline).flatMap(([pipeline, metrics]) =>
+    Object.entries(metrics)
+      .filter(
+        ([metric, value]) => !(scores[pipeline]?.[metric] >= value - TOLERANCE)
+      )
+      .map(([metric, value]) => ({
+        pipeline: pipeline,
+        metric: metric,
+        baseline: value,
+        current: scores[pipeline]?.[metric],
+      }))
+  );
+
+const corpus = await readJson(new URL("corpus.json", EVAL_DIR));
+const { entities } = await readJson(new URL("wikidata.json", EVAL_DIR));
+
+const classified = await classifyItems(
+  corpus.pages.map((page) => page.wikidata).filter(Boolean),
+  { loadClassLinks: fixtureClassLinks(entities) }
+);
+
+const results = Object.fromEntries(
+  Object.entries(PIPELINES).map(([name, classify]) => [
+    name,
+    evaluate(
+      corpus,
+      new Map(corpus.pages.map((page) => [page.id, classify(page, classified)]))
+    ),
+  ])
+);
+const scores = Object.fromEntries(
+  Object.entries(results).map(([name, result]) => [
+    name,
+    Object.fromEntries(
+      Object.entries(result.scores).map(([metric, value]) => [
+        metric,
+        round(value),
+      ])
+    ),
+  ])
+);
+
+const placeCount = corpus.pages.filter((page) => page.place).length;
+console.log(
+  `📚 ${corpus.pages.length} pages (${placeCount} places), ${corpus.queries.length} queries\n`
+);
+console.table(scores);
+
+Object.entries(results).forEach(([name, result]) => {
+  console.log(`\n🔀 ${name}: expected (rows) vs detected (columns)`);
+  console.table(result.matrix);
+  if (flags.includes("--verbose")) printDetails(name, result);
+});
+
+if (flags.includes("--update-baseline")) {
+  await fs.writeFile(BASELINE_FILE, `${JSON.stringify(scores, null, 2)}\n`);
+  console.log(`\n💾 Baseline updated - commit eval/places/baseline.json`);
+  process.exit(0);
+}
+
+const baseline = await readJson(BASELINE_FILE).catch(() => null);
+if (!baseline) {
+  console.error(`\n❌ No baseline yet - run with --update-baseline`);
+  process.exit(1);
+}
+
+const regressions = findRegressions(scores, baseline);
+if (regressions.length > 0) {
+  console.error("\n❌ Regressions against eval/places/baseline.json:");
+  regressions.forEach((regression) =>
+    console.error(
+      `   ${regression.pipeline} ${regression.metric}: ${regression.current} (baseline ${regression.baseline})`
+    )
+  );
+  process.exit(1);
+}
+
+const improved = Object.entries(scores).some(([pipeline, metrics]) =>
+  Object.entries(metrics).some(
+    ([metric, value]) => value > (baseline[pipeline]?.[metric] ?? 0) + TOLERANCE
+  )
+);
+console.log(
+  improved
+    ? "\n✅ No regressions - some scores beat the baseline: run with --update-baseline to keep them"
+    : "\n✅ No regressions against the baseline"
+);
@@ -0,0 +1,194 @@
+import { calculatePlaceConfidence } from "../utils/wiki/confidenceScoring.js";
+import { placeCategory } from "../utils/wiki/placeTaxonomy.js";
+
+// ─────────────────────────────────────────────────────────────
+//  Place detection scoring - precision/recall, place types and the
+//  ranking of search results over the labeled corpus in eval/places
+//  (see evalPlaces.js for the CLI, baseline and reporting)
+// ─────────────────────────────────────────────────────────────
+
+// Suggestions scored per query, as with WIKIPEDIA_RETURN_LIMIT=3
+const RANKING_DEPTH = 3;
+
+export const NOT_A_PLACE = "not a place";
+const CATEGORIES = ["building", "city", "landmark", "area", NOT_A_PLACE];
+
+// ─────────────────────────────────────────────────────────────
+// Coarse category of a label or place check
+//  @param {boolean} place - Whether it is a place
+//  @param {string|null} placeType - Taxonomy or keyword place type
+//  @returns {string} - building | city | landmark | area | not a place
+// ─────────────────────────────────────────────────────────────
+const categoryOf = (place, placeType) =>
+  place ? placeCategory(placeType) : NOT_A_PLACE;
+
+// ─────────────────────────────────────────────────────────────
+// Share of a count, 0 when there is nothing to divide
+//  @param {number} part - Numerator
+//  @param {number} whole - Denominator
+//  @returns {number} - part / whole
+// ─────────────────────────────────────────────────────────────
+const ratio = (part, whole) => (whole > 0 ? part / whole : 0);
+
+// ─────────────────────────────────────────────────────────────
+// Score place detection and typing
+//  Type scores only count places that were detected: a missed place
+//  already costs recall
+//  @param {Array} pages - Corpus pages
+//  @param {Map} checks - page ID → place check
+//  @returns {Object} - { precision, recall, f1, type_accuracy, category_accuracy }
+// ─────────────────────────────────────────────────────────────
+const scoreDetection = (pages, checks) => {
+  const counts = { tp: 0, fp: 0, fn: 0, types: 0, categories: 0 };
+
+  pages.forEach((page) => {
+    const check = checks.get(page.id);
+    if (check.isPlace && page.place) {
+      counts.tp++;
+      if (check.placeType === page.type) counts.types++;
+      if (placeCategory(check.placeType) === placeCategory(page.type)) {
+        counts.categories++;
+      }
+    } else if (check.isPlace) {
+      counts.fp++;
+    } else if (page.place) {
+      counts.fn++;
+    }
+  });
+
+  const precision = ratio(counts.tp, counts.tp + counts.fp);
+  const recall = ratio(counts.tp, counts.tp + counts.fn);
+
+  return {
+    precision: precision,
+    recall: recall,
+    f1: ratio(2 * precision * recall, precision + recall),
+    type_accuracy: ratio(counts.types, counts.tp),
+    category_accuracy: ratio(counts.categories, counts.tp),
+  };
+};
+
+// ─────────────────────────────────────────────────────────────
+// Count expected against detected categories
+//  @param {Array} pages - Corpus pages
+//  @param {Map} checks - page ID → place check
+//  @returns {Object} - { expected: { detected: count } }
+// ─────────────────────────────────────────────────────────────
+const confusionMatrix = (pages, checks) => {
+  const matrix = Object.fromEntries(
+    CATEGORIES.map((expected) => [
+      expected,
+      Object.fromEntries(CATEGORIES.map((detected) => [detected, 0])),
+    ])
+  );
+
+  pages.forEach((page) => {
+    const check = checks.get(page.id);
+    matrix[categoryOf(page.place, page.type)][
+      categoryOf(check.isPlace, check.placeType)
+    ]++;
+  });
+
+  return matrix;
+};
+
+// ─────────────────────────────────────────────────────────────
+// Rank a query's results the way suggestions are ranked
+//  Non-places are dropped, the rest sorted by confidence (ties keep
+//  Wikipedia's order) and cut to RANKING_DEPTH
+//  @param {Object} query - { query, results: [{ page, relevance }] }
+//  @param {Map} pagesById - page ID → page
+//  @param {Map} checks - page ID → place check
+//  @returns {Array} - [{ page, relevance, confidence }], best first
+// ─────────────────────────────────────────────────────────────
+const rankResults = (query, pagesById, checks) =>
+  query.results
+    .filter((result) => checks.get(result.page).isPlace)
+    .map((result) => {
+      const page = pagesById.get(result.page);
+      return {
+        ...result,
+        confidence: calculatePlaceConfidence(
+          query.query,
+          page.title,
+          page.snippet,
+          checks.get(page.id)
+        ),
+      };
+    })
+    .sort((a, b) => b.confidence - a.confidence)
+    .slice(0, RANKING_DEPTH);
+
+// ─────────────────────────────────────────────────────────────
+// Discounted cumulative gain of graded results
+//  @param {Array<number>} relevances - Grades in ranked order
+//  @returns {number} - DCG
+// ─────────────────────────────────────────────────────────────
+const dcg = (relevances) =>
+  relevances.reduce(
+    (sum, relevance, index) =>
+      sum + (2 ** relevance - 1) / Math.log2(index + 2),
+    0
+  );
+
+// ─────────────────────────────────────────────────────────────
+// Score the ranking of one query
+//  The reciprocal rank is that of the first result with the query's top
+//  grade - the place the user asked for
+//  @param {Object} query - { query, results: [{ page, relevance }] }
+//  @param {Array} ranked - Output of rankResults
+//  @returns {Object} - { reciprocalRank, ndcg }
+// ─────────────────────────────────────────────────────────────
+const scoreQuery = (query, ranked) => {
+  const grades = query.results.map((result) => result.relevance);
+  const topGrade = Math.max(...grades);
+  const rank = ranked.findIndex((result) => result.relevance === topGrade) + 1;
+  const ideal = grades.sort((a, b) => b - a).slice(0, RANKING_DEPTH);
+
+  return {
+    reciprocalRank: rank > 0 ? 1 / rank : 0,
+    ndcg: ratio(dcg(ranked.map((result) => result.relevance)), dcg(ideal)),
+  };
+};
+
+// ─────────────────────────────────────────────────────────────
+// Evaluate one pipeline over the corpus
+//  @param {Object} corpus - { pages, queries }
+//  @param {Map} checks - page ID → place check
+//  @returns {Object} - { scores, matrix, misses, rankings }
+// ─────────────────────────────────────────────────────────────
+export const evaluate = ({ pages, queries }, checks) => {
+  const pagesById = new Map(pages.map((page) => [page.id, page]));
+
+  const rankings = queries.map((query) => {
+    const ranked = rankResults(query, pagesById, checks);
+    return { query: query.query, ranked: ranked, ...scoreQuery(query, ranked) };
+  });
+
+  const misses = pages
+    .map((page) => ({ page: page, check: checks.get(page.id) }))
+    .filter(
+      ({ page, check }) =>
+        check.isPlace !== page.place ||
+        (page.place && check.placeType !== page.type)
+    );
+
+  const scores = {
+    ...scoreDetection(pages, checks),
+    mrr: ratio(
+      rankings.reduce((sum, ranking) => sum + ranking.reciprocalRank, 0),
+      rankings.length
+    ),
+    [`ndcg_at_${RANKING_DEPTH}`]: ratio(
+      rankings.reduce((sum, ranking) => sum + ranking.ndcg, 0),
+      rankings.length
+    ),
+  };
+
+  return {
+    scores: scores,
+    matrix: confusionMatrix(pages, checks),
+    misses: misses,
+    rankings: rankings,
+  };
+};
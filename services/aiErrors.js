@@ -0,0 +1,110 @@
+import { ApiError, UpstreamError, parseRetryAfter } from "./apiErrors.js";
+
+// ─────────────────────────────────────────────────────────────
+//  AiErrors - Custom error classes for the AI providers
+// ─────────────────────────────────────────────────────────────
+
+// Retry-After defaults (seconds) when the provider doesn't send one
+const AI_RETRY_AFTER = {
+  quota: 60,
+  unavailable: 30,
+};
+
+export class AiServiceError extends UpstreamError {
+  constructor(message, code = "AI_ERROR", status = 502, options) {
+    super(message, code, status, options);
+    this.name = "AiServiceError";
+  }
+}
+
+export class AiTimeoutError extends AiServiceError {
+  constructor(message = "AI API timeout - please try again") {
+    super(message, "TIMEOUT", 408);
+    this.name = "AiTimeoutError";
+  }
+}
+
+// Missing or rejected API key - retrying won't help until config changes.
+// The reason is logged but never sent to clients.
+export class AiConfigurationError extends AiServiceError {
+  constructor(
+    message = "AI service is not configured correctly",
+    options = {}
+  ) {
+    super(message, "AI_NOT_CONFIGURED", 503, {
+      ...options,
+      publicMessage: "AI service temporarily unavailable",
+    });
+    this.name = "AiConfigurationError";
+  }
+}
+
+export class AiQuotaError extends AiServiceError {
+  constructor(retryAfter = AI_RETRY_AFTER.quota, options = {}) {
+    super(
+      "AI API quota exceeded - please try again later",
+      "AI_QUOTA_EXCEEDED",
+      503,
+      {
+        ...options,
+        retryAfter: retryAfter,
+      }
+    );
+    this.name = "AiQuotaError";
+  }
+}
+
+export class AiUnavailableError extends AiServiceError {
+  constructor(retryAfter = AI_RETRY_AFTER.unavailable, options = {}) {
+    super("AI service temporarily unavailable", "SERVICE_UNAVAILABLE", 503, {
+      ...options,
+      retryAfter: retryAfter,
+    });
+    this.name = "AiUnavailableError";
+  }
+}
+
+export class AiResponseError extends AiServiceError {
+  constructor(message) {
+    super(message, "AI_INVALID_RESPONSE", 502);
+    this.name = "AiResponseError";
+  }
+}
+
+// ─────────────────────────────────────────────────────────────
+// Convert a failed AI provider call into a typed error
+//  @param {Error} error - Error thrown by generateText or response parsing
+//  @returns {ApiError} - Typed error to throw
+// ─────────────────────────────────────────────────────────────
+export const toAiError = (error) => {
+  if (error instanceof ApiError) return error;
+
+  if (error.code === "ECONNABORTED") return new AiTimeoutError();
+
+  const status = error.response?.status;
+  const retryAfter = parseRetryAfter(error.response?.headers?.["retry-after"]);
+
+  if (status === 401 || status === 403) {
+    return new AiConfigurationError(
+      "AI API key is invalid - please check your configuration",
+      { cause: error }
+    );
+  }
+
+  if (status === 429) {
+    return new AiQuotaError(retryAfter ?? undefined, { cause: error });
+  }
+
+  if (status >= 500 || (error.isAxiosError && !error.response)) {
+    return new AiUnavailableError(retryAfter ?? undefined, { cause: error });
+  }
+
+  return new AiServiceError(
+    `AI API processing failed: ${error.message}`,
+    undefined,
+    undefined,
+    {
+      cause: error,
+    }
+  );
+};
@@ -0,0 +1,86 @@
+// ─────────────────────────────────────────────────────────────
+//  ApiErrors - Base error classes mapped to HTTP responses
+//  middleware/errorHandler.js turns them into the shared error envelope
+// ─────────────────────────────────────────────────────────────
+
+export class ApiError extends Error {
+  // options: { retryAfter: seconds, extras: fields added to the envelope,
+  //   publicMessage: client-facing message when message is internal, cause }
+  constructor(message, code, status, options = {}) {
+    super(message, { cause: options.cause });
+    this.name = "ApiError";
+    this.code = code;
+    this.status = status;
+    this.retryAfter = options.retryAfter ?? null;
+    this.extras = options.extras || {};
+    this.publicMessage = options.publicMessage || message;
+  }
+}
+
+// fields: [{ location, field, message, rule }] for schema validation failures
+export class ValidationError extends ApiError {
+  constructor(message, code = "INVALID_INPUT", fields) {
+    super(message, code, 400, fields ? { extras: { fields: fields } } : {});
+    this.name = "ValidationError";
+  }
+}
+
+export class UpstreamError extends ApiError {
+  constructor(message, code = "SERVICE_UNAVAILABLE", status = 503, options) {
+    super(message, code, status, options);
+    this.name = "UpstreamError";
+  }
+}
+
+// ─────────────────────────────────────────────────────────────
+// Read a Retry-After header from an upstream response
+//  @param {string|undefined} value - Seconds or an HTTP date
+//  @returns {number|null} - Seconds to wait, null when absent or invalid
+// ─────────────────────────────────────────────────────────────
+export const parseRetryAfter = (value) => {
+  if (value === undefined || value === null || value === "") return null;
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, Math.ceil(seconds));
+
+  const date = Date.parse(value);
+  if (Number.isNaN(date)) return null;
+  return Math.max(0, Math.ceil((date - Date.now()) / 1000));
+};
+
+// ─────────────────────────────────────────────────────────────
+// Map any thrown value to an ApiError
+//  @param {Error} error - Error passed to next() or thrown by a route
+//  @returns {ApiError} - Typed error with status and code
+// ─────────────────────────────────────────────────────────────
+export const toApiError = (error) => {
+  if (error instanceof ApiError) return error;
+
+  // Malformed JSON body from express.json()
+  if (error.type === "entity.parse.failed") {
+    return new ValidationError(
+      "Request body is not valid JSON",
+      "INVALID_JSON"
+    );
+  }
+
+  // Other client errors raised by Express and body-parser (e.g. payload too large)
+  const status = error.status || error.statusCode;
+  if (status >= 400 && status < 500 && error.expose) {
+    return new ApiError(error.message, "BAD_REQUEST", status);
+  }
+
+  return new ApiError("Internal server error", "INTERNAL_ERROR", 500);
+};
+
+// ─────────────────────────────────────────────────────────────
+// Build the error envelope every route answers with
+//  @param {ApiError} apiError - Typed error
+//  @returns {Object} - { success: false, error, code, ...extras }
+// ─────────────────────────────────────────────────────────────
+export const errorEnvelope = (apiError) => ({
+  success: false,
+  error: apiError.publicMessage,
+  code: apiError.code,
+  ...apiError.extras,
+});
@@ -0,0 +1,19 @@
+import { ApiError } from "./apiErrors.js";
+
+// ─────────────────────────────────────────────────────────────
+//  ApiKeyErrors - Custom error classes for API key authentication
+// ─────────────────────────────────────────────────────────────
+
+export class InvalidApiKeyError extends ApiError {
+  constructor() {
+    super("Unknown or revoked API key", "INVALID_API_KEY", 401);
+    this.name = "InvalidApiKeyError";
+  }
+}
+
+export class ApiKeyNotFoundError extends ApiError {
+  constructor(id) {
+    super(`No API key found with ID "${id}"`, "API_KEY_NOT_FOUND", 404);
+    this.name = "ApiKeyNotFoundError";
+  }
+}
@@ -0,0 +1,179 @@
+import fs from "fs/promises";
+import path from "path";
+import { createHash, randomBytes } from "crypto";
+import config from "../utils/config.js";
+import { ValidationError } from "./apiErrors.js";
+import { ApiKeyNotFoundError } from "./apiKeyErrors.js";
+import logger from "../utils/logger.js";
+
+// ─────────────────────────────────────────────────────────────
+//  API Key Store - Local file of issued API keys and their tiers
+//  Only a SHA-256 hash of each key is stored; the key itself is shown
+//  once when issued. The file is re-read whenever it changes, so keys
+//  issued or revoked with `npm run keys` apply to a running server.
+// ─────────────────────────────────────────────────────────────
+
+const KEY_PREFIX = "ptk_";
+
+let keys = null; // Lazily loaded Map<id, record>
+let loadedMtime = null; // mtime of the file keys was read from
+let writeQueue = Promise.resolve();
+
+// ─────────────────────────────────────────────────────────────
+// Hash an API key for storage and lookup
+//  @param {string} key - Plain API key
+//  @returns {string} - Hex SHA-256 digest
+// ─────────────────────────────────────────────────────────────
+const hashKey = (key) => createHash("sha256").update(key).digest("hex");
+
+// ─────────────────────────────────────────────────────────────
+// Load key records, re-reading the file when it changed on disk
+//  @returns {Promise<Map>} - Key records keyed by ID
+// ─────────────────────────────────────────────────────────────
+const loadKeys = async () => {
+  const file = config.apiKeys.file;
+  let mtime = null;
+  try {
+    mtime = (await fs.stat(file)).mtimeMs;
+  } catch (error) {
+    if (error.code !== "ENOENT") {
+      logger.warn("API keys could not be read", { error: error.message });
+    }
+  }
+
+  if (keys && mtime === loadedMtime) return keys;
+
+  keys = new Map();
+  loadedMtime = mtime;
+  if (mtime === null) return keys; // No keys issued yet
+
+  try {
+    const stored = JSON.parse(await fs.readFile(file, "utf8"));
+    (stored.keys || []).forEach((record) => keys.set(record.id, record));
+  } catch (error) {
+    // Corrupt file - every key is rejected until it is fixed
+    logger.warn("API keys could not be read", { error: error.message });
+  }
+
+  return keys;
+};
+
+// ─────────────────────────────────────────────────────────────
+// Write all key records to disk (serialized so writes never interleave)
+//  @returns {Promise<void>} - Rejects when this write failed, so the caller
+//                             doesn't report a key change that wasn't saved
+// ─────────────────────────────────────────────────────────────
+const persistKeys = () => {
+  const write = writeQueue.then(async () => {
+    const file = config.apiKeys.file;
+    const tempFile = `${file}.tmp`;
+    const data = { keys: [...keys.values()] };
+
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(tempFile, JSON.stringify(data, null, 2), {
+      mode: 0o600,
+    });
+    await fs.rename(tempFile, file);
+  });
+
+  // A failed write must not block the ones queued after it
+  writeQueue = write.catch((error) =>
+    logger.warn("API keys could not be written", { error: error.message })
+  );
+
+  return write;
+};
+
+// ─────────────────────────────────────────────────────────────
+// Strip the key hash from a record before it leaves the store
+//  @param {Object} record - Stored key record
+//  @returns {Object} - { id, name, tier, created_at, revoked_at }
+// ─────────────────────────────────────────────────────────────
+const toPublicRecord = ({ key_hash, ...record }) => record;
+
+// ─────────────────────────────────────────────────────────────
+// Issue a new API key
+//  @param {string} name - Who the key is for, e.g. "Campus lab"
+//  @param {string} tier - Quota tier from config.apiKeys.tiers
+//  @returns {Promise<Object>} - Public record plus the plain key (shown only here)
+//  @throws {ValidationError} - Missing name or unknown tier
+// ─────────────────────────────────────────────────────────────
+export const issueApiKey = async (name, tier = config.apiKeys.defaultTier) => {
+  if (!name || typeof name !== "string" || name.trim().length === 0) {
+    throw new ValidationError("API key name is required");
+  }
+  if (!config.apiKeys.tiers[tier]) {
+    throw new ValidationError(
+      `Unknown tier "${tier}" - use one of: ${Object.keys(
+        config.apiKeys.tiers
+      ).join(", ")}`
+    );
+  }
+
+  const store = await loadKeys();
+  const key = `${KEY_PREFIX}${randomBytes(24).toString("base64url")}`;
+  const record = {
+    id: randomBytes(4).toString("hex"),
+    name: name.trim(),
+    tier: tier,
+    key_hash: hashKey(key),
+    created_at: new Date().toISOString(),
+    revoked_at: null,
+  };
+
+  store.set(record.id, record);
+  try {
+    await persistKeys();
+  } catch (error) {
+    // Unsaved keys would be lost on restart - don't hand one out
+    store.delete(record.id);
+    throw error;
+  }
+  return { ...toPublicRecord(record), key: key };
+};
+
+// ─────────────────────────────────────────────────────────────
+// List issued API keys, revoked ones included
+//  @returns {Promise<Array>} - Public records, oldest first
+// ─────────────────────────────────────────────────────────────
+export const listApiKeys = async () => {
+  const store = await loadKeys();
+  return [...store.values()].map(toPublicRecord);
+};
+
+// ─────────────────────────────────────────────────────────────
+// Revoke an API key - the record is kept so the ID isn't reused
+//  @param {string} id - Key ID
+//  @returns {Promise<Object>} - Revoked public record
+//  @throws {ApiKeyNotFoundError} - Unknown ID
+// ─────────────────────────────────────────────────────────────
+export const revokeApiKey = async (id) => {
+  const store = await loadKeys();
+  const record = store.get(id);
+  if (!record) {
+    throw new ApiKeyNotFoundError(id);
+  }
+
+  if (!record.revoked_at) {
+    record.revoked_at = new Date().toISOString();
+    await persistKeys();
+  }
+  return toPublicRecord(record);
+};
+
+// ─────────────────────────────────────────────────────────────
+// Look up an active API key
+//  @param {string} key - Plain API key from the request
+//  @returns {Promise<Object|null>} - Public record, or null if unknown or revoked
+// ─────────────────────────────────────────────────────────────
+export const findApiKey = async (key) => {
+  const store = await loadKeys();
+  const hash = hashKey(key);
+
+  for (const record of store.values()) {
+    if (record.key_hash === hash) {
+      return record.revoked_at ? null : toPublicRecord(record);
+    }
+  }
+  return null;
+};
@@ -0,0 +1,44 @@
+import config from "../utils/config.js";
+import { createCircuitBreaker, isOutage } from "../utils/circuitBreaker.js";
+import { UpstreamError } from "./apiErrors.js";
+import { WikiUnavailableError } from "./wikiErrors.js";
+import { AiUnavailableError } from "./aiErrors.js";
+
+// ─────────────────────────────────────────────────────────────
+//  Circuit Breakers - One per upstream dependency
+//  While a circuit is open, calls fail at once with the dependency's
+//  usual 503 error (plus Retry-After) instead of waiting for a timeout
+// ─────────────────────────────────────────────────────────────
+
+export const wikipediaBreaker = createCircuitBreaker("wikipedia", {
+  ...config.circuitBreaker,
+  rejectWith: (retryAfter) =>
+    new WikiUnavailableError({ retryAfter: retryAfter }),
+});
+
+export const wikidataBreaker = createCircuitBreaker("wikidata", {
+  ...config.circuitBreaker,
+  rejectWith: (retryAfter) =>
+    new UpstreamError(
+      "Wikidata service temporarily unavailable",
+      "SERVICE_UNAVAILABLE",
+      503,
+      { retryAfter: retryAfter }
+    ),
+});
+
+// A rejected key fails every call just like an outage
+const isAiOutage = (error) =>
+  isOutage(error) || [401, 403].includes(error.response?.status);
+
+// Keyed like config.ai.providers
+export const aiBreakers = Object.fromEntries(
+  Object.keys(config.ai.providers).map((provider) => [
+    provider,
+    createCircuitBreaker(provider, {
+      ...config.circuitBreaker,
+      isFailure: isAiOutage,
+      rejectWith: (retryAfter) => new AiUnavailableError(retryAfter),
+    }),
+  ])
+);
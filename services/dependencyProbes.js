@@ -0,0 +1,120 @@
+import axios from "axios";
+import config from "../utils/config.js";
+import logger from "../utils/logger.js";
+import { restApiUrl } from "../utils/wiki/languages.js";
+import {
+  wikipediaBreaker,
+  wikidataBreaker,
+  aiBreakers,
+} from "./circuitBreakers.js";
+
+// ─────────────────────────────────────────────────────────────
+//  Dependency Probes - Cheap calls that confirm an upstream is reachable
+//  Probes use config.health.probeTimeoutMs and report failures without
+//  URLs or keys (see readinessService.js for caching and status)
+// ─────────────────────────────────────────────────────────────
+
+// Stable article used to probe the summary endpoint
+const PROBE_ARTICLE = "Earth";
+
+// Cheap authenticated calls that confirm an AI provider is reachable and
+// its key is accepted, without generating anything
+const AI_PROBES = {
+  gemini: (settings, timeout) => {
+    if (!settings.apiKey) throw new Error("GOOGLE_AI_API_KEY not configured");
+    return axios.get(
+      `${settings.baseUrl}/models?pageSize=1&key=${settings.apiKey}`,
+      { timeout: timeout }
+    );
+  },
+  openai: (settings, timeout) =>
+    axios.get(`${settings.baseUrl.replace(/\/+$/, "")}/models`, {
+      timeout: timeout,
+      headers: settings.apiKey
+        ? { Authorization: `Bearer ${settings.apiKey}` }
+        : {},
+    }),
+  mock: async () => {}, // Offline, always up
+};
+
+// ─────────────────────────────────────────────────────────────
+// Dependencies to probe - AI providers only when a use case picks them
+//  @returns {Array} - [{ name, critical, breaker, probe(timeout) }]
+// ─────────────────────────────────────────────────────────────
+export const dependencies = () => {
+  const aiProviders = new Set(
+    Object.values(config.ai.useCases).map(({ provider }) => provider)
+  );
+
+  return [
+    {
+      name: "wikipedia",
+      critical: true, // Every endpoint starts from a Wikipedia lookup
+      breaker: wikipediaBreaker,
+      probe: (timeout) =>
+        axios.get(`${restApiUrl()}/page/summary/${PROBE_ARTICLE}`, {
+          timeout: timeout,
+          headers: { "User-Agent": config.wikipedia.userAgent },
+        }),
+    },
+    {
+      name: "wikidata",
+      critical: false, // Only cross-checks timelines
+      breaker: wikidataBreaker,
+      probe: (timeout) =>
+        axios.get(
+          `${config.wikidata.apiUrl}?action=wbgetentities&ids=Q2&props=info&format=json`,
+          {
+            timeout: timeout,
+            headers: { "User-Agent": config.wikipedia.userAgent },
+          }
+        ),
+    },
+    // Timelines fall back to rule-based dates without AI
+    ...[...aiProviders].map((provider) => ({
+      name: provider,
+      critical: false,
+      breaker: aiBreakers[provider],
+      probe: (timeout) =>
+        AI_PROBES[provider](config.ai.providers[provider], timeout),
+    })),
+  ];
+};
+
+// ─────────────────────────────────────────────────────────────
+// Describe a failed probe without URLs or keys
+//  @param {Error} error - Error thrown by the probe
+//  @returns {string} - e.g. "HTTP 403", "Timed out after 2000 ms"
+// ─────────────────────────────────────────────────────────────
+const describeProbeError = (error) => {
+  if (error.code === "ECONNABORTED") {
+    return `Timed out after ${config.health.probeTimeoutMs} ms`;
+  }
+  if (error.response) return `HTTP ${error.response.status}`;
+  return error.isAxiosError ? error.code || "Network error" : error.message;
+};
+
+// ─────────────────────────────────────────────────────────────
+// Probe one dependency
+//  @param {Object} dependency - { name, probe }
+//  @returns {Promise<Object>} - { status: "up"|"down", latency_ms, error }
+// ─────────────────────────────────────────────────────────────
+export const runProbe = async ({ name, probe }) => {
+  const startedAt = Date.now();
+
+  try {
+    await probe(config.health.probeTimeoutMs);
+    return { status: "up", latency_ms: Date.now() - startedAt };
+  } catch (error) {
+    const reason = describeProbeError(error);
+    logger.warn("Dependency check failed", {
+      dependency: name,
+      error: reason,
+    });
+    return {
+      status: "down",
+      latency_ms: Date.now() - startedAt,
+      error: reason,
+    };
+  }
+};
@@ -1,19 +1,24 @@
-import dotenv from "dotenv";
-dotenv.config();
-
-import axios from "axios";
+import { generateText } from "./llmService.js";
+import { ValidationError, UpstreamError } from "./apiErrors.js";
+import { AiResponseError, toAiError } from "./aiErrors.js";
+import {
+  MILESTONE_TYPES,
+  DATE_PRECISIONS,
+  formatTimelineDates,
+} from "../utils/timeline/milestones.js";
+import { ENGLISH, languageName } from "../utils/wiki/languages.js";
+import logger from "../utils/logger.js";
 
 // ─────────────────────────────────────────────────────────────
-//  Google AI Service - Handles AI-powered date extraction
-// Extracts construction dates from Wikipedia summaries with precision levels
+//  GenAI Service - Handles AI-powered date extraction
+// Extracts dated milestones from Wikipedia summaries with precision levels
 // ─────────────────────────────────────────────────────────────
 
 // Configuration object following backend guidelines
+// Provider and model come from config.ai.useCases.dateExtraction
 const GENAI_CONFIG = {
-  baseUrl: "https://generativelanguage.googleapis.com/v1beta",
   timeout: 10000,
-  model: "gemini-2.0-flash-exp",
-  maxTokens: 500,
+  maxTokens: 1000,
   temperature: 0.1,
 };
 
@@ -21,17 +26,23 @@ const GENAI_CONFIG = {
 // Extract construction dates from Wikipedia summary
 //  @param {string} summary - Wikipedia article summary text
 //  @param {string} placeName - Name of the place/building
+//  @param {Object} options - { lang: language the summary is written in }
 //  @returns {Promise<Object>} - Structured date information
 // ─────────────────────────────────────────────────────────────
-export const extractDates = async (summary, placeName) => {
+export const extractDates = async (summary, placeName, options = {}) => {
+  const { lang = ENGLISH } = options;
   try {
-    // 1. Input validation
+    // 1. Input validation - the summary comes from Wikipedia, not the caller
     if (
       !summary ||
       typeof summary !== "string" ||
       summary.trim().length === 0
     ) {
-      throw new Error("Invalid summary text provided");
+      throw new UpstreamError(
+        `Wikipedia returned no summary for "${placeName}"`,
+        "EMPTY_SUMMARY",
+        502
+      );
     }
 
     if (
@@ -39,138 +50,82 @@ export const extractDates = async (summary, placeName) => {
       typeof placeName !== "string" ||
       placeName.trim().length === 0
     ) {
-      throw new Error("Invalid place name provided");
+      throw new ValidationError("Invalid place name provided");
     }
 
     // 2. Create prompt
-    const prompt = createDateExtractionPrompt(summary, placeName);
+    const prompt = createDateExtractionPrompt(summary, placeName, lang);
 
     // 3. Make API request
-    const response = await makeGoogleAIRequest(prompt);
+    const response = await generateText("dateExtraction", prompt, {
+      maxTokens: GENAI_CONFIG.maxTokens,
+      temperature: GENAI_CONFIG.temperature,
+      timeout: GENAI_CONFIG.timeout,
+      context: { summary, placeName },
+    });
 
     // 4. Parse and validate response
     const extractedData = parseAIResponse(response);
-    return validateAndFormatDates(extractedData, placeName);
+    return validateAndFormatDates(extractedData, placeName, summary);
   } catch (error) {
-    // Log full error details for debugging
-    console.error("Google AI API Error Details:", {
-      message: error.message,
-      code: error.code,
-      status: error.response?.status,
-      statusText: error.response?.statusText,
-      data: error.response?.data,
-      headers: error.response?.headers,
+    // Upstream body helps debugging; headers and request config are never logged
+    logger.warn("AI date extraction failed", {
+      place: placeName,
+      error: error,
+      response_data: error.response?.data,
     });
 
-    // Handle specific error types
-    if (error.code === "ECONNABORTED") {
-      throw new Error("Google AI API timeout - please try again");
-    }
-
-    if (error.response?.status === 401) {
-      throw new Error(
-        "Google AI API key is invalid - please check your configuration"
-      );
-    }
-
-    if (error.response?.status === 429) {
-      throw new Error(
-        "Google AI API quota exceeded - please check your account"
-      );
-    }
-
-    if (error.response?.status >= 500) {
-      throw new Error("Google AI API service temporarily unavailable");
-    }
-
-    throw new Error(`Google AI API processing failed: ${error.message}`);
-  }
-};
-
-// ─────────────────────────────────────────────────────────────
-// Make HTTP request to Google AI API
-//  @param {string} prompt - Formatted prompt for AI
-//  @returns {Promise<string>} - AI response content
-// ─────────────────────────────────────────────────────────────
-const makeGoogleAIRequest = async (prompt) => {
-  const apiKey = process.env.GOOGLE_AI_API_KEY;
-
-  if (!apiKey) {
-    throw new Error("Google AI API key not configured");
+    // Timeouts, rejected keys, quota and outages become typed errors
+    throw toAiError(error);
   }
-
-  console.log(
-    `Making Google AI API request with key: ${apiKey.substring(0, 8)}...`
-  );
-
-  const requestData = {
-    contents: [
-      {
-        parts: [
-          {
-            text: prompt,
-          },
-        ],
-      },
-    ],
-    generationConfig: {
-      maxOutputTokens: GENAI_CONFIG.maxTokens,
-      temperature: GENAI_CONFIG.temperature,
-    },
-  };
-
-  const response = await axios.post(
-    `${GENAI_CONFIG.baseUrl}/models/${GENAI_CONFIG.model}:generateContent?key=${apiKey}`,
-    requestData,
-    {
-      timeout: GENAI_CONFIG.timeout,
-      headers: {
-        "Content-Type": "application/json",
-        "User-Agent": "PlaceTimeline/1.0",
-      },
-    }
-  );
-
-  if (!response.data?.candidates?.[0]?.content?.parts?.[0]?.text) {
-    throw new Error("Invalid response format from Google AI API");
-  }
-
-  return response.data.candidates[0].content.parts[0].text;
 };
 
 // ─────────────────────────────────────────────────────────────
 // Create optimized prompt for date extraction
 //  @param {string} summary - Wikipedia summary text
 //  @param {string} placeName - Name of the place/building
-//  @returns {string} - Formatted prompt for Google AI API
+//  @param {string} lang - Language the summary is written in
+//  @returns {string} - Formatted prompt for the AI model
 // ─────────────────────────────────────────────────────────────
-const createDateExtractionPrompt = (summary, placeName) => {
-  return `Extract construction dates for "${placeName}" from this Wikipedia summary. 
+const createDateExtractionPrompt = (summary, placeName, lang) => {
+  const language = languageName(lang);
+
+  return `Extract the dated milestones in the history of "${placeName}" from this Wikipedia summary.
 
 Return ONLY a JSON object with this exact structure:
 {
-  "construction_start": "date or null",
-  "construction_end": "date or null", 
-  "date_precision": "month_year|year|decade|century|unknown",
+  "milestones": [
+    {
+      "type": "${MILESTONE_TYPES.join("|")}",
+      "date": "date",
+      "precision": "${DATE_PRECISIONS.join("|")}",
+      "text": "exact sentence fragment from the summary that states this milestone"
+    }
+  ],
   "status": "completed|ongoing|unknown"
 }
 
+Milestones include founding, start and end of construction, opening, expansions, fires, damage, restorations, renamings, closures, reopenings and demolition.
+Only include milestones with a date stated in the summary. Copy "text" verbatim from the summary.
+The summary is written in ${language}: answer "text" in ${language}, but always write "date" in English in the formats below.
+
 Date format priority:
 1. "Month Year" (e.g., "January 1887") - if month is known
 2. "Year" (e.g., "1887") - if only year is known
 3. "Decade" (e.g., "1880s") - if only decade is known  
 4. "Century" (e.g., "19th century") - if only century is known
-5. "null" - if no date found
+5. Omit the milestone - if no date found
+Append "BC" to dates before the common era (e.g., "447 BC", "5th century BC").
 
 Wikipedia summary:
 ${summary}
 
-Extract dates for: ${placeName}`;
+Extract milestones for: ${placeName}`;
 };
 
 // ─────────────────────────────────────────────────────────────
 // Parse AI response and extract JSON data
-//  @param {string} aiResponse - Raw response from Google AI API
+//  @param {string} aiResponse - Raw response from the AI model
 //  @returns {Object} - Parsed JSON data
 // ─────────────────────────────────────────────────────────────
 const parseAIResponse = (aiResponse) => {
@@ -178,31 +133,26 @@ const parseAIResponse = (aiResponse) => {
     // Extract JSON from response (remove any extra text)
     const jsonMatch = aiResponse.match(/\{[\s\S]*\}/);
     if (!jsonMatch) {
-      throw new Error("No JSON found in AI response");
+      throw new AiResponseError("No JSON found in AI response");
     }
 
     const parsedData = JSON.parse(jsonMatch[0]);
 
     // Validate required fields
-    const requiredFields = [
-      "construction_start",
-      "construction_end",
-      "date_precision",
-      "status",
-    ];
+    const requiredFields = ["milestones", "status"];
     const missingFields = requiredFields.filter(
       (field) => !parsedData.hasOwnProperty(field)
     );
 
     if (missingFields.length > 0) {
-      throw new Error(
+      throw new AiResponseError(
         `Missing required fields in AI response: ${missingFields.join(", ")}`
       );
     }
 
     return parsedData;
   } catch (error) {
-    throw new Error(`Failed to parse AI response: ${error.message}`);
+    throw new AiResponseError(`Failed to parse AI response: ${error.message}`);
   }
 };
 
@@ -210,54 +160,21 @@ const parseAIResponse = (aiResponse) => {
 // Validate and format extracted dates
 //  @param {Object} extractedData - Raw extracted data from AI
 //  @param {string} placeName - Name of the place for context
+//  @param {string} summary - Source summary used to locate text spans
 //  @returns {Object} - Validated and formatted date data
 // ─────────────────────────────────────────────────────────────
-const validateAndFormatDates = (extractedData, placeName) => {
-  const { construction_start, construction_end, date_precision, status } =
-    extractedData;
+const validateAndFormatDates = (extractedData, placeName, summary) => {
+  const { milestones, status } = extractedData;
 
-  // Validate date precision values
-  const validPrecisions = [
-    "month_year",
-    "year",
-    "decade",
-    "century",
-    "unknown",
-  ];
-  if (!validPrecisions.includes(date_precision)) {
-    throw new Error(`Invalid date precision: ${date_precision}`);
+  if (!Array.isArray(milestones)) {
+    throw new AiResponseError("Invalid milestones: expected an array");
   }
 
   // Validate status values
   const validStatuses = ["completed", "ongoing", "unknown"];
   if (!validStatuses.includes(status)) {
-    throw new Error(`Invalid status: ${status}`);
-  }
-
-  // Format and validate dates
-  const formattedStart = formatDate(construction_start);
-  const formattedEnd = formatDate(construction_end);
-
-  return {
-    place_name: placeName,
-    construction_start: formattedStart,
-    construction_end: formattedEnd,
-    date_precision: date_precision,
-    status: status,
-    extracted_at: new Date().toISOString(),
-  };
-};
-
-// ─────────────────────────────────────────────────────────────
-// Format date string for consistency
-//  @param {string|null} date - Raw date string
-//  @returns {string|null} - Formatted date or null
-// ─────────────────────────────────────────────────────────────
-const formatDate = (date) => {
-  if (!date || date === "null" || date === null) {
-    return null;
+    throw new AiResponseError(`Invalid status: ${status}`);
   }
 
-  // Clean and normalize the date string
-  return date.toString().trim();
+  return formatTimelineDates(extractedData, placeName, summary, "ai");
 };
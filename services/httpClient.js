@@ -0,0 +1,147 @@
+import axios, { AxiosError } from "axios";
+import logger from "../utils/logger.js";
+import {
+  currentRoute,
+  observeUpstream,
+  upstreamRetries,
+} from "../utils/metrics.js";
+import {
+  MIN_ATTEMPT_MS,
+  isClientError,
+  remainingBudget,
+  retryDelay,
+} from "./retryPolicy.js";
+
+// ─────────────────────────────────────────────────────────────
+//  HTTP Client - Shared by every Wikipedia, Wikidata and AI call
+//  Each call goes through the dependency's circuit breaker, is counted
+//  in /metrics and retries transient failures with exponential backoff
+//  and jitter (or the upstream's Retry-After). All calls made for one
+//  incoming request share a time budget (config.http.requestBudgetMs).
+// ─────────────────────────────────────────────────────────────
+
+const IDEMPOTENT_METHODS = ["get", "head", "options"];
+
+// Set up per request by the requestBudget middleware and the job worker
+export { runWithTimeBudget } from "./retryPolicy.js";
+
+// ─────────────────────────────────────────────────────────────
+// Send a request, retrying transient failures
+//  @param {string} upstream - Name for metrics and logs, e.g. "wikipedia_summary"
+//  @param {Object} request - Axios request config { method, url, data, headers, timeout }
+//  @param {Object} options - { breaker: circuit breaker of the dependency,
+//    idempotent: allow retries after timeouts and 5xx (default: GET/HEAD/OPTIONS) }
+//  @returns {Promise<Object>} - Axios response
+//  @throws {Error} - Axios error of the last attempt; an exhausted budget
+//    throws an ECONNABORTED error with isBudgetExhausted set
+// ─────────────────────────────────────────────────────────────
+export async function httpRequest(upstream, request, options = {}) {
+  const method = (request.method || "get").toLowerCase();
+  const idempotent = options.idempotent ?? IDEMPOTENT_METHODS.includes(method);
+  const send = () =>
+    observeUpstream(upstream, () =>
+      sendWithRetries(upstream, { ...request, method: method }, idempotent)
+    );
+
+  return options.breaker ? options.breaker.call(send) : send();
+}
+
+// ─────────────────────────────────────────────────────────────
+// Attempt a request until it succeeds or can't be retried
+//  @param {string} upstream - Name for metrics and logs
+//  @param {Object} request - Axios request config
+//  @param {boolean} idempotent - Whether every transient failure may be retried
+//  @returns {Promise<Object>} - Axios response
+// ─────────────────────────────────────────────────────────────
+const sendWithRetries = async (upstream, request, idempotent) => {
+  const logFields = {
+    upstream: upstream,
+    method: request.method,
+    url: request.url,
+  };
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      const response = await sendAttempt(request);
+      if (attempt > 1) {
+        logger.info("Upstream request succeeded after retry", {
+          ...logFields,
+          attempts: attempt,
+        });
+      }
+      return response;
+    } catch (error) {
+      const delay = retryDelay(error, attempt, idempotent);
+
+      if (delay === null) {
+        const log = isClientError(error) ? logger.debug : logger.warn;
+        log("Upstream request failed", {
+          ...logFields,
+          attempts: attempt,
+          status: error.response?.status,
+          code: error.code,
+          budget_exhausted: error.isBudgetExhausted || undefined,
+          error: error.message,
+        });
+        throw error;
+      }
+
+      logger.warn("Retrying upstream request", {
+        ...logFields,
+        attempt: attempt,
+        delay_ms: delay,
+        status: error.response?.status,
+        code: error.code,
+        error: error.message,
+      });
+      upstreamRetries.inc({ upstream: upstream, route: currentRoute() });
+      await new Promise((resolve) => setTimeout(resolve, delay));
+    }
+  }
+};
+
+// ─────────────────────────────────────────────────────────────
+// Send one attempt, cutting its timeout to what is left of the budget
+//  @param {Object} request - Axios request config
+//  @returns {Promise<Object>} - Axios response
+// ─────────────────────────────────────────────────────────────
+const sendAttempt = async (request) => {
+  const remaining = remainingBudget();
+  if (remaining < MIN_ATTEMPT_MS) {
+    throw budgetExhausted(request);
+  }
+
+  const isCut = remaining < (request.timeout || Infinity);
+  try {
+    return await axios.request({
+      ...request,
+      timeout: isCut ? remaining : request.timeout,
+    });
+  } catch (error) {
+    // Timed out on the budget, not on the request's own timeout
+    if (
+      isCut &&
+      error.code === "ECONNABORTED" &&
+      remainingBudget() < MIN_ATTEMPT_MS
+    ) {
+      error.isBudgetExhausted = true;
+    }
+    throw error;
+  }
+};
+
+// ─────────────────────────────────────────────────────────────
+// Build the error thrown when the budget ran out before an attempt
+//  A timeout code so services map it like any other timeout (408)
+//  @param {Object} request - Axios request config
+//  @returns {AxiosError} - ECONNABORTED error with isBudgetExhausted set
+// ─────────────────────────────────────────────────────────────
+const budgetExhausted = (request) => {
+  const error = new AxiosError(
+    "Request time budget exhausted",
+    AxiosError.ECONNABORTED,
+    request
+  );
+  error.isBudgetExhausted = true;
+  return error;
+};
@@ -0,0 +1,30 @@
+import { ApiError } from "./apiErrors.js";
+
+// ─────────────────────────────────────────────────────────────
+//  JobErrors - Custom error classes for background jobs
+// ─────────────────────────────────────────────────────────────
+
+export class JobNotFoundError extends ApiError {
+  constructor(id) {
+    super(
+      `No job found with ID "${id}" (it may have expired)`,
+      "JOB_NOT_FOUND",
+      404
+    );
+    this.name = "JobNotFoundError";
+  }
+}
+
+export class JobQueueFullError extends ApiError {
+  constructor(retryAfter = 30) {
+    super(
+      "Too many jobs waiting - please try again later",
+      "JOB_QUEUE_FULL",
+      503,
+      {
+        retryAfter: retryAfter,
+      }
+    );
+    this.name = "JobQueueFullError";
+  }
+}
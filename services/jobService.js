@@ -0,0 +1,209 @@
+import { randomUUID } from "crypto";
+import config from "../utils/config.js";
+import { aiCostOf, createTimeline } from "./timelineService.js";
+import { findRelatedEvents } from "./relatedEventsService.js";
+import { createMemoryJobStore } from "./jobStore.js";
+import { toApiError } from "./apiErrors.js";
+import { JobNotFoundError, JobQueueFullError } from "./jobErrors.js";
+import logger, { getLogContext, runWithLogContext } from "../utils/logger.js";
+import { runWithTimeBudget } from "./httpClient.js";
+import { formatTimelineResponse } from "../utils/timeline/timelineResponse.js";
+
+// ─────────────────────────────────────────────────────────────
+//  Job Service - Runs timeline and related-events generation in the background
+//  Jobs wait in a FIFO queue and run on an in-process worker pool
+//  (config.jobs.concurrency); finished results are kept for config.jobs.resultTtlMs
+// ─────────────────────────────────────────────────────────────
+
+// What each job type runs - params are the body of the synchronous route.
+// Handlers return the route's data and the AI cost the route would charge
+const JOB_HANDLERS = {
+  timeline: async ({ query, method, resolve, lang }) => {
+    const timeline = await createTimeline(query, { method, resolve, lang });
+    return {
+      result: formatTimelineResponse(timeline),
+      aiCost: aiCostOf(timeline),
+    };
+  },
+  related_events: async ({ placeData, lang }) => ({
+    result: await findRelatedEvents(
+      {
+        name: placeData.name,
+        construction_start: placeData.construction_start ?? null,
+        construction_end: placeData.construction_end ?? null,
+        country: placeData.country ?? null,
+        date_precision: placeData.date_precision ?? null,
+      },
+      { lang }
+    ),
+    aiCost: "relatedEvents",
+  }),
+};
+
+export const JOB_TYPES = Object.keys(JOB_HANDLERS);
+
+// How often finished jobs past their TTL are dropped
+const SWEEP_INTERVAL = 60000;
+
+const store = createMemoryJobStore();
+const queue = []; // { id, requestId, settleCost } of jobs waiting for a worker
+let running = 0;
+
+setInterval(() => {
+  store
+    .removeExpired()
+    .then(
+      (removed) =>
+        removed > 0 && logger.info("Removed expired jobs", { removed: removed })
+    )
+    .catch((error) => logger.warn("Job sweep failed", { error: error }));
+}, SWEEP_INTERVAL).unref(); // don't keep the process alive for the sweep
+
+// ─────────────────────────────────────────────────────────────
+// Check that another job fits in the queue
+//  Routes call it before reserving AI credits for the job
+//  @throws {JobQueueFullError} - config.jobs.maxQueued jobs are waiting
+// ─────────────────────────────────────────────────────────────
+export const assertQueueCapacity = () => {
+  if (queue.length >= config.jobs.maxQueued) {
+    throw new JobQueueFullError();
+  }
+};
+
+// ─────────────────────────────────────────────────────────────
+// Queue a job
+//  @param {string} type - One of JOB_TYPES
+//  @param {Object} params - Validated job parameters
+//  @param {Object} options - { settleCost(cost): called once the job has
+//    finished with the AI cost it spent (key of config.aiRateLimit.costs),
+//    or null when it failed }
+//  @returns {Promise<Object>} - The queued job record
+// ─────────────────────────────────────────────────────────────
+export const submitJob = async (type, params, options = {}) => {
+  assertQueueCapacity();
+
+  const job = {
+    id: randomUUID(),
+    type: type,
+    status: "queued",
+    params: params,
+    result: null,
+    error: null,
+    created_at: new Date().toISOString(),
+    started_at: null,
+    finished_at: null,
+    expires_at: null,
+  };
+
+  await store.save(job);
+  // Job logs keep the ID of the request that submitted it
+  queue.push({
+    id: job.id,
+    requestId: getLogContext().request_id,
+    settleCost: options.settleCost || (() => {}),
+  });
+  logger.info("Job queued", {
+    job_id: job.id,
+    job_type: type,
+    waiting: queue.length,
+  });
+
+  drainQueue();
+  return job;
+};
+
+// ─────────────────────────────────────────────────────────────
+// Get a job by ID
+//  @param {string} id - Job ID
+//  @returns {Promise<Object>} - Job record
+//  @throws {JobNotFoundError} - Unknown or expired job
+// ─────────────────────────────────────────────────────────────
+export const getJob = async (id) => {
+  const job = await store.get(id);
+  if (!job) {
+    throw new JobNotFoundError(id);
+  }
+  return job;
+};
+
+// ─────────────────────────────────────────────────────────────
+// Start queued jobs while workers are free
+// ─────────────────────────────────────────────────────────────
+const drainQueue = () => {
+  while (running < config.jobs.concurrency && queue.length > 0) {
+    const { id, requestId, settleCost } = queue.shift();
+    running++;
+    // Jobs get their own time budget - the submitting request's has ended
+    runWithLogContext({ request_id: requestId, job_id: id }, () =>
+      runWithTimeBudget(config.http.requestBudgetMs, () =>
+        runJob(id, settleCost)
+      )
+    ).finally(() => {
+      running--;
+      drainQueue();
+    });
+  }
+};
+
+// ─────────────────────────────────────────────────────────────
+// Run one job and store its result or error
+//  @param {string} id - Job ID
+//  @param {Function} settleCost - (cost) => void, called once with the
+//    AI cost the job spent, null when it failed or couldn't run
+//  @returns {Promise<void>} - Never rejects
+// ─────────────────────────────────────────────────────────────
+const runJob = async (id, settleCost) => {
+  let aiCost = null;
+  try {
+    const job = await store.update(id, {
+      status: "running",
+      started_at: new Date().toISOString(),
+    });
+    if (!job) return;
+
+    try {
+      const { result, aiCost: spent } = await JOB_HANDLERS[job.type](
+        job.params
+      );
+      aiCost = spent;
+      await finishJob(id, { status: "succeeded", result: result });
+      logger.info("Job succeeded", { job_type: job.type });
+    } catch (error) {
+      const apiError = toApiError(error);
+      await finishJob(id, {
+        status: "failed",
+        error: {
+          error: apiError.publicMessage,
+          code: apiError.code,
+          status: apiError.status,
+          ...apiError.extras,
+        },
+      });
+      logger.warn("Job failed", {
+        job_type: job.type,
+        code: apiError.code,
+        error: error,
+      });
+    }
+  } catch (error) {
+    // The store itself failed - nothing more we can record
+    logger.error("Job could not be run", { error: error });
+  } finally {
+    settleCost(aiCost);
+  }
+};
+
+// ─────────────────────────────────────────────────────────────
+// Mark a job finished and start its retention period
+//  @param {string} id - Job ID
+//  @param {Object} changes - { status, result } or { status, error }
+//  @returns {Promise<Object|null>} - Updated job
+// ─────────────────────────────────────────────────────────────
+const finishJob = (id, changes) => {
+  const finishedAt = Date.now();
+  return store.update(id, {
+    ...changes,
+    finished_at: new Date(finishedAt).toISOString(),
+    expires_at: new Date(finishedAt + config.jobs.resultTtlMs).toISOString(),
+  });
+};
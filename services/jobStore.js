@@ -0,0 +1,55 @@
+// ─────────────────────────────────────────────────────────────
+//  Job Store - Where background job records live
+//  Any store implements the same async methods, so a persistent one
+//  (Redis, SQL...) can replace the in-memory store without touching jobService:
+//    save(job)              → Promise<void>     insert or replace a job record
+//    get(id)                → Promise<Object|null>
+//    update(id, changes)    → Promise<Object|null> merged record, null if unknown
+//    removeExpired(now)     → Promise<number>   count of records deleted
+//  Records are plain JSON objects; expires_at (ISO string or null) marks
+//  when a finished job may be dropped.
+// ─────────────────────────────────────────────────────────────
+
+// ─────────────────────────────────────────────────────────────
+// Create a store that keeps jobs in process memory
+//  Jobs are lost on restart; records are copied in and out like a real store
+//  @returns {Object} - Job store
+// ─────────────────────────────────────────────────────────────
+export const createMemoryJobStore = () => {
+  const jobs = new Map();
+
+  const isExpired = (job, now) =>
+    job.expires_at !== null && Date.parse(job.expires_at) <= now;
+
+  return {
+    save: async (job) => {
+      jobs.set(job.id, structuredClone(job));
+    },
+
+    get: async (id) => {
+      const job = jobs.get(id);
+      if (!job || isExpired(job, Date.now())) return null;
+      return structuredClone(job);
+    },
+
+    update: async (id, changes) => {
+      const job = jobs.get(id);
+      if (!job) return null;
+
+      const updated = { ...job, ...structuredClone(changes) };
+      jobs.set(id, updated);
+      return structuredClone(updated);
+    },
+
+    removeExpired: async (now = Date.now()) => {
+      let removed = 0;
+      for (const [id, job] of jobs) {
+        if (isExpired(job, now)) {
+          jobs.delete(id);
+          removed++;
+        }
+      }
+      return removed;
+    },
+  };
+};
@@ -0,0 +1,68 @@
+import { AiConfigurationError, AiResponseError } from "../aiErrors.js";
+import { httpRequest } from "../httpClient.js";
+import { aiBreakers } from "../circuitBreakers.js";
+
+// ─────────────────────────────────────────────────────────────
+//  Gemini Provider - Google AI generateContent adapter
+// ─────────────────────────────────────────────────────────────
+
+// ─────────────────────────────────────────────────────────────
+// Send a prompt to the Gemini generateContent endpoint
+//  @param {Object} request - { prompt, model, maxTokens, temperature, timeout }
+//  @param {Object} settings - Provider settings { baseUrl, apiKey }
+//  @returns {Promise<Object>} - { text, usage: { promptTokens, completionTokens } | null }
+// ─────────────────────────────────────────────────────────────
+export const generate = async (request, settings) => {
+  const { prompt, model, maxTokens, temperature, timeout } = request;
+
+  if (!settings.apiKey) {
+    throw new AiConfigurationError("Google AI API key not configured");
+  }
+
+  const requestData = {
+    contents: [
+      {
+        parts: [
+          {
+            text: prompt,
+          },
+        ],
+      },
+    ],
+    generationConfig: {
+      maxOutputTokens: maxTokens,
+      temperature: temperature,
+    },
+  };
+
+  // Fails fast with AiUnavailableError while the Gemini circuit is open
+  const response = await httpRequest(
+    "gemini",
+    {
+      method: "post",
+      url: `${settings.baseUrl}/models/${model}:generateContent?key=${settings.apiKey}`,
+      data: requestData,
+      timeout: timeout,
+      headers: {
+        "Content-Type": "application/json",
+        "User-Agent": "PlaceTimeline/1.0",
+      },
+    },
+    { breaker: aiBreakers.gemini }
+  );
+
+  if (!response.data?.candidates?.[0]?.content?.parts?.[0]?.text) {
+    throw new AiResponseError("Invalid response format from Google AI API");
+  }
+
+  const usage = response.data.usageMetadata;
+  return {
+    text: response.data.candidates[0].content.parts[0].text,
+    usage: usage
+      ? {
+          promptTokens: usage.promptTokenCount || 0,
+          completionTokens: usage.candidatesTokenCount || 0,
+        }
+      : null,
+  };
+};
@@ -0,0 +1,68 @@
+// ─────────────────────────────────────────────────────────────
+//  Mock Provider - Deterministic offline responses for development and tests
+//  Builds answers from the request context instead of calling a model
+// ─────────────────────────────────────────────────────────────
+
+const YEAR_PATTERN = /\b(1[0-9]{3}|20[0-9]{2})\b/g;
+
+// Canned responders per use case, keyed like config.ai.useCases
+const RESPONDERS = {
+  dateExtraction: ({ summary = "" }) => {
+    const years = [...new Set(summary.match(YEAR_PATTERN) || [])].sort();
+    const sentences = summary.split(/(?<=\.)\s+/);
+    const milestone = (type, year) => ({
+      type: type,
+      date: year,
+      precision: "year",
+      text: sentences.find((sentence) => sentence.includes(year)) || null,
+    });
+
+    const milestones = [];
+    if (years[0]) milestones.push(milestone("construction_start", years[0]));
+    if (years[1]) milestones.push(milestone("construction_end", years[1]));
+
+    return {
+      milestones: milestones,
+      status: years.length > 1 ? "completed" : "unknown",
+    };
+  },
+
+  relatedEvents: ({ name, country, construction_start }) => {
+    const date = construction_start || "Unknown date";
+    const location = country || "Global";
+    const sampleEvent = (kind) => [
+      {
+        event: `Mock ${kind} event related to ${name}`,
+        date: date,
+        location: location,
+        significance: "Generated by the offline mock provider",
+      },
+    ];
+
+    return {
+      cultural_events: sampleEvent("cultural"),
+      scientific_discoveries: sampleEvent("scientific"),
+      political_events: sampleEvent("political"),
+      artistic_achievements: sampleEvent("artistic"),
+      regional_events: sampleEvent("regional"),
+    };
+  },
+};
+
+// ─────────────────────────────────────────────────────────────
+// Return a deterministic JSON answer for the request's use case
+//  @param {Object} request - { useCase, context }
+//  @returns {Promise<Object>} - { text: JSON string shaped like a model answer, usage: null }
+// ─────────────────────────────────────────────────────────────
+export const generate = async (request) => {
+  const responder = RESPONDERS[request.useCase];
+
+  if (!responder) {
+    throw new Error(`Mock provider has no response for "${request.useCase}"`);
+  }
+
+  return {
+    text: JSON.stringify(responder(request.context || {})),
+    usage: null, // No model, no tokens
+  };
+};
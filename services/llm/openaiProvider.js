@@ -0,0 +1,69 @@
+import { AiConfigurationError, AiResponseError } from "../aiErrors.js";
+import { httpRequest } from "../httpClient.js";
+import { aiBreakers } from "../circuitBreakers.js";
+
+// ─────────────────────────────────────────────────────────────
+//  OpenAI-Compatible Provider - /chat/completions adapter
+//  Works with OpenAI and local servers (Ollama, llama.cpp) exposing the same API
+// ─────────────────────────────────────────────────────────────
+
+// ─────────────────────────────────────────────────────────────
+// Send a prompt to an OpenAI-compatible chat completions endpoint
+//  @param {Object} request - { prompt, model, maxTokens, temperature, timeout }
+//  @param {Object} settings - Provider settings { baseUrl, apiKey }
+//  @returns {Promise<Object>} - { text, usage: { promptTokens, completionTokens } | null }
+// ─────────────────────────────────────────────────────────────
+export const generate = async (request, settings) => {
+  const { prompt, model, maxTokens, temperature, timeout } = request;
+
+  if (!settings.baseUrl) {
+    throw new AiConfigurationError("OpenAI-compatible base URL not configured");
+  }
+
+  const requestData = {
+    model: model,
+    messages: [{ role: "user", content: prompt }],
+    max_tokens: maxTokens,
+    temperature: temperature,
+  };
+
+  const headers = {
+    "Content-Type": "application/json",
+    "User-Agent": "PlaceTimeline/1.0",
+  };
+
+  // Local servers usually run without a key
+  if (settings.apiKey) {
+    headers.Authorization = `Bearer ${settings.apiKey}`;
+  }
+
+  const response = await httpRequest(
+    "openai",
+    {
+      method: "post",
+      url: `${settings.baseUrl.replace(/\/+$/, "")}/chat/completions`,
+      data: requestData,
+      timeout: timeout,
+      headers: headers,
+    },
+    { breaker: aiBreakers.openai }
+  );
+
+  const content = response.data?.choices?.[0]?.message?.content;
+  if (!content) {
+    throw new AiResponseError(
+      "Invalid response format from OpenAI-compatible API"
+    );
+  }
+
+  const usage = response.data.usage;
+  return {
+    text: content,
+    usage: usage
+      ? {
+          promptTokens: usage.prompt_tokens || 0,
+          completionTokens: usage.completion_tokens || 0,
+        }
+      : null,
+  };
+};
@@ -0,0 +1,68 @@
+import config from "../utils/config.js";
+import * as geminiProvider from "./llm/geminiProvider.js";
+import * as openaiProvider from "./llm/openaiProvider.js";
+import * as mockProvider from "./llm/mockProvider.js";
+import logger from "../utils/logger.js";
+import { aiTokens, currentRoute } from "../utils/metrics.js";
+
+// ─────────────────────────────────────────────────────────────
+//  LLM Service - Provider-agnostic text generation
+//  Picks the provider and model for each use case from config.ai
+// ─────────────────────────────────────────────────────────────
+
+const PROVIDERS = {
+  gemini: geminiProvider,
+  openai: openaiProvider,
+  mock: mockProvider,
+};
+
+// ─────────────────────────────────────────────────────────────
+// Generate text for a configured use case
+//  @param {string} useCase - Key in config.ai.useCases (e.g. "dateExtraction")
+//  @param {string} prompt - Formatted prompt for the model
+//  @param {Object} options - { maxTokens, temperature, timeout, context }
+//  @returns {Promise<string>} - Raw model response text
+// ─────────────────────────────────────────────────────────────
+export const generateText = async (useCase, prompt, options = {}) => {
+  const useCaseConfig = config.ai.useCases[useCase];
+  if (!useCaseConfig) {
+    throw new Error(`Unknown AI use case: ${useCase}`);
+  }
+
+  const provider = PROVIDERS[useCaseConfig.provider];
+  if (!provider) {
+    throw new Error(`Unknown AI provider: ${useCaseConfig.provider}`);
+  }
+
+  logger.debug("Making AI request", {
+    provider: useCaseConfig.provider,
+    model: useCaseConfig.model,
+    use_case: useCase,
+  });
+
+  const { text, usage } = await provider.generate(
+    {
+      useCase: useCase,
+      prompt: prompt,
+      model: useCaseConfig.model,
+      maxTokens: options.maxTokens,
+      temperature: options.temperature,
+      timeout: options.timeout,
+      context: options.context,
+    },
+    config.ai.providers[useCaseConfig.provider] || {}
+  );
+
+  if (usage) {
+    const labels = {
+      provider: useCaseConfig.provider,
+      model: useCaseConfig.model,
+      use_case: useCase,
+      route: currentRoute(),
+    };
+    aiTokens.inc({ ...labels, type: "prompt" }, usage.promptTokens);
+    aiTokens.inc({ ...labels, type: "completion" }, usage.completionTokens);
+  }
+
+  return text;
+};
@@ -0,0 +1,119 @@
+import { searchArticle } from "./wikiService.js";
+import { fetchPages, isArticlePage } from "./wikiPages.js";
+import { buildSuggestions } from "./suggestionBuilder.js";
+import { WikiApiError, toWikiError } from "./wikiErrors.js";
+import { ENGLISH } from "../utils/wiki/languages.js";
+import logger from "../utils/logger.js";
+
+// ─────────────────────────────────────────────────────────────
+//  Nearby Service - Places around a point or another place
+//  Uses Wikipedia list=geosearch as a generator so page data is batched in
+// ─────────────────────────────────────────────────────────────
+
+export const NEARBY_CONFIG = {
+  defaultRadius: 1000, // meters
+  minRadius: 10,
+  maxRadius: 10000, // geosearch limit
+  defaultLimit: 10,
+  maxLimit: 50,
+};
+
+// ─────────────────────────────────────────────────────────────
+// Find places near coordinates or near a Wikipedia article
+//  @param {Object} options - { lat, lon } or { title }, plus radius (m), limit
+//                            and lang (Wikipedia language edition)
+//  @returns {Promise<Object>} - { center, places } with places sorted by distance
+// ─────────────────────────────────────────────────────────────
+export const searchNearby = async (options) => {
+  const radius = options.radius ?? NEARBY_CONFIG.defaultRadius;
+  const limit = options.limit ?? NEARBY_CONFIG.defaultLimit;
+  const lang = options.lang ?? ENGLISH;
+
+  try {
+    const center = options.title
+      ? await getArticleCenter(options.title, lang)
+      : { lat: options.lat, lon: options.lon, title: null };
+
+    logger.debug("Searching nearby places", {
+      lat: center.lat,
+      lon: center.lon,
+      radius: radius,
+      lang: lang,
+    });
+
+    // Ask for one extra page - the center article is usually its own nearest hit
+    const point = `${center.lat}|${center.lon}`;
+    const pages = await fetchPages(
+      {
+        generator: "geosearch",
+        ggscoord: point,
+        ggsradius: radius,
+        ggslimit: center.title ? limit + 1 : limit,
+        codistancefrompoint: point,
+      },
+      lang
+    );
+
+    const candidates = pages.filter(
+      (page) => isArticlePage(page) && page.title !== center.title
+    );
+
+    // Up to 50 pages - no per-page summary calls for missing extracts
+    const suggestions = await buildSuggestions(null, candidates, {
+      fetchMissing: false,
+      lang,
+    });
+    const places = suggestions.map(
+      (suggestion, index) =>
+        suggestion && {
+          ...suggestion,
+          distance: getDistance(candidates[index]),
+        }
+    );
+
+    return {
+      center: center,
+      radius: radius,
+      places: places
+        .filter((place) => place !== null)
+        .sort((a, b) => a.distance - b.distance)
+        .slice(0, limit),
+    };
+  } catch (error) {
+    throw toWikiError(error);
+  }
+};
+
+// ─────────────────────────────────────────────────────────────
+// Use an article's coordinates as the search center
+//  @param {string} title - Place title
+//  @param {string} lang - Wikipedia language edition
+//  @returns {Promise<Object>} - { lat, lon, title }
+// ─────────────────────────────────────────────────────────────
+const getArticleCenter = async (title, lang) => {
+  const article = await searchArticle(title, { lang });
+
+  if (!article.coordinates) {
+    throw new WikiApiError(
+      `"${article.name}" has no coordinates on Wikipedia`,
+      "NO_COORDINATES",
+      422
+    );
+  }
+
+  return {
+    lat: article.coordinates.lat,
+    lon: article.coordinates.lon,
+    title: article.name,
+  };
+};
+
+// ─────────────────────────────────────────────────────────────
+// Read the distance Wikipedia computed for the page's primary coordinates
+//  @param {Object} page - Page from the generator=geosearch response
+//  @returns {number|null} - Distance in meters
+// ─────────────────────────────────────────────────────────────
+const getDistance = (page) => {
+  const distance = page.coordinates?.[0]?.dist;
+  return typeof distance === "number" ? Math.round(distance) : null;
+};
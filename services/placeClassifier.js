@@ -0,0 +1,150 @@
+import { getClassLinks } from "./wikidataService.js";
+import { matchPlaceClasses } from "../utils/wiki/placeTaxonomy.js";
+import logger from "../utils/logger.js";
+
+// ─────────────────────────────────────────────────────────────
+//  Place Classifier - Place types from Wikidata classes
+//  Follows each item's instance-of (P31) classes up their subclass-of
+//  (P279) chain until a class of the place taxonomy matches. Items
+//  Wikidata can't classify are left to the keyword heuristic.
+// ─────────────────────────────────────────────────────────────
+
+// Levels of P279 parents walked above an item's P31 classes
+const MAX_CLASS_DEPTH = 4;
+
+// Place confidence when Wikidata names the type
+const WIKIDATA_PLACE_CONFIDENCE = 0.9;
+
+// Class parents kept in memory - the class tree rarely changes
+const MAX_CACHED_CLASSES = 5000;
+
+const NOT_A_PLACE = { isPlace: false, placeType: null, confidence: 0 };
+
+const parentClasses = new Map(); // class ID → P279 parent IDs
+
+// ─────────────────────────────────────────────────────────────
+// Classify Wikidata items as places
+//  Never throws: when Wikidata fails every item is left unclassified
+//  @param {Array<string>} itemIds - Wikidata item IDs, e.g. ["Q243"]
+//  @param {Object} options - { loadClassLinks: replaces getClassLinks, e.g. with fixtures }
+//  @returns {Promise<Map>} - item ID → {isPlace, placeType, confidence};
+//                            items Wikidata has nothing on are missing
+// ─────────────────────────────────────────────────────────────
+export const classifyItems = async (itemIds, options = {}) => {
+  const { loadClassLinks = getClassLinks } = options;
+  const ids = [...new Set(itemIds)];
+  const classified = new Map();
+  if (ids.length === 0) return classified;
+
+  try {
+    const items = await loadClassLinks(ids);
+    let chains = Object.entries(items).map(([id, { instanceOf }]) => ({
+      id: id,
+      classes: instanceOf,
+      seen: new Set(instanceOf),
+      generic: null, // generic type found lower in the chain
+    }));
+
+    for (let depth = 0; ; depth++) {
+      chains = chains.filter((chain) => {
+        const result = matchChainLevel(chain);
+        if (result) classified.set(chain.id, result);
+        return !result;
+      });
+      const climbing = chains.some((chain) => chain.classes.length > 0);
+      if (depth === MAX_CLASS_DEPTH || !climbing) break;
+
+      // One batched lookup per level for every chain still climbing
+      await loadParents(
+        chains.flatMap((chain) => chain.classes),
+        loadClassLinks
+      );
+      chains.forEach(climbChain);
+    }
+
+    // Chain ended without a specific type - settle for the generic one
+    chains
+      .filter((chain) => chain.generic)
+      .forEach((chain) => classified.set(chain.id, toPlace(chain.generic)));
+
+    logger.debug("Classified places with Wikidata", {
+      items: ids.length,
+      classified: classified.size,
+    });
+  } catch (error) {
+    logger.warn("Wikidata place classification failed", {
+      items: ids.length,
+      error: error.message,
+    });
+  }
+
+  return classified;
+};
+
+// ─────────────────────────────────────────────────────────────
+// Match the current level of a class chain
+//  @param {Object} chain - { classes, generic }
+//  @returns {Object|null} - Final classification, or null to keep climbing
+// ─────────────────────────────────────────────────────────────
+const matchChainLevel = (chain) => {
+  const match = matchPlaceClasses(chain.classes);
+  if (!match) return null;
+
+  if (match.placeType === null) {
+    // A generic place type lower in the chain outweighs a non-place parent
+    return chain.generic ? toPlace(chain.generic) : NOT_A_PLACE;
+  }
+  if (match.generic) {
+    chain.generic = chain.generic || match.placeType;
+    return null;
+  }
+  return toPlace(match.placeType);
+};
+
+// ─────────────────────────────────────────────────────────────
+// Replace a chain's classes with their unseen P279 parents
+//  @param {Object} chain - { classes, seen }
+// ─────────────────────────────────────────────────────────────
+const climbChain = (chain) => {
+  const parents = chain.classes
+    .flatMap((classId) => parentClasses.get(classId) || [])
+    .filter((classId) => !chain.seen.has(classId));
+
+  chain.classes = [...new Set(parents)];
+  chain.classes.forEach((classId) => chain.seen.add(classId));
+};
+
+// ─────────────────────────────────────────────────────────────
+// Fetch the P279 parents of classes that aren't cached yet
+//  @param {Array<string>} classIds - Wikidata class IDs
+//  @param {Function} loadClassLinks - getClassLinks or a replacement
+//  @returns {Promise<void>}
+// ─────────────────────────────────────────────────────────────
+const loadParents = async (classIds, loadClassLinks) => {
+  const missing = [...new Set(classIds)].filter(
+    (classId) => !parentClasses.has(classId)
+  );
+  if (missing.length === 0) return;
+
+  const links = await loadClassLinks(missing);
+  missing.forEach((classId) =>
+    parentClasses.set(classId, links[classId]?.subclassOf || [])
+  );
+
+  // Drop the oldest entries once the cache is full
+  const excess = parentClasses.size - MAX_CACHED_CLASSES;
+  [...parentClasses.keys()]
+    .slice(0, Math.max(excess, 0))
+    .forEach((classId) => parentClasses.delete(classId));
+};
+
+// ─────────────────────────────────────────────────────────────
+// Build the classification of a place type
+//  @param {string} placeType - Key of PLACE_TYPES
+//  @returns {Object} - {isPlace: true, placeType, confidence}
+// ─────────────────────────────────────────────────────────────
+const toPlace = (placeType) => ({
+  isPlace: true,
+  placeType: placeType,
+  confidence: WIKIDATA_PLACE_CONFIDENCE,
+});
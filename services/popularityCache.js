@@ -0,0 +1,184 @@
+import fs from "fs/promises";
+import path from "path";
+import config from "../utils/config.js";
+import logger from "../utils/logger.js";
+
+// ─────────────────────────────────────────────────────────────
+//  Popularity Cache - Persistent file store for article popularity
+//  Pageviews and incoming links change slowly, so entries keyed by
+//  language and title are served until they are older than the TTL.
+//  Writes update memory at once and reach the file in the background,
+//  batched into one rewrite per WRITE_DELAY_MS.
+// ─────────────────────────────────────────────────────────────
+
+// Bump when the cached entry shape changes to drop stale entries
+const CACHE_VERSION = 1;
+
+// Entries kept on disk - the oldest are dropped first
+const MAX_CACHED_ARTICLES = 10000;
+
+// Wait this long after a write so later ones share the file rewrite
+const WRITE_DELAY_MS = 5000;
+
+let entries = null; // Lazily loaded Map<"lang:title", entry>
+let loading = null; // Promise of the first load, shared by concurrent callers
+let writeTimer = null; // Pending background write
+let writeQueue = Promise.resolve();
+
+// ─────────────────────────────────────────────────────────────
+// Cache key of an article
+//  @param {string} lang - Wikipedia language edition
+//  @param {string} title - Article title
+//  @returns {string} - e.g. "en:Eiffel Tower"
+// ─────────────────────────────────────────────────────────────
+const cacheKey = (lang, title) => `${lang}:${title}`;
+
+// ─────────────────────────────────────────────────────────────
+// Check whether an entry is older than the TTL
+//  @param {Object} entry - Cache entry with cached_at
+//  @returns {boolean} - True when the entry must be fetched again
+// ─────────────────────────────────────────────────────────────
+const isExpired = (entry) =>
+  Date.now() - Date.parse(entry.cached_at) > config.popularity.cache.ttlMs;
+
+// ─────────────────────────────────────────────────────────────
+// Load cache entries from disk on first use
+//  Every caller waits for the same load, so none sees a partial cache
+//  @returns {Promise<Map>} - Cache entries keyed by language and title
+// ─────────────────────────────────────────────────────────────
+const loadEntries = () => {
+  loading ??= readEntries();
+  return loading;
+};
+
+// ─────────────────────────────────────────────────────────────
+// Read the unexpired entries of the cache file
+//  @returns {Promise<Map>} - Cache entries keyed by language and title
+// ─────────────────────────────────────────────────────────────
+const readEntries = async () => {
+  const loaded = new Map();
+  try {
+    const raw = await fs.readFile(config.popularity.cache.file, "utf8");
+    const stored = JSON.parse(raw);
+
+    if (stored.version === CACHE_VERSION) {
+      Object.entries(stored.entries || {})
+        .filter(([, entry]) => !isExpired(entry))
+        .forEach(([key, entry]) => loaded.set(key, entry));
+    }
+  } catch (error) {
+    // Missing or corrupt file - start with an empty cache
+    if (error.code !== "ENOENT") {
+      logger.warn("Popularity cache could not be read", {
+        error: error.message,
+      });
+    }
+  }
+
+  entries = loaded;
+  return entries;
+};
+
+// ─────────────────────────────────────────────────────────────
+// Write the entries to disk after WRITE_DELAY_MS, unless a write
+// is already pending - requests never wait for the file
+// ─────────────────────────────────────────────────────────────
+const schedulePersist = () => {
+  if (writeTimer) return;
+
+  writeTimer = setTimeout(() => {
+    writeTimer = null;
+    persistEntries();
+  }, WRITE_DELAY_MS);
+  writeTimer.unref(); // don't keep the process alive for the write
+};
+
+// ─────────────────────────────────────────────────────────────
+// Write all entries to disk (serialized so writes never interleave)
+//  @returns {Promise<void>}
+// ─────────────────────────────────────────────────────────────
+const persistEntries = () => {
+  writeQueue = writeQueue
+    .then(async () => {
+      const file = config.popularity.cache.file;
+      const tempFile = `${file}.tmp`;
+      const data = {
+        version: CACHE_VERSION,
+        entries: Object.fromEntries(entries),
+      };
+
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await fs.writeFile(tempFile, JSON.stringify(data));
+      await fs.rename(tempFile, file);
+    })
+    .catch((error) =>
+      logger.warn("Popularity cache could not be written", {
+        error: error.message,
+      })
+    );
+
+  return writeQueue;
+};
+
+// ─────────────────────────────────────────────────────────────
+// Get the cached popularity of articles
+//  @param {Array<string>} titles - Article titles
+//  @param {string} lang - Wikipedia language edition
+//  @returns {Promise<Map>} - title → { pageviews, incomingLinks, cached_at };
+//                            titles without a fresh entry are missing
+// ─────────────────────────────────────────────────────────────
+export const getCachedPopularity = async (titles, lang) => {
+  const cached = new Map();
+  if (!config.popularity.cache.enabled) return cached;
+
+  const cache = await loadEntries();
+  titles.forEach((title) => {
+    const entry = cache.get(cacheKey(lang, title));
+    if (entry && !isExpired(entry)) cached.set(title, entry);
+  });
+
+  return cached;
+};
+
+// ─────────────────────────────────────────────────────────────
+// Store the popularity of articles
+//  Served from memory right away; the file is written in the background
+//  @param {Map} popularity - title → { pageviews, incomingLinks }
+//  @param {string} lang - Wikipedia language edition
+//  @returns {Promise<void>}
+// ─────────────────────────────────────────────────────────────
+export const setCachedPopularity = async (popularity, lang) => {
+  if (!config.popularity.cache.enabled || popularity.size === 0) return;
+
+  const cache = await loadEntries();
+  const cachedAt = new Date().toISOString();
+  popularity.forEach(({ pageviews, incomingLinks }, title) => {
+    // Re-insert so refreshed entries count as the newest
+    cache.delete(cacheKey(lang, title));
+    cache.set(cacheKey(lang, title), {
+      pageviews: pageviews,
+      incomingLinks: incomingLinks,
+      cached_at: cachedAt,
+    });
+  });
+
+  // Drop the oldest entries once the cache is full
+  const excess = cache.size - MAX_CACHED_ARTICLES;
+  [...cache.keys()]
+    .slice(0, Math.max(excess, 0))
+    .forEach((key) => cache.delete(key));
+
+  schedulePersist();
+};
+
+// ─────────────────────────────────────────────────────────────
+// Write a pending background write now
+//  @returns {Promise<void>} - Resolves once the file is up to date
+// ─────────────────────────────────────────────────────────────
+export const flushPopularityCache = () => {
+  if (!writeTimer) return writeQueue;
+
+  clearTimeout(writeTimer);
+  writeTimer = null;
+  return persistEntries();
+};
@@ -0,0 +1,191 @@
+import dotenv from "dotenv";
+dotenv.config();
+
+import config from "../utils/config.js";
+import logger from "../utils/logger.js";
+import { ENGLISH, actionApiUrl } from "../utils/wiki/languages.js";
+import {
+  popularityPrior,
+  rankingScore,
+} from "../utils/wiki/popularityScoring.js";
+import { httpRequest } from "./httpClient.js";
+import { wikipediaBreaker } from "./circuitBreakers.js";
+import { getCachedPopularity, setCachedPopularity } from "./popularityCache.js";
+
+// ─────────────────────────────────────────────────────────────
+//  Popularity Service - Pageviews and incoming links of articles
+//  Signals for the popularity prior of search suggestions. Pageviews
+//  come from the pageviews API, incoming links from the search index
+//  (CirrusSearch); both are cached on disk (see popularityCache.js).
+//  rankSuggestions blends them with the confidence of suggestions.
+// ─────────────────────────────────────────────────────────────
+
+const WIKI_USER_AGENT = process.env.WIKIPEDIA_USER_AGENT;
+const WIKI_TIMEOUT = parseInt(process.env.WIKIPEDIA_TIMEOUT);
+
+// action=query accepts at most 50 titles per call
+const MAX_TITLES_PER_CALL = 50;
+
+// ─────────────────────────────────────────────────────────────
+// Get the popularity signals of articles
+//  Never throws: titles Wikipedia couldn't answer for get null signals
+//  @param {Array<string>} titles - Article titles
+//  @param {string} lang - Wikipedia language edition
+//  @returns {Promise<Map>} - title → { pageviews, incomingLinks }, numbers or null
+// ─────────────────────────────────────────────────────────────
+export const getPopularity = async (titles, lang = ENGLISH) => {
+  const unique = [...new Set(titles)];
+  const popularity = await getCachedPopularity(unique, lang);
+  const missing = unique.filter((title) => !popularity.has(title));
+
+  if (missing.length > 0) {
+    try {
+      const fetched = await fetchPopularity(missing, lang);
+      fetched.forEach((signals, title) => popularity.set(title, signals));
+      await setCachedPopularity(fetched, lang); // written to disk in the background
+    } catch (error) {
+      logger.warn("Popularity lookup failed", {
+        titles: missing.length,
+        error: error.message,
+      });
+    }
+  }
+
+  logger.debug("Got article popularity", {
+    titles: unique.length,
+    fetched: missing.length,
+  });
+  return new Map(
+    unique.map((title) => [
+      title,
+      popularity.get(title) || { pageviews: null, incomingLinks: null },
+    ])
+  );
+};
+
+// ─────────────────────────────────────────────────────────────
+//  Add the ranking factors to suggestions
+//  Confidence is blended with a popularity prior, so the well-known
+//  article wins over a lesser one with the same name
+//  @param {Array} suggestions - Place suggestions
+//  @param {string} lang - Wikipedia language edition
+//  @returns {Promise<Array>} - Suggestions with ranking { score, confidence,
+//                              popularity, popularityWeight, pageviews, incomingLinks, size }
+// ─────────────────────────────────────────────────────────────
+export const rankSuggestions = async (suggestions, lang) => {
+  const popularity =
+    config.popularity.weight > 0
+      ? await getPopularity(
+          suggestions.map((suggestion) => suggestion.title),
+          lang
+        )
+      : new Map();
+
+  return suggestions.map((suggestion) => {
+    const signals = {
+      pageviews: null,
+      incomingLinks: null,
+      ...popularity.get(suggestion.title),
+      size: Number.isFinite(suggestion.size) ? suggestion.size : null,
+    };
+    const prior = popularityPrior(signals);
+
+    return {
+      ...suggestion,
+      ranking: {
+        score: round(rankingScore(suggestion.confidence, prior)),
+        confidence: round(suggestion.confidence),
+        popularity: prior === null ? null : round(prior),
+        popularityWeight: Math.min(config.popularity.weight, 1),
+        pageviews: signals.pageviews,
+        incomingLinks: signals.incomingLinks,
+        size: signals.size,
+      },
+    };
+  });
+};
+
+// ─────────────────────────────────────────────────────────────
+// Fetch pageviews and incoming links from Wikipedia, 50 titles per call
+//  @param {Array<string>} titles - Article titles
+//  @param {string} lang - Wikipedia language edition
+//  @returns {Promise<Map>} - title → { pageviews, incomingLinks } for the
+//                            articles Wikipedia returned
+// ─────────────────────────────────────────────────────────────
+const fetchPopularity = async (titles, lang) => {
+  const chunks = [];
+  for (let start = 0; start < titles.length; start += MAX_TITLES_PER_CALL) {
+    chunks.push(titles.slice(start, start + MAX_TITLES_PER_CALL));
+  }
+
+  const pages = (
+    await Promise.all(chunks.map((chunk) => queryPopularity(chunk, lang)))
+  ).flat();
+
+  return new Map(
+    pages
+      .filter((page) => !page.missing)
+      .map((page) => [
+        page.title,
+        {
+          pageviews: sumPageviews(page.pageviews),
+          incomingLinks: Number.isFinite(
+            page.cirrusdoc?.[0]?.source?.incoming_links
+          )
+            ? page.cirrusdoc[0].source.incoming_links
+            : null,
+        },
+      ])
+  );
+};
+
+// ─────────────────────────────────────────────────────────────
+// Send one action=query request for pageviews and the search index document
+//  @param {Array<string>} titles - Up to 50 article titles
+//  @param {string} lang - Wikipedia language edition
+//  @returns {Promise<Array>} - Pages (formatversion 2), empty when none
+// ─────────────────────────────────────────────────────────────
+const queryPopularity = async (titles, lang) => {
+  const params = new URLSearchParams({
+    action: "query",
+    titles: titles.join("|"),
+    prop: "pageviews|cirrusdoc",
+    pvipdays: String(config.popularity.pageviewDays),
+    cdincludes: "incoming_links", // the full document holds the article text
+    format: "json",
+    formatversion: "2",
+    origin: "*",
+  });
+
+  const response = await httpRequest(
+    "wikipedia_popularity",
+    {
+      url: `${actionApiUrl(lang)}?${params}`,
+      timeout: WIKI_TIMEOUT,
+      headers: {
+        "User-Agent": WIKI_USER_AGENT,
+      },
+    },
+    { breaker: wikipediaBreaker }
+  );
+
+  const pages = response.data?.query?.pages;
+  return Array.isArray(pages) ? pages : [];
+};
+
+// ─────────────────────────────────────────────────────────────
+// Total pageviews of an article over the requested days
+//  @param {Object|undefined} daily - date → views, null for days without data
+//  @returns {number|null} - Sum, or null when Wikipedia had no data at all
+// ─────────────────────────────────────────────────────────────
+const sumPageviews = (daily) => {
+  const views = Object.values(daily || {}).filter(Number.isFinite);
+  return views.length > 0 ? views.reduce((sum, count) => sum + count, 0) : null;
+};
+
+// ─────────────────────────────────────────────────────────────
+//  Round a ranking factor for display
+//  @param {number} value - Score between 0 and 1
+//  @returns {number} - Value rounded to 4 decimals
+// ─────────────────────────────────────────────────────────────
+const round = (value) => Math.round(value * 10000) / 10000;
@@ -0,0 +1,15 @@
+import { ApiError } from "./apiErrors.js";
+
+// ─────────────────────────────────────────────────────────────
+//  QuotaErrors - Custom error classes for rate limits
+// ─────────────────────────────────────────────────────────────
+
+export class RateLimitError extends ApiError {
+  constructor(
+    message,
+    { code = "RATE_LIMIT_EXCEEDED", retryAfter, ...extras }
+  ) {
+    super(message, code, 429, { retryAfter: retryAfter, extras: extras });
+    this.name = "RateLimitError";
+  }
+}
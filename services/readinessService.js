@@ -0,0 +1,91 @@
+import config from "../utils/config.js";
+import { dependencies, runProbe } from "./dependencyProbes.js";
+
+// ─────────────────────────────────────────────────────────────
+//  Readiness Service - Probes every upstream dependency
+//  Probes use short timeouts (see dependencyProbes.js) and their results
+//  are cached for config.health.cacheTtlMs, so health checks can't flood
+//  Wikipedia or the AI provider. Circuit breaker states are always
+//  reported live.
+// ─────────────────────────────────────────────────────────────
+
+let lastCheck = null; // { checkedAt, results: { name → probe result } }
+let runningCheck = null; // Shared by concurrent callers
+
+// ─────────────────────────────────────────────────────────────
+// Probe every dependency in parallel
+//  @returns {Promise<Object>} - { checkedAt, results }
+// ─────────────────────────────────────────────────────────────
+const probeAll = async () => {
+  const checked = await Promise.all(
+    dependencies().map(async (dependency) => [
+      dependency.name,
+      await runProbe(dependency),
+    ])
+  );
+
+  return { checkedAt: Date.now(), results: Object.fromEntries(checked) };
+};
+
+// ─────────────────────────────────────────────────────────────
+// Check every dependency, reusing a recent check
+//  A dependency is down when its probe failed or its circuit is open
+//  @returns {Promise<Object>} - { status: "ready"|"degraded"|"not_ready", checked_at, dependencies }
+// ─────────────────────────────────────────────────────────────
+export const getReadiness = async () => {
+  const isStale =
+    !lastCheck || Date.now() - lastCheck.checkedAt >= config.health.cacheTtlMs;
+
+  if (isStale) {
+    runningCheck =
+      runningCheck || probeAll().finally(() => (runningCheck = null));
+    lastCheck = await runningCheck;
+  }
+
+  const report = dependencies().map(({ name, critical, breaker }) => {
+    const result = lastCheck.results[name];
+    const circuit = breaker.snapshot();
+    const isUp = result?.status === "up" && circuit.state !== "open";
+
+    return [
+      name,
+      {
+        status: isUp ? "up" : "down",
+        critical: critical,
+        latency_ms: result?.latency_ms ?? null,
+        ...(result?.error && { error: result.error }),
+        circuit: circuit,
+      },
+    ];
+  });
+
+  const down = report.filter(([, dependency]) => dependency.status === "down");
+  const status = down.some(([, dependency]) => dependency.critical)
+    ? "not_ready"
+    : down.length > 0
+      ? "degraded"
+      : "ready";
+
+  return {
+    status: status,
+    checked_at: new Date(lastCheck.checkedAt).toISOString(),
+    dependencies: Object.fromEntries(report),
+  };
+};
+
+// ─────────────────────────────────────────────────────────────
+// Check the dependencies one service needs
+//  @param {Array<string>} names - Dependency names, e.g. ["wikipedia"]
+//  @returns {Promise<Object>} - { available, dependencies }
+// ─────────────────────────────────────────────────────────────
+export const getServiceStatus = async (names) => {
+  const { dependencies: all } = await getReadiness();
+  const picked = Object.fromEntries(names.map((name) => [name, all[name]]));
+
+  return {
+    available: Object.values(picked).every(
+      (dependency) => dependency?.status === "up"
+    ),
+    dependencies: picked,
+  };
+};
@@ -1,4 +1,9 @@
-import axios from "axios";
+import { generateText } from "./llmService.js";
+import { ValidationError } from "./apiErrors.js";
+import { AiResponseError, AiTimeoutError, toAiError } from "./aiErrors.js";
+import { normalizeDate } from "../utils/timeline/dateNormalization.js";
+import { ENGLISH, languageName } from "../utils/wiki/languages.js";
+import logger from "../utils/logger.js";
 
 // ─────────────────────────────────────────────────────────────
 //  Related Events Service - Finds historical events related to a place's timeline
@@ -6,10 +11,9 @@ import axios from "axios";
 // ─────────────────────────────────────────────────────────────
 
 // Configuration object following backend guidelines
+// Provider and model come from config.ai.useCases.relatedEvents
 const GENAI_CONFIG = {
-  baseUrl: "https://generativelanguage.googleapis.com/v1beta",
   timeout: 15000,
-  model: "gemini-2.0-flash-exp",
   maxTokens: 1000,
   temperature: 0.2,
 };
@@ -17,13 +21,18 @@ const GENAI_CONFIG = {
 // ─────────────────────────────────────────────────────────────
 // Find related historical events for a place's timeline
 //  @param {Object} placeData - Place information with dates and location
+//  @param {Object} options - { lang: language to describe the events in }
 //  @returns {Promise<Object>} - Related historical events organized by category
 // ─────────────────────────────────────────────────────────────
-export const findRelatedEvents = async (placeData) => {
+export const findRelatedEvents = async (placeData, options = {}) => {
+  const { lang = ENGLISH } = options;
   try {
     // Input validation
     if (!placeData || !placeData.name) {
-      throw new Error("Invalid place data provided");
+      throw new ValidationError(
+        "Invalid place data provided",
+        "INVALID_PLACE_DATA"
+      );
     }
 
     const {
@@ -35,109 +44,48 @@ export const findRelatedEvents = async (placeData) => {
     } = placeData;
 
     // Create prompt for finding related events
-    const prompt = createRelatedEventsPrompt(placeData);
+    const prompt = createRelatedEventsPrompt(placeData, lang);
 
-    // Make API request to Google AI
-    const response = await makeGoogleAIRequest(prompt);
+    // Make API request to the configured AI provider
+    const response = await generateText("relatedEvents", prompt, {
+      maxTokens: GENAI_CONFIG.maxTokens,
+      temperature: GENAI_CONFIG.temperature,
+      timeout: GENAI_CONFIG.timeout,
+      context: placeData,
+    });
 
     // Parse and validate response
     const relatedEvents = parseRelatedEventsResponse(response);
 
-    return validateAndFormatRelatedEvents(relatedEvents, placeData);
+    return {
+      ...validateAndFormatRelatedEvents(relatedEvents, placeData),
+      lang: lang,
+    };
   } catch (error) {
-    console.error("Related Events Service Error Details:", {
-      message: error.message,
-      code: error.code,
-      status: error.response?.status,
-      statusText: error.response?.statusText,
-      data: error.response?.data,
+    logger.warn("Related events search failed", {
+      place: placeData?.name,
+      error: error,
+      response_data: error.response?.data,
     });
 
-    // Handle specific error types
+    // Timeouts, rejected keys, quota and outages become typed errors
     if (error.code === "ECONNABORTED") {
-      throw new Error("Related events search timeout - please try again");
-    }
-
-    if (error.response?.status === 401) {
-      throw new Error(
-        "Google AI API key is invalid - please check your configuration"
+      throw new AiTimeoutError(
+        "Related events search timed out - please try again"
       );
     }
 
-    if (error.response?.status === 429) {
-      throw new Error(
-        "Google AI API quota exceeded - please check your account"
-      );
-    }
-
-    if (error.response?.status >= 500) {
-      throw new Error("Google AI API service temporarily unavailable");
-    }
-
-    throw new Error(`Related events search failed: ${error.message}`);
+    throw toAiError(error);
   }
 };
 
-// ─────────────────────────────────────────────────────────────
-// Make HTTP request to Google AI API
-//  @param {string} prompt - Formatted prompt for AI
-//  @returns {Promise<string>} - AI response content
-// ─────────────────────────────────────────────────────────────
-const makeGoogleAIRequest = async (prompt) => {
-  const apiKey = process.env.GOOGLE_AI_API_KEY;
-
-  if (!apiKey) {
-    throw new Error("Google AI API key not configured");
-  }
-
-  console.log(
-    `Making Google AI request for related events with key: ${apiKey.substring(
-      0,
-      8
-    )}...`
-  );
-
-  const requestData = {
-    contents: [
-      {
-        parts: [
-          {
-            text: prompt,
-          },
-        ],
-      },
-    ],
-    generationConfig: {
-      maxOutputTokens: GENAI_CONFIG.maxTokens,
-      temperature: GENAI_CONFIG.temperature,
-    },
-  };
-
-  const response = await axios.post(
-    `${GENAI_CONFIG.baseUrl}/models/${GENAI_CONFIG.model}:generateContent?key=${apiKey}`,
-    requestData,
-    {
-      timeout: GENAI_CONFIG.timeout,
-      headers: {
-        "Content-Type": "application/json",
-        "User-Agent": "PlaceTimeline/1.0",
-      },
-    }
-  );
-
-  if (!response.data?.candidates?.[0]?.content?.parts?.[0]?.text) {
-    throw new Error("Invalid response format from Google AI API");
-  }
-
-  return response.data.candidates[0].content.parts[0].text;
-};
-
 // ─────────────────────────────────────────────────────────────
 // Create optimized prompt for finding related historical events
 //  @param {Object} placeData - Place information
-//  @returns {string} - Formatted prompt for Google AI API
+//  @param {string} lang - Language to describe the events in
+//  @returns {string} - Formatted prompt for the AI model
 // ─────────────────────────────────────────────────────────────
-const createRelatedEventsPrompt = (placeData) => {
+const createRelatedEventsPrompt = (placeData, lang) => {
   const {
     name,
     construction_start,
@@ -221,6 +169,7 @@ Focus on:
 
 Keep each event description concise (1-2 sentences) and focus on the most significant events.
 Limit to 3-5 events per category maximum.
+Write "event", "location" and "significance" in ${languageName(lang)}. Always write "date" in English (e.g. "June 1889", "1880s", "19th century").
 
 Place: ${name}
 Time period: ${timeContext}
@@ -230,7 +179,7 @@ Date precision: ${date_precision || "unknown"}`;
 
 // ─────────────────────────────────────────────────────────────
 // Parse AI response and extract JSON data
-//  @param {string} aiResponse - Raw response from Google AI API
+//  @param {string} aiResponse - Raw response from the AI model
 //  @returns {Object} - Parsed JSON data
 // ─────────────────────────────────────────────────────────────
 const parseRelatedEventsResponse = (aiResponse) => {
@@ -238,7 +187,7 @@ const parseRelatedEventsResponse = (aiResponse) => {
     // Extract JSON from response (remove any extra text)
     const jsonMatch = aiResponse.match(/\{[\s\S]*\}/);
     if (!jsonMatch) {
-      throw new Error("No JSON found in AI response");
+      throw new AiResponseError("No JSON found in AI response");
     }
 
     const parsedData = JSON.parse(jsonMatch[0]);
@@ -257,7 +206,7 @@ const parseRelatedEventsResponse = (aiResponse) => {
     );
 
     if (missingCategories.length > 0) {
-      throw new Error(
+      throw new AiResponseError(
         `Missing required categories in AI response: ${missingCategories.join(
           ", "
         )}`
@@ -266,7 +215,7 @@ const parseRelatedEventsResponse = (aiResponse) => {
 
     return parsedData;
   } catch (error) {
-    throw new Error(
+    throw new AiResponseError(
       `Failed to parse related events response: ${error.message}`
     );
   }
@@ -306,6 +255,7 @@ const validateAndFormatRelatedEvents = (eventsData, placeData) => {
       .map((event) => ({
         event: event.event || "Unknown event",
         date: event.date || "Unknown date",
+        date_normalized: normalizeDate(event.date),
         location: event.location || "Unknown location",
         significance: event.significance || "Historical significance",
       }))
@@ -316,7 +266,9 @@ const validateAndFormatRelatedEvents = (eventsData, placeData) => {
     place_name: name,
     place_dates: {
       construction_start: construction_start,
+      construction_start_normalized: normalizeDate(construction_start),
       construction_end: construction_end,
+      construction_end_normalized: normalizeDate(construction_end),
       country: country,
     },
     related_events: formattedEvents,
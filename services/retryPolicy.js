@@ -0,0 +1,112 @@
+import { AsyncLocalStorage } from "async_hooks";
+import config from "../utils/config.js";
+import { parseRetryAfter } from "./apiErrors.js";
+
+// ─────────────────────────────────────────────────────────────
+//  Retry Policy - Which upstream failures are retried, and when
+//  Also keeps the time budget that all upstream calls made for one
+//  incoming request share (see httpClient.js for the transport)
+// ─────────────────────────────────────────────────────────────
+
+// Failures where the upstream didn't do the work - any request is retried
+const SAFE_STATUSES = [429, 503];
+const SAFE_ERROR_CODES = [
+  "ECONNRESET",
+  "ECONNREFUSED",
+  "EPIPE",
+  "EAI_AGAIN",
+  "ENETUNREACH",
+  "EHOSTUNREACH",
+];
+
+// Failures that are only retried for idempotent requests (the work may have run)
+const IDEMPOTENT_STATUSES = [408, 500, 502, 504];
+const IDEMPOTENT_ERROR_CODES = ["ECONNABORTED", "ETIMEDOUT"];
+
+// An attempt isn't started with less of the budget left than this
+export const MIN_ATTEMPT_MS = 250;
+
+const budgetContext = new AsyncLocalStorage();
+
+// ─────────────────────────────────────────────────────────────
+// Run a function with a time budget for the upstream calls it makes
+//  @param {number} budgetMs - Total milliseconds for all calls
+//  @param {Function} fn - Function to run (e.g. an Express next())
+//  @returns {*} - Whatever fn returns
+// ─────────────────────────────────────────────────────────────
+export function runWithTimeBudget(budgetMs, fn) {
+  return budgetContext.run({ deadline: Date.now() + budgetMs }, fn);
+}
+
+// ─────────────────────────────────────────────────────────────
+// Milliseconds left in the current time budget
+//  @returns {number} - Infinity outside a budget (scripts)
+// ─────────────────────────────────────────────────────────────
+export const remainingBudget = () => {
+  const budget = budgetContext.getStore();
+  return budget ? budget.deadline - Date.now() : Infinity;
+};
+
+// ─────────────────────────────────────────────────────────────
+// Decide whether and when to retry a failed attempt
+//  Exponential backoff with equal jitter, or the upstream's Retry-After
+//  @param {Error} error - Error of the failed attempt
+//  @param {number} attempt - Attempts made so far
+//  @param {boolean} idempotent - Whether every transient failure may be retried
+//  @returns {number|null} - Milliseconds to wait, null to give up
+// ─────────────────────────────────────────────────────────────
+export const retryDelay = (error, attempt, idempotent) => {
+  if (attempt > config.http.retries || !isRetryable(error, idempotent)) {
+    return null;
+  }
+
+  const retryAfter = parseRetryAfter(error.response?.headers?.["retry-after"]);
+  const backoff = Math.min(
+    config.http.maxDelayMs,
+    config.http.baseDelayMs * 2 ** (attempt - 1)
+  );
+  const delay =
+    retryAfter !== null
+      ? retryAfter * 1000
+      : Math.round(backoff / 2 + Math.random() * (backoff / 2));
+
+  // Asked to wait longer than we would, or no budget left for another try
+  if (delay > config.http.maxDelayMs) return null;
+  if (delay + MIN_ATTEMPT_MS > remainingBudget()) return null;
+
+  return delay;
+};
+
+// ─────────────────────────────────────────────────────────────
+// Check whether a failure is transient and safe to retry
+//  @param {Error} error - Error of the failed attempt
+//  @param {boolean} idempotent - Whether the request may be repeated
+//  @returns {boolean} - True to retry
+// ─────────────────────────────────────────────────────────────
+const isRetryable = (error, idempotent) => {
+  if (!error.isAxiosError || error.isBudgetExhausted) return false;
+
+  const status = error.response?.status;
+  if (status) {
+    return (
+      SAFE_STATUSES.includes(status) ||
+      (idempotent && IDEMPOTENT_STATUSES.includes(status))
+    );
+  }
+
+  return (
+    SAFE_ERROR_CODES.includes(error.code) ||
+    (idempotent && IDEMPOTENT_ERROR_CODES.includes(error.code))
+  );
+};
+
+// ─────────────────────────────────────────────────────────────
+// Check whether the upstream rejected the request itself (404, 400...)
+//  These are expected answers, logged at debug level
+//  @param {Error} error - Error of the last attempt
+//  @returns {boolean} - True for 4xx other than 408 and 429
+// ─────────────────────────────────────────────────────────────
+export const isClientError = (error) => {
+  const status = error.response?.status;
+  return status >= 400 && status < 500 && status !== 408 && status !== 429;
+};
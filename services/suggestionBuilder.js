@@ -0,0 +1,184 @@
+import { extractCountryFromSummary } from "../utils/wiki/countryExtraction.js";
+import { scorePlaceConfidence } from "../utils/wiki/confidenceScoring.js";
+import { isPlace } from "../utils/wiki/placeDetection.js";
+import { cleanSnippet } from "../utils/wiki/textNormalization.js";
+import { ENGLISH } from "../utils/wiki/languages.js";
+import config from "../utils/config.js";
+import { classifyItems } from "./placeClassifier.js";
+import { getSummaryFallback } from "./wikiPages.js";
+
+// ─────────────────────────────────────────────────────────────
+//  Suggestion Builder - Place suggestions from batched Wikipedia pages
+//  Classifies each page as a place and scores it against the query
+// ─────────────────────────────────────────────────────────────
+
+// Place confidence of a local article known only by its coordinates
+const COORDINATES_PLACE_CONFIDENCE = 0.3;
+
+// ─────────────────────────────────────────────────────────────
+//  Build suggestions for a batch of pages
+//  Their Wikidata items are classified together; the keyword heuristic
+//  only handles pages Wikidata has nothing on
+//  @param {string|null} query - Cleaned search query
+//  @param {Array} pages - Pages from an action=query response
+//  @param {Object} options - { fetchMissing: call the summary endpoint when the extract is missing, lang,
+//                              didYouMean: Wikipedia's spelling suggestion, debug: add scoreBreakdown }
+//  @returns {Promise<Array>} - Suggestion, or null when not a place, for each page
+// ─────────────────────────────────────────────────────────────
+export const buildSuggestions = async (query, pages, options = {}) => {
+  const classifications = await classifyItems(
+    pages.map((page) => page.pageprops?.wikibase_item).filter(Boolean)
+  );
+
+  return Promise.all(
+    pages.map((page) =>
+      buildSuggestion(query, page, {
+        ...options,
+        classification:
+          classifications.get(page.pageprops?.wikibase_item) || null,
+      })
+    )
+  );
+};
+
+// ─────────────────────────────────────────────────────────────
+//  Build one suggestion from a batched search page
+//  Without a query (e.g. nearby places) confidence is the place confidence
+//  @param {string|null} query - Cleaned search query
+//  @param {Object} page - Page from the generator=search response
+//  @param {Object} options - { fetchMissing, lang, didYouMean, debug, classification: Wikidata place classification or null }
+//  @returns {Promise<Object|null>} - Suggestion or null when not a place
+// ─────────────────────────────────────────────────────────────
+const buildSuggestion = async (query, page, options) => {
+  const {
+    fetchMissing = true,
+    lang = ENGLISH,
+    didYouMean = null,
+    debug = false,
+    classification,
+  } = options;
+
+  // Wikidata says it isn't a place - no need for its summary
+  if (classification && !classification.isPlace) {
+    return null;
+  }
+
+  let extract = page.extract || "";
+  let thumbnail = page.thumbnail?.source || null;
+
+  // Extracts are capped per batch - fall back to the summary endpoint
+  if (!extract && fetchMissing) {
+    const summary = await getSummaryFallback(page.title, lang);
+    extract = summary?.extract || "";
+    thumbnail = thumbnail || summary?.thumbnail?.source || null;
+  }
+
+  // Short descriptions are never capped - last resort for classification
+  extract = extract || page.description || "";
+
+  const englishTitle =
+    lang === ENGLISH ? page.title : page.langlinks?.[0]?.title || null;
+
+  // Check if this is a place and calculate place-specific confidence
+  const placeCheck =
+    classification || classifyByKeywords(page, extract, englishTitle, lang);
+  if (!placeCheck.isPlace) {
+    return null;
+  }
+
+  const coordinates = page.coordinates?.[0];
+  const score = query
+    ? scoreSuggestion(query, didYouMean, page.title, extract, placeCheck)
+    : null;
+
+  return {
+    title: page.title,
+    english_title: englishTitle,
+    snippet: cleanSnippet(extract),
+    confidence: score ? score.confidence : placeCheck.confidence,
+    ...(debug && { scoreBreakdown: score && roundBreakdown(score.breakdown) }),
+    placeType: placeCheck.placeType,
+    placeConfidence: placeCheck.confidence,
+    thumbnail: thumbnail,
+    country: extractCountryFromSummary(extract) || null,
+    coordinates: coordinates
+      ? { lat: coordinates.lat, lon: coordinates.lon }
+      : null,
+    size: page.length,
+    timestamp: page.revisions?.[0]?.timestamp ?? null,
+  };
+};
+
+// ─────────────────────────────────────────────────────────────
+//  Score a suggestion against the query, or against Wikipedia's "did you
+//  mean" spelling when that matches better (discounted by its weight)
+//  @param {string} query - Cleaned search query
+//  @param {string|null} didYouMean - Wikipedia's spelling suggestion
+//  @param {string} title - Page title
+//  @param {string} extract - Intro extract or description
+//  @param {Object} placeCheck - Place classification of the page
+//  @returns {Object} - { confidence, breakdown }; breakdown.didYouMean is
+//                      set when the suggested spelling was used
+// ─────────────────────────────────────────────────────────────
+const scoreSuggestion = (query, didYouMean, title, extract, placeCheck) => {
+  const score = scorePlaceConfidence(query, title, extract, placeCheck);
+  if (!didYouMean) return score;
+
+  const corrected = scorePlaceConfidence(
+    didYouMean,
+    title,
+    extract,
+    placeCheck
+  );
+  const weighted = corrected.confidence * config.search.didYouMeanWeight;
+
+  return weighted > score.confidence
+    ? {
+        confidence: weighted,
+        breakdown: { ...corrected.breakdown, didYouMean: didYouMean },
+      }
+    : score;
+};
+
+// ─────────────────────────────────────────────────────────────
+//  Round the numbers of a score breakdown for display
+//  @param {Object} breakdown - Score breakdown
+//  @returns {Object} - Same breakdown, numbers rounded to 4 decimals
+// ─────────────────────────────────────────────────────────────
+const roundBreakdown = (breakdown) =>
+  Object.fromEntries(
+    Object.entries(breakdown).map(([part, value]) => [
+      part,
+      typeof value === "number" ? Math.round(value * 10000) / 10000 : value,
+    ])
+  );
+
+// ─────────────────────────────────────────────────────────────
+//  Classify a batched page as a place from its text
+//  Fallback for pages Wikidata can't classify. Keyword detection only
+//  knows English, so pages of other editions are classified by their
+//  English title, then by having coordinates
+//  @param {Object} page - Page from an action=query response
+//  @param {string} extract - Intro extract or description
+//  @param {string|null} englishTitle - Title on English Wikipedia
+//  @param {string} lang - Wikipedia language edition
+//  @returns {Object} - {isPlace: boolean, placeType: string, confidence: number}
+// ─────────────────────────────────────────────────────────────
+const classifyByKeywords = (page, extract, englishTitle, lang) => {
+  if (lang === ENGLISH) {
+    return isPlace(page.title, extract);
+  }
+
+  const byEnglishTitle = englishTitle && isPlace(englishTitle, englishTitle);
+  if (byEnglishTitle?.isPlace) {
+    return byEnglishTitle;
+  }
+
+  return page.coordinates?.length > 0
+    ? {
+        isPlace: true,
+        placeType: "landmark",
+        confidence: COORDINATES_PLACE_CONFIDENCE,
+      }
+    : { isPlace: false, placeType: null, confidence: 0 };
+};
@@ -0,0 +1,201 @@
+import fs from "fs/promises";
+import path from "path";
+import config from "../utils/config.js";
+import logger from "../utils/logger.js";
+import { currentRoute, timelineCacheLookups } from "../utils/metrics.js";
+
+// ─────────────────────────────────────────────────────────────
+//  Timeline Cache - Persistent file store for extracted timelines
+//  Entries are keyed by canonical Wikipedia title and only served
+//  while the article revision matches the one they were built from.
+//  The least recently used entries are evicted past maxEntries.
+//
+//  File layout: a snapshot line { version, entries } followed by one
+//  { title, entry } line per write since. Writes append a line; the
+//  file is compacted back into a snapshot once the log outgrows the cache.
+// ─────────────────────────────────────────────────────────────
+
+// Bump when the cached timeline shape changes to drop stale entries
+const CACHE_VERSION = 6;
+
+let entries = null; // Lazily loaded Map<title, entry>, least recently used first
+let loading = null; // Promise of the first load, shared by concurrent callers
+let appendedLines = 0; // Lines written since the last snapshot
+let needsSnapshot = true; // No valid snapshot on disk yet
+let writeQueue = Promise.resolve();
+
+// ─────────────────────────────────────────────────────────────
+// Load cache entries from disk on first use
+//  Every caller waits for the same load, so none sees a partial cache
+//  @returns {Promise<Map>} - Cache entries keyed by canonical title
+// ─────────────────────────────────────────────────────────────
+const loadEntries = () => {
+  loading ??= readEntries();
+  return loading;
+};
+
+// ─────────────────────────────────────────────────────────────
+// Read the snapshot and replay the appended lines
+//  @returns {Promise<Map>} - Cache entries keyed by canonical title
+// ─────────────────────────────────────────────────────────────
+const readEntries = async () => {
+  const loaded = new Map();
+  try {
+    const raw = await fs.readFile(config.timelineCache.file, "utf8");
+    const [snapshot, ...records] = raw.split("\n").filter(Boolean);
+    const stored = JSON.parse(snapshot);
+
+    if (stored.version === CACHE_VERSION) {
+      Object.entries(stored.entries || {}).forEach(([title, entry]) =>
+        loaded.set(title, entry)
+      );
+      const replayed = records.filter((line) => replayRecord(loaded, line));
+      appendedLines = records.length;
+      // A line cut short by a crash would swallow the next append
+      needsSnapshot = replayed.length < records.length;
+    }
+  } catch (error) {
+    // Missing or corrupt file - start with an empty cache
+    if (error.code !== "ENOENT") {
+      logger.warn("Timeline cache could not be read", { error: error.message });
+    }
+  }
+
+  entries = loaded;
+  evictOverflow();
+  return entries;
+};
+
+// ─────────────────────────────────────────────────────────────
+// Apply one appended { title, entry } line to the loaded entries
+//  @param {Map} loaded - Entries read so far
+//  @param {string} line - JSON line from the cache file
+//  @returns {boolean} - False for a line that isn't valid JSON
+// ─────────────────────────────────────────────────────────────
+const replayRecord = (loaded, line) => {
+  try {
+    const { title, entry } = JSON.parse(line);
+    loaded.delete(title);
+    loaded.set(title, entry);
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+// ─────────────────────────────────────────────────────────────
+// Drop the least recently used entries past the size limit
+// ─────────────────────────────────────────────────────────────
+const evictOverflow = () => {
+  const excess = entries.size - config.timelineCache.maxEntries;
+  [...entries.keys()]
+    .slice(0, Math.max(excess, 0))
+    .forEach((title) => entries.delete(title));
+};
+
+// ─────────────────────────────────────────────────────────────
+// Persist one write (serialized so writes never interleave)
+//  Appends the entry, or rewrites the file as a snapshot when the
+//  appended lines outnumber the cache
+//  @param {string} title - Title that was written
+//  @returns {Promise<void>}
+// ─────────────────────────────────────────────────────────────
+const persistEntry = (title) => {
+  writeQueue = writeQueue
+    .then(async () => {
+      const file = config.timelineCache.file;
+      await fs.mkdir(path.dirname(file), { recursive: true });
+
+      if (needsSnapshot || appendedLines >= config.timelineCache.maxEntries) {
+        await writeSnapshot(file);
+        return;
+      }
+
+      // Evicted in the meantime - the next snapshot leaves it out
+      const entry = entries.get(title);
+      if (!entry) return;
+
+      await fs.appendFile(file, `${JSON.stringify({ title, entry })}\n`);
+      appendedLines += 1;
+    })
+    .catch((error) =>
+      logger.warn("Timeline cache could not be written", {
+        error: error.message,
+      })
+    );
+
+  return writeQueue;
+};
+
+// ─────────────────────────────────────────────────────────────
+// Replace the file with a snapshot of every entry
+//  @param {string} file - Cache file path
+//  @returns {Promise<void>}
+// ─────────────────────────────────────────────────────────────
+const writeSnapshot = async (file) => {
+  const tempFile = `${file}.tmp`;
+  const data = {
+    version: CACHE_VERSION,
+    entries: Object.fromEntries(entries),
+  };
+
+  await fs.writeFile(tempFile, `${JSON.stringify(data)}\n`);
+  await fs.rename(tempFile, file);
+  appendedLines = 0;
+  needsSnapshot = false;
+};
+
+// ─────────────────────────────────────────────────────────────
+// Get a cached timeline if it was built from the given revision
+//  @param {string} title - Canonical Wikipedia title
+//  @param {number|string} revision - Current article revision ID
+//  @returns {Promise<Object|null>} - Cached entry { data, revision, cached_at } or null
+// ─────────────────────────────────────────────────────────────
+export const getCachedTimeline = async (title, revision) => {
+  if (!config.timelineCache.enabled || !title || !revision) return null;
+
+  const cache = await loadEntries();
+  const entry = cache.get(title);
+  const countLookup = (outcome) =>
+    timelineCacheLookups.inc({ route: currentRoute(), outcome: outcome });
+
+  if (!entry) {
+    countLookup("miss");
+    return null;
+  }
+
+  // Wikipedia has a newer revision - entry must be rebuilt
+  if (String(entry.revision) !== String(revision)) {
+    countLookup("stale");
+    return null;
+  }
+
+  // Most recently used last - the order is saved with the next snapshot
+  cache.delete(title);
+  cache.set(title, entry);
+
+  countLookup("hit");
+  return entry;
+};
+
+// ─────────────────────────────────────────────────────────────
+// Store a timeline for a title and revision
+//  @param {string} title - Canonical Wikipedia title
+//  @param {number|string} revision - Article revision ID the data was built from
+//  @param {Object} data - Combined article + extracted dates
+//  @returns {Promise<void>}
+// ─────────────────────────────────────────────────────────────
+export const setCachedTimeline = async (title, revision, data) => {
+  if (!config.timelineCache.enabled || !title || !revision) return;
+
+  const cache = await loadEntries();
+  cache.delete(title);
+  cache.set(title, {
+    revision: String(revision),
+    cached_at: new Date().toISOString(),
+    data: data,
+  });
+  evictOverflow();
+
+  await persistEntry(title);
+};
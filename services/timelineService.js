@@ -0,0 +1,189 @@
+import { searchArticle } from "./wikiService.js";
+import { extractDates } from "./genaiService.js";
+import { getPlaceFacts } from "./wikidataService.js";
+import { getCachedTimeline, setCachedTimeline } from "./timelineCache.js";
+import { crossCheckDates } from "../utils/timeline/dateCrossCheck.js";
+import { extractDatesWithRules } from "../utils/timeline/ruleBasedDates.js";
+import {
+  formatArticleCard,
+  withWikidataFallbacks,
+  withWikipediaSource,
+} from "../utils/timeline/timelineResponse.js";
+import { ENGLISH } from "../utils/wiki/languages.js";
+import config from "../utils/config.js";
+import logger from "../utils/logger.js";
+
+// ─────────────────────────────────────────────────────────────
+//  Timeline Service - Combines Wikipedia lookup and date extraction
+//  Serves cached results while the article revision is unchanged and
+//  falls back to rule-based extraction when the AI service fails
+// ─────────────────────────────────────────────────────────────
+
+export const EXTRACTION_METHODS = ["ai", "rules"];
+
+// ─────────────────────────────────────────────────────────────
+// Find the article of a timeline and its cached dates, if any
+//  Cheap - no AI call - so routes run it before reserving AI credits
+//  @param {string} query - Search query (place name, building, etc.)
+//  @param {Object} options - { method: "ai" (default) | "rules", resolve: boolean, lang }
+//  @returns {Promise<Object>} - { wikiData, cached: cache entry or null }
+// ─────────────────────────────────────────────────────────────
+export const lookupTimeline = async (query, options = {}) => {
+  const method = options.method || "ai";
+
+  // Always fetched to learn the current revision
+  logger.debug("Searching Wikipedia", { query: query });
+  const wikiData = await searchArticle(query, {
+    resolve: options.resolve,
+    lang: options.lang,
+  });
+
+  // Only AI dates are cached
+  const cached =
+    method === "ai"
+      ? await getCachedTimeline(cacheTitle(wikiData), wikiData.revision)
+      : null;
+  return { wikiData: wikiData, cached: cached };
+};
+
+// ─────────────────────────────────────────────────────────────
+// Build timeline data for a place
+//  onProgress(stage, payload) is called with "resolving", "article" and
+//  "extracting" as each step starts or finishes
+//  @param {string} query - Search query (place name, building, etc.)
+//  @param {Object} options - { method: "ai" (default) | "rules", resolve: boolean, lang, onProgress,
+//                              lookup: result of lookupTimeline when the route already ran it }
+//  @returns {Promise<Object>} - { wikiData, dateData, cached, cachedAt, usedAi }
+// ─────────────────────────────────────────────────────────────
+export const createTimeline = async (query, options = {}) => {
+  const method = options.method || "ai";
+  const onProgress = options.onProgress || (() => {});
+
+  // Step 1: Get Wikipedia data and reusable AI dates from the same revision
+  onProgress("resolving", { query: query });
+  const { wikiData, cached } =
+    options.lookup || (await lookupTimeline(query, options));
+  onProgress("article", formatArticleCard(wikiData));
+
+  // Step 2: Serve the cached dates
+  if (cached) {
+    logger.info("Timeline cache hit", { place: wikiData.name });
+    return {
+      wikiData: withWikidataFallbacks(wikiData, cached.data.wikidata),
+      dateData: withWikipediaSource(cached.data, wikiData),
+      cached: true,
+      cachedAt: cached.cached_at,
+      usedAi: false,
+    };
+  }
+
+  // Step 3: Extract dates and cross-check with Wikidata
+  logger.debug("Extracting dates", { place: wikiData.name, method: method });
+  onProgress("extracting", { method: method });
+  const [extraction, facts] = await Promise.all([
+    extractWithFallback(wikiData, method),
+    getPlaceFactsSafely(wikiData.wikidataId, wikiData.lang),
+  ]);
+  const dateData = crossCheckDates(extraction.dateData, facts);
+
+  if (dateData.conflicts.length > 0) {
+    logger.warn("Date conflicts with Wikidata", {
+      place: wikiData.name,
+      fields: dateData.conflicts.map((conflict) => conflict.field),
+    });
+  }
+
+  // Only AI results are cached - rule-based ones are cheap to rebuild
+  if (dateData.method === "ai") {
+    await setCachedTimeline(cacheTitle(wikiData), wikiData.revision, dateData);
+  }
+
+  return {
+    wikiData: withWikidataFallbacks(wikiData, dateData.wikidata),
+    dateData: withWikipediaSource(
+      { ...dateData, fallback_reason: extraction.fallbackReason },
+      wikiData
+    ),
+    cached: false,
+    cachedAt: null,
+    // Falling back to rules after an AI failure costs what rules cost
+    usedAi: dateData.method === "ai",
+  };
+};
+
+// ─────────────────────────────────────────────────────────────
+// Name the AI cost of a created timeline
+//  Cache hits and rule-based extraction cost less than an AI extraction
+//  @param {Object} timeline - Result of createTimeline
+//  @returns {string} - Key of config.aiRateLimit.costs
+// ─────────────────────────────────────────────────────────────
+export const aiCostOf = (timeline) => {
+  if (timeline.usedAi) return "timeline";
+  return timeline.cached ? "timelineCached" : "timelineRules";
+};
+
+// ─────────────────────────────────────────────────────────────
+// Title a timeline is cached under - each edition has its own revisions
+//  English keys are bare titles, as they were before other languages
+//  @param {Object} wikiData - Output of searchArticle
+//  @returns {string} - e.g. "Eiffel Tower" or "de:Kölner Dom"
+// ─────────────────────────────────────────────────────────────
+const cacheTitle = (wikiData) =>
+  wikiData.lang === ENGLISH
+    ? wikiData.canonicalTitle
+    : `${wikiData.lang}:${wikiData.canonicalTitle}`;
+
+// ─────────────────────────────────────────────────────────────
+// Extract dates with the requested method, falling back to rules
+//  @param {Object} wikiData - Output of searchArticle
+//  @param {string} method - "ai" or "rules"
+//  @returns {Promise<Object>} - { dateData, fallbackReason }
+// ─────────────────────────────────────────────────────────────
+const extractWithFallback = async (wikiData, method) => {
+  if (method === "rules") {
+    return {
+      dateData: extractDatesWithRules(wikiData.summary, wikiData.name),
+      fallbackReason: null,
+    };
+  }
+
+  try {
+    return {
+      dateData: await extractDates(wikiData.summary, wikiData.name, {
+        lang: wikiData.lang,
+      }),
+      fallbackReason: null,
+    };
+  } catch (error) {
+    if (!config.timeline.rulesFallback) throw error;
+
+    logger.warn("AI extraction failed, using rules", {
+      place: wikiData.name,
+      code: error.code,
+      error: error.message,
+    });
+    return {
+      dateData: extractDatesWithRules(wikiData.summary, wikiData.name),
+      // Typed errors say what clients may see, the rest stays in the log
+      fallbackReason: error.publicMessage || "AI date extraction failed",
+    };
+  }
+};
+
+// ─────────────────────────────────────────────────────────────
+// Get Wikidata facts without failing the timeline
+//  @param {string|null} itemId - Wikidata item ID
+//  @param {string} lang - Language of labels (e.g. the country)
+//  @returns {Promise<Object|null>} - Facts or null when unavailable
+// ─────────────────────────────────────────────────────────────
+const getPlaceFactsSafely = async (itemId, lang) => {
+  try {
+    return await getPlaceFacts(itemId, lang);
+  } catch (error) {
+    logger.warn("Wikidata lookup failed", {
+      item_id: itemId,
+      error: error.message,
+    });
+    return null;
+  }
+};
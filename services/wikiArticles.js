@@ -0,0 +1,142 @@
+import dotenv from "dotenv";
+dotenv.config();
+
+import { extractCountryFromSummary } from "../utils/wiki/countryExtraction.js";
+import { fetchPages, isArticlePage, fetchEnglishTitle } from "./wikiPages.js";
+import { buildSuggestions } from "./suggestionBuilder.js";
+import { ValidationError } from "./apiErrors.js";
+import {
+  WikiNotFoundError,
+  WikiDisambiguationError,
+  toWikiError,
+} from "./wikiErrors.js";
+import { restApiUrl } from "../utils/wiki/languages.js";
+import { httpRequest } from "./httpClient.js";
+import { wikipediaBreaker } from "./circuitBreakers.js";
+
+// ─────────────────────────────────────────────────────────────
+//  WikiArticles - Summary of one Wikipedia article by exact title
+//  Follows redirects and turns disambiguation pages into place candidates
+//  (see wikiService.js for search and fuzzy resolution)
+// ─────────────────────────────────────────────────────────────
+
+const WIKI_USER_AGENT = process.env.WIKIPEDIA_USER_AGENT;
+const WIKI_TIMEOUT = parseInt(process.env.WIKIPEDIA_TIMEOUT);
+
+const DISAMBIGUATION_LINK_LIMIT = 100;
+
+// ─────────────────────────────────────────────────────────────
+//  Fetch the summary of an article by exact title
+//  @param {string} query - Article title
+//  @param {string} lang - Wikipedia language edition
+//  @returns {Promise<Object>} - Article summary with key info for timeline
+// ─────────────────────────────────────────────────────────────
+export const fetchArticle = async (query, lang) => {
+  try {
+    if (!query || typeof query !== "string" || query.trim().length === 0) {
+      throw new ValidationError("Invalid search query");
+    }
+
+    const cleanQuery = query.trim();
+
+    // Use Wikipedia Summary API for fastest response
+    const summaryUrl = `${restApiUrl(lang)}/page/summary/${encodeURIComponent(
+      cleanQuery
+    )}`;
+
+    const response = await httpRequest(
+      "wikipedia_summary",
+      {
+        url: summaryUrl,
+        timeout: WIKI_TIMEOUT,
+        headers: {
+          "User-Agent": WIKI_USER_AGENT,
+        },
+      },
+      { breaker: wikipediaBreaker }
+    );
+
+    if (response.data && response.data.title) {
+      // Ambiguous title - offer the linked places instead of a summary
+      if (response.data.type === "disambiguation") {
+        const candidates = await getDisambiguationCandidates(
+          response.data.title,
+          cleanQuery,
+          lang
+        );
+        throw new WikiDisambiguationError(cleanQuery, candidates);
+      }
+
+      return {
+        name: response.data.title,
+        englishName: await fetchEnglishTitle(response.data.title, lang),
+        lang: lang,
+        summary: response.data.extract || "",
+        thumbnail: response.data.thumbnail?.source || null,
+        url: response.data.content_urls?.desktop?.page || null,
+        coordinates: response.data.coordinates || null,
+        type: response.data.type || null,
+        country: extractCountryFromSummary(response.data.extract) || null,
+        canonicalTitle: response.data.titles?.canonical || response.data.title,
+        revision: response.data.revision || null,
+        wikidataId: response.data.wikibase_item || null,
+        redirectedFrom: isSameTitle(cleanQuery, response.data.title)
+          ? null
+          : cleanQuery,
+        resolvedFrom: null,
+      };
+    }
+
+    throw new WikiNotFoundError(query);
+  } catch (error) {
+    if (error.response?.status === 404) {
+      throw new WikiNotFoundError(query);
+    }
+
+    throw toWikiError(error);
+  }
+};
+
+// ─────────────────────────────────────────────────────────────
+//  Get the place articles linked from a disambiguation page
+//  @param {string} title - Disambiguation page title
+//  @param {string} query - Original query, used for confidence scoring
+//  @param {string} lang - Wikipedia language edition
+//  @returns {Promise<Array>} - Place candidates sorted by confidence
+// ─────────────────────────────────────────────────────────────
+const getDisambiguationCandidates = async (title, query, lang) => {
+  const pages = await fetchPages(
+    {
+      titles: title,
+      generator: "links",
+      gplnamespace: "0",
+      gpllimit: DISAMBIGUATION_LINK_LIMIT,
+    },
+    lang
+  );
+
+  // Dozens of links - no per-page summary calls, Wikidata classes are batched
+  const candidates = await buildSuggestions(
+    query,
+    pages.filter(isArticlePage),
+    { fetchMissing: false, lang }
+  );
+
+  return candidates
+    .filter((candidate) => candidate !== null)
+    .sort((a, b) => b.confidence - a.confidence);
+};
+
+// ─────────────────────────────────────────────────────────────
+//  Compare a query with a resolved title the way Wikipedia normalizes titles
+//  @param {string} query - Requested title
+//  @param {string} title - Title Wikipedia answered with
+//  @returns {boolean} - True when no redirect was followed
+// ─────────────────────────────────────────────────────────────
+const isSameTitle = (query, title) => {
+  const normalize = (text) => {
+    const spaced = text.replace(/_/g, " ").replace(/\s+/g, " ").trim();
+    return spaced.charAt(0).toUpperCase() + spaced.slice(1);
+  };
+  return normalize(query) === normalize(title);
+};
@@ -1,13 +1,13 @@
+import { ApiError, UpstreamError, parseRetryAfter } from "./apiErrors.js";
+
 // ─────────────────────────────────────────────────────────────
 //  WikiErrors - Custom error classes for Wikipedia API
 // ─────────────────────────────────────────────────────────────
 
-export class WikiApiError extends Error {
-  constructor(message, code, status) {
-    super(message);
+export class WikiApiError extends ApiError {
+  constructor(message, code, status, options) {
+    super(message, code, status, options);
     this.name = "WikiApiError";
-    this.code = code;
-    this.status = status;
   }
 }
 
@@ -24,3 +24,45 @@ export class WikiNotFoundError extends WikiApiError {
     this.name = "WikiNotFoundError";
   }
 }
+
+export class WikiDisambiguationError extends WikiApiError {
+  constructor(query, candidates = []) {
+    super(
+      `"${query}" matches several Wikipedia articles - please pick one`,
+      "MULTIPLE_CHOICES",
+      300,
+      { extras: { candidates: candidates } }
+    );
+    this.name = "WikiDisambiguationError";
+    this.candidates = candidates;
+  }
+}
+
+export class WikiUnavailableError extends UpstreamError {
+  constructor(options) {
+    super(
+      "Wikipedia service temporarily unavailable",
+      "SERVICE_UNAVAILABLE",
+      503,
+      options
+    );
+    this.name = "WikiUnavailableError";
+  }
+}
+
+// ─────────────────────────────────────────────────────────────
+// Convert a failed Wikipedia request into a typed error
+//  Typed errors pass through; anything that isn't an HTTP failure is rethrown as is
+//  @param {Error} error - Error thrown while calling Wikipedia
+//  @returns {Error} - Error to throw
+// ─────────────────────────────────────────────────────────────
+export const toWikiError = (error) => {
+  if (error instanceof ApiError || !error.isAxiosError) return error;
+
+  if (error.code === "ECONNABORTED") return new WikiTimeoutError();
+
+  return new WikiUnavailableError({
+    retryAfter: parseRetryAfter(error.response?.headers?.["retry-after"]),
+    cause: error,
+  });
+};
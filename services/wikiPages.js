@@ -0,0 +1,184 @@
+import dotenv from "dotenv";
+dotenv.config();
+
+import { ENGLISH, restApiUrl, actionApiUrl } from "../utils/wiki/languages.js";
+import logger from "../utils/logger.js";
+import { httpRequest } from "./httpClient.js";
+import { wikipediaBreaker } from "./circuitBreakers.js";
+
+// ─────────────────────────────────────────────────────────────
+//  WikiPages - Batched page data for lists of Wikipedia articles
+//  Shared by search suggestions, disambiguation candidates and nearby places
+//  (see suggestionBuilder.js for turning pages into place suggestions)
+// ─────────────────────────────────────────────────────────────
+
+const WIKI_USER_AGENT = process.env.WIKIPEDIA_USER_AGENT;
+const WIKI_TIMEOUT = parseInt(process.env.WIKIPEDIA_TIMEOUT);
+const WIKI_BATCH_TIMEOUT = parseInt(process.env.WIKIPEDIA_BATCH_TIMEOUT);
+
+// Page data fetched alongside any generator (search results, disambiguation links)
+const PAGE_DATA_PARAMS = {
+  prop: "extracts|description|pageimages|coordinates|pageprops|info|revisions",
+  exintro: "1",
+  explaintext: "1",
+  exsentences: "2",
+  exlimit: "max",
+  piprop: "thumbnail",
+  pithumbsize: "320",
+  pilimit: "max",
+  colimit: "max",
+  ppprop: "disambiguation|wikibase_item",
+  rvprop: "timestamp", // last edit, as list=search reports it
+  format: "json",
+  formatversion: "2",
+  origin: "*",
+};
+
+// Added outside English to get each page's English title
+const ENGLISH_LINK_PARAMS = {
+  prop: `${PAGE_DATA_PARAMS.prop}|langlinks`,
+  lllang: ENGLISH,
+  lllimit: "max",
+};
+
+// ─────────────────────────────────────────────────────────────
+//  Run an action=query request with page data for every generated page
+//  @param {Object} generatorParams - Generator parameters (search, links, ...)
+//  @param {string} lang - Wikipedia language edition
+//  @returns {Promise<Array>} - Pages (formatversion 2), empty when none
+// ─────────────────────────────────────────────────────────────
+export const fetchPages = async (generatorParams, lang = ENGLISH) =>
+  (await queryPages(generatorParams, lang)).pages;
+
+// ─────────────────────────────────────────────────────────────
+//  Run a full-text search with page data for every result
+//  @param {Object} searchParams - generator=search parameters (gsrsearch, gsrlimit)
+//  @param {string} lang - Wikipedia language edition
+//  @returns {Promise<Object>} - { pages, didYouMean: Wikipedia's spelling
+//                               suggestion for the query, or null }
+// ─────────────────────────────────────────────────────────────
+export const searchPages = async (searchParams, lang = ENGLISH) => {
+  const { pages, searchinfo } = await queryPages(
+    { generator: "search", gsrinfo: "suggestion", ...searchParams },
+    lang
+  );
+  return { pages: pages, didYouMean: searchinfo?.suggestion || null };
+};
+
+// ─────────────────────────────────────────────────────────────
+//  Send an action=query request with the page data parameters
+//  @param {Object} generatorParams - Generator parameters (search, links, ...)
+//  @param {string} lang - Wikipedia language edition
+//  @returns {Promise<Object>} - { pages, searchinfo } from the query result
+// ─────────────────────────────────────────────────────────────
+const queryPages = async (generatorParams, lang) => {
+  const params = new URLSearchParams({
+    action: "query",
+    ...generatorParams,
+    ...PAGE_DATA_PARAMS,
+    ...(lang !== ENGLISH && ENGLISH_LINK_PARAMS),
+  });
+
+  const response = await httpRequest(
+    "wikipedia_search",
+    {
+      url: `${actionApiUrl(lang)}?${params}`,
+      timeout: WIKI_TIMEOUT,
+      headers: {
+        "User-Agent": WIKI_USER_AGENT,
+      },
+    },
+    { breaker: wikipediaBreaker }
+  );
+
+  const result = response.data?.query || {};
+  return {
+    pages: Array.isArray(result.pages) ? result.pages : [],
+    searchinfo: result.searchinfo || null,
+  };
+};
+
+// ─────────────────────────────────────────────────────────────
+//  Check that a batched page is an existing, non-disambiguation article
+//  @param {Object} page - Page from an action=query response
+//  @returns {boolean} - True for regular articles
+// ─────────────────────────────────────────────────────────────
+export const isArticlePage = (page) =>
+  !page.missing && page.pageprops?.disambiguation === undefined;
+
+// ─────────────────────────────────────────────────────────────
+//  Get a page summary for one title, ignoring failures
+//  @param {string} title - Wikipedia article title
+//  @param {string} lang - Wikipedia language edition
+//  @returns {Promise<Object|null>} - REST summary data or null
+// ─────────────────────────────────────────────────────────────
+export const getSummaryFallback = async (title, lang) => {
+  try {
+    const summaryUrl = `${restApiUrl(lang)}/page/summary/${encodeURIComponent(
+      title
+    )}`;
+    const response = await httpRequest(
+      "wikipedia_summary",
+      {
+        url: summaryUrl,
+        timeout: WIKI_BATCH_TIMEOUT,
+        headers: {
+          "User-Agent": WIKI_USER_AGENT,
+        },
+      },
+      { breaker: wikipediaBreaker }
+    );
+    return response.data || null;
+  } catch (error) {
+    // If summary fails, continue without extract/thumbnail
+    logger.debug("Could not get summary", {
+      title: title,
+      error: error.message,
+    });
+    return null;
+  }
+};
+
+// ─────────────────────────────────────────────────────────────
+//  Get the English title of a local article from its interlanguage link
+//  @param {string} title - Article title in the local edition
+//  @param {string} lang - Wikipedia language edition
+//  @returns {Promise<string|null>} - English title, null when there is
+//                                    no English article or the call failed
+// ─────────────────────────────────────────────────────────────
+export const fetchEnglishTitle = async (title, lang) => {
+  if (lang === ENGLISH) return title;
+
+  try {
+    const params = new URLSearchParams({
+      action: "query",
+      titles: title,
+      prop: "langlinks",
+      lllang: ENGLISH,
+      redirects: "1",
+      format: "json",
+      formatversion: "2",
+      origin: "*",
+    });
+    const response = await httpRequest(
+      "wikipedia_langlinks",
+      {
+        url: `${actionApiUrl(lang)}?${params}`,
+        timeout: WIKI_BATCH_TIMEOUT,
+        headers: {
+          "User-Agent": WIKI_USER_AGENT,
+        },
+      },
+      { breaker: wikipediaBreaker }
+    );
+    return response.data?.query?.pages?.[0]?.langlinks?.[0]?.title || null;
+  } catch (error) {
+    // The local article is still served without its English title
+    logger.debug("Could not get English title", {
+      title: title,
+      lang: lang,
+      error: error.message,
+    });
+    return null;
+  }
+};
@@ -1,12 +1,16 @@
 import dotenv from "dotenv";
 dotenv.config();
 
-import axios from "axios";
-import { extractCountryFromSummary } from "../utils/wiki/countryExtraction.js";
-import { calculatePlaceConfidence } from "../utils/wiki/confidenceScoring.js";
-import { isPlace } from "../utils/wiki/placeDetection.js";
-import { cleanSnippet } from "../utils/wiki/textNormalization.js";
-import { WikiTimeoutError, WikiNotFoundError } from "./wikiErrors.js";
+import { searchPages, isArticlePage } from "./wikiPages.js";
+import { fetchArticle } from "./wikiArticles.js";
+import { buildSuggestions } from "./suggestionBuilder.js";
+import { ValidationError } from "./apiErrors.js";
+import { WikiNotFoundError, toWikiError } from "./wikiErrors.js";
+import config from "../utils/config.js";
+import { ENGLISH } from "../utils/wiki/languages.js";
+import { normalizeText } from "../utils/wiki/textNormalization.js";
+import logger from "../utils/logger.js";
+import { rankSuggestions } from "./popularityService.js";
 
 // ─────────────────────────────────────────────────────────────
 //  WikiService - Modern ES6+ Wikipedia API integration
@@ -14,185 +18,152 @@ import { WikiTimeoutError, WikiNotFoundError } from "./wikiErrors.js";
 // ─────────────────────────────────────────────────────────────
 
 // Minimal configuration - main settings from .env file
-const WIKI_BASE_URL = process.env.WIKIPEDIA_API_BASE_URL;
-const WIKI_USER_AGENT = process.env.WIKIPEDIA_USER_AGENT;
-const WIKI_TIMEOUT = parseInt(process.env.WIKIPEDIA_TIMEOUT);
-const WIKI_BATCH_TIMEOUT = parseInt(process.env.WIKIPEDIA_BATCH_TIMEOUT);
 const SEARCH_LIMIT = parseInt(process.env.WIKIPEDIA_SEARCH_LIMIT);
 const RETURN_LIMIT = parseInt(process.env.WIKIPEDIA_RETURN_LIMIT);
 
-// Fixed constants (not configurable)
-const WIKI_SEARCH_URL = "https://en.wikipedia.org/w/api.php";
-
 // ─────────────────────────────────────────────────────────────
 //  Get search suggestions for a query - FUZZY MATCHING APPROACH
+//  One generator=search query returns extracts, thumbnails, coordinates
+//  and page props for every candidate. When Wikipedia suggests another
+//  spelling ("did you mean"), its results are added as candidates too.
 //  @param {string} query - Search query (place name, building, etc.)
-//  @returns {Promise<Array>} - Array of search suggestions with confidence scores
+//  @param {Object} options - { lang: Wikipedia language edition, debug: add scoreBreakdown,
+//                              orderBy: "ranking" (default) or "confidence" - no popularity }
+//  @returns {Promise<Array>} - Search suggestions with confidence scores, and
+//                             ranking factors when ordered by ranking
 // ─────────────────────────────────────────────────────────────
-export const searchSuggestions = async (query) => {
+export const searchSuggestions = async (query, options = {}) => {
+  const { lang = ENGLISH, debug = false, orderBy = "ranking" } = options;
   try {
     if (!query || typeof query !== "string" || query.trim().length === 0) {
-      throw new Error("Invalid search query");
+      throw new ValidationError("Invalid search query");
     }
 
     const cleanQuery = query.trim();
-    console.log(`Getting search suggestions for: "${cleanQuery}"`);
-
-    // Use Wikipedia's search API for fuzzy matching
-    const params = new URLSearchParams({
-      action: "query",
-      list: "search",
-      srsearch: cleanQuery,
-      srlimit: SEARCH_LIMIT,
-      srprop: "snippet|timestamp|size",
-      format: "json",
-      origin: "*",
+    logger.debug("Getting search suggestions", {
+      query: cleanQuery,
+      lang: lang,
     });
 
-    const response = await axios.get(`${WIKI_SEARCH_URL}?${params}`, {
-      timeout: WIKI_TIMEOUT,
-      headers: {
-        "User-Agent": WIKI_USER_AGENT,
-      },
-    });
-
-    if (!response.data || !response.data.query || !response.data.query.search) {
-      return [];
+    // Use Wikipedia's search API for fuzzy matching, with page data batched in
+    const search = await searchPages(
+      { gsrsearch: cleanQuery, gsrlimit: SEARCH_LIMIT },
+      lang
+    );
+    const didYouMean =
+      search.didYouMean &&
+      normalizeText(search.didYouMean) !== normalizeText(cleanQuery)
+        ? search.didYouMean
+        : null;
+
+    // Keep Wikipedia's search order and skip disambiguation pages;
+    // results for the suggested spelling follow, without duplicates
+    const candidates = inSearchOrder(search.pages);
+    if (didYouMean) {
+      const seen = new Set(candidates.map((page) => page.pageid));
+      const corrected = await searchSuggestedSpelling(didYouMean, lang);
+      candidates.push(...corrected.filter((page) => !seen.has(page.pageid)));
     }
 
-    const searchResults = response.data.query.search;
-
     // Process and enhance the search results with place filtering
-    const suggestions = await Promise.all(
-      searchResults.map(async (result) => {
-        // Check if this is a place and calculate place-specific confidence
-        const placeCheck = isPlace(result.title, result.snippet);
-        const confidence = calculatePlaceConfidence(
-          cleanQuery,
-          result.title,
-          result.snippet
-        );
-
-        // Skip non-places (confidence will be 0)
-        if (!placeCheck.isPlace) {
-          return null;
-        }
-
-        // Get additional info for each suggestion
-        let thumbnail = null;
-        let country = null;
-
-        try {
-          // Get summary for thumbnail and country info
-          const summaryUrl = `${WIKI_BASE_URL}/page/summary/${encodeURIComponent(
-            result.title
-          )}`;
-          const summaryResponse = await axios.get(summaryUrl, {
-            timeout: WIKI_BATCH_TIMEOUT,
-            headers: {
-              "User-Agent": WIKI_USER_AGENT,
-            },
-          });
-
-          if (summaryResponse.data) {
-            thumbnail = summaryResponse.data.thumbnail?.source || null;
-            country =
-              extractCountryFromSummary(summaryResponse.data.extract) || null;
-          }
-        } catch (error) {
-          // If summary fails, continue without thumbnail/country
-          console.log(
-            `Could not get summary for "${result.title}": ${error.message}`
-          );
-        }
-
-        return {
-          title: result.title,
-          snippet: cleanSnippet(result.snippet),
-          confidence: confidence,
-          placeType: placeCheck.placeType,
-          placeConfidence: placeCheck.confidence,
-          thumbnail: thumbnail,
-          country: country,
-          size: result.size,
-          timestamp: result.timestamp,
-        };
-      })
-    );
+    const suggestions = await buildSuggestions(cleanQuery, candidates, {
+      lang,
+      didYouMean,
+      debug,
+    });
 
-    // Filter out null results (non-places) and sort by confidence
+    // Filter out null results (non-places)
     const validSuggestions = suggestions.filter(
       (suggestion) => suggestion !== null
     );
 
-    // Sort by confidence (highest first) and return top 3
-    return validSuggestions
-      .sort((a, b) => b.confidence - a.confidence)
+    if (orderBy === "confidence") {
+      return validSuggestions
+        .sort((a, b) => b.confidence - a.confidence)
+        .slice(0, RETURN_LIMIT);
+    }
+
+    // Rank by confidence and popularity (highest first) and return top 3
+    return (await rankSuggestions(validSuggestions, lang))
+      .sort((a, b) => b.ranking.score - a.ranking.score)
       .slice(0, RETURN_LIMIT);
   } catch (error) {
-    if (error.code === "ECONNABORTED") {
-      throw new WikiTimeoutError();
-    }
+    logger.warn("Search suggestions failed", { error: error.message });
+    throw toWikiError(error);
+  }
+};
+
+// ─────────────────────────────────────────────────────────────
+//  Keep the article pages of a search, in Wikipedia's order
+//  @param {Array} pages - Pages from a generator=search response
+//  @returns {Array} - Articles, disambiguation pages skipped
+// ─────────────────────────────────────────────────────────────
+const inSearchOrder = (pages) =>
+  pages.filter(isArticlePage).sort((a, b) => a.index - b.index);
 
-    console.error(`Search suggestions failed: ${error.message}`);
-    throw new Error(`Search suggestions failed: ${error.message}`);
+// ─────────────────────────────────────────────────────────────
+//  Search Wikipedia's suggested spelling of a query
+//  Best effort: the original results are enough when this fails
+//  @param {string} didYouMean - Suggested query, e.g. "eiffel tower"
+//  @param {string} lang - Wikipedia language edition
+//  @returns {Promise<Array>} - Article pages in search order, empty on error
+// ─────────────────────────────────────────────────────────────
+const searchSuggestedSpelling = async (didYouMean, lang) => {
+  try {
+    logger.debug("Searching suggested spelling", { did_you_mean: didYouMean });
+    const { pages } = await searchPages(
+      { gsrsearch: didYouMean, gsrlimit: SEARCH_LIMIT },
+      lang
+    );
+    return inSearchOrder(pages);
+  } catch (error) {
+    logger.warn("Suggested spelling search failed", {
+      did_you_mean: didYouMean,
+      error: error.message,
+    });
+    return [];
   }
 };
 
 // ─────────────────────────────────────────────────────────────
 //  Search for a Wikipedia article by query - SINGLE METHOD APPROACH
+//  With options.resolve, a 404 falls back to the best fuzzy place match
 //  @param {string} query - Search query (place name, building, etc.)
+//  @param {Object} options - { resolve: boolean, lang: Wikipedia language edition }
 //  @returns {Promise<Object>} - Article summary with key info for timeline
 // ─────────────────────────────────────────────────────────────
-export const searchArticle = async (query) => {
+export const searchArticle = async (query, options = {}) => {
+  const { lang = ENGLISH } = options;
   try {
-    if (!query || typeof query !== "string" || query.trim().length === 0) {
-      throw new Error("Invalid search query");
-    }
-
-    const cleanQuery = query.trim();
-
-    // Use Wikipedia Summary API for fastest response
-    const summaryUrl = `${WIKI_BASE_URL}/page/summary/${encodeURIComponent(
-      cleanQuery
-    )}`;
-
-    const response = await axios.get(summaryUrl, {
-      timeout: WIKI_TIMEOUT,
-      headers: {
-        "User-Agent": WIKI_USER_AGENT,
-      },
-    });
-
-    if (response.data && response.data.title) {
-      return {
-        name: response.data.title,
-        summary: response.data.extract || "",
-        thumbnail: response.data.thumbnail?.source || null,
-        url: response.data.content_urls?.desktop?.page || null,
-        coordinates: response.data.coordinates || null,
-        type: response.data.type || null,
-        country: extractCountryFromSummary(response.data.extract) || null,
-      };
-    }
-
-    throw new WikiNotFoundError(query);
+    return await fetchArticle(query, lang);
   } catch (error) {
-    if (error.response?.status === 404) {
-      throw new WikiNotFoundError(query);
-    }
-
-    if (error.code === "ECONNABORTED") {
-      throw new WikiTimeoutError();
+    if (!options.resolve || !(error instanceof WikiNotFoundError)) {
+      throw error;
     }
 
-    if (
-      error instanceof WikiNotFoundError ||
-      error instanceof WikiTimeoutError
-    ) {
+    // Misspelled title - use the closest place match if it's confident
+    // enough; popularity only orders the list users pick from
+    const [best] = await searchSuggestions(query, {
+      lang,
+      orderBy: "confidence",
+    });
+    if (!best || best.confidence < config.search.resolveThreshold) {
       throw error;
     }
 
-    throw new Error(`Wikipedia API error: ${error.message}`);
+    logger.info("Resolved query to best match", {
+      query: query,
+      title: best.title,
+      confidence: best.confidence,
+    });
+    const article = await fetchArticle(best.title, lang);
+    return {
+      ...article,
+      resolvedFrom: {
+        query: query.trim(),
+        title: article.name,
+        confidence: best.confidence,
+      },
+    };
   }
 };
@@ -0,0 +1,140 @@
+import config from "../utils/config.js";
+import { ENGLISH } from "../utils/wiki/languages.js";
+import {
+  getBestValue,
+  getValueIds,
+  parseTime,
+} from "../utils/wiki/wikidataValues.js";
+import { httpRequest } from "./httpClient.js";
+import { wikidataBreaker } from "./circuitBreakers.js";
+
+// ─────────────────────────────────────────────────────────────
+//  Wikidata Service - Structured facts for a Wikipedia article's item
+//  Reads dates, country and coordinates used to cross-check AI output
+// ─────────────────────────────────────────────────────────────
+
+// Wikidata properties we read for each place
+const PROPERTIES = {
+  inception: "P571",
+  official_opening: "P1619",
+  dissolved: "P576", // dissolved, abolished or demolished date
+  country: "P17",
+  coordinates: "P625",
+  instance_of: "P31",
+  subclass_of: "P279",
+};
+
+// wbgetentities accepts at most 50 IDs per call
+const MAX_IDS_PER_CALL = 50;
+
+// ─────────────────────────────────────────────────────────────
+// Get structured place facts for a Wikidata item
+//  @param {string} itemId - Wikidata item ID (e.g. "Q243")
+//  @param {string} lang - Language of labels, falling back to English
+//  @returns {Promise<Object|null>} - Facts or null when the item is unknown
+// ─────────────────────────────────────────────────────────────
+export const getPlaceFacts = async (itemId, lang = ENGLISH) => {
+  if (!itemId || !/^Q\d+$/.test(itemId)) {
+    return null;
+  }
+
+  const entity = (await fetchEntities([itemId], "claims"))[itemId];
+  if (!entity || entity.missing !== undefined) {
+    return null;
+  }
+
+  const claims = entity.claims || {};
+  const countryId = getBestValue(claims[PROPERTIES.country])?.id || null;
+  const coordinates = getBestValue(claims[PROPERTIES.coordinates]);
+
+  return {
+    id: itemId,
+    url: `https://www.wikidata.org/wiki/${itemId}`,
+    inception: parseTime(getBestValue(claims[PROPERTIES.inception])),
+    official_opening: parseTime(
+      getBestValue(claims[PROPERTIES.official_opening])
+    ),
+    dissolved: parseTime(getBestValue(claims[PROPERTIES.dissolved])),
+    country: countryId ? await getLabel(countryId, lang) : null,
+    coordinates: coordinates
+      ? { lat: coordinates.latitude, lon: coordinates.longitude }
+      : null,
+  };
+};
+
+// ─────────────────────────────────────────────────────────────
+// Get the classes of entities (instance of and subclass of)
+//  Items are classified through P31; classes are walked up through P279
+//  @param {Array<string>} ids - Wikidata entity IDs, any number
+//  @returns {Promise<Object>} - { id → { instanceOf, subclassOf } } for
+//                               the entities that exist
+// ─────────────────────────────────────────────────────────────
+export const getClassLinks = async (ids) => {
+  const chunks = [];
+  for (let start = 0; start < ids.length; start += MAX_IDS_PER_CALL) {
+    chunks.push(ids.slice(start, start + MAX_IDS_PER_CALL));
+  }
+
+  const batches = await Promise.all(
+    chunks.map((chunk) => fetchEntities(chunk, "claims"))
+  );
+
+  return Object.fromEntries(
+    batches
+      .flatMap((entities) => Object.entries(entities))
+      .filter(([, entity]) => entity.missing === undefined)
+      .map(([id, entity]) => [
+        id,
+        {
+          instanceOf: getValueIds(entity.claims?.[PROPERTIES.instance_of]),
+          subclassOf: getValueIds(entity.claims?.[PROPERTIES.subclass_of]),
+        },
+      ])
+  );
+};
+
+// ─────────────────────────────────────────────────────────────
+// Fetch entities from the Wikidata API
+//  @param {Array<string>} ids - Wikidata entity IDs
+//  @param {string} props - Entity parts to fetch (claims, labels, ...)
+//  @param {Array<string>} languages - Label languages
+//  @returns {Promise<Object>} - Entities keyed by ID
+// ─────────────────────────────────────────────────────────────
+const fetchEntities = async (ids, props, languages = [ENGLISH]) => {
+  const params = new URLSearchParams({
+    action: "wbgetentities",
+    ids: ids.join("|"),
+    props: props,
+    languages: languages.join("|"),
+    format: "json",
+    origin: "*",
+  });
+
+  const response = await httpRequest(
+    "wikidata",
+    {
+      url: `${config.wikidata.apiUrl}?${params}`,
+      timeout: config.wikidata.timeout,
+      headers: {
+        "User-Agent": config.wikipedia.userAgent,
+      },
+    },
+    { breaker: wikidataBreaker }
+  );
+
+  return response.data?.entities || {};
+};
+
+// ─────────────────────────────────────────────────────────────
+// Get the label of an entity, in English when the language has none
+//  @param {string} id - Wikidata entity ID
+//  @param {string} lang - Preferred label language
+//  @returns {Promise<string|null>} - Label or null
+// ─────────────────────────────────────────────────────────────
+const getLabel = async (id, lang) => {
+  const languages = [...new Set([lang, ENGLISH])];
+  const entity = (await fetchEntities([id], "labels", languages))[id];
+  return (
+    entity?.labels?.[lang]?.value || entity?.labels?.[ENGLISH]?.value || null
+  );
+};
@@ -0,0 +1,128 @@
+import { after, before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+// ─────────────────────────────────────────────────────────────
+//  aiRateLimiter - reserved credits and refunds of cheaper requests
+//  Costs: relatedEvents 2, timeline 1, timelineCached 0
+// ─────────────────────────────────────────────────────────────
+
+process.env.LOG_LEVEL = "error";
+process.env.AI_PROVIDER = "mock";
+process.env.AI_RATE_LIMIT_MAX_REQUESTS = "100";
+
+const { default: express } = await import("express");
+const {
+  default: aiRateLimiter,
+  setAiCost,
+  getAiQuota,
+} = await import("../middleware/aiRateLimiter.js");
+const { default: errorHandler } = await import("../middleware/errorHandler.js");
+const { default: relatedEventsRoutes } =
+  await import("../routes/relatedEventsRoute.js");
+
+// Routes that name their cost at different points of the response
+const router = express.Router();
+let reached; // Resolves once /slow has reserved its credits
+let named; // Resolves once /slow has named its cost after the client left
+
+router.post("/cached", aiRateLimiter("relatedEvents"), (req, res) => {
+  setAiCost(res, "timelineCached");
+  res.json({ success: true });
+});
+router.post("/full", aiRateLimiter("relatedEvents"), (req, res) => {
+  res.json({ success: true });
+});
+router.post("/slow", aiRateLimiter("relatedEvents"), async (req, res) => {
+  const closed = new Promise((resolve) => res.on("close", resolve));
+  reached.resolve();
+  await closed;
+  setAiCost(res, "timeline");
+  named.resolve();
+});
+
+const app = express();
+app.use(express.json());
+app.use("/test", router);
+app.use("/api/related-events", relatedEventsRoutes);
+app.use(errorHandler);
+
+let server;
+let baseUrl;
+
+before(async () => {
+  server = app.listen(0, "127.0.0.1");
+  await new Promise((resolve) => server.once("listening", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => server.close());
+
+// Credits the test client has spent this hour
+const used = () => getAiQuota({ ip: "127.0.0.1" }).hourly.used;
+
+const post = (path, body = {}, options = {}) =>
+  fetch(`${baseUrl}${path}`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body),
+    ...options,
+  });
+
+// Wait for the server to finish handling a response it has sent
+const settled = () => new Promise((resolve) => setImmediate(resolve));
+
+describe("aiRateLimiter", () => {
+  it("keeps the full cost when the route doesn't name a lower one", async () => {
+    const before = used();
+    const response = await post("/test/full");
+    await settled();
+
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get("ratelimit-limit"), "100");
+    assert.equal(used() - before, 2);
+  });
+
+  it("refunds the difference when the route sets a lower cost", async () => {
+    const before = used();
+    const response = await post("/test/cached");
+    await settled();
+
+    assert.equal(response.status, 200);
+    assert.equal(used() - before, 0);
+  });
+
+  it("refunds once the route names its cost after the client left", async () => {
+    reached = deferred();
+    named = deferred();
+    const before = used();
+    const controller = new AbortController();
+
+    const request = post("/test/slow", {}, { signal: controller.signal });
+    await reached.promise;
+    assert.equal(used() - before, 2);
+
+    controller.abort();
+    await assert.rejects(request, { name: "AbortError" });
+    await named.promise;
+
+    assert.equal(used() - before, 1);
+  });
+
+  it("validates the request before reserving credits", async () => {
+    const before = used();
+    const response = await post("/api/related-events", { placeData: {} });
+    const body = await response.json();
+
+    assert.equal(response.status, 400);
+    assert.equal(body.success, false);
+    assert.equal(body.code, "VALIDATION_ERROR");
+    assert.equal(used(), before);
+  });
+});
+
+// Promise with its resolve function
+function deferred() {
+  let resolve;
+  const promise = new Promise((settle) => (resolve = settle));
+  return { promise, resolve };
+}
@@ -0,0 +1,168 @@
+import { after, before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { execFile } from "node:child_process";
+import { createHash } from "node:crypto";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { promisify } from "node:util";
+
+// ─────────────────────────────────────────────────────────────
+//  API keys - hashed storage, tier limits and the `npm run keys` CLI
+//  The store and the CLI share a key file in a temp directory
+// ─────────────────────────────────────────────────────────────
+
+const keyDir = await fs.mkdtemp(path.join(os.tmpdir(), "api-keys-test-"));
+const keyFile = path.join(keyDir, "api-keys.json");
+
+process.env.LOG_LEVEL = "error";
+process.env.API_KEYS_FILE = keyFile;
+process.env.RATE_LIMIT_MAX_REQUESTS = "100";
+
+const { default: express } = await import("express");
+const { issueApiKey, listApiKeys, revokeApiKey, findApiKey } =
+  await import("../services/apiKeyStore.js");
+const { default: apiKeyAuth } = await import("../middleware/apiKeyAuth.js");
+const { default: webRateLimiter } =
+  await import("../middleware/webRateLimiter.js");
+const { default: errorHandler } = await import("../middleware/errorHandler.js");
+
+const sha256 = (value) => createHash("sha256").update(value).digest("hex");
+
+// Run the key admin CLI against the test key file
+const runCli = (...args) =>
+  promisify(execFile)(process.execPath, ["scripts/apiKeys.js", ...args], {
+    env: { ...process.env, API_KEYS_FILE: keyFile },
+  });
+
+// Echo who the request was authenticated as
+const app = express();
+app.use("/api", apiKeyAuth);
+app.get("/api/whoami", webRateLimiter, (req, res) =>
+  res.json({ success: true, data: req.apiKey ?? null })
+);
+app.use(errorHandler);
+
+let server;
+let baseUrl;
+
+before(async () => {
+  server = app.listen(0, "127.0.0.1");
+  await new Promise((resolve) => server.once("listening", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  server.close();
+  await fs.rm(keyDir, { recursive: true, force: true });
+});
+
+const whoami = (headers = {}) =>
+  fetch(`${baseUrl}/api/whoami`, { headers: headers });
+
+describe("apiKeyStore", () => {
+  it("stores only a hash of the issued key", async () => {
+    const issued = await issueApiKey("Campus lab", "free");
+
+    assert.match(issued.key, /^ptk_[\w-]{32}$/);
+    assert.equal(issued.key_hash, undefined);
+
+    const raw = await fs.readFile(keyFile, "utf8");
+    const stored = JSON.parse(raw).keys.find(({ id }) => id === issued.id);
+    assert.equal(stored.key_hash, sha256(issued.key));
+    assert.equal(raw.includes(issued.key), false);
+    assert.equal((await fs.stat(keyFile)).mode & 0o777, 0o600);
+  });
+
+  it("finds active keys and never returns their hash", async () => {
+    const issued = await issueApiKey("Museum app");
+
+    const found = await findApiKey(issued.key);
+
+    assert.deepEqual(found, {
+      id: issued.id,
+      name: "Museum app",
+      tier: "standard",
+      created_at: issued.created_at,
+      revoked_at: null,
+    });
+    assert.equal(await findApiKey(`${issued.key}x`), null);
+    assert.ok((await listApiKeys()).every((key) => !("key_hash" in key)));
+  });
+
+  it("rejects revoked keys but keeps their record", async () => {
+    const issued = await issueApiKey("Old kiosk");
+
+    const revoked = await revokeApiKey(issued.id);
+
+    assert.ok(revoked.revoked_at);
+    assert.equal(await findApiKey(issued.key), null);
+    assert.ok((await listApiKeys()).some(({ id }) => id === issued.id));
+    await assert.rejects(revokeApiKey("missing"), {
+      code: "API_KEY_NOT_FOUND",
+    });
+  });
+
+  it("requires a name and a known tier", async () => {
+    await assert.rejects(issueApiKey("  "), { code: "INVALID_INPUT" });
+    await assert.rejects(issueApiKey("Campus lab", "gold"), {
+      message: /Unknown tier "gold"/,
+    });
+  });
+});
+
+describe("apiKeyAuth", () => {
+  it("switches the web limit to the key's tier", async () => {
+    const { key, id } = await issueApiKey("Partner", "partner");
+
+    const viaHeader = await whoami({ "X-API-Key": key });
+    const viaBearer = await whoami({ Authorization: `Bearer ${key}` });
+
+    assert.equal((await viaHeader.json()).data.id, id);
+    assert.equal((await viaBearer.json()).data.tier, "partner");
+    assert.equal(viaHeader.headers.get("ratelimit-limit"), "1000");
+  });
+
+  it("keeps anonymous requests on the per-IP limit", async () => {
+    const response = await whoami();
+
+    assert.equal((await response.json()).data, null);
+    assert.equal(response.headers.get("ratelimit-limit"), "100");
+  });
+
+  it("rejects unknown and revoked keys instead of falling back to the IP", async () => {
+    const { key, id } = await issueApiKey("Leaked", "free");
+    await revokeApiKey(id);
+
+    for (const headers of [
+      { "X-API-Key": "ptk_wrong" },
+      { "X-API-Key": key },
+    ]) {
+      const response = await whoami(headers);
+      assert.equal(response.status, 401);
+      assert.equal((await response.json()).code, "INVALID_API_KEY");
+    }
+  });
+});
+
+describe("npm run keys", () => {
+  it("issues a key the running server accepts, then revokes it", async () => {
+    const { stdout } = await runCli("issue", "CLI user", "--tier", "free");
+    const key = stdout.match(/ptk_[\w-]+/)[0];
+    const id = stdout.match(/free key (\w+) for "CLI user"/)[1];
+
+    // The store re-reads the file the CLI wrote
+    assert.equal((await findApiKey(key)).id, id);
+    assert.match((await runCli("list")).stdout, /CLI user/);
+
+    assert.match((await runCli("revoke", id)).stdout, /Revoked key/);
+    assert.equal(await findApiKey(key), null);
+  });
+
+  it("exits with an error for an unknown tier", async () => {
+    await assert.rejects(runCli("issue", "CLI user", "--tier", "gold"), {
+      code: 1,
+      stderr: /Unknown tier "gold"/,
+    });
+  });
+});
@@ -0,0 +1,117 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+// ─────────────────────────────────────────────────────────────
+//  createCircuitBreaker - closed → open → half_open → closed
+// ─────────────────────────────────────────────────────────────
+
+process.env.LOG_LEVEL = "error";
+
+const { AxiosError } = await import("axios");
+const { createCircuitBreaker } = await import("../utils/circuitBreaker.js");
+
+const RESET_TIMEOUT_MS = 50;
+
+class OpenCircuitError extends Error {}
+
+const createBreaker = () =>
+  createCircuitBreaker("test", {
+    failureThreshold: 2,
+    resetTimeoutMs: RESET_TIMEOUT_MS,
+    rejectWith: (retryAfter) =>
+      Object.assign(new OpenCircuitError("open"), { retryAfter }),
+  });
+
+const outage = () => {
+  throw new AxiosError("timeout", AxiosError.ECONNABORTED);
+};
+const notFound = () => {
+  throw new AxiosError(
+    "not found",
+    AxiosError.ERR_BAD_REQUEST,
+    {},
+    {},
+    {
+      status: 404,
+    }
+  );
+};
+const ok = async () => "ok";
+
+const waitForReset = () =>
+  new Promise((resolve) => setTimeout(resolve, RESET_TIMEOUT_MS + 10));
+
+// Trip a breaker with consecutive outages
+const trip = async (breaker) => {
+  for (let i = 0; i < 2; i++) {
+    await assert.rejects(breaker.call(outage), AxiosError);
+  }
+};
+
+describe("createCircuitBreaker", () => {
+  it("opens after the failure threshold and rejects at once", async () => {
+    const breaker = createBreaker();
+    await assert.rejects(breaker.call(outage), AxiosError);
+    assert.equal(breaker.snapshot().state, "closed");
+
+    await assert.rejects(breaker.call(outage), AxiosError);
+    assert.equal(breaker.snapshot().state, "open");
+    assert.equal(breaker.snapshot().last_error, "timeout");
+
+    let called = false;
+    await assert.rejects(
+      breaker.call(async () => (called = true)),
+      { retryAfter: 1 }
+    );
+    assert.equal(called, false);
+  });
+
+  it("doesn't count answers like 404 as outages", async () => {
+    const breaker = createBreaker();
+    await assert.rejects(breaker.call(outage), AxiosError);
+    await assert.rejects(breaker.call(notFound), AxiosError);
+    await assert.rejects(breaker.call(outage), AxiosError);
+
+    assert.deepEqual(breaker.snapshot(), {
+      state: "closed",
+      failures: 1,
+      last_error: "timeout",
+    });
+  });
+
+  it("closes when the trial call after the timeout succeeds", async () => {
+    const breaker = createBreaker();
+    await trip(breaker);
+    await waitForReset();
+    assert.equal(breaker.snapshot().state, "half_open");
+
+    assert.equal(await breaker.call(ok), "ok");
+    assert.deepEqual(breaker.snapshot(), { state: "closed", failures: 0 });
+  });
+
+  it("reopens when the trial call fails", async () => {
+    const breaker = createBreaker();
+    await trip(breaker);
+    await waitForReset();
+
+    await assert.rejects(breaker.call(outage), AxiosError);
+    assert.equal(breaker.snapshot().state, "open");
+    await assert.rejects(breaker.call(ok), OpenCircuitError);
+  });
+
+  it("lets a single trial call through while half open", async () => {
+    const breaker = createBreaker();
+    await trip(breaker);
+    await waitForReset();
+
+    let finishTrial;
+    const trial = breaker.call(
+      () => new Promise((resolve) => (finishTrial = resolve))
+    );
+    await assert.rejects(breaker.call(ok), OpenCircuitError);
+
+    finishTrial("ok");
+    assert.equal(await trial, "ok");
+    assert.equal(await breaker.call(ok), "ok");
+  });
+});
@@ -0,0 +1,55 @@
+import { afterEach, describe, it, mock } from "node:test";
+import assert from "node:assert/strict";
+
+// ─────────────────────────────────────────────────────────────
+//  Config validation - numeric settings out of range stop the server
+//  process.exit is mocked to throw, so validation stops where it would
+// ─────────────────────────────────────────────────────────────
+
+process.env.LOG_LEVEL = "error";
+process.env.AI_PROVIDER = "mock";
+process.env.WIKIPEDIA_RESOLVE_THRESHOLD = "0";
+
+const { default: config } = await import("../utils/config.js");
+const { validateConfig } = await import("../utils/configValidation.js");
+
+afterEach(() => {
+  mock.restoreAll();
+  process.env.WIKIPEDIA_RESOLVE_THRESHOLD = "0";
+});
+
+// Run validateConfig and report the exit code it asked for, if any
+const exitCode = () => {
+  mock.method(process, "exit", (code) => {
+    throw Object.assign(new Error("exit"), { exitCode: code });
+  });
+  mock.method(process.stderr, "write", () => true);
+  try {
+    validateConfig();
+    return null;
+  } catch (error) {
+    return error.exitCode;
+  }
+};
+
+describe("WIKIPEDIA_RESOLVE_THRESHOLD", () => {
+  it("keeps an explicit 0 instead of the default", () => {
+    assert.equal(config.search.resolveThreshold, 0);
+    assert.equal(exitCode(), null);
+  });
+
+  it("stops the server for values that aren't a number from 0 to 1", () => {
+    for (const value of ["1.5", "-0.1", "half"]) {
+      process.env.WIKIPEDIA_RESOLVE_THRESHOLD = value;
+      assert.equal(exitCode(), 1, value);
+    }
+  });
+
+  it("accepts an unset or empty value", () => {
+    for (const value of [undefined, ""]) {
+      if (value === undefined) delete process.env.WIKIPEDIA_RESOLVE_THRESHOLD;
+      else process.env.WIKIPEDIA_RESOLVE_THRESHOLD = value;
+      assert.equal(exitCode(), null);
+    }
+  });
+});
@@ -0,0 +1,54 @@
+import { after, before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+// ─────────────────────────────────────────────────────────────
+//  CORS - headers browser clients may read from a cross-origin response
+// ─────────────────────────────────────────────────────────────
+
+process.env.LOG_LEVEL = "error";
+process.env.FRONTEND_URL = "https://app.example";
+
+const { default: express } = await import("express");
+const { default: corsMiddleware } = await import("../middleware/cors.js");
+const { default: webRateLimiter } =
+  await import("../middleware/webRateLimiter.js");
+
+const app = express();
+app.use(corsMiddleware);
+app.get("/limited", webRateLimiter, (req, res) => res.json({ success: true }));
+
+let server;
+let baseUrl;
+
+before(async () => {
+  server = app.listen(0, "127.0.0.1");
+  await new Promise((resolve) => server.once("listening", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => server.close());
+
+describe("corsMiddleware", () => {
+  it("exposes the request ID and the rate limit headers", async () => {
+    const response = await fetch(`${baseUrl}/limited`, {
+      headers: { Origin: "https://app.example" },
+    });
+    const exposed = response.headers
+      .get("access-control-expose-headers")
+      .split(",");
+
+    assert.equal(
+      response.headers.get("access-control-allow-origin"),
+      "https://app.example"
+    );
+    assert.ok(response.headers.get("ratelimit-remaining"));
+    assert.deepEqual(exposed, [
+      "X-Request-Id",
+      "RateLimit-Limit",
+      "RateLimit-Remaining",
+      "RateLimit-Reset",
+      "RateLimit-Policy",
+      "Retry-After",
+    ]);
+  });
+});
@@ -0,0 +1,108 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { crossCheckDates } from "../utils/timeline/dateCrossCheck.js";
+import { extractDatesWithRules } from "../utils/timeline/ruleBasedDates.js";
+
+// ─────────────────────────────────────────────────────────────
+//  crossCheckDates - extracted dates against Wikidata facts
+// ─────────────────────────────────────────────────────────────
+
+const FACTS = {
+  id: "Q1",
+  url: "https://www.wikidata.org/wiki/Q1",
+  inception: { date: "1887-01-28", year: 1887, precision: "day" },
+  official_opening: { date: "1889-03-31", year: 1889, precision: "day" },
+  dissolved: { date: "1912", year: 1912, precision: "year" },
+  country: "France",
+  coordinates: null,
+};
+
+const extract = (summary) => extractDatesWithRules(summary, "Tower");
+const wikidataSource = (result) =>
+  result.sources.find((source) => source.name === "wikidata");
+
+describe("crossCheckDates", () => {
+  it("checks agreeing dates without conflicts", () => {
+    const result = crossCheckDates(
+      extract("Built in 1887–1889, it was demolished in 1912."),
+      FACTS
+    );
+
+    assert.deepEqual(result.conflicts, []);
+    assert.deepEqual(wikidataSource(result).checked, [
+      "construction_start",
+      "construction_end",
+      "demolition",
+    ]);
+    assert.deepEqual(wikidataSource(result).fields, []);
+  });
+
+  it("flags dates that disagree with Wikidata", () => {
+    const result = crossCheckDates(
+      extract("Built in 1877–1889, it was demolished in 1920."),
+      FACTS
+    );
+
+    assert.deepEqual(result.conflicts, [
+      {
+        field: "construction_start",
+        ai: "1877",
+        wikidata: "1887-01-28",
+        wikidata_property: "inception",
+      },
+      {
+        field: "demolition",
+        ai: "1920",
+        wikidata: "1912",
+        wikidata_property: "dissolved",
+      },
+    ]);
+  });
+
+  it("fills missing dates and adds them as milestones", () => {
+    const result = crossCheckDates(extract("A tower in Paris."), FACTS);
+
+    assert.equal(result.construction_start, "1887-01-28");
+    assert.equal(result.construction_end, "1889-03-31");
+    assert.equal(result.date_precision, "month_year");
+    assert.deepEqual(wikidataSource(result).fields, [
+      "construction_start",
+      "construction_end",
+      "demolition",
+    ]);
+    assert.deepEqual(
+      result.milestones.map((milestone) => [
+        milestone.type,
+        milestone.date,
+        milestone.year,
+        milestone.span,
+      ]),
+      [
+        ["founding", "1887-01-28", 1887, null],
+        ["opening", "1889-03-31", 1889, null],
+        ["demolition", "1912", 1912, null],
+      ]
+    );
+  });
+
+  it("keeps the milestones in chronological order", () => {
+    const result = crossCheckDates(
+      extract("The tower was completed in 1889 and destroyed in 1940."),
+      { ...FACTS, official_opening: null }
+    );
+
+    assert.deepEqual(
+      result.milestones.map((milestone) => milestone.type),
+      ["founding", "construction_end", "demolition", "damage"]
+    );
+  });
+
+  it("reports only the extractor without Wikidata facts", () => {
+    const result = crossCheckDates(extract("Built in 1887–1889."), null);
+
+    assert.equal(result.wikidata, null);
+    assert.deepEqual(result.sources, [
+      { name: "rules", fields: ["construction_start", "construction_end"] },
+    ]);
+  });
+});
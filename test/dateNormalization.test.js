@@ -0,0 +1,148 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { normalizeDate } from "../utils/timeline/dateNormalization.js";
+
+// ─────────────────────────────────────────────────────────────
+//  normalizeDate - display dates → EDTF strings and signed year bounds
+//  Bounds use historical years (-500 = 500 BCE), EDTF astronomical ones
+// ─────────────────────────────────────────────────────────────
+
+// Compare the parts of a normalized date that matter for a case
+const assertDate = (value, expected) => {
+  const { edtf, earliest, latest, precision } = normalizeDate(value);
+  assert.deepEqual({ edtf, earliest, latest, precision }, expected);
+};
+
+describe("normalizeDate", () => {
+  it("reads calendar dates at their precision", () => {
+    assertDate("1887", {
+      edtf: "1887",
+      earliest: 1887,
+      latest: 1887,
+      precision: "year",
+    });
+    assertDate("January 1887", {
+      edtf: "1887-01",
+      earliest: 1887,
+      latest: 1887,
+      precision: "month",
+    });
+    assertDate("28 January 1887", {
+      edtf: "1887-01-28",
+      earliest: 1887,
+      latest: 1887,
+      precision: "day",
+    });
+    assertDate("January 28, 1887", {
+      edtf: "1887-01-28",
+      earliest: 1887,
+      latest: 1887,
+      precision: "day",
+    });
+    assertDate("1887-03-31", {
+      edtf: "1887-03-31",
+      earliest: 1887,
+      latest: 1887,
+      precision: "day",
+    });
+  });
+
+  it("reads decades, centuries and millennia as intervals", () => {
+    assertDate("the 1920s", {
+      edtf: "192X",
+      earliest: 1920,
+      latest: 1929,
+      precision: "decade",
+    });
+    assertDate("19th century", {
+      edtf: "1801/1900",
+      earliest: 1801,
+      latest: 1900,
+      precision: "century",
+    });
+    assertDate("2nd millennium", {
+      edtf: "1001/2000",
+      earliest: 1001,
+      latest: 2000,
+      precision: "millennium",
+    });
+  });
+
+  it("narrows early, mid and late spans to a third", () => {
+    assert.deepEqual(
+      ["early 12th century", "mid-19th century", "late 19th century"].map(
+        (value) => normalizeDate(value).edtf
+      ),
+      ["1101/1133", "1834/1867", "1868/1900"]
+    );
+  });
+
+  it("counts BCE years backwards without a year 0", () => {
+    assertDate("5th century BC", {
+      edtf: "-0499/-0400",
+      earliest: -500,
+      latest: -401,
+      precision: "century",
+    });
+    assertDate("480s BC", {
+      edtf: "-0488/-0479",
+      earliest: -489,
+      latest: -480,
+      precision: "decade",
+    });
+    assert.equal(normalizeDate("447 BC").era, "BCE");
+  });
+
+  it("reads short AD years with the era before or after them", () => {
+    assertDate("72 AD", {
+      edtf: "0072",
+      earliest: 72,
+      latest: 72,
+      precision: "year",
+    });
+    assertDate("AD 80", {
+      edtf: "0080",
+      earliest: 80,
+      latest: 80,
+      precision: "year",
+    });
+  });
+
+  it("reads ranges, sharing the unit or era of the end", () => {
+    assertDate("1887–1889", {
+      edtf: "1887/1889",
+      earliest: 1887,
+      latest: 1889,
+      precision: "year",
+    });
+    assert.equal(normalizeDate("1887–89").edtf, "1887/1889");
+    assert.equal(normalizeDate("between 1887 and 1889").edtf, "1887/1889");
+    assert.equal(normalizeDate("12th–13th century").edtf, "1101/1300");
+    assertDate("500–450 BC", {
+      edtf: "-0499/-0449",
+      earliest: -500,
+      latest: -450,
+      precision: "year",
+    });
+    assertDate("69–79 AD", {
+      edtf: "0069/0079",
+      earliest: 69,
+      latest: 79,
+      precision: "year",
+    });
+  });
+
+  it("marks approximate dates", () => {
+    const date = normalizeDate("c. 1200");
+    assert.equal(date.edtf, "1200~");
+    assert.equal(date.approximate, true);
+    assert.equal(date.display, "c. 1200");
+    assert.equal(normalizeDate("circa 447 BC").edtf, "-0446~");
+  });
+
+  it("returns null for values it can't read", () => {
+    for (const value of [null, undefined, "", "unknown", "0", "Spring 1887"]) {
+      assert.equal(normalizeDate(value), null, `${value}`);
+    }
+  });
+});
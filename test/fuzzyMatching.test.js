@@ -0,0 +1,116 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { normalizeText } from "../utils/wiki/textNormalization.js";
+import {
+  editDistance,
+  editSimilarity,
+  trigramSimilarity,
+  soundex,
+  phoneticSimilarity,
+} from "../utils/wiki/fuzzyMatching.js";
+import { scoreConfidence } from "../utils/wiki/confidenceScoring.js";
+
+// ─────────────────────────────────────────────────────────────
+//  Fuzzy matching - typo-tolerant similarities and transliteration
+//  Similarities take normalized text; scoreConfidence normalizes itself
+// ─────────────────────────────────────────────────────────────
+
+describe("normalizeText", () => {
+  it("strips diacritics and punctuation and lowercases", () => {
+    assert.equal(normalizeText("Kraków"), "krakow");
+    assert.equal(normalizeText("Notre-Dame de Paris"), "notredame de paris");
+    assert.equal(normalizeText(null), "");
+  });
+
+  it("transliterates letters that don't decompose to ASCII", () => {
+    assert.deepEqual(
+      ["Straße", "Łódź", "Øresund Bridge", "Þingvellir"].map(normalizeText),
+      ["strasse", "lodz", "oresund bridge", "thingvellir"]
+    );
+  });
+
+  it("transliterates Greek and Cyrillic instead of dropping them", () => {
+    assert.deepEqual(["Αθήνα", "Москва", "Київ"].map(normalizeText), [
+      "athina",
+      "moskva",
+      "kiiv",
+    ]);
+  });
+});
+
+describe("editDistance", () => {
+  it("counts an adjacent swap as one edit", () => {
+    assert.equal(editDistance("towre", "tower"), 1);
+    assert.equal(editDistance("towr", "tower"), 1);
+    assert.equal(editDistance("kitten", "sitting"), 3);
+    assert.equal(editDistance("", "abc"), 3);
+  });
+});
+
+describe("editSimilarity", () => {
+  it("ignores word order and missing spaces", () => {
+    assert.equal(editSimilarity("tower eiffel", "eiffel tower"), 1);
+    assert.equal(editSimilarity("eiffeltower", "eiffel tower"), 1);
+  });
+
+  it("scores typos by the edits per word", () => {
+    // eifel → eiffel (5/6), towr → tower (4/5)
+    assert.ok(
+      Math.abs(editSimilarity("eifel towr", "eiffel tower") - 9 / 11) < 1e-9
+    );
+    assert.equal(editSimilarity("", "eiffel tower"), 0);
+  });
+});
+
+describe("trigramSimilarity", () => {
+  it("keeps most trigrams through a typo", () => {
+    assert.equal(trigramSimilarity("eiffel tower", "eiffel tower"), 1);
+    assert.ok(trigramSimilarity("eifel tower", "eiffel tower") > 0.75);
+  });
+
+  it("is lowered by extra title words", () => {
+    assert.ok(
+      trigramSimilarity("eiffel", "eiffel tower") <
+        trigramSimilarity("eiffel", "eiffel")
+    );
+    assert.equal(trigramSimilarity("louvre", "eiffel tower"), 0);
+  });
+});
+
+describe("soundex", () => {
+  it("gives the standard codes", () => {
+    assert.deepEqual(
+      ["robert", "rupert", "ashcraft", "tymczak", "pfister"].map(soundex),
+      ["R163", "R163", "A261", "T522", "P236"]
+    );
+    assert.equal(soundex("123"), null);
+  });
+
+  it("matches words that sound alike", () => {
+    assert.equal(soundex("eifel"), soundex("eiffel"));
+    assert.equal(phoneticSimilarity("eifel towr", "eiffel tower"), 1);
+    assert.equal(phoneticSimilarity("louvre", "eiffel tower"), 0);
+  });
+});
+
+describe("scoreConfidence", () => {
+  it("ranks a misspelled title above an unrelated one", () => {
+    const typo = scoreConfidence("eifel towr", "Eiffel Tower", "");
+    const unrelated = scoreConfidence("eifel towr", "Louvre", "");
+
+    assert.equal(typo.breakdown.lexical, 0);
+    assert.equal(typo.breakdown.phonetic, 1);
+    assert.ok(typo.confidence > unrelated.confidence + 0.3);
+  });
+
+  it("matches a transliterated query to a title in another script", () => {
+    assert.equal(scoreConfidence("Moskva", "Москва", "").confidence, 1);
+  });
+
+  it("halves the confidence of very short queries", () => {
+    const { confidence, breakdown } = scoreConfidence("ei", "Eiffel Tower", "");
+
+    assert.ok(breakdown.lexical > 0.8);
+    assert.ok(confidence < 0.3);
+  });
+});
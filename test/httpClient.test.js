@@ -0,0 +1,137 @@
+import { afterEach, describe, it, mock } from "node:test";
+import assert from "node:assert/strict";
+
+// ─────────────────────────────────────────────────────────────
+//  httpRequest - retries of transient failures and the time budget
+//  axios.request is mocked; backoff is shortened to a millisecond
+// ─────────────────────────────────────────────────────────────
+
+process.env.LOG_LEVEL = "error";
+process.env.HTTP_RETRIES = "2";
+process.env.HTTP_RETRY_BASE_DELAY_MS = "1";
+process.env.HTTP_RETRY_MAX_DELAY_MS = "2000";
+
+const { default: axios, AxiosError } = await import("axios");
+const { httpRequest, runWithTimeBudget } =
+  await import("../services/httpClient.js");
+
+// Axios error for an upstream answer with this status
+const httpError = (status, headers = {}) =>
+  new AxiosError(
+    `Request failed with status code ${status}`,
+    AxiosError.ERR_BAD_RESPONSE,
+    {},
+    {},
+    { status: status, headers: headers, data: {} }
+  );
+
+// Axios error for a failure without a response
+const networkError = (code) => new AxiosError(code, code, {}, {});
+
+// Mock axios.request with one outcome per attempt (errors are thrown)
+const respondWith = (...outcomes) => {
+  let attempt = 0;
+  return mock.method(axios, "request", async () => {
+    const outcome = outcomes[Math.min(attempt++, outcomes.length - 1)];
+    if (outcome instanceof Error) throw outcome;
+    return { status: 200, data: outcome };
+  });
+};
+
+const get = { method: "GET", url: "https://example.org/page" };
+const post = { method: "POST", url: "https://example.org/generate" };
+
+afterEach(() => mock.restoreAll());
+
+describe("httpRequest", () => {
+  it("retries a 503 and returns the next success", async () => {
+    const request = respondWith(httpError(503), { ok: true });
+
+    const response = await httpRequest("test", get);
+
+    assert.deepEqual(response.data, { ok: true });
+    assert.equal(request.mock.callCount(), 2);
+  });
+
+  it("gives up after the configured retries", async () => {
+    const request = respondWith(networkError("ECONNRESET"));
+
+    await assert.rejects(httpRequest("test", get), { code: "ECONNRESET" });
+    assert.equal(request.mock.callCount(), 3);
+  });
+
+  it("doesn't retry an answer like 404", async () => {
+    const request = respondWith(httpError(404), { ok: true });
+
+    await assert.rejects(httpRequest("test", get), {
+      message: "Request failed with status code 404",
+    });
+    assert.equal(request.mock.callCount(), 1);
+  });
+
+  it("retries a 500 only when the request is idempotent", async () => {
+    const request = respondWith(httpError(500), httpError(500), { ok: true });
+
+    await assert.rejects(httpRequest("test", post), {
+      message: "Request failed with status code 500",
+    });
+    assert.equal(request.mock.callCount(), 1);
+
+    await httpRequest("test", post, { idempotent: true });
+    assert.equal(request.mock.callCount(), 3);
+  });
+
+  it("retries a POST when the upstream didn't do the work", async () => {
+    const request = respondWith(httpError(429), { ok: true });
+
+    await httpRequest("test", post);
+    assert.equal(request.mock.callCount(), 2);
+  });
+
+  it("waits as long as Retry-After asks", async () => {
+    respondWith(httpError(503, { "retry-after": "1" }), { ok: true });
+    const started = Date.now();
+
+    await httpRequest("test", get);
+    assert.ok(Date.now() - started >= 950);
+  });
+
+  it("gives up when Retry-After is longer than the longest wait", async () => {
+    const request = respondWith(httpError(503, { "retry-after": "3" }));
+
+    await assert.rejects(httpRequest("test", get), {
+      message: "Request failed with status code 503",
+    });
+    assert.equal(request.mock.callCount(), 1);
+  });
+
+  it("doesn't start an attempt the budget can't cover", async () => {
+    const request = respondWith({ ok: true });
+
+    await assert.rejects(
+      runWithTimeBudget(100, () => httpRequest("test", get)),
+      { code: "ECONNABORTED", isBudgetExhausted: true }
+    );
+    assert.equal(request.mock.callCount(), 0);
+  });
+
+  it("doesn't retry when the wait would outlast the budget", async () => {
+    const request = respondWith(httpError(503, { "retry-after": "1" }));
+
+    await assert.rejects(
+      runWithTimeBudget(800, () => httpRequest("test", get)),
+      { message: "Request failed with status code 503" }
+    );
+    assert.equal(request.mock.callCount(), 1);
+  });
+
+  it("cuts an attempt's timeout to the remaining budget", async () => {
+    const request = respondWith({ ok: true });
+
+    await runWithTimeBudget(1000, () =>
+      httpRequest("test", { ...get, timeout: 5000 })
+    );
+    const { timeout } = request.mock.calls[0].arguments[0];
+    assert.ok(timeout <= 1000 && timeout > 500, `timeout ${timeout}`);
+  });
+});
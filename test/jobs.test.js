@@ -0,0 +1,177 @@
+import { after, afterEach, before, describe, it, mock } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+
+// ─────────────────────────────────────────────────────────────
+//  Jobs - lifecycle and the AI credits a job keeps once it finishes
+//  Wikipedia is mocked and the AI provider is the mock one; one worker
+//  and one queued job at a time. Costs: timeline 1, timelineCached 0
+// ─────────────────────────────────────────────────────────────
+
+const cacheDir = await fs.mkdtemp(path.join(os.tmpdir(), "jobs-test-"));
+
+process.env.LOG_LEVEL = "error";
+process.env.AI_PROVIDER = "mock";
+process.env.AI_RATE_LIMIT_MAX_REQUESTS = "100";
+process.env.TIMELINE_CACHE_FILE = path.join(cacheDir, "timelines.json");
+process.env.POPULARITY_CACHE_ENABLED = "false";
+process.env.JOB_CONCURRENCY = "1";
+process.env.JOB_MAX_QUEUED = "1";
+
+const { default: axios, AxiosError } = await import("axios");
+const { default: express } = await import("express");
+const { getAiQuota } = await import("../middleware/aiRateLimiter.js");
+const { default: errorHandler } = await import("../middleware/errorHandler.js");
+const { default: jobsRoutes } = await import("../routes/jobsRoute.js");
+
+const EIFFEL_TOWER = {
+  type: "standard",
+  title: "Eiffel Tower",
+  titles: { canonical: "Eiffel_Tower" },
+  extract:
+    "The Eiffel Tower is a wrought-iron lattice tower in Paris, France. " +
+    "It was constructed from 1887 to 1889.",
+  revision: "1",
+};
+
+// Answer Wikipedia calls; summaries wait for `gate` when one is set
+let gate = null;
+const mockWikipedia = () =>
+  mock.method(axios, "request", async ({ url }) => {
+    if (url.includes("/page/summary/")) {
+      await gate;
+      if (url.endsWith("/Eiffel%20Tower")) {
+        return { status: 200, data: EIFFEL_TOWER };
+      }
+      throw new AxiosError(
+        "Not found",
+        AxiosError.ERR_BAD_REQUEST,
+        {},
+        {},
+        { status: 404, headers: {}, data: {} }
+      );
+    }
+    return { status: 200, data: { query: { pages: [] } } };
+  });
+
+const app = express();
+app.use(express.json());
+app.use("/api/jobs", jobsRoutes);
+app.use(errorHandler);
+
+let server;
+let baseUrl;
+
+before(async () => {
+  server = app.listen(0, "127.0.0.1");
+  await new Promise((resolve) => server.once("listening", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  server.close();
+  await fs.rm(cacheDir, { recursive: true, force: true });
+});
+
+afterEach(() => mock.restoreAll());
+
+// Credits the test client has spent this hour
+const used = () => getAiQuota({ ip: "127.0.0.1" }).hourly.used;
+
+const submit = (params) =>
+  fetch(`${baseUrl}/api/jobs`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ type: "timeline", params: params }),
+  });
+
+const poll = async (id) =>
+  (await (await fetch(`${baseUrl}/api/jobs/${id}`)).json()).data;
+
+// Poll a job until it has finished
+const finished = async (id) => {
+  for (;;) {
+    const job = await poll(id);
+    if (job.status === "succeeded" || job.status === "failed") return job;
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+};
+
+describe("jobs", () => {
+  it("runs a job from queued to succeeded and keeps the AI credit", async () => {
+    mockWikipedia();
+    const before = used();
+
+    const response = await submit({ query: "Eiffel Tower" });
+    const { data: queued } = await response.json();
+
+    assert.equal(response.status, 202);
+    assert.equal(queued.status, "queued");
+    assert.equal(response.headers.get("location"), queued.status_url);
+
+    const job = await finished(queued.id);
+
+    assert.equal(job.status, "succeeded");
+    assert.equal(job.result.name, "Eiffel Tower");
+    assert.ok(job.started_at && job.finished_at);
+    assert.equal(used(), before + 1);
+  });
+
+  it("refunds a job served from the timeline cache", async () => {
+    mockWikipedia();
+    const before = used();
+
+    const { data: queued } = await (
+      await submit({ query: "Eiffel Tower" })
+    ).json();
+    const job = await finished(queued.id);
+
+    assert.equal(job.status, "succeeded");
+    assert.equal(job.result.cached, true);
+    assert.equal(used(), before);
+  });
+
+  it("refunds a job that fails", async () => {
+    mockWikipedia();
+    const before = used();
+
+    const { data: queued } = await (await submit({ query: "Nowhere" })).json();
+    const job = await finished(queued.id);
+
+    assert.equal(job.status, "failed");
+    assert.equal(job.error.code, "NOT_FOUND");
+    assert.equal(used(), before);
+  });
+
+  it("rejects a job past the queue limit without charging it", async () => {
+    mockWikipedia();
+    let open;
+    gate = new Promise((resolve) => (open = resolve));
+    const before = used();
+
+    try {
+      // One job runs, one waits - the queue is full
+      const running = await (
+        await submit({ query: "Eiffel Tower", method: "ai" })
+      ).json();
+      const waiting = await (
+        await submit({ query: "Eiffel Tower", method: "ai" })
+      ).json();
+      const rejected = await submit({ query: "Eiffel Tower", method: "ai" });
+
+      assert.equal(rejected.status, 503);
+      assert.equal((await rejected.json()).code, "JOB_QUEUE_FULL");
+      assert.equal(used(), before + 2);
+
+      open();
+      gate = null;
+      await finished(running.data.id);
+      await finished(waiting.data.id);
+    } finally {
+      open();
+      gate = null;
+    }
+  });
+});
@@ -0,0 +1,142 @@
+import { after, afterEach, before, describe, it, mock } from "node:test";
+import assert from "node:assert/strict";
+
+// ─────────────────────────────────────────────────────────────
+//  Request language - which Wikipedia edition a request is served from
+//  `lang` wins, then Accept-Language, then English. Wikipedia is mocked
+//  and records the edition each call went to
+// ─────────────────────────────────────────────────────────────
+
+process.env.LOG_LEVEL = "error";
+process.env.POPULARITY_CACHE_ENABLED = "false";
+process.env.WIKIPEDIA_LANGUAGES = "en,de,fr";
+process.env.WIKIPEDIA_API_BASE_URL = "https://mirror.example/{lang}/rest";
+process.env.WIKIPEDIA_ACTION_API_URL = "https://en.wikipedia.org/w/api.php";
+
+const { default: axios } = await import("axios");
+const { default: express } = await import("express");
+const { default: config } = await import("../utils/config.js");
+const { SUPPORTED_LANGUAGES, resolveLanguage, restApiUrl, actionApiUrl } =
+  await import("../utils/wiki/languages.js");
+const { default: errorHandler } = await import("../middleware/errorHandler.js");
+const { default: searchSuggestionsRoutes } =
+  await import("../routes/searchSuggestionsRoute.js");
+
+const app = express();
+app.use(express.json());
+app.use("/api/search/suggestions", searchSuggestionsRoutes);
+app.use(errorHandler);
+
+let server;
+let baseUrl;
+
+before(async () => {
+  server = app.listen(0, "127.0.0.1");
+  await new Promise((resolve) => server.once("listening", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => server.close());
+afterEach(() => mock.restoreAll());
+
+// Hosts of the Wikipedia calls made while answering, with no results
+const mockWikipedia = () => {
+  const hosts = [];
+  mock.method(axios, "request", async ({ url }) => {
+    hosts.push(new URL(url).host);
+    return { status: 200, data: { query: { pages: [] } } };
+  });
+  return hosts;
+};
+
+const suggest = (body, headers = {}) =>
+  fetch(`${baseUrl}/api/search/suggestions`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", ...headers },
+    body: JSON.stringify(body),
+  });
+
+describe("resolveLanguage", () => {
+  it("lists English first among the configured editions", () => {
+    assert.deepEqual(SUPPORTED_LANGUAGES, ["en", "de", "fr"]);
+  });
+
+  it("prefers an explicit lang over Accept-Language", () => {
+    assert.equal(resolveLanguage("de", "fr"), "de");
+  });
+
+  it("picks the best supported Accept-Language entry by quality", () => {
+    assert.equal(resolveLanguage(undefined, "it, fr;q=0.5, de;q=0.8"), "de");
+    assert.equal(resolveLanguage(undefined, "fr;q=0.8, de;q=0.8"), "fr");
+    assert.equal(resolveLanguage(undefined, "de-AT,en;q=0.5"), "de");
+  });
+
+  it("skips q=0 entries and falls back to English", () => {
+    assert.equal(resolveLanguage(undefined, "de;q=0, ja"), "en");
+    assert.equal(resolveLanguage(undefined, "*"), "en");
+    assert.equal(resolveLanguage(undefined, undefined), "en");
+  });
+});
+
+describe("edition URLs", () => {
+  it("fills {lang} in configured templates", () => {
+    assert.equal(restApiUrl("de"), "https://mirror.example/de/rest");
+    assert.equal(restApiUrl(), "https://mirror.example/en/rest");
+  });
+
+  it("swaps the edition of a wikipedia.org URL without {lang}", () => {
+    assert.equal(actionApiUrl("fr"), "https://fr.wikipedia.org/w/api.php");
+  });
+
+  it("uses other hosts without {lang} as they are", () => {
+    const actionUrl = config.wikipedia.actionUrl;
+    config.wikipedia.actionUrl = "https://mirror.example/w/api.php";
+    try {
+      assert.equal(actionApiUrl("de"), "https://mirror.example/w/api.php");
+    } finally {
+      config.wikipedia.actionUrl = actionUrl;
+    }
+  });
+});
+
+describe("requestLanguage", () => {
+  it("routes a request with lang to that edition", async () => {
+    const hosts = mockWikipedia();
+
+    const response = await suggest(
+      { query: "Brandenburger Tor", lang: "de" },
+      { "Accept-Language": "fr" }
+    );
+    const body = await response.json();
+
+    assert.equal(response.status, 200);
+    assert.equal(body.data.lang, "de");
+    assert.equal(response.headers.get("content-language"), "de");
+    assert.match(response.headers.get("vary"), /Accept-Language/);
+    assert.deepEqual([...new Set(hosts)], ["de.wikipedia.org"]);
+  });
+
+  it("follows Accept-Language when lang is missing", async () => {
+    const hosts = mockWikipedia();
+
+    const response = await suggest(
+      { query: "Tour Eiffel" },
+      { "Accept-Language": "fr-CH, fr;q=0.9, en;q=0.8" }
+    );
+
+    assert.equal((await response.json()).data.lang, "fr");
+    assert.deepEqual([...new Set(hosts)], ["fr.wikipedia.org"]);
+  });
+
+  it("rejects an edition that isn't configured", async () => {
+    const hosts = mockWikipedia();
+
+    const response = await suggest({ query: "Colosseo", lang: "it" });
+    const body = await response.json();
+
+    assert.equal(response.status, 400);
+    assert.equal(body.code, "VALIDATION_ERROR");
+    assert.equal(body.fields[0].field, "lang");
+    assert.deepEqual(hosts, []);
+  });
+});
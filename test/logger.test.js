@@ -0,0 +1,154 @@
+import { afterEach, describe, it, mock } from "node:test";
+import assert from "node:assert/strict";
+
+// ─────────────────────────────────────────────────────────────
+//  Logger - secrets never reach a log line
+//  Keys, tokens and query-string secrets are replaced by [REDACTED]
+// ─────────────────────────────────────────────────────────────
+
+const OPENAI_KEY = "sk-test-0123456789abcdef";
+
+process.env.LOG_LEVEL = "info";
+process.env.OPENAI_API_KEY = OPENAI_KEY;
+
+const { AxiosError } = await import("axios");
+const {
+  default: logger,
+  redact,
+  runWithLogContext,
+} = await import("../utils/logger.js");
+
+afterEach(() => mock.restoreAll());
+
+// Capture the entries a function writes to stdout and stderr
+const captureLogs = (fn) => {
+  const lines = [];
+  const capture = (chunk) => {
+    lines.push(String(chunk));
+    return true;
+  };
+  mock.method(process.stdout, "write", capture);
+  mock.method(process.stderr, "write", capture);
+  fn();
+  mock.restoreAll();
+  return lines;
+};
+
+describe("redact", () => {
+  it("replaces the values of secret keys at any depth", () => {
+    const redacted = redact({
+      headers: {
+        Authorization: "Bearer abc",
+        "X-API-Key": "ptk_abc",
+        "x-goog-api-key": "AIza123",
+        Cookie: "session=1",
+      },
+      auth: { password: "hunter2", client_secret: "s3", access_token: "t" },
+      items: [{ token: "t2", name: "kept" }],
+      key: "",
+    });
+
+    assert.deepEqual(redacted, {
+      headers: {
+        Authorization: "[REDACTED]",
+        "X-API-Key": "[REDACTED]",
+        "x-goog-api-key": "[REDACTED]",
+        Cookie: "[REDACTED]",
+      },
+      auth: {
+        password: "[REDACTED]",
+        client_secret: "[REDACTED]",
+        access_token: "[REDACTED]",
+      },
+      items: [{ token: "[REDACTED]", name: "kept" }],
+      key: "",
+    });
+  });
+
+  it("keeps keys that only contain a secret word", () => {
+    assert.deepEqual(redact({ key_id: "164d3337", tokens_used: 42 }), {
+      key_id: "164d3337",
+      tokens_used: 42,
+    });
+  });
+
+  it("replaces secrets in query strings but keeps the other parameters", () => {
+    assert.equal(
+      redact(
+        "GET https://example.test/v1/models?key=AIza123&alt=json&api_key=abc#x"
+      ),
+      "GET https://example.test/v1/models?key=[REDACTED]&alt=json&api_key=[REDACTED]#x"
+    );
+    assert.equal(
+      redact("/callback?access_token=abc.def&state=1"),
+      "/callback?access_token=[REDACTED]&state=1"
+    );
+  });
+
+  it("replaces bearer tokens, issued API keys and configured secrets", () => {
+    assert.equal(
+      redact("Authorization: Bearer eyJhbGciOi.J9.abc-_"),
+      "Authorization: Bearer [REDACTED]"
+    );
+    assert.equal(
+      redact("Unknown key ptk_AbC-123_xyz in header"),
+      "Unknown key [REDACTED] in header"
+    );
+    assert.equal(
+      redact(`Incorrect API key provided: ${OPENAI_KEY}.`),
+      "Incorrect API key provided: [REDACTED]."
+    );
+  });
+
+  it("keeps an axios error's request but not its config or headers", () => {
+    const error = new AxiosError(
+      "Request failed with status code 403",
+      AxiosError.ERR_BAD_REQUEST,
+      {
+        method: "get",
+        url: "https://example.test/v1?key=AIza123",
+        headers: { Authorization: `Bearer ${OPENAI_KEY}` },
+      },
+      {},
+      { status: 403, headers: { "set-cookie": "a=b" }, data: {} }
+    );
+
+    const redacted = redact({ error: error });
+    const serialized = JSON.stringify(redacted);
+
+    assert.equal(
+      redacted.error.request,
+      "GET https://example.test/v1?key=[REDACTED]"
+    );
+    assert.equal(redacted.error.response_status, 403);
+    assert.equal(serialized.includes("AIza123"), false);
+    assert.equal(serialized.includes(OPENAI_KEY), false);
+    assert.equal(serialized.includes("set-cookie"), false);
+  });
+});
+
+describe("logger", () => {
+  it("writes redacted entries with the log context", () => {
+    const lines = captureLogs(() =>
+      runWithLogContext({ request_id: "req-1" }, () =>
+        logger.warn("Upstream rejected ?token=abc123", {
+          headers: { authorization: "Bearer abc123" },
+        })
+      )
+    );
+
+    assert.equal(lines.length, 1);
+    const entry = JSON.parse(lines[0]);
+    assert.equal(entry.level, "warn");
+    assert.equal(entry.request_id, "req-1");
+    assert.equal(entry.msg, "Upstream rejected ?token=[REDACTED]");
+    assert.equal(entry.headers.authorization, "[REDACTED]");
+    assert.equal(lines[0].includes("abc123"), false);
+  });
+
+  it("skips entries below LOG_LEVEL", () => {
+    const lines = captureLogs(() => logger.debug("Not written"));
+
+    assert.deepEqual(lines, []);
+  });
+});
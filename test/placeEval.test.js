@@ -0,0 +1,21 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { execFile } from "node:child_process";
+import { promisify } from "node:util";
+
+// ─────────────────────────────────────────────────────────────
+//  Place detection eval - `npm run eval:places` as part of `npm test`
+//  Offline: the corpus and Wikidata classes are fixtures in eval/places
+// ─────────────────────────────────────────────────────────────
+
+describe("place detection eval", () => {
+  it("scores no lower than eval/places/baseline.json", async () => {
+    const { stdout } = await promisify(execFile)(
+      process.execPath,
+      ["scripts/evalPlaces.js"],
+      { env: { ...process.env, LOG_LEVEL: "error" } }
+    ).catch((error) => assert.fail(`${error.stdout}${error.stderr}`));
+
+    assert.match(stdout, /✅ No regressions/);
+  });
+});
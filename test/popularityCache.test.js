@@ -0,0 +1,88 @@
+import { after, beforeEach, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+
+// ─────────────────────────────────────────────────────────────
+//  Popularity cache - background writes and the shared first load
+//  Each test loads a fresh copy of the module, like a restarted server
+// ─────────────────────────────────────────────────────────────
+
+const dir = await fs.mkdtemp(path.join(os.tmpdir(), "popularity-cache-"));
+const file = path.join(dir, "popularity.json");
+
+process.env.LOG_LEVEL = "error";
+process.env.POPULARITY_CACHE_ENABLED = "true";
+process.env.POPULARITY_CACHE_FILE = file;
+
+let instance = 0;
+const loadCache = () =>
+  import(`../services/popularityCache.js?instance=${++instance}`);
+
+const signals = (pageviews) => ({ pageviews: pageviews, incomingLinks: 10 });
+
+const exists = (target) =>
+  fs.access(target).then(
+    () => true,
+    () => false
+  );
+
+beforeEach(() => fs.rm(file, { force: true }));
+after(() => fs.rm(dir, { recursive: true, force: true }));
+
+describe("popularity cache", () => {
+  it("serves a write from memory before the file is written", async () => {
+    const cache = await loadCache();
+    await cache.setCachedPopularity(new Map([["Louvre", signals(500)]]), "en");
+
+    const cached = await cache.getCachedPopularity(["Louvre", "Prado"], "en");
+    assert.equal(cached.get("Louvre").pageviews, 500);
+    assert.equal(cached.has("Prado"), false);
+    assert.equal(await exists(file), false);
+
+    await cache.flushPopularityCache();
+    const reader = await loadCache();
+    const stored = await reader.getCachedPopularity(["Louvre"], "en");
+    assert.equal(stored.get("Louvre").pageviews, 500);
+  });
+
+  it("batches writes into one file rewrite", async () => {
+    const cache = await loadCache();
+    await cache.setCachedPopularity(new Map([["Louvre", signals(500)]]), "en");
+    await cache.setCachedPopularity(new Map([["Prado", signals(300)]]), "es");
+    assert.equal(await exists(file), false);
+
+    await cache.flushPopularityCache();
+
+    const stored = JSON.parse(await fs.readFile(file, "utf8"));
+    assert.deepEqual(Object.keys(stored.entries), ["en:Louvre", "es:Prado"]);
+  });
+
+  it("keeps stored entries when the first call is a write", async () => {
+    const writer = await loadCache();
+    await writer.setCachedPopularity(new Map([["Louvre", signals(500)]]), "en");
+    await writer.flushPopularityCache();
+
+    const reader = await loadCache();
+    const [, cached] = await Promise.all([
+      reader.setCachedPopularity(new Map([["Prado", signals(300)]]), "en"),
+      reader.getCachedPopularity(["Louvre", "Prado"], "en"),
+    ]);
+
+    assert.deepEqual([...cached.keys()].sort(), ["Louvre", "Prado"]);
+  });
+
+  it("drops entries older than the TTL on load", async () => {
+    const cache = await loadCache();
+    await cache.setCachedPopularity(new Map([["Louvre", signals(500)]]), "en");
+    await cache.flushPopularityCache();
+
+    const stored = JSON.parse(await fs.readFile(file, "utf8"));
+    stored.entries["en:Louvre"].cached_at = "2000-01-01T00:00:00.000Z";
+    await fs.writeFile(file, JSON.stringify(stored));
+
+    const reader = await loadCache();
+    assert.equal((await reader.getCachedPopularity(["Louvre"], "en")).size, 0);
+  });
+});
@@ -0,0 +1,145 @@
+import { afterEach, beforeEach, describe, it, mock } from "node:test";
+import assert from "node:assert/strict";
+
+// ─────────────────────────────────────────────────────────────
+//  searchArticle with resolve - the fallback picks the most confident
+//  match, while suggestions are ordered by the popularity-weighted score
+//  Wikipedia is mocked: a misspelled query for the Las Vegas replica,
+//  where the famous Eiffel Tower is far more popular but a worse match
+// ─────────────────────────────────────────────────────────────
+
+process.env.LOG_LEVEL = "error";
+process.env.AI_PROVIDER = "mock";
+process.env.WIKIPEDIA_SEARCH_LIMIT = "10";
+process.env.WIKIPEDIA_RETURN_LIMIT = "3";
+process.env.POPULARITY_CACHE_ENABLED = "false";
+process.env.SEARCH_POPULARITY_WEIGHT = "0.5"; // enough to outrank confidence
+
+const { default: axios, AxiosError } = await import("axios");
+const { searchArticle, searchSuggestions } =
+  await import("../services/wikiService.js");
+const { WikiNotFoundError } = await import("../services/wikiErrors.js");
+
+const QUERY = "Eifel Tower Las Vegas";
+const REPLICA = "Eiffel Tower (Paris Las Vegas)";
+const FAMOUS = "Eiffel Tower";
+
+const PAGES = [
+  {
+    pageid: 2,
+    title: REPLICA,
+    extract:
+      "The Eiffel Tower is a half-scale replica tower at the Paris Las Vegas hotel in Paradise, Nevada, United States.",
+    length: 20000,
+    index: 1,
+  },
+  {
+    pageid: 1,
+    title: FAMOUS,
+    extract:
+      "The Eiffel Tower is a wrought-iron lattice tower in Paris, France.",
+    length: 200000,
+    index: 2,
+  },
+];
+
+const POPULARITY = [
+  {
+    title: REPLICA,
+    pageviews: { "2026-10-01": 300 },
+    cirrusdoc: [{ source: { incoming_links: 40 } }],
+  },
+  {
+    title: FAMOUS,
+    pageviews: { "2026-10-01": 1000000 },
+    cirrusdoc: [{ source: { incoming_links: 20000 } }],
+  },
+];
+
+const notFound = (url) =>
+  new AxiosError(
+    "Not found",
+    AxiosError.ERR_BAD_REQUEST,
+    { url },
+    {},
+    {
+      status: 404,
+      headers: {},
+      data: {},
+    }
+  );
+
+// Answer REST summaries of the known titles, searches with the given pages
+// and popularity lookups; everything else has no pages
+const mockWikipedia = (pages = PAGES) =>
+  mock.method(axios, "request", async ({ url }) => {
+    if (url.includes("/page/summary/")) {
+      const title = decodeURIComponent(url.split("/page/summary/")[1]);
+      if (![REPLICA, FAMOUS].includes(title)) throw notFound(url);
+      return {
+        status: 200,
+        data: {
+          type: "standard",
+          title: title,
+          titles: { canonical: title.replaceAll(" ", "_") },
+          extract: pages.find((page) => page.title === title)?.extract,
+          revision: "1",
+        },
+      };
+    }
+
+    const params = new URL(url).searchParams;
+    if (params.get("generator") === "search") {
+      return { status: 200, data: { query: { pages: pages } } };
+    }
+    if (params.get("prop") === "pageviews|cirrusdoc") {
+      return { status: 200, data: { query: { pages: POPULARITY } } };
+    }
+    return { status: 200, data: { query: { pages: [] } } };
+  });
+
+let request;
+beforeEach(() => (request = mockWikipedia()));
+afterEach(() => mock.restoreAll());
+
+describe("resolve ordering", () => {
+  it("ranks the popular, less confident match first in suggestions", async () => {
+    const [first, second] = await searchSuggestions(QUERY);
+
+    assert.equal(first.title, FAMOUS);
+    assert.equal(second.title, REPLICA);
+    assert.ok(first.ranking.score > second.ranking.score);
+    assert.ok(first.confidence < second.confidence);
+  });
+
+  it("resolves to the most confident match, not the most popular", async () => {
+    const article = await searchArticle(QUERY, { resolve: true });
+
+    assert.equal(article.name, REPLICA);
+    assert.equal(article.resolvedFrom.query, QUERY);
+    assert.equal(article.resolvedFrom.title, REPLICA);
+    assert.ok(article.resolvedFrom.confidence > 0.9);
+  });
+
+  it("doesn't look up popularity to resolve", async () => {
+    await searchArticle(QUERY, { resolve: true });
+
+    const urls = request.mock.calls.map((call) => call.arguments[0].url);
+    assert.ok(!urls.some((url) => url.includes("pageviews")));
+  });
+
+  it("keeps the 404 when the best match isn't confident enough", async () => {
+    mock.restoreAll();
+    mockWikipedia(PAGES.filter((page) => page.title === FAMOUS));
+
+    await assert.rejects(
+      searchArticle(QUERY, { resolve: true }),
+      WikiNotFoundError
+    );
+  });
+
+  it("keeps the 404 without resolve", async () => {
+    await assert.rejects(searchArticle(QUERY), WikiNotFoundError);
+    assert.equal(request.mock.callCount(), 1);
+  });
+});
@@ -0,0 +1,92 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { extractDatesWithRules } from "../utils/timeline/ruleBasedDates.js";
+
+// ─────────────────────────────────────────────────────────────
+//  extractDatesWithRules - milestones from summary text patterns
+// ─────────────────────────────────────────────────────────────
+
+// The milestones of a summary as "type date" strings
+const milestonesOf = (summary) =>
+  extractDatesWithRules(summary, "Place").milestones.map(
+    (milestone) => `${milestone.type} ${milestone.date}`
+  );
+
+describe("extractDatesWithRules", () => {
+  it("reads both ends of a construction range", () => {
+    const result = extractDatesWithRules(
+      "Built in 1887–1889, it was the tallest structure in the world.",
+      "Eiffel Tower"
+    );
+
+    assert.equal(result.place_name, "Eiffel Tower");
+    assert.equal(result.method, "rules");
+    assert.equal(result.construction_start, "1887");
+    assert.equal(result.construction_end, "1889");
+    assert.equal(result.date_precision, "year");
+    assert.equal(result.status, "completed");
+    assert.deepEqual(result.milestones[0].span, {
+      text: "Built in 1887–1889",
+      start: 0,
+      end: 18,
+    });
+  });
+
+  it("reads 'between X and Y' with an era on each end", () => {
+    const result = extractDatesWithRules(
+      "The Colosseum was built between 72 AD and 80 AD under Vespasian.",
+      "Colosseum"
+    );
+
+    assert.equal(result.construction_start, "72 AD");
+    assert.equal(result.construction_end, "80 AD");
+    assert.equal(result.construction_start_normalized.edtf, "0072");
+    assert.equal(result.construction_end_normalized.edtf, "0080");
+  });
+
+  it("applies the era of a range end to its start", () => {
+    assert.deepEqual(
+      milestonesOf("The amphitheatre was constructed 69–79 AD."),
+      ["construction_start 69 AD", "construction_end 79 AD"]
+    );
+  });
+
+  it("keeps BCE years negative", () => {
+    const result = extractDatesWithRules(
+      "The Parthenon was completed in 438 BC. It was destroyed in 1687.",
+      "Parthenon"
+    );
+
+    assert.equal(result.construction_start, null);
+    assert.equal(result.construction_end, "438 BC");
+    assert.equal(result.construction_end_normalized.earliest, -438);
+    assert.deepEqual(
+      result.milestones.map((milestone) => [milestone.type, milestone.year]),
+      [
+        ["construction_end", -438],
+        ["damage", 1687],
+      ]
+    );
+  });
+
+  it("treats a projected completion as ongoing, not as an end date", () => {
+    const summary =
+      "Construction began in 1882 and is expected to be completed in 2026.";
+    const result = extractDatesWithRules(summary, "Sagrada Família");
+
+    assert.equal(result.status, "ongoing");
+    assert.equal(result.construction_start, "1882");
+    assert.equal(result.construction_end, null);
+    assert.deepEqual(milestonesOf(summary), ["construction_start 1882"]);
+  });
+
+  it("returns an empty timeline when nothing matches", () => {
+    for (const summary of ["A hill near the town.", "", null]) {
+      const result = extractDatesWithRules(summary, "Hill");
+
+      assert.deepEqual(result.milestones, []);
+      assert.equal(result.status, "unknown");
+      assert.equal(result.date_precision, "unknown");
+    }
+  });
+});
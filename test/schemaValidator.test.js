@@ -0,0 +1,132 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { validateSchema } from "../utils/validation/schemaValidator.js";
+
+// ─────────────────────────────────────────────────────────────
+//  validateSchema - request validation against route schemas
+// ─────────────────────────────────────────────────────────────
+
+const SEARCH = {
+  type: "object",
+  required: ["query"],
+  properties: {
+    query: { type: "string", "x-trim": true, minLength: 2, maxLength: 20 },
+    limit: { type: "integer", minimum: 1, maximum: 10, default: 5 },
+    lang: { type: "string", enum: ["en", "de"] },
+    debug: { type: "boolean" },
+  },
+};
+
+const NEARBY = {
+  type: "object",
+  properties: {
+    title: { type: "string" },
+    lat: { type: "number" },
+    lon: { type: "number" },
+  },
+  oneOf: [{ required: ["title"] }, { required: ["lat", "lon"] }],
+};
+
+// Errors as "field rule" strings
+const errorsOf = (schema, value, options) =>
+  validateSchema(schema, value, options).errors.map(
+    (error) => `${error.field} ${error.rule}`
+  );
+
+describe("validateSchema", () => {
+  it("trims strings and applies defaults", () => {
+    const { value, errors } = validateSchema(SEARCH, { query: "  Rome  " });
+
+    assert.deepEqual(errors, []);
+    assert.deepEqual(value, { query: "Rome", limit: 5 });
+  });
+
+  it("checks length after trimming", () => {
+    assert.deepEqual(errorsOf(SEARCH, { query: "  a  " }), ["query minLength"]);
+    assert.deepEqual(errorsOf(SEARCH, { query: "a".repeat(21) }), [
+      "query maxLength",
+    ]);
+  });
+
+  it("reports missing required fields", () => {
+    const { errors } = validateSchema(SEARCH, {});
+
+    assert.deepEqual(errors, [
+      { field: "query", message: "is required", rule: "required" },
+    ]);
+  });
+
+  it("reports wrong types with an article", () => {
+    const { errors } = validateSchema(SEARCH, { query: "Rome", limit: 2.5 });
+
+    assert.deepEqual(errors, [
+      { field: "limit", message: "must be an integer", rule: "type" },
+    ]);
+    assert.equal(
+      validateSchema(SEARCH, "Rome").errors[0].message,
+      "must be an object"
+    );
+  });
+
+  it("checks enums and numeric bounds", () => {
+    assert.deepEqual(
+      errorsOf(SEARCH, { query: "Rome", lang: "fr", limit: 11 }),
+      ["limit maximum", "lang enum"]
+    );
+    assert.deepEqual(errorsOf(SEARCH, { query: "Rome", limit: 0 }), [
+      "limit minimum",
+    ]);
+  });
+
+  it("coerces query string values only when asked", () => {
+    const query = { query: "Rome", limit: "3", debug: "true" };
+
+    assert.deepEqual(validateSchema(SEARCH, query, { coerce: true }).value, {
+      query: "Rome",
+      limit: 3,
+      debug: true,
+    });
+    assert.deepEqual(errorsOf(SEARCH, query), ["limit type", "debug type"]);
+    assert.deepEqual(
+      errorsOf(SEARCH, { ...query, limit: "" }, { coerce: true }),
+      ["limit type"]
+    );
+  });
+
+  it("requires exactly one oneOf group", () => {
+    assert.deepEqual(errorsOf(NEARBY, { title: "Rome" }), []);
+    assert.deepEqual(errorsOf(NEARBY, { lat: 41.9, lon: 12.5 }), []);
+    assert.deepEqual(errorsOf(NEARBY, { lat: 41.9 }), [" oneOf"]);
+
+    const { errors } = validateSchema(NEARBY, {
+      title: "Rome",
+      lat: 41.9,
+      lon: 12.5,
+    });
+    assert.equal(
+      errors[0].message,
+      "must provide exactly one of: title; lat and lon"
+    );
+  });
+
+  it("prefixes nested fields with their path", () => {
+    const schema = {
+      type: "object",
+      properties: {
+        placeData: {
+          type: "object",
+          required: ["name"],
+          properties: { tags: { type: "array", items: { type: "string" } } },
+        },
+      },
+    };
+
+    assert.deepEqual(errorsOf(schema, { placeData: { tags: ["a", 1] } }), [
+      "placeData.tags[1] type",
+      "placeData.name required",
+    ]);
+    assert.deepEqual(errorsOf(schema, { placeData: {} }, { path: "body" }), [
+      "body.placeData.name required",
+    ]);
+  });
+});
@@ -0,0 +1,133 @@
+import { after, beforeEach, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+
+// ─────────────────────────────────────────────────────────────
+//  Timeline cache - LRU eviction and the snapshot + append log on disk
+//  Each test loads a fresh copy of the module, like a restarted server
+// ─────────────────────────────────────────────────────────────
+
+const dir = await fs.mkdtemp(path.join(os.tmpdir(), "timeline-cache-"));
+const file = path.join(dir, "timelines.json");
+
+process.env.LOG_LEVEL = "error";
+process.env.TIMELINE_CACHE_ENABLED = "true";
+process.env.TIMELINE_CACHE_FILE = file;
+process.env.TIMELINE_CACHE_MAX_ENTRIES = "3";
+
+let instance = 0;
+const loadCache = () =>
+  import(`../services/timelineCache.js?instance=${++instance}`);
+
+const readLines = async () =>
+  (await fs.readFile(file, "utf8")).split("\n").filter(Boolean);
+
+beforeEach(() => fs.rm(file, { force: true }));
+after(() => fs.rm(dir, { recursive: true, force: true }));
+
+describe("timeline cache", () => {
+  it("serves an entry only for the revision it was built from", async () => {
+    const cache = await loadCache();
+    await cache.setCachedTimeline("Eiffel Tower", 7, { name: "Eiffel Tower" });
+
+    const entry = await cache.getCachedTimeline("Eiffel Tower", "7");
+    assert.deepEqual(entry.data, { name: "Eiffel Tower" });
+    assert.equal(await cache.getCachedTimeline("Eiffel Tower", 8), null);
+    assert.equal(await cache.getCachedTimeline("Colosseum", 7), null);
+  });
+
+  it("evicts the least recently used entry", async () => {
+    const cache = await loadCache();
+    for (const title of ["A", "B", "C"]) {
+      await cache.setCachedTimeline(title, 1, { title });
+    }
+
+    await cache.getCachedTimeline("A", 1); // A is now the most recent
+    await cache.setCachedTimeline("D", 1, { title: "D" });
+
+    assert.equal(await cache.getCachedTimeline("B", 1), null);
+    for (const title of ["A", "C", "D"]) {
+      assert.ok(await cache.getCachedTimeline(title, 1), title);
+    }
+  });
+
+  it("appends writes after a snapshot and replays them on load", async () => {
+    const writer = await loadCache();
+    await writer.setCachedTimeline("A", 1, { version: 1 });
+    await writer.setCachedTimeline("B", 1, { version: 1 });
+    await writer.setCachedTimeline("A", 2, { version: 2 });
+
+    const lines = await readLines();
+    assert.equal(lines.length, 3);
+    assert.deepEqual(Object.keys(JSON.parse(lines[0]).entries), ["A"]);
+
+    const reader = await loadCache();
+    assert.equal(await reader.getCachedTimeline("A", 1), null);
+    assert.deepEqual((await reader.getCachedTimeline("A", 2)).data, {
+      version: 2,
+    });
+    assert.ok(await reader.getCachedTimeline("B", 1));
+  });
+
+  it("compacts the log into a snapshot once it outgrows the cache", async () => {
+    const cache = await loadCache();
+    for (const title of ["A", "B", "C", "D", "E"]) {
+      await cache.setCachedTimeline(title, 1, { title });
+    }
+
+    // Snapshot of A, three appends, then a snapshot of the 3 newest entries
+    const lines = await readLines();
+    assert.equal(lines.length, 1);
+    assert.deepEqual(Object.keys(JSON.parse(lines[0]).entries), [
+      "C",
+      "D",
+      "E",
+    ]);
+  });
+
+  it("skips a line cut short by a crash and rewrites the file", async () => {
+    const writer = await loadCache();
+    await writer.setCachedTimeline("A", 1, { title: "A" });
+    await writer.setCachedTimeline("B", 1, { title: "B" });
+    await fs.appendFile(file, '{"title":"C","ent');
+
+    const reader = await loadCache();
+    assert.ok(await reader.getCachedTimeline("A", 1));
+    assert.ok(await reader.getCachedTimeline("B", 1));
+
+    await reader.setCachedTimeline("C", 1, { title: "C" });
+    assert.equal((await readLines()).length, 1);
+  });
+
+  it("lets concurrent first lookups wait for the same load", async () => {
+    const writer = await loadCache();
+    await writer.setCachedTimeline("A", 1, { title: "A" });
+    await writer.setCachedTimeline("B", 1, { title: "B" });
+
+    const reader = await loadCache();
+    const [a, b] = await Promise.all([
+      reader.getCachedTimeline("A", 1),
+      reader.getCachedTimeline("B", 1),
+    ]);
+    assert.ok(a);
+    assert.ok(b);
+  });
+
+  it("keeps stored entries when the first call is a write", async () => {
+    const writer = await loadCache();
+    await writer.setCachedTimeline("A", 1, { title: "A" });
+
+    const reader = await loadCache();
+    const [, a] = await Promise.all([
+      reader.setCachedTimeline("B", 1, { title: "B" }),
+      reader.getCachedTimeline("A", 1),
+    ]);
+    assert.ok(a);
+
+    const restarted = await loadCache();
+    assert.ok(await restarted.getCachedTimeline("A", 1));
+    assert.ok(await restarted.getCachedTimeline("B", 1));
+  });
+});
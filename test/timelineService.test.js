@@ -0,0 +1,72 @@
+import { afterEach, describe, it, mock } from "node:test";
+import assert from "node:assert/strict";
+
+// ─────────────────────────────────────────────────────────────
+//  createTimeline - rule-based fallback when the AI fails
+//  Wikipedia and an OpenAI-compatible provider are mocked
+// ─────────────────────────────────────────────────────────────
+
+process.env.LOG_LEVEL = "error";
+process.env.AI_PROVIDER = "openai";
+process.env.OPENAI_BASE_URL = "http://llm.test/v1";
+process.env.TIMELINE_CACHE_ENABLED = "false";
+process.env.TIMELINE_RULES_FALLBACK = "true";
+process.env.HTTP_RETRIES = "0";
+
+const { default: axios, AxiosError } = await import("axios");
+const { createTimeline } = await import("../services/timelineService.js");
+
+const SUMMARY = {
+  type: "standard",
+  title: "Eiffel Tower",
+  titles: { canonical: "Eiffel_Tower" },
+  extract: "The Eiffel Tower was built from 1887 to 1889.",
+  revision: "1",
+};
+
+// Answer Wikipedia, and fail the AI with this status and body
+const mockAiFailure = (status, data) =>
+  mock.method(axios, "request", async ({ url }) => {
+    if (url.startsWith("http://llm.test")) {
+      throw new AxiosError(
+        `Request failed with status code ${status}`,
+        AxiosError.ERR_BAD_REQUEST,
+        {},
+        {},
+        { status: status, headers: {}, data: data }
+      );
+    }
+    if (url.includes("/page/summary/")) {
+      return { status: 200, data: SUMMARY };
+    }
+    return { status: 200, data: {} };
+  });
+
+afterEach(() => mock.restoreAll());
+
+describe("createTimeline fallback", () => {
+  it("hides why the AI isn't configured from clients", async () => {
+    mockAiFailure(401, { error: "Incorrect API key provided: sk-secret" });
+
+    const { dateData, usedAi } = await createTimeline("Eiffel Tower");
+
+    assert.equal(dateData.method, "rules");
+    assert.equal(dateData.construction_start, "1887");
+    assert.equal(
+      dateData.fallback_reason,
+      "AI service temporarily unavailable"
+    );
+    assert.equal(usedAi, false);
+  });
+
+  it("reports a client-facing reason for other AI errors", async () => {
+    mockAiFailure(429, {});
+
+    const { dateData } = await createTimeline("Eiffel Tower");
+
+    assert.equal(
+      dateData.fallback_reason,
+      "AI API quota exceeded - please try again later"
+    );
+  });
+});
@@ -0,0 +1,150 @@
+import { after, afterEach, before, describe, it, mock } from "node:test";
+import assert from "node:assert/strict";
+
+// ─────────────────────────────────────────────────────────────
+//  Article lookup - redirects and disambiguation pages
+//  Wikipedia is mocked; "Mercury" is a disambiguation page linking a
+//  theatre (a place) and the planet (not one)
+// ─────────────────────────────────────────────────────────────
+
+process.env.LOG_LEVEL = "error";
+process.env.AI_PROVIDER = "mock";
+process.env.TIMELINE_CACHE_ENABLED = "false";
+process.env.POPULARITY_CACHE_ENABLED = "false";
+
+const { default: axios, AxiosError } = await import("axios");
+const { default: express } = await import("express");
+const { searchArticle } = await import("../services/wikiService.js");
+const { WikiDisambiguationError, WikiNotFoundError } =
+  await import("../services/wikiErrors.js");
+const { default: errorHandler } = await import("../middleware/errorHandler.js");
+const { default: timelineRoutes } =
+  await import("../routes/timelineCreatorRoute.js");
+
+const SUMMARIES = {
+  Mercury: { type: "disambiguation", title: "Mercury" },
+  "Eiffel Tower": {
+    type: "standard",
+    title: "Eiffel Tower",
+    titles: { canonical: "Eiffel_Tower" },
+    extract:
+      "The Eiffel Tower is a wrought-iron lattice tower in Paris, France.",
+    revision: "1",
+  },
+};
+
+// Titles Wikipedia redirects, as the summary endpoint follows them
+const REDIRECTS = { eiffel_tower: "Eiffel Tower" };
+
+const LINKED_PAGES = [
+  {
+    pageid: 7,
+    title: "Mercury Theatre",
+    extract:
+      "The Mercury Theatre is a theatre building in Colchester, England.",
+    index: 1,
+  },
+  {
+    pageid: 8,
+    title: "Mercury (planet)",
+    extract: "Mercury is the smallest planet in the Solar System.",
+    index: 2,
+  },
+];
+
+const mockWikipedia = () =>
+  mock.method(axios, "request", async ({ url }) => {
+    if (url.includes("/page/summary/")) {
+      const title = decodeURIComponent(url.split("/page/summary/")[1]);
+      const summary = SUMMARIES[REDIRECTS[title] ?? title];
+      if (!summary) {
+        throw new AxiosError(
+          "Not found",
+          AxiosError.ERR_BAD_REQUEST,
+          {},
+          {},
+          {
+            status: 404,
+            headers: {},
+            data: {},
+          }
+        );
+      }
+      return { status: 200, data: summary };
+    }
+
+    const params = new URL(url).searchParams;
+    if (params.get("generator") === "links") {
+      return { status: 200, data: { query: { pages: LINKED_PAGES } } };
+    }
+    return { status: 200, data: { query: { pages: [] } } };
+  });
+
+const app = express();
+app.use(express.json());
+app.use("/api/timeline", timelineRoutes);
+app.use(errorHandler);
+
+let server;
+let baseUrl;
+
+before(async () => {
+  server = app.listen(0, "127.0.0.1");
+  await new Promise((resolve) => server.once("listening", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => server.close());
+afterEach(() => mock.restoreAll());
+
+describe("searchArticle", () => {
+  it("reports the query a redirect was followed from", async () => {
+    mockWikipedia();
+
+    const article = await searchArticle("eiffel_tower");
+
+    assert.equal(article.name, "Eiffel Tower");
+    assert.equal(article.redirectedFrom, "eiffel_tower");
+    assert.equal((await searchArticle("Eiffel Tower")).redirectedFrom, null);
+  });
+
+  it("lists the places a disambiguation page links to", async () => {
+    mockWikipedia();
+
+    const error = await searchArticle("Mercury").catch((error) => error);
+
+    assert.ok(error instanceof WikiDisambiguationError);
+    assert.deepEqual(
+      error.candidates.map((candidate) => candidate.title),
+      ["Mercury Theatre"]
+    );
+  });
+
+  it("throws not found for a missing article", async () => {
+    mockWikipedia();
+
+    await assert.rejects(searchArticle("Atlantis"), WikiNotFoundError);
+  });
+});
+
+describe("POST /api/timeline", () => {
+  it("answers a disambiguation page with 300 and the candidates", async () => {
+    mockWikipedia();
+
+    const response = await fetch(`${baseUrl}/api/timeline`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ query: "Mercury" }),
+    });
+    const body = await response.json();
+
+    assert.equal(response.status, 300);
+    assert.equal(body.success, false);
+    assert.equal(body.code, "MULTIPLE_CHOICES");
+    assert.deepEqual(
+      body.candidates.map((candidate) => candidate.title),
+      ["Mercury Theatre"]
+    );
+    assert.ok(body.candidates[0].confidence > 0);
+  });
+});
@@ -0,0 +1,132 @@
+import logger from "./logger.js";
+
+// ─────────────────────────────────────────────────────────────
+//  Circuit Breaker - Fail fast while a dependency is down
+//  closed: calls go through, consecutive outages are counted
+//  open: calls are rejected at once until the reset timeout passes
+//  half_open: one trial call decides whether to close or reopen
+//  Only outages count - a 404 or a validation failure means the
+//  dependency answered, so it resets the count like a success.
+// ─────────────────────────────────────────────────────────────
+
+// ─────────────────────────────────────────────────────────────
+// Check whether an error means the dependency is down
+//  @param {Error} error - Error thrown by the wrapped call
+//  @returns {boolean} - True for timeouts, network errors, 5xx and 429
+//    (running out of the request's time budget says nothing about the dependency)
+// ─────────────────────────────────────────────────────────────
+export function isOutage(error) {
+  if (!error.isAxiosError || error.isBudgetExhausted) return false;
+
+  const status = error.response?.status;
+  return !status || status >= 500 || status === 429;
+}
+
+// ─────────────────────────────────────────────────────────────
+// Create a circuit breaker for one dependency
+//  @param {string} name - Dependency name used in logs and /health/ready
+//  @param {Object} options - { failureThreshold, resetTimeoutMs,
+//    isFailure(error) (default isOutage), rejectWith(retryAfter) → error to throw while open }
+//  @returns {Object} - { name, call(fn), snapshot() }
+// ─────────────────────────────────────────────────────────────
+export function createCircuitBreaker(name, options) {
+  const {
+    failureThreshold,
+    resetTimeoutMs,
+    isFailure = isOutage,
+    rejectWith,
+  } = options;
+
+  let state = "closed";
+  let failures = 0; // Consecutive outages
+  let openedAt = null;
+  let lastError = null;
+  let trialInFlight = false;
+
+  const setState = (next) => {
+    if (state === next) return;
+    const log = next === "open" ? logger.warn : logger.info;
+    log("Circuit breaker state changed", {
+      breaker: name,
+      from: state,
+      to: next,
+      failures: failures,
+      last_error: lastError,
+    });
+    state = next;
+  };
+
+  // Seconds until an open circuit lets a trial call through
+  const retryAfter = () =>
+    Math.max(1, Math.ceil((openedAt + resetTimeoutMs - Date.now()) / 1000));
+
+  const onSuccess = () => {
+    failures = 0;
+    lastError = null;
+    setState("closed");
+  };
+
+  const onFailure = (error) => {
+    failures += 1;
+    lastError = error.message;
+    if (state === "half_open" || failures >= failureThreshold) {
+      openedAt = Date.now();
+      setState("open");
+    }
+  };
+
+  return {
+    name: name,
+
+    // Run fn through the breaker - rejects with rejectWith() while open
+    call: async (fn) => {
+      if (state === "open") {
+        if (Date.now() - openedAt < resetTimeoutMs) {
+          throw rejectWith(retryAfter());
+        }
+        setState("half_open");
+      }
+
+      // Half open: a single trial call, everything else still fails fast
+      const isTrial = state === "half_open";
+      if (isTrial) {
+        if (trialInFlight) throw rejectWith(retryAfter());
+        trialInFlight = true;
+      }
+
+      try {
+        const result = await fn();
+        onSuccess();
+        return result;
+      } catch (error) {
+        if (isFailure(error)) {
+          onFailure(error);
+        } else {
+          onSuccess();
+        }
+        throw error;
+      } finally {
+        if (isTrial) trialInFlight = false;
+      }
+    },
+
+    // Current state for /health/ready (an open circuit past its timeout
+    // reports half_open - the next call is the trial)
+    snapshot: () => {
+      const current =
+        state === "open" && Date.now() - openedAt >= resetTimeoutMs
+          ? "half_open"
+          : state;
+
+      return {
+        state: current,
+        failures: failures,
+        ...(lastError && { last_error: lastError }),
+        ...(current === "open" && {
+          opened_at: new Date(openedAt).toISOString(),
+          retry_after: retryAfter(),
+        }),
+      };
+    },
+  };
+}
@@ -2,6 +2,42 @@
 import dotenv from "dotenv";
 dotenv.config();
 
+// Default model for each LLM provider
+const DEFAULT_MODELS = {
+  gemini: "gemini-2.0-flash-exp",
+  openai: "gpt-4o-mini",
+  mock: "mock",
+};
+
+// Build provider/model settings for an AI use case, e.g. AI_DATES_PROVIDER
+function useCaseConfig(prefix) {
+  const provider =
+    process.env[`AI_${prefix}_PROVIDER`] || process.env.AI_PROVIDER || "gemini";
+
+  return {
+    provider: provider,
+    model:
+      process.env[`AI_${prefix}_MODEL`] ||
+      process.env.AI_MODEL ||
+      DEFAULT_MODELS[provider],
+  };
+}
+
+// Read a comma-separated list from the environment, e.g. "en,es,de"
+function listFromEnv(name, fallback) {
+  const items = (process.env[name] || "")
+    .split(",")
+    .map((item) => item.trim().toLowerCase())
+    .filter(Boolean);
+  return items.length > 0 ? items : fallback;
+}
+
+// Read a non-negative number from the environment (0 is a valid value)
+function numberFromEnv(name, fallback) {
+  const value = parseFloat(process.env[name]);
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+}
+
 // Configuration object that centralizes all our app settings
 const config = {
   // Server settings
@@ -11,15 +47,135 @@ const config = {
     frontendUrl: process.env.FRONTEND_URL || "http://localhost:50002",
   },
 
-  // Google AI API settings
-  googleAI: {
-    apiKey: process.env.GOOGLE_AI_API_KEY,
+  // LLM provider settings - provider and model are chosen per use case
+  ai: {
+    providers: {
+      gemini: {
+        baseUrl:
+          process.env.GEMINI_BASE_URL ||
+          "https://generativelanguage.googleapis.com/v1beta",
+        apiKey: process.env.GOOGLE_AI_API_KEY,
+      },
+      openai: {
+        baseUrl: process.env.OPENAI_BASE_URL || "http://localhost:11434/v1", // Ollama default
+        apiKey: process.env.OPENAI_API_KEY,
+      },
+      mock: {},
+    },
+    useCases: {
+      dateExtraction: useCaseConfig("DATES"),
+      relatedEvents: useCaseConfig("RELATED_EVENTS"),
+    },
   },
 
-  // Wikipedia API settings
+  // Wikipedia API settings - {lang} is replaced with the language edition
   wikipedia: {
-    baseUrl: process.env.WIKIPEDIA_API_BASE_URL,
+    restUrl:
+      process.env.WIKIPEDIA_API_BASE_URL ||
+      "https://{lang}.wikipedia.org/api/rest_v1",
+    actionUrl:
+      process.env.WIKIPEDIA_ACTION_API_URL ||
+      "https://{lang}.wikipedia.org/w/api.php",
     userAgent: process.env.WIKIPEDIA_USER_AGENT,
+    // Editions a request may pick with `lang` or Accept-Language
+    languages: listFromEnv("WIKIPEDIA_LANGUAGES", [
+      "en",
+      "es",
+      "de",
+      "fr",
+      "it",
+      "pt",
+      "nl",
+      "pl",
+      "ca",
+      "gl",
+      "eu",
+    ]),
+  },
+
+  // Suggestion scoring - weights of the query/title similarity parts,
+  // relative to each other (see confidenceScoring.js)
+  search: {
+    weights: {
+      lexical: numberFromEnv("SEARCH_WEIGHT_LEXICAL", 0.5), // exact, substring and word matches
+      edit: numberFromEnv("SEARCH_WEIGHT_EDIT", 0.2), // edit distance, for typos
+      trigram: numberFromEnv("SEARCH_WEIGHT_TRIGRAM", 0.15), // shared character trigrams
+      phonetic: numberFromEnv("SEARCH_WEIGHT_PHONETIC", 0.15), // words that sound alike
+    },
+    // Scores against Wikipedia's "did you mean" suggestion count this much
+    didYouMeanWeight: numberFromEnv("SEARCH_DID_YOU_MEAN_WEIGHT", 0.9),
+    // Lowest confidence a `resolve` request accepts for its best match (0-1)
+    resolveThreshold: numberFromEnv("WIKIPEDIA_RESOLVE_THRESHOLD", 0.5),
+  },
+
+  // Popularity prior blended into the ranking of search suggestions
+  popularity: {
+    weight: numberFromEnv("SEARCH_POPULARITY_WEIGHT", 0.2), // share of the ranking score, 0 = confidence only
+    pageviewDays: numberFromEnv("POPULARITY_PAGEVIEW_DAYS", 30), // pageviews summed over this many days (max 60)
+    cache: {
+      enabled: process.env.POPULARITY_CACHE_ENABLED !== "false",
+      file: process.env.POPULARITY_CACHE_FILE || ".cache/popularity.json",
+      ttlMs: numberFromEnv("POPULARITY_CACHE_TTL_MS", 86400000), // 1 day
+    },
+  },
+
+  // Wikidata API settings (used to cross-check extracted dates)
+  wikidata: {
+    apiUrl:
+      process.env.WIKIDATA_API_URL || "https://www.wikidata.org/w/api.php",
+    timeout: parseInt(process.env.WIKIDATA_TIMEOUT) || 5000,
+  },
+
+  // Shared HTTP client for Wikipedia, Wikidata and AI provider calls
+  http: {
+    retries: numberFromEnv("HTTP_RETRIES", 2), // extra attempts after a transient failure
+    baseDelayMs: numberFromEnv("HTTP_RETRY_BASE_DELAY_MS", 250), // first backoff, doubled each retry
+    maxDelayMs: numberFromEnv("HTTP_RETRY_MAX_DELAY_MS", 5000), // longest wait, Retry-After included
+    requestBudgetMs: numberFromEnv("HTTP_REQUEST_BUDGET_MS", 25000), // all upstream calls of one request
+  },
+
+  // Readiness checks (GET /health/ready)
+  health: {
+    probeTimeoutMs: numberFromEnv("HEALTH_PROBE_TIMEOUT_MS", 2000), // per dependency
+    cacheTtlMs: numberFromEnv("HEALTH_CACHE_TTL_MS", 15000), // probe results are reused this long
+  },
+
+  // Circuit breakers around Wikipedia, Wikidata and AI provider calls
+  circuitBreaker: {
+    failureThreshold: numberFromEnv("CIRCUIT_FAILURE_THRESHOLD", 5), // consecutive outages that open a circuit
+    resetTimeoutMs: numberFromEnv("CIRCUIT_RESET_TIMEOUT_MS", 30000), // time open before one trial call
+  },
+
+  // Timeline extraction settings
+  timeline: {
+    // Use the rule-based extractor when the AI service fails
+    rulesFallback: process.env.TIMELINE_RULES_FALLBACK !== "false",
+  },
+
+  // Timeline cache settings (file store keyed by title + revision)
+  timelineCache: {
+    enabled: process.env.TIMELINE_CACHE_ENABLED !== "false",
+    file: process.env.TIMELINE_CACHE_FILE || ".cache/timelines.json",
+    maxEntries: numberFromEnv("TIMELINE_CACHE_MAX_ENTRIES", 1000), // least recently used evicted first
+  },
+
+  // Background jobs (POST /api/jobs) - in-process worker pool
+  jobs: {
+    concurrency: parseInt(process.env.JOB_CONCURRENCY) || 2,
+    maxQueued: parseInt(process.env.JOB_MAX_QUEUED) || 100,
+    resultTtlMs: parseInt(process.env.JOB_RESULT_TTL_MS) || 3600000, // 1 hour
+  },
+
+  // API keys (optional) - a key's tier replaces the per-IP limits below
+  apiKeys: {
+    file: process.env.API_KEYS_FILE || ".data/api-keys.json",
+    defaultTier: "standard",
+    // AI credits per hour and per day, web requests per rate limit window
+    tiers: {
+      free: { aiPerHour: 10, aiPerDay: 50, webRequests: 100 },
+      standard: { aiPerHour: 30, aiPerDay: 300, webRequests: 300 },
+      partner: { aiPerHour: 100, aiPerDay: 1500, webRequests: 1000 },
+    },
   },
 
   // Rate limiting settings
@@ -28,33 +184,19 @@ const config = {
     maxRequests: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 100,
   },
 
-  // AI rate limiting settings (10 requests per hour)
+  // AI rate limiting settings (10 credits per hour)
   aiRateLimit: {
     windowMs: parseInt(process.env.AI_RATE_LIMIT_WINDOW_MS) || 3600000, // 1 hour
     maxRequests: parseInt(process.env.AI_RATE_LIMIT_MAX_REQUESTS) || 10,
+    // Credits each kind of request spends from the AI limits
+    costs: {
+      timeline: numberFromEnv("AI_COST_TIMELINE", 1), // AI date extraction
+      timelineCached: numberFromEnv("AI_COST_TIMELINE_CACHED", 0),
+      timelineRules: numberFromEnv("AI_COST_TIMELINE_RULES", 0),
+      relatedEvents: numberFromEnv("AI_COST_RELATED_EVENTS", 2),
+    },
   },
 };
 
-// Function to validate that required environment variables are present
-function validateConfig() {
-  const required = ["GOOGLE_AI_API_KEY"];
-
-  const missing = required.filter((key) => !process.env[key]);
-
-  if (missing.length > 0) {
-    console.error("❌ Missing required environment variables:");
-    missing.forEach((key) => console.error(`  - ${key}`));
-    console.error(
-      "\n💡 Don't forget to add your .env file and check all the variables."
-    );
-    process.exit(1); // Exit the application if required vars are missing
-  }
-
-  console.log("Configuration loaded successfully");
-}
-
-// Validate configuration when this file is imported
-validateConfig();
-
 // Export the config object so other files can use it
 export default config;
@@ -0,0 +1,65 @@
+import config from "./config.js";
+import logger from "./logger.js";
+
+// Numeric settings checked against their range when set
+const NUMERIC_SETTINGS = [
+  { name: "WIKIPEDIA_RESOLVE_THRESHOLD", min: 0, max: 1 },
+];
+
+// Function to validate that required environment variables are present
+// Called by the server on startup - scripts such as the API key CLI and the
+// eval load this config without needing an AI key
+export function validateConfig() {
+  const required = [];
+
+  // Only Gemini needs a key up front; local and mock providers run without one
+  const usesGemini = Object.values(config.ai.useCases).some(
+    (useCase) => useCase.provider === "gemini"
+  );
+  if (usesGemini) {
+    required.push("GOOGLE_AI_API_KEY");
+  }
+
+  const missing = required.filter((key) => !process.env[key]);
+
+  const unknownProviders = Object.entries(config.ai.useCases).filter(
+    ([, useCase]) => !config.ai.providers[useCase.provider]
+  );
+  if (unknownProviders.length > 0) {
+    logger.error("Unknown AI provider configured", {
+      use_cases: Object.fromEntries(
+        unknownProviders.map(([name, useCase]) => [name, useCase.provider])
+      ),
+    });
+    process.exit(1);
+  }
+
+  // numberFromEnv falls back silently - a typo here would change results
+  const invalidNumbers = NUMERIC_SETTINGS.filter(({ name, min, max }) => {
+    const raw = process.env[name];
+    if (raw === undefined || raw.trim() === "") return false;
+    const value = Number(raw);
+    return !Number.isFinite(value) || value < min || value > max;
+  });
+  if (invalidNumbers.length > 0) {
+    logger.error("Invalid numeric settings - check your .env file", {
+      invalid: Object.fromEntries(
+        invalidNumbers.map(({ name, min, max }) => [
+          name,
+          `${process.env[name]} (expected ${min}-${max})`,
+        ])
+      ),
+    });
+    process.exit(1);
+  }
+
+  if (missing.length > 0) {
+    logger.error(
+      "Missing required environment variables - check your .env file",
+      { missing: missing }
+    );
+    process.exit(1); // Exit the application if required vars are missing
+  }
+
+  logger.info("Configuration loaded successfully");
+}
@@ -0,0 +1,49 @@
+// ─────────────────────────────────────────────────────────────
+//  Server-Sent Events Utilities
+//  Minimal text/event-stream writer for progress streams
+// ─────────────────────────────────────────────────────────────
+
+// Comment lines keep proxies from closing an idle stream
+const HEARTBEAT_INTERVAL = 15000;
+
+// ─────────────────────────────────────────────────────────────
+// Start an event stream on a response
+//  Events sent after the client disconnected are dropped
+//  @param {Object} req - Express request
+//  @param {Object} res - Express response
+//  @returns {Object} - { send(event, data), close(), isOpen() }
+// ─────────────────────────────────────────────────────────────
+export function openEventStream(req, res) {
+  let open = true;
+
+  res.status(200).set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no", // disable nginx buffering
+  });
+  res.flushHeaders();
+
+  const heartbeat = setInterval(() => {
+    if (open) res.write(": keep-alive\n\n");
+  }, HEARTBEAT_INTERVAL);
+
+  const stop = () => {
+    open = false;
+    clearInterval(heartbeat);
+  };
+  req.on("close", stop);
+
+  return {
+    send: (event, data) => {
+      if (!open) return;
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    },
+    close: () => {
+      if (!open) return;
+      stop();
+      res.end();
+    },
+    isOpen: () => open,
+  };
+}
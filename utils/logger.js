@@ -0,0 +1,151 @@
+import { AsyncLocalStorage } from "async_hooks";
+
+// ─────────────────────────────────────────────────────────────
+//  Logger - Structured JSON logs, one line per entry
+//  Entries carry the fields of the current log context (request_id,
+//  job_id) and secrets are redacted before anything is written.
+//  LOG_LEVEL: debug | info (default) | warn | error
+// ─────────────────────────────────────────────────────────────
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const REDACTED = "[REDACTED]";
+
+// Object keys whose values are never logged
+const SECRET_KEY_PATTERN =
+  /^(key|api[-_]?key|x-(goog-)?api-key|(proxy-)?authorization|(set-)?cookie|password|secret|client[-_]?secret|((access|refresh|id)[-_]?)?token)$/i;
+
+// Secrets embedded in strings: URL parameters, bearer tokens, our API keys
+const SECRET_STRING_PATTERNS = [
+  [
+    /([?&](?:key|api[-_]?key|token|access[-_]?token|secret)=)[^&#\s"']+/gi,
+    `$1${REDACTED}`,
+  ],
+  [/(Bearer\s+)[A-Za-z0-9._~+/=-]+/gi, `$1${REDACTED}`],
+  [/\bptk_[A-Za-z0-9_-]+/g, REDACTED],
+];
+
+// Configured secrets are also replaced wherever they appear verbatim
+const SECRET_ENV_VARS = ["GOOGLE_AI_API_KEY", "OPENAI_API_KEY"];
+
+// Deepest nesting written for logged objects
+const MAX_DEPTH = 6;
+
+const context = new AsyncLocalStorage();
+
+// ─────────────────────────────────────────────────────────────
+// Run a function with fields added to every log entry it writes
+//  Fields are merged over the surrounding context
+//  @param {Object} fields - e.g. { request_id } or { job_id }
+//  @param {Function} fn - Function to run
+//  @returns {*} - Whatever fn returns
+// ─────────────────────────────────────────────────────────────
+export function runWithLogContext(fields, fn) {
+  return context.run({ ...context.getStore(), ...fields }, fn);
+}
+
+// ─────────────────────────────────────────────────────────────
+// Fields of the current log context
+//  @returns {Object} - e.g. { request_id }, empty outside a request
+// ─────────────────────────────────────────────────────────────
+export function getLogContext() {
+  return context.getStore() || {};
+}
+
+// ─────────────────────────────────────────────────────────────
+// Remove secrets from a value before it is logged
+//  Errors become { name, message, code, status, stack, cause }
+//  @param {*} value - Anything
+//  @param {number} depth - Current nesting depth
+//  @returns {*} - Redacted, JSON-safe copy
+// ─────────────────────────────────────────────────────────────
+export function redact(value, depth = 0) {
+  if (typeof value === "string") return redactString(value);
+  if (value === null || typeof value !== "object") return value;
+  if (depth >= MAX_DEPTH) return "[Truncated]";
+
+  if (value instanceof Error) {
+    return redact(serializeError(value), depth);
+  }
+  if (value instanceof Date) return value.toISOString();
+  if (Array.isArray(value)) {
+    return value.map((item) => redact(item, depth + 1));
+  }
+
+  return Object.fromEntries(
+    Object.entries(value).map(([key, item]) => [
+      key,
+      SECRET_KEY_PATTERN.test(key) && item ? REDACTED : redact(item, depth + 1),
+    ])
+  );
+}
+
+// ─────────────────────────────────────────────────────────────
+// Replace secrets embedded in a string
+//  @param {string} text - Message, URL, header value...
+//  @returns {string} - Text with secrets replaced by [REDACTED]
+// ─────────────────────────────────────────────────────────────
+function redactString(text) {
+  const redacted = SECRET_STRING_PATTERNS.reduce(
+    (result, [pattern, replacement]) => result.replace(pattern, replacement),
+    text
+  );
+
+  return SECRET_ENV_VARS.map((name) => process.env[name])
+    .filter((secret) => secret && secret.length >= 8)
+    .reduce((result, secret) => result.split(secret).join(REDACTED), redacted);
+}
+
+// ─────────────────────────────────────────────────────────────
+// Pick the useful fields of an error
+//  Axios errors keep the method, URL and status but not the request
+//  config or response headers
+//  @param {Error} error - Any error
+//  @returns {Object} - Plain object
+// ─────────────────────────────────────────────────────────────
+function serializeError(error) {
+  return {
+    name: error.name,
+    message: error.message,
+    ...(error.code && { code: error.code }),
+    ...(error.status && { status: error.status }),
+    ...(error.isAxiosError && {
+      request: `${error.config?.method?.toUpperCase()} ${error.config?.url}`,
+      response_status: error.response?.status,
+    }),
+    ...(error.stack && { stack: error.stack }),
+    ...(error.cause && { cause: error.cause }),
+  };
+}
+
+// ─────────────────────────────────────────────────────────────
+// Write one log entry
+//  @param {string} level - debug | info | warn | error
+//  @param {string} message - What happened
+//  @param {Object} fields - Extra structured fields
+// ─────────────────────────────────────────────────────────────
+function write(level, message, fields = {}) {
+  // Read on every call - .env may be loaded after this module
+  const minLevel = LEVELS[process.env.LOG_LEVEL] ?? LEVELS.info;
+  if (LEVELS[level] < minLevel) return;
+
+  const entry = redact({
+    time: new Date().toISOString(),
+    level: level,
+    msg: message,
+    ...getLogContext(),
+    ...fields,
+  });
+
+  const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+  stream.write(`${JSON.stringify(entry)}\n`);
+}
+
+const logger = {
+  debug: (message, fields) => write("debug", message, fields),
+  info: (message, fields) => write("info", message, fields),
+  warn: (message, fields) => write("warn", message, fields),
+  error: (message, fields) => write("error", message, fields),
+};
+
+export default logger;
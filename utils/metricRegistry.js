@@ -0,0 +1,173 @@
+// ─────────────────────────────────────────────────────────────
+//  Metric Registry - Counters, histograms and gauges
+//  Kept in memory since the process started and rendered in the
+//  Prometheus text format for GET /metrics
+// ─────────────────────────────────────────────────────────────
+
+// Histogram buckets in seconds, from cache hits to slow AI answers
+const DURATION_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+const registry = []; // Metrics in the order they are exposed
+
+// ─────────────────────────────────────────────────────────────
+// Escape a label value for the text format
+//  @param {*} value - Label value
+//  @returns {string} - Value with \, " and newlines escaped
+// ─────────────────────────────────────────────────────────────
+const escapeLabel = (value) =>
+  String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, "\\n");
+
+// ─────────────────────────────────────────────────────────────
+// Format a label set
+//  @param {Object} labels - { name: value }
+//  @returns {string} - e.g. {route="/api/timeline",outcome="success"}, or "" without labels
+// ─────────────────────────────────────────────────────────────
+const formatLabels = (labels) => {
+  const pairs = Object.entries(labels).map(
+    ([name, value]) => `${name}="${escapeLabel(value)}"`
+  );
+  return pairs.length > 0 ? `{${pairs.join(",")}}` : "";
+};
+
+// ─────────────────────────────────────────────────────────────
+// Pick a metric's labels, in its declared order
+//  @param {Array<string>} labelNames - Declared label names
+//  @param {Object} labels - Labels passed by the caller
+//  @returns {Object} - { labels, key } - key identifies the series
+// ─────────────────────────────────────────────────────────────
+const series = (labelNames, labels) => {
+  const picked = Object.fromEntries(
+    labelNames.map((name) => [name, String(labels[name] ?? "")])
+  );
+  return { labels: picked, key: JSON.stringify(Object.values(picked)) };
+};
+
+// ─────────────────────────────────────────────────────────────
+// Register a counter
+//  @param {string} name - Metric name, ending in _total
+//  @param {string} help - Description shown in the exposition
+//  @param {Array<string>} labelNames - Allowed labels
+//  @returns {Object} - { inc(labels, amount), total(filter) }
+// ─────────────────────────────────────────────────────────────
+export const createCounter = (name, help, labelNames = []) => {
+  const values = new Map(); // series key → { labels, value }
+
+  registry.push({
+    name: name,
+    help: help,
+    type: "counter",
+    samples: () =>
+      [...values.values()].map(
+        ({ labels, value }) => `${name}${formatLabels(labels)} ${value}`
+      ),
+  });
+
+  return {
+    inc: (labels = {}, amount = 1) => {
+      const { labels: picked, key } = series(labelNames, labels);
+      const current = values.get(key) || { labels: picked, value: 0 };
+      current.value += amount;
+      values.set(key, current);
+    },
+    // Sum over the series whose labels pass the filter, for derived gauges
+    total: (filter = () => true) =>
+      [...values.values()]
+        .filter(({ labels }) => filter(labels))
+        .reduce((sum, { value }) => sum + value, 0),
+  };
+};
+
+// ─────────────────────────────────────────────────────────────
+// Register a histogram
+//  @param {string} name - Metric name, e.g. ..._duration_seconds
+//  @param {string} help - Description shown in the exposition
+//  @param {Array<string>} labelNames - Allowed labels
+//  @param {Array<number>} buckets - Upper bounds, ascending
+//  @returns {Object} - { observe(labels, value) }
+// ─────────────────────────────────────────────────────────────
+export const createHistogram = (
+  name,
+  help,
+  labelNames = [],
+  buckets = DURATION_BUCKETS
+) => {
+  const values = new Map(); // series key → { labels, counts, sum, count }
+
+  registry.push({
+    name: name,
+    help: help,
+    type: "histogram",
+    samples: () =>
+      [...values.values()].flatMap(({ labels, counts, sum, count }) => {
+        let cumulative = 0;
+        const bucketLines = buckets.map((bound, index) => {
+          cumulative += counts[index];
+          return `${name}_bucket${formatLabels({
+            ...labels,
+            le: bound,
+          })} ${cumulative}`;
+        });
+
+        return [
+          ...bucketLines,
+          `${name}_bucket${formatLabels({ ...labels, le: "+Inf" })} ${count}`,
+          `${name}_sum${formatLabels(labels)} ${sum}`,
+          `${name}_count${formatLabels(labels)} ${count}`,
+        ];
+      }),
+  });
+
+  return {
+    observe: (labels, value) => {
+      const { labels: picked, key } = series(labelNames, labels);
+      const current = values.get(key) || {
+        labels: picked,
+        counts: buckets.map(() => 0),
+        sum: 0,
+        count: 0,
+      };
+
+      const bucket = buckets.findIndex((bound) => value <= bound);
+      if (bucket !== -1) current.counts[bucket] += 1;
+      current.sum += value;
+      current.count += 1;
+      values.set(key, current);
+    },
+  };
+};
+
+// ─────────────────────────────────────────────────────────────
+// Register a gauge computed when metrics are scraped
+//  @param {string} name - Metric name
+//  @param {string} help - Description shown in the exposition
+//  @param {Function} collect - () => number, or null to leave the gauge out
+// ─────────────────────────────────────────────────────────────
+export const createGauge = (name, help, collect) => {
+  registry.push({
+    name: name,
+    help: help,
+    type: "gauge",
+    samples: () => {
+      const value = collect();
+      return value === null ? [] : [`${name} ${value}`];
+    },
+  });
+};
+
+// ─────────────────────────────────────────────────────────────
+// Render every metric in the Prometheus text format (version 0.0.4)
+//  @returns {string} - Exposition text
+// ─────────────────────────────────────────────────────────────
+export function renderMetrics() {
+  return registry
+    .map(({ name, help, type, samples }) =>
+      [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`, ...samples()].join(
+        "\n"
+      )
+    )
+    .join("\n")
+    .concat("\n");
+}
@@ -0,0 +1,160 @@
+import { AsyncLocalStorage } from "async_hooks";
+import {
+  createCounter,
+  createGauge,
+  createHistogram,
+} from "./metricRegistry.js";
+
+// ─────────────────────────────────────────────────────────────
+//  Metrics - The API's counters and histograms (see metricRegistry.js)
+//  Upstream, AI and cache metrics are labelled with the API route that
+//  caused them (set per request by the requestMetrics middleware).
+// ─────────────────────────────────────────────────────────────
+
+// Route label for work that doesn't belong to a request (startup, sweeps)
+const NO_ROUTE = "none";
+
+const routeContext = new AsyncLocalStorage();
+
+// Rendered by the metrics route - importing from here registers the metrics below
+export { renderMetrics } from "./metricRegistry.js";
+
+// ─────────────────────────────────────────────────────────────
+//  Metrics exposed by the API
+// ─────────────────────────────────────────────────────────────
+
+export const httpRequests = createCounter(
+  "http_requests_total",
+  "API requests by route and outcome",
+  ["method", "route", "outcome"]
+);
+
+export const httpRequestDuration = createHistogram(
+  "http_request_duration_seconds",
+  "API request latency by route and outcome",
+  ["method", "route", "outcome"]
+);
+
+export const upstreamRequests = createCounter(
+  "upstream_requests_total",
+  "Calls to Wikipedia, Wikidata and AI providers by outcome",
+  ["upstream", "route", "outcome"]
+);
+
+export const upstreamRequestDuration = createHistogram(
+  "upstream_request_duration_seconds",
+  "Latency of calls to Wikipedia, Wikidata and AI providers",
+  ["upstream", "route", "outcome"]
+);
+
+export const upstreamRetries = createCounter(
+  "upstream_retries_total",
+  "Retries of failed calls to Wikipedia, Wikidata and AI providers",
+  ["upstream", "route"]
+);
+
+export const aiTokens = createCounter(
+  "ai_tokens_total",
+  "AI tokens used, as reported by the provider",
+  ["provider", "model", "use_case", "type", "route"]
+);
+
+export const timelineCacheLookups = createCounter(
+  "timeline_cache_lookups_total",
+  "Timeline cache lookups (hit, miss, or stale revision)",
+  ["route", "outcome"]
+);
+
+createGauge(
+  "timeline_cache_hit_ratio",
+  "Share of timeline cache lookups answered from the cache since startup",
+  () => {
+    const lookups = timelineCacheLookups.total();
+    if (lookups === 0) return null;
+    const hits = timelineCacheLookups.total(({ outcome }) => outcome === "hit");
+    return hits / lookups;
+  }
+);
+
+export const rateLimitRejections = createCounter(
+  "rate_limit_rejections_total",
+  "Requests rejected by a rate limit",
+  ["limiter", "route"]
+);
+
+// ─────────────────────────────────────────────────────────────
+// Run a function with a route label for the metrics it records
+//  @param {string} route - Route template, e.g. "/api/jobs/{id}"
+//  @param {Function} fn - Function to run
+//  @returns {*} - Whatever fn returns
+// ─────────────────────────────────────────────────────────────
+export function runWithMetricsRoute(route, fn) {
+  return routeContext.run(route, fn);
+}
+
+// ─────────────────────────────────────────────────────────────
+// Route label of the current request
+//  Background jobs keep the route that submitted them (/api/jobs)
+//  @returns {string} - Route template, or "none" outside a request
+// ─────────────────────────────────────────────────────────────
+export function currentRoute() {
+  return routeContext.getStore() || NO_ROUTE;
+}
+
+// ─────────────────────────────────────────────────────────────
+// Classify the result of an upstream call
+//  @param {Error|null} error - Error thrown by the call, null on success
+//  @returns {string} - success | timeout | budget_exhausted | not_found |
+//                      rate_limited | client_error | server_error |
+//                      network_error | error
+// ─────────────────────────────────────────────────────────────
+const upstreamOutcome = (error) => {
+  if (!error) return "success";
+  if (error.isBudgetExhausted) return "budget_exhausted";
+  if (error.code === "ECONNABORTED" || error.code === "ETIMEDOUT") {
+    return "timeout";
+  }
+
+  const status = error.response?.status;
+  if (status === 404) return "not_found";
+  if (status === 429) return "rate_limited";
+  if (status) return status >= 500 ? "server_error" : "client_error";
+
+  // No response from an HTTP call, or a bad answer (e.g. invalid AI output)
+  return error.isAxiosError ? "network_error" : "error";
+};
+
+// ─────────────────────────────────────────────────────────────
+// Time an upstream call and count its outcome
+//  @param {string} upstream - e.g. "wikipedia_search", "gemini"
+//  @param {Function} call - async () => result
+//  @returns {Promise<*>} - The call's result (errors are rethrown)
+// ─────────────────────────────────────────────────────────────
+export async function observeUpstream(upstream, call) {
+  const startedAt = process.hrtime.bigint();
+  let failure = null;
+
+  try {
+    return await call();
+  } catch (error) {
+    failure = error;
+    throw error;
+  } finally {
+    const labels = {
+      upstream: upstream,
+      route: currentRoute(),
+      outcome: upstreamOutcome(failure),
+    };
+    upstreamRequests.inc(labels);
+    upstreamRequestDuration.observe(labels, secondsSince(startedAt));
+  }
+}
+
+// ─────────────────────────────────────────────────────────────
+// Seconds elapsed since a process.hrtime.bigint() timestamp
+//  @param {bigint} startedAt - Start time in nanoseconds
+//  @returns {number} - Elapsed seconds
+// ─────────────────────────────────────────────────────────────
+export function secondsSince(startedAt) {
+  return Number(process.hrtime.bigint() - startedAt) / 1e9;
+}
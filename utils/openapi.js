@@ -0,0 +1,169 @@
+import { readFileSync } from "fs";
+
+// ─────────────────────────────────────────────────────────────
+//  OpenAPI Document Builder
+//  Generates the OpenAPI 3.1 document served at /openapi.json from the
+//  operations in routes/schemas - the same schemas requests are validated with
+// ─────────────────────────────────────────────────────────────
+
+const PACKAGE = JSON.parse(
+  readFileSync(new URL("../package.json", import.meta.url), "utf8")
+);
+
+// Descriptions for the error statuses an operation lists
+const ERROR_DESCRIPTIONS = {
+  300: "Ambiguous query - pick one of the candidates",
+  400: "Invalid request (field-level details in `fields`)",
+  401: "Unknown or revoked API key",
+  404: "No Wikipedia article found",
+  408: "Wikipedia or AI request timed out",
+  422: "Center place has no coordinates",
+  429: "Rate limit exceeded",
+  500: "Internal server error",
+  502: "AI answered with an unusable response",
+  503: "Wikipedia or AI temporarily unavailable (see Retry-After)",
+};
+
+// Optional API key - rate-limited operations also work anonymously (per-IP limits)
+const SECURITY_SCHEMES = {
+  ApiKey: { type: "apiKey", in: "header", name: "X-API-Key" },
+  BearerKey: { type: "http", scheme: "bearer" },
+};
+const OPTIONAL_API_KEY = [{}, { ApiKey: [] }, { BearerKey: [] }];
+
+// ─────────────────────────────────────────────────────────────
+// Build the OpenAPI document
+//  @param {Array} operations - Operations from routes/schemas
+//  @param {Object} componentSchemas - Shared schemas by name
+//  @returns {Object} - OpenAPI 3.1 document
+// ─────────────────────────────────────────────────────────────
+export function buildOpenApiDocument(operations, componentSchemas) {
+  const paths = {};
+
+  for (const operation of operations) {
+    paths[operation.path] = {
+      ...paths[operation.path],
+      [operation.method]: buildOperation(operation),
+    };
+  }
+
+  return {
+    openapi: "3.1.0",
+    info: {
+      title: "Place Timeline API",
+      version: PACKAGE.version,
+      description: PACKAGE.description,
+    },
+    paths: paths,
+    components: {
+      schemas: componentSchemas,
+      securitySchemes: SECURITY_SCHEMES,
+    },
+  };
+}
+
+// ─────────────────────────────────────────────────────────────
+// Convert one route operation into an OpenAPI operation object
+//  @param {Object} operation - { method, path, tags, summary, body, query, params, response, contentType, errors, unavailable }
+//  @returns {Object} - OpenAPI operation
+// ─────────────────────────────────────────────────────────────
+function buildOperation(operation) {
+  const responses = {
+    200: {
+      description: "Success",
+      content: {
+        [operation.contentType || "application/json"]: {
+          schema: operation.response,
+        },
+      },
+    },
+  };
+
+  // Status checks answer 503 with their usual body when a dependency is down
+  if (operation.unavailable) {
+    responses[503] = {
+      description: operation.unavailable,
+      content: {
+        "application/json": { schema: operation.response },
+      },
+    };
+  }
+
+  for (const status of [...(operation.errors || []), 500]) {
+    responses[status] = {
+      description: ERROR_DESCRIPTIONS[status],
+      content: {
+        "application/json": {
+          schema: { $ref: "#/components/schemas/ErrorResponse" },
+        },
+      },
+    };
+  }
+
+  return {
+    operationId: toOperationId(operation),
+    tags: operation.tags,
+    summary: operation.summary,
+    ...(operation.description && { description: operation.description }),
+    ...(operation.errors?.includes(401) && { security: OPTIONAL_API_KEY }),
+    ...((operation.params || operation.query) && {
+      parameters: [
+        ...toParameters(operation.params, "path"),
+        ...toParameters(operation.query, "query"),
+      ],
+    }),
+    ...(operation.body && {
+      requestBody: {
+        required: true,
+        content: {
+          "application/json": { schema: stripExtensions(operation.body) },
+        },
+      },
+    }),
+    responses: responses,
+  };
+}
+
+// ─────────────────────────────────────────────────────────────
+// Turn an object schema into OpenAPI parameters
+//  @param {Object|undefined} schema - Object schema of the path or query string
+//  @param {string} location - "path" or "query"
+//  @returns {Array} - Parameter objects (path parameters are always required)
+// ─────────────────────────────────────────────────────────────
+function toParameters(schema, location) {
+  if (!schema) return [];
+
+  return Object.entries(schema.properties).map(([name, property]) => ({
+    name: name,
+    in: location,
+    required: location === "path" || (schema.required || []).includes(name),
+    schema: stripExtensions(property),
+  }));
+}
+
+// ─────────────────────────────────────────────────────────────
+// Remove validator-only keywords ("x-trim") from a schema
+//  @param {Object} schema - Request schema
+//  @returns {Object} - Copy without the keywords
+// ─────────────────────────────────────────────────────────────
+function stripExtensions(schema) {
+  return JSON.parse(
+    JSON.stringify(schema, (key, value) =>
+      key === "x-trim" ? undefined : value
+    )
+  );
+}
+
+// ─────────────────────────────────────────────────────────────
+// Derive a stable operationId for client generators
+//  @param {Object} operation - Route operation
+//  @returns {string} - e.g. "postApiTimeline"
+// ─────────────────────────────────────────────────────────────
+function toOperationId(operation) {
+  const words = operation.path
+    .replace(/\{(\w+)\}/g, "by-$1")
+    .split(/[^a-zA-Z0-9]+/)
+    .filter(Boolean)
+    .map((word) => word.charAt(0).toUpperCase() + word.slice(1));
+  return `${operation.method}${words.join("")}`;
+}
@@ -0,0 +1,98 @@
+// ─────────────────────────────────────────────────────────────
+//  Quota Counter - Fixed-window usage per client, in memory
+//  Unlike express-rate-limit's store, usage can grow by any amount, so a
+//  request can spend more (or less) than one unit of a limit
+// ─────────────────────────────────────────────────────────────
+
+// Longest gap between sweeps of finished windows
+const MAX_SWEEP_INTERVAL = 10 * 60 * 1000;
+
+// ─────────────────────────────────────────────────────────────
+// Create a counter for one limit window
+//  @param {number} windowMs - Window length in milliseconds
+//  @returns {Object} - { windowMs, get(key), charge(key, amount), refund(key, amount, resetTime) }
+// ─────────────────────────────────────────────────────────────
+export function createQuotaCounter(windowMs) {
+  const clients = new Map(); // key → { used, resetTime }
+
+  setInterval(
+    () => {
+      const now = Date.now();
+      for (const [key, client] of clients) {
+        if (client.resetTime <= now) clients.delete(key);
+      }
+    },
+    Math.min(windowMs, MAX_SWEEP_INTERVAL)
+  ).unref();
+
+  // Current window of a client, starting a new one when the last ended
+  const currentWindow = (key) => {
+    const now = Date.now();
+    let client = clients.get(key);
+    if (!client || client.resetTime <= now) {
+      client = { used: 0, resetTime: now + windowMs };
+      clients.set(key, client);
+    }
+    return client;
+  };
+
+  return {
+    windowMs: windowMs,
+
+    // Usage in the current window (resetTime is null when nothing was spent)
+    get: (key) => {
+      const client = clients.get(key);
+      if (!client || client.resetTime <= Date.now()) {
+        return { used: 0, resetTime: null };
+      }
+      return { ...client };
+    },
+
+    charge: (key, amount) => {
+      const client = currentWindow(key);
+      client.used += amount;
+      return { ...client };
+    },
+
+    // Give back part of a charge, unless its window has already reset
+    refund: (key, amount, resetTime) => {
+      const client = clients.get(key);
+      if (!client || client.resetTime !== resetTime) return;
+      client.used = Math.max(0, client.used - amount);
+    },
+  };
+}
+
+// ─────────────────────────────────────────────────────────────
+// Describe a window length for messages
+//  @param {number} windowMs - Window length in milliseconds
+//  @returns {string} - e.g. "hour", "15 minutes", "day"
+// ─────────────────────────────────────────────────────────────
+export function describeWindow(windowMs) {
+  const units = [
+    ["day", 24 * 60 * 60 * 1000],
+    ["hour", 60 * 60 * 1000],
+    ["minute", 60 * 1000],
+  ];
+  const [unit, size] = units.find(([, size]) => windowMs % size === 0) || [
+    "second",
+    1000,
+  ];
+  const count = Math.round(windowMs / size);
+  return count === 1 ? unit : `${count} ${unit}s`;
+}
+
+// ─────────────────────────────────────────────────────────────
+// Report one limit window for GET /api/quota
+//  @param {Object} usage - { limit, used, resetTime (ms or Date, null when unused), windowMs }
+//  @returns {Object} - { limit, used, remaining, reset_at, window }
+// ─────────────────────────────────────────────────────────────
+export function formatQuotaWindow({ limit, used, resetTime, windowMs }) {
+  return {
+    limit: limit,
+    used: used,
+    remaining: Math.max(0, limit - used),
+    reset_at: resetTime ? new Date(resetTime).toISOString() : null,
+    window: describeWindow(windowMs),
+  };
+}
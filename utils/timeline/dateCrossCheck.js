@@ -0,0 +1,140 @@
+// ─────────────────────────────────────────────────────────────
+//  Timeline Date Cross-Check Utilities
+//  Merges AI-extracted dates with Wikidata facts and flags disagreements
+// ─────────────────────────────────────────────────────────────
+
+import { normalizeDate } from "./dateNormalization.js";
+import { byYear, toLegacyPrecision } from "./milestones.js";
+
+// Timeline field → Wikidata fact it is checked against, and the milestone
+// a date filled in from that fact is added as
+const CHECKED_FIELDS = {
+  construction_start: { fact: "inception", milestone: "founding" },
+  construction_end: { fact: "official_opening", milestone: "opening" },
+};
+
+// Milestone type → Wikidata fact, for milestones without a field of their own
+const CHECKED_MILESTONES = {
+  demolition: "dissolved",
+};
+
+// ─────────────────────────────────────────────────────────────
+// Merge AI dates with Wikidata facts
+//  Dates filled in from Wikidata are added to the milestones too, so the
+//  milestones and the construction fields agree
+//  @param {Object} dateData - Output of extractDates
+//  @param {Object|null} facts - Output of getPlaceFacts
+//  @returns {Object} - dateData with missing dates filled, plus conflicts and sources
+// ─────────────────────────────────────────────────────────────
+export function crossCheckDates(dateData, facts) {
+  const merged = { ...dateData };
+  const milestones = [...(dateData.milestones || [])];
+  const conflicts = [];
+  const extractedFields = [];
+  const wikidataFields = [];
+  const checkedFields = [];
+
+  // Compare an AI date with its Wikidata fact, or fill it in from the fact
+  const check = (field, aiValue, factName, fill) => {
+    const fact = facts?.[factName];
+
+    if (aiValue) extractedFields.push(field);
+    if (!fact) return;
+
+    const factRange = normalizeDate(fact.date);
+
+    // AI found nothing - use the structured value
+    if (!aiValue) {
+      fill(fact, factRange);
+      wikidataFields.push(field);
+      return;
+    }
+
+    checkedFields.push(field);
+    const aiRange = normalizeDate(aiValue);
+
+    if (aiRange && factRange && !rangesOverlap(aiRange, factRange)) {
+      conflicts.push({
+        field: field,
+        ai: aiValue,
+        wikidata: fact.date,
+        wikidata_property: factName,
+      });
+    }
+  };
+
+  for (const [field, { fact, milestone }] of Object.entries(CHECKED_FIELDS)) {
+    check(field, dateData[field], fact, (value, range) => {
+      merged[field] = value.date;
+      merged[`${field}_normalized`] = range;
+      if (merged.date_precision === "unknown" || !merged.date_precision) {
+        merged.date_precision = toLegacyPrecision(value.precision);
+      }
+      milestones.push(wikidataMilestone(milestone, value, range));
+    });
+  }
+
+  for (const [type, factName] of Object.entries(CHECKED_MILESTONES)) {
+    const aiMilestone = milestones.find((milestone) => milestone.type === type);
+    check(type, aiMilestone?.date, factName, (value, range) =>
+      milestones.push(wikidataMilestone(type, value, range))
+    );
+  }
+
+  // The extractor is "ai" or "rules"
+  const sources = [{ name: dateData.method || "ai", fields: extractedFields }];
+  if (facts) {
+    sources.push({
+      name: "wikidata",
+      id: facts.id,
+      url: facts.url,
+      fields: wikidataFields,
+      checked: checkedFields,
+    });
+  }
+
+  return {
+    ...merged,
+    milestones: milestones.sort(byYear),
+    wikidata: facts
+      ? {
+          id: facts.id,
+          inception: facts.inception,
+          official_opening: facts.official_opening,
+          dissolved: facts.dissolved,
+          country: facts.country,
+          coordinates: facts.coordinates,
+        }
+      : null,
+    conflicts: conflicts,
+    sources: sources,
+  };
+}
+
+// ─────────────────────────────────────────────────────────────
+// Build a milestone from a Wikidata time fact
+//  @param {string} type - Milestone type
+//  @param {Object} fact - { date, year, precision } from getPlaceFacts
+//  @param {Object|null} range - Normalized fact date
+//  @returns {Object} - Milestone without a supporting span in the summary
+// ─────────────────────────────────────────────────────────────
+function wikidataMilestone(type, fact, range) {
+  return {
+    type: type,
+    date: fact.date,
+    date_normalized: range,
+    precision: toLegacyPrecision(fact.precision),
+    year: range?.earliest ?? fact.year,
+    span: null,
+  };
+}
+
+// ─────────────────────────────────────────────────────────────
+// Check whether two normalized dates can describe the same moment
+//  @param {Object} a - Normalized date
+//  @param {Object} b - Normalized date
+//  @returns {boolean} - True when their year bounds overlap
+// ─────────────────────────────────────────────────────────────
+function rangesOverlap(a, b) {
+  return a.earliest <= b.latest && b.earliest <= a.latest;
+}
@@ -0,0 +1,137 @@
+// ─────────────────────────────────────────────────────────────
+//  Timeline Date Normalization Utilities
+//  Turns display dates ("January 1887", "1880s", "5th century BC",
+//  "1887–1889") into machine-readable values with EDTF strings and bounds
+// ─────────────────────────────────────────────────────────────
+
+import {
+  narrowSpan,
+  parseCalendarDate,
+  parseDecade,
+  parseOrdinalSpan,
+} from "./dateParsers.js";
+
+const BCE_PATTERN = /\s*\b(?:b\.?\s?c\.?\s?e\.?|b\.?\s?c\.?)(?=\s|$)/i;
+const CE_PATTERN = /\s*\b(?:c\.?\s?e\.?|a\.?\s?d\.?)(?=\s|$)/i;
+const APPROXIMATE_PATTERN =
+  /^(?:c\.|ca\.|circa|around|about|approximately|approx\.)\s*/i;
+const QUALIFIER_PATTERN = /^(early|mid|late)[\s-]+/i;
+const RANGE_PATTERN =
+  /^(?:between\s+|from\s+)?(.+?)\s*(?:–|—|\bto\b|\band\b|\buntil\b|(?<=\d)\s*-\s*(?=\d))\s*(.+)$/i;
+
+// ─────────────────────────────────────────────────────────────
+// Normalize a display date into a structured value
+//  Bounds are signed historical years (-500 = 500 BCE, there is no year 0);
+//  EDTF strings use ISO 8601 astronomical years (500 BCE = -0499)
+//  @param {string|null} value - Display date from the AI or Wikidata
+//  @returns {Object|null} - { display, edtf, earliest, latest, precision, era, approximate }
+// ─────────────────────────────────────────────────────────────
+export function normalizeDate(value) {
+  if (value === null || value === undefined) return null;
+
+  const display = String(value).trim();
+  if (!display || /^(null|unknown|unknown date)$/i.test(display)) return null;
+
+  let text = display.replace(/^the\s+/i, "");
+  const approximate = APPROXIMATE_PATTERN.test(text);
+  text = text.replace(APPROXIMATE_PATTERN, "");
+
+  const parsed = parseSingle(text) || parseRange(text);
+  if (!parsed) return null;
+
+  return {
+    display: display,
+    edtf: approximate ? markApproximate(parsed.edtf) : parsed.edtf,
+    earliest: parsed.earliest,
+    latest: parsed.latest,
+    precision: parsed.precision,
+    era: parsed.earliest < 0 ? "BCE" : "CE",
+    approximate: approximate,
+  };
+}
+
+// ─────────────────────────────────────────────────────────────
+// Parse a range such as "1887–1889", "between 1887 and 1889" or "500–450 BC"
+//  @param {string} text - Date text without approximation markers
+//  @returns {Object|null} - Parsed interval or null
+// ─────────────────────────────────────────────────────────────
+function parseRange(text) {
+  const match = text.match(RANGE_PATTERN);
+  if (!match) return null;
+
+  let [, startText, endText] = match;
+
+  // "1887–89" shorthand
+  if (/^\d{4}$/.test(startText) && /^\d{2}$/.test(endText)) {
+    endText = `${startText.slice(0, 2)}${endText}`;
+  }
+
+  // "12th–13th century" - the unit on the end applies to both sides
+  const unit = endText.match(/\b(century|millennium)\b/i);
+  if (unit && /^\d{1,2}(?:st|nd|rd|th)$/i.test(startText)) {
+    startText = `${startText} ${unit[1]}`;
+  }
+
+  // "500–450 BC" - the era on the end applies to both sides
+  if (BCE_PATTERN.test(endText) && !hasEra(startText)) {
+    startText = `${startText} BC`;
+  }
+
+  const start = parseSingle(startText);
+  const end = parseSingle(endText);
+  if (!start || !end) return null;
+
+  // Spans like centuries are intervals themselves - keep their outer ends
+  return {
+    edtf: `${start.edtf.split("/")[0]}/${end.edtf.split("/").pop()}`,
+    earliest: Math.min(start.earliest, end.earliest),
+    latest: Math.max(start.latest, end.latest),
+    precision: start.precision,
+  };
+}
+
+// ─────────────────────────────────────────────────────────────
+// Parse one date (no range)
+//  @param {string} text - Date text
+//  @returns {Object|null} - { edtf, earliest, latest, precision } or null
+// ─────────────────────────────────────────────────────────────
+function parseSingle(text) {
+  let rest = text.trim();
+  const isBce = BCE_PATTERN.test(rest);
+  rest = rest.replace(BCE_PATTERN, "").replace(CE_PATTERN, "").trim();
+
+  const qualifier = rest.match(QUALIFIER_PATTERN)?.[1].toLowerCase() || null;
+  rest = rest.replace(QUALIFIER_PATTERN, "").trim();
+
+  const span =
+    parseOrdinalSpan(rest, "millennium", 1000, isBce) ||
+    parseOrdinalSpan(rest, "century", 100, isBce) ||
+    parseDecade(rest, isBce);
+  if (span) return qualifier ? narrowSpan(span, qualifier) : span;
+
+  // Early/mid/late only make sense for decades, centuries and millennia
+  if (qualifier) return null;
+
+  return parseCalendarDate(rest, isBce);
+}
+
+// ─────────────────────────────────────────────────────────────
+// Mark every part of an EDTF value as approximate
+//  @param {string} edtf - EDTF date or interval
+//  @returns {string} - e.g. "1887~" or "1887~/1889~"
+// ─────────────────────────────────────────────────────────────
+function markApproximate(edtf) {
+  return edtf
+    .split("/")
+    .map((part) => `${part}~`)
+    .join("/");
+}
+
+// ─────────────────────────────────────────────────────────────
+// Check whether a date text names its era
+//  @param {string} text - Date text
+//  @returns {boolean} - True when BC/BCE/AD/CE is present
+// ─────────────────────────────────────────────────────────────
+function hasEra(text) {
+  return BCE_PATTERN.test(text) || CE_PATTERN.test(text);
+}
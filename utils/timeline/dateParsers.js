@@ -0,0 +1,176 @@
+// ─────────────────────────────────────────────────────────────
+//  Timeline Date Parsers
+//  Parse single dates without era markers - calendar dates, decades,
+//  centuries and millennia - into EDTF values and signed year bounds
+//  (see dateNormalization.js for ranges, eras and approximations)
+// ─────────────────────────────────────────────────────────────
+
+const MONTHS = {
+  january: 1,
+  february: 2,
+  march: 3,
+  april: 4,
+  may: 5,
+  june: 6,
+  july: 7,
+  august: 8,
+  september: 9,
+  october: 10,
+  november: 11,
+  december: 12,
+  jan: 1,
+  feb: 2,
+  mar: 3,
+  apr: 4,
+  jun: 6,
+  jul: 7,
+  aug: 8,
+  sep: 9,
+  sept: 9,
+  oct: 10,
+  nov: 11,
+  dec: 12,
+};
+
+// ─────────────────────────────────────────────────────────────
+// Parse "19th century" or "3rd millennium" style spans
+//  @param {string} text - Date text without era
+//  @param {string} unit - "century" or "millennium"
+//  @param {number} size - Years per unit
+//  @param {boolean} isBce - Whether the span is before the common era
+//  @returns {Object|null} - Parsed span or null
+// ─────────────────────────────────────────────────────────────
+export function parseOrdinalSpan(text, unit, size, isBce) {
+  const match = text.match(
+    new RegExp(`^(\\d{1,2})(?:st|nd|rd|th)[\\s-]+${unit}$`, "i")
+  );
+  if (!match) return null;
+
+  const ordinal = parseInt(match[1], 10);
+  if (ordinal === 0) return null;
+
+  const first = (ordinal - 1) * size + 1;
+  const last = ordinal * size;
+  const earliest = isBce ? -last : first;
+  const latest = isBce ? -first : last;
+
+  return {
+    edtf: `${toEdtfYear(earliest)}/${toEdtfYear(latest)}`,
+    earliest: earliest,
+    latest: latest,
+    precision: unit,
+  };
+}
+
+// ─────────────────────────────────────────────────────────────
+// Parse "1880s" style decades
+//  @param {string} text - Date text without era
+//  @param {boolean} isBce - Whether the decade is before the common era
+//  @returns {Object|null} - Parsed decade or null
+// ─────────────────────────────────────────────────────────────
+export function parseDecade(text, isBce) {
+  const match = text.match(/^(\d{1,3}0)'?s$/);
+  if (!match) return null;
+
+  const start = parseInt(match[1], 10);
+  if (isBce) {
+    // The 480s BC run from 489 BC to 480 BC
+    return {
+      edtf: `${toEdtfYear(-(start + 9))}/${toEdtfYear(-start)}`,
+      earliest: -(start + 9),
+      latest: -start,
+      precision: "decade",
+    };
+  }
+
+  return {
+    edtf: `${String(start / 10).padStart(3, "0")}X`,
+    earliest: start,
+    latest: start + 9,
+    precision: "decade",
+  };
+}
+
+// ─────────────────────────────────────────────────────────────
+// Parse ISO dates, "28 January 1887", "January 28, 1887", "January 1887", "1887"
+//  @param {string} text - Date text without era
+//  @param {boolean} isBce - Whether the year is before the common era
+//  @returns {Object|null} - Parsed date or null
+// ─────────────────────────────────────────────────────────────
+export function parseCalendarDate(text, isBce) {
+  let year = null;
+  let month = null;
+  let day = null;
+  let match;
+
+  if ((match = text.match(/^(\d{4})-(\d{2})(?:-(\d{2}))?$/))) {
+    [year, month, day] = [match[1], match[2], match[3]];
+  } else if ((match = text.match(/^(\d{1,2})\s+([a-z]+)\.?,?\s+(\d{1,4})$/i))) {
+    [day, month, year] = [match[1], MONTHS[match[2].toLowerCase()], match[3]];
+  } else if ((match = text.match(/^([a-z]+)\.?\s+(\d{1,2}),\s*(\d{1,4})$/i))) {
+    [month, day, year] = [MONTHS[match[1].toLowerCase()], match[2], match[3]];
+  } else if ((match = text.match(/^([a-z]+)\.?,?\s+(\d{1,4})$/i))) {
+    [month, year] = [MONTHS[match[1].toLowerCase()], match[2]];
+  } else if ((match = text.match(/^(\d{1,4})$/))) {
+    year = match[1];
+  } else {
+    return null;
+  }
+
+  // Unknown month name (e.g. "Spring 1887") or impossible values
+  if (month === undefined) return null;
+  month = month === null ? null : parseInt(month, 10);
+  day = day === null || day === undefined ? null : parseInt(day, 10);
+  if ((month !== null && (month < 1 || month > 12)) || day === 0 || day > 31) {
+    return null;
+  }
+
+  const historicalYear = parseInt(year, 10);
+  if (historicalYear === 0) return null;
+  const signedYear = isBce ? -historicalYear : historicalYear;
+
+  let edtf = toEdtfYear(signedYear);
+  if (month !== null) edtf += `-${String(month).padStart(2, "0")}`;
+  if (day !== null) edtf += `-${String(day).padStart(2, "0")}`;
+
+  return {
+    edtf: edtf,
+    earliest: signedYear,
+    latest: signedYear,
+    precision: day !== null ? "day" : month !== null ? "month" : "year",
+  };
+}
+
+// ─────────────────────────────────────────────────────────────
+// Narrow a span to its early, mid or late third
+//  @param {Object} span - Parsed decade, century or millennium
+//  @param {string} qualifier - "early", "mid" or "late"
+//  @returns {Object} - Narrowed span
+// ─────────────────────────────────────────────────────────────
+export function narrowSpan(span, qualifier) {
+  const third = Math.floor((span.latest - span.earliest + 1) / 3);
+  let { earliest, latest } = span;
+
+  if (qualifier === "early") latest = earliest + third - 1;
+  if (qualifier === "mid")
+    [earliest, latest] = [earliest + third, latest - third];
+  if (qualifier === "late") earliest = latest - third + 1;
+
+  return {
+    edtf: `${toEdtfYear(earliest)}/${toEdtfYear(latest)}`,
+    earliest: earliest,
+    latest: latest,
+    precision: span.precision,
+  };
+}
+
+// ─────────────────────────────────────────────────────────────
+// Format a historical year as an EDTF (astronomical) year
+//  @param {number} year - Signed historical year (no year 0)
+//  @returns {string} - e.g. "1887", "0080", "-0499"
+// ─────────────────────────────────────────────────────────────
+function toEdtfYear(year) {
+  const astronomical = year < 0 ? year + 1 : year;
+  const digits = String(Math.abs(astronomical)).padStart(4, "0");
+  return astronomical < 0 ? `-${digits}` : digits;
+}
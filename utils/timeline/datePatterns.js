@@ -0,0 +1,93 @@
+// ─────────────────────────────────────────────────────────────
+//  Date Pattern Definitions
+//  Regular expression building blocks for dates in English summaries and
+//  the verb phrase rules the rule-based extractor matches them with
+// ─────────────────────────────────────────────────────────────
+
+const MONTH =
+  "(?:January|February|March|April|May|June|July|August|September|October|November|December|Jan|Feb|Mar|Apr|Jun|Jul|Aug|Sep|Sept|Oct|Nov|Dec)\\.?";
+export const ERA_NAME = "(?:BCE|BC|B\\.C\\.|A\\.D\\.|AD|CE)";
+const ERA = `(?:\\s*${ERA_NAME})?`;
+
+// A single date expression: "1889", "January 1887", "28 January 1887",
+// "1880s", "447 BC", "c. 1200", "the early 12th century", "72 AD", "AD 80".
+// Years under 100 need an era ("80 AD", "69–79 AD") - bare they're counts.
+const DATE =
+  "(?:(?:c\\.|circa|around|about)\\s*)?(?:the\\s+)?(?:(?:early|mid|late)[\\s-]+)?" +
+  "(?:\\d{1,2}(?:st|nd|rd|th)[\\s-]+(?:century|millennium)" +
+  `|(?:\\d{1,2}\\s+)?${MONTH}\\s+(?:\\d{1,2},\\s*)?\\d{3,4}` +
+  "|(?:AD|A\\.D\\.)\\s+\\d{1,4}" +
+  `|\\d{1,2}(?=(?:\\s*[–—-]\\s*\\d{1,4})?\\s*${ERA_NAME}(?![A-Za-z]))` +
+  "|\\d{3,4}'?s" +
+  "|\\d{3,4}(?!\\d|,\\d|\\s*(?:days|weeks|months|years|metres|meters|feet|ft|m|km|tons|tonnes|people|workers|%))" +
+  `)${ERA}`;
+
+// "between 1887 and 1889", "from 1887 to 1889", "1887–1889"
+const RANGE = `(?:(?:between|from)\\s+(${DATE})\\s+(?:and|to|until)\\s+(${DATE})|(${DATE})\\s*[–—-]\\s*(${DATE}))`;
+
+// Words allowed between a verb and its date ("was completed in", "opened to the public on")
+const GAP = "[^.;]{0,40}?\\b";
+const AT = "(?:in|on|during|by|around|circa|c\\.)\\s+";
+
+// Future dates ("expected to be completed in 2026", "scheduled to open in
+// 2027") - not milestones yet, but a sign construction is ongoing
+const PROJECTED = `\\b(?:expected|scheduled|planned|projected|slated|due|set)\\s+(?:to\\s+(?:be\\s+)?(?:completed|finished|opened|open|reopened|reopen|ready)|for\\s+(?:completion|opening))`;
+
+// Verb phrases → milestone types. Order matters: first matching rule claims the text.
+export const RULES = [
+  // Claims projected dates so "completed in 2026" isn't read as construction_end
+  { types: [], pattern: `${PROJECTED}${GAP}${AT}(${DATE})` },
+  {
+    types: ["construction_start", "construction_end"],
+    pattern: `\\b(?:built|constructed|erected|construction(?:\\s+\\w+)?\\s+(?:lasted|took place|ran))${GAP}${RANGE}`,
+  },
+  {
+    types: ["construction_start"],
+    pattern: `\\b(?:construction\\s+(?:began|started|commenced)|(?:began|started)\\s+construction|foundation stone was laid|cornerstone was laid)${GAP}${AT}(${DATE})`,
+  },
+  {
+    types: ["construction_end"],
+    pattern: `\\b(?:completed|finished|construction\\s+(?:ended|was completed))${GAP}${AT}(${DATE})`,
+  },
+  {
+    types: ["construction_start", "construction_end"],
+    pattern: `\\b(?:built|constructed|erected)${GAP}${AT}(${DATE})`,
+  },
+  { types: ["reopening"], pattern: `\\breopened${GAP}${AT}(${DATE})` },
+  {
+    types: ["opening"],
+    pattern: `\\b(?:opened|inaugurated|consecrated|dedicated)${GAP}${AT}(${DATE})`,
+  },
+  {
+    types: ["founding"],
+    pattern: `\\b(?:founded|established|settled)${GAP}${AT}(${DATE})`,
+  },
+  {
+    types: ["expansion"],
+    pattern: `\\b(?:expanded|extended|enlarged)${GAP}${AT}(${DATE})`,
+  },
+  {
+    types: ["fire"],
+    pattern: `\\b(?:fire|burned|burnt)${GAP}${AT}(${DATE})`,
+  },
+  {
+    types: ["damage"],
+    pattern: `\\b(?:damaged|destroyed|bombed)${GAP}${AT}(${DATE})`,
+  },
+  {
+    types: ["restoration"],
+    pattern: `\\b(?:restored|restoration|rebuilt|renovated|renovation)${GAP}${AT}(${DATE})`,
+  },
+  { types: ["renaming"], pattern: `\\brenamed${GAP}${AT}(${DATE})` },
+  { types: ["closure"], pattern: `\\bclosed${GAP}${AT}(${DATE})` },
+  {
+    types: ["demolition"],
+    pattern: `\\b(?:demolished|torn down|razed)${GAP}${AT}(${DATE})`,
+  },
+];
+
+// Phrases that mark a place as still being built
+export const ONGOING_PATTERN = new RegExp(
+  `\\b(?:under construction|still being built|is being built|remains unfinished)\\b|${PROJECTED}`,
+  "i"
+);
@@ -0,0 +1,183 @@
+// ─────────────────────────────────────────────────────────────
+//  Timeline Milestone Utilities
+//  Validates, orders and summarizes the milestones of a place's history
+// ─────────────────────────────────────────────────────────────
+
+import { normalizeDate } from "./dateNormalization.js";
+
+export const MILESTONE_TYPES = [
+  "founding",
+  "construction_start",
+  "construction_end",
+  "opening",
+  "expansion",
+  "renovation",
+  "restoration",
+  "damage",
+  "fire",
+  "renaming",
+  "closure",
+  "reopening",
+  "demolition",
+  "other",
+];
+
+export const DATE_PRECISIONS = [
+  "month_year",
+  "year",
+  "decade",
+  "century",
+  "unknown",
+];
+
+// Milestone types that define the legacy construction_start/end fields
+const START_TYPES = ["construction_start", "founding"];
+const END_TYPES = ["construction_end", "opening"];
+
+// ─────────────────────────────────────────────────────────────
+// Validate raw milestones and sort them chronologically
+//  @param {Array} rawMilestones - Milestones as returned by the extractor
+//  @param {string} summary - Source text used to locate supporting spans
+//  @returns {Array} - [{ type, date, date_normalized, precision, year, span }]
+// ─────────────────────────────────────────────────────────────
+export function normalizeMilestones(rawMilestones, summary = "") {
+  if (!Array.isArray(rawMilestones)) return [];
+
+  return rawMilestones
+    .filter((milestone) => milestone && typeof milestone === "object")
+    .map((milestone) => {
+      const date = cleanDate(milestone.date);
+      const normalized = normalizeDate(date);
+
+      return {
+        type: MILESTONE_TYPES.includes(milestone.type)
+          ? milestone.type
+          : "other",
+        date: date,
+        date_normalized: normalized,
+        precision: DATE_PRECISIONS.includes(milestone.precision)
+          ? milestone.precision
+          : "unknown",
+        year: normalized?.earliest ?? null,
+        span: locateSpan(milestone.text, summary),
+      };
+    })
+    .filter((milestone) => milestone.date !== null)
+    .sort(byYear);
+}
+
+// ─────────────────────────────────────────────────────────────
+// Order milestones chronologically, undated ones last
+//  @param {Object} a - Milestone
+//  @param {Object} b - Milestone
+//  @returns {number} - Sort order
+// ─────────────────────────────────────────────────────────────
+export function byYear(a, b) {
+  return (a.year ?? Infinity) - (b.year ?? Infinity);
+}
+
+// ─────────────────────────────────────────────────────────────
+// Build the date data returned by every extractor
+//  @param {Object} extracted - { milestones, status } from the extractor
+//  @param {string} placeName - Name of the place
+//  @param {string} summary - Source summary used to locate text spans
+//  @param {string} method - Extraction method ("ai" or "rules")
+//  @returns {Object} - Ordered milestones plus derived construction fields
+// ─────────────────────────────────────────────────────────────
+export function formatTimelineDates(extracted, placeName, summary, method) {
+  // Order milestones and derive the legacy construction fields from them
+  const milestones = normalizeMilestones(extracted.milestones, summary);
+
+  return {
+    place_name: placeName,
+    ...deriveConstructionDates(milestones),
+    status: extracted.status,
+    milestones: milestones,
+    method: method,
+    extracted_at: new Date().toISOString(),
+  };
+}
+
+// ─────────────────────────────────────────────────────────────
+// Derive the legacy construction fields from milestones
+//  @param {Array} milestones - Normalized milestones
+//  @returns {Object} - Construction dates, their normalized values and precision
+// ─────────────────────────────────────────────────────────────
+export function deriveConstructionDates(milestones) {
+  const start = findFirst(milestones, START_TYPES);
+  const end = findFirst(milestones, END_TYPES);
+
+  return {
+    construction_start: start?.date || null,
+    construction_start_normalized: start?.date_normalized || null,
+    construction_end: end?.date || null,
+    construction_end_normalized: end?.date_normalized || null,
+    date_precision: start?.precision || end?.precision || "unknown",
+  };
+}
+
+// ─────────────────────────────────────────────────────────────
+// Map a normalized precision to the date_precision values clients know
+//  @param {string|undefined} precision - Normalized precision
+//  @returns {string} - month_year|year|decade|century|unknown
+// ─────────────────────────────────────────────────────────────
+export function toLegacyPrecision(precision) {
+  switch (precision) {
+    case "day":
+    case "month":
+      return "month_year";
+    case "year":
+    case "decade":
+    case "century":
+      return precision;
+    case "millennium":
+      return "century";
+    default:
+      return "unknown";
+  }
+}
+
+// ─────────────────────────────────────────────────────────────
+// Find the earliest milestone of the first matching type
+//  @param {Array} milestones - Chronologically sorted milestones
+//  @param {Array<string>} types - Types in order of preference
+//  @returns {Object|undefined} - Matching milestone
+// ─────────────────────────────────────────────────────────────
+function findFirst(milestones, types) {
+  for (const type of types) {
+    const match = milestones.find((milestone) => milestone.type === type);
+    if (match) return match;
+  }
+  return undefined;
+}
+
+// ─────────────────────────────────────────────────────────────
+// Clean a raw date value
+//  @param {string|null} date - Raw date string
+//  @returns {string|null} - Trimmed date or null
+// ─────────────────────────────────────────────────────────────
+function cleanDate(date) {
+  if (!date || date === "null") return null;
+  const trimmed = date.toString().trim();
+  return trimmed.length > 0 ? trimmed : null;
+}
+
+// ─────────────────────────────────────────────────────────────
+// Locate the supporting text in the source summary
+//  @param {string} text - Quote given by the extractor
+//  @param {string} summary - Source text
+//  @returns {Object|null} - { text, start, end } or null when not quoted verbatim
+// ─────────────────────────────────────────────────────────────
+function locateSpan(text, summary) {
+  if (!text || typeof text !== "string") return null;
+
+  const quote = text.trim();
+  if (quote.length === 0) return null;
+
+  const start = summary.indexOf(quote);
+  if (start === -1) {
+    return { text: quote, start: null, end: null };
+  }
+
+  return { text: quote, start: start, end: start + quote.length };
+}
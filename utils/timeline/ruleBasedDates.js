@@ -0,0 +1,97 @@
+// ─────────────────────────────────────────────────────────────
+//  Rule-Based Date Extraction Utilities
+//  Deterministic milestone extraction from Wikipedia summaries, used when
+//  the AI service is unavailable or the client asks for it
+// ─────────────────────────────────────────────────────────────
+
+import { normalizeDate } from "./dateNormalization.js";
+import { formatTimelineDates, toLegacyPrecision } from "./milestones.js";
+import { ERA_NAME, ONGOING_PATTERN, RULES } from "./datePatterns.js";
+
+// ─────────────────────────────────────────────────────────────
+// Extract dated milestones from a summary with text patterns
+//  @param {string} summary - Wikipedia article summary text
+//  @param {string} placeName - Name of the place/building
+//  @returns {Object} - Same shape as extractDates, with method "rules"
+// ─────────────────────────────────────────────────────────────
+export function extractDatesWithRules(summary, placeName) {
+  const text = summary || "";
+  const milestones = [];
+  const claimed = []; // [start, end] ranges already used by a rule
+
+  for (const rule of RULES) {
+    const regex = new RegExp(rule.pattern, "gi");
+
+    for (const match of text.matchAll(regex)) {
+      const start = match.index;
+      const end = start + match[0].length;
+      if (claimed.some(([from, to]) => start < to && end > from)) continue;
+
+      const dates = match.slice(1).filter(Boolean);
+      const [first, second] = splitDates(dates);
+      if (!first) continue;
+
+      claimed.push([start, end]);
+      rule.types.forEach((type, index) => {
+        const date = index === 1 && second ? second : first;
+        milestones.push(buildMilestone(type, date, match[0]));
+      });
+    }
+  }
+
+  return formatTimelineDates(
+    { milestones: milestones, status: detectStatus(text, milestones) },
+    placeName,
+    text,
+    "rules"
+  );
+}
+
+// ─────────────────────────────────────────────────────────────
+// Share an era between range ends ("500–450 BC", "69–79 AD")
+//  @param {Array<string>} dates - Captured date strings
+//  @returns {Array<string>} - [first, second] with the era applied to both
+// ─────────────────────────────────────────────────────────────
+function splitDates(dates) {
+  let [first, second] = dates.map((date) => date.trim());
+  const era = second?.match(new RegExp(`\\s*(${ERA_NAME})$`));
+
+  if (era && !new RegExp(`${ERA_NAME}$`).test(first)) {
+    first = `${first} ${era[1]}`;
+  }
+
+  return [first, second];
+}
+
+// ─────────────────────────────────────────────────────────────
+// Build a raw milestone in the extractor format
+//  @param {string} type - Milestone type
+//  @param {string} date - Date text
+//  @param {string} quote - Matched text supporting the milestone
+//  @returns {Object} - { type, date, precision, text }
+// ─────────────────────────────────────────────────────────────
+function buildMilestone(type, date, quote) {
+  const display = date.replace(/^the\s+/i, "");
+
+  return {
+    type: type,
+    date: display,
+    precision: toLegacyPrecision(normalizeDate(display)?.precision),
+    text: quote,
+  };
+}
+
+// ─────────────────────────────────────────────────────────────
+// Decide the construction status from the summary
+//  @param {string} text - Summary text
+//  @param {Array} milestones - Extracted raw milestones
+//  @returns {string} - completed|ongoing|unknown
+// ─────────────────────────────────────────────────────────────
+function detectStatus(text, milestones) {
+  if (ONGOING_PATTERN.test(text)) return "ongoing";
+
+  const finished = milestones.some((milestone) =>
+    ["construction_end", "opening", "demolition"].includes(milestone.type)
+  );
+  return finished ? "completed" : "unknown";
+}
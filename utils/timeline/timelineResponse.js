@@ -0,0 +1,92 @@
+// ─────────────────────────────────────────────────────────────
+//  Timeline Response Utilities
+//  Shapes the article and extracted dates of a timeline into the data
+//  returned by the timeline endpoints and jobs
+// ─────────────────────────────────────────────────────────────
+
+// ─────────────────────────────────────────────────────────────
+// Format a createTimeline result as the timeline response data
+//  @param {Object} timeline - Output of createTimeline
+//  @returns {Object} - Response data shared by every timeline endpoint
+// ─────────────────────────────────────────────────────────────
+export const formatTimelineResponse = ({
+  wikiData,
+  dateData,
+  cached,
+  cachedAt,
+}) => ({
+  // Wikipedia data
+  ...formatArticleCard(wikiData),
+  type: wikiData.type,
+
+  // Extracted dates (construction fields are derived from milestones)
+  milestones: dateData.milestones,
+  construction_start: dateData.construction_start,
+  construction_start_normalized: dateData.construction_start_normalized,
+  construction_end: dateData.construction_end,
+  construction_end_normalized: dateData.construction_end_normalized,
+  date_precision: dateData.date_precision,
+  status: dateData.status,
+  method: dateData.method,
+  fallback_reason: dateData.fallback_reason || null,
+  extracted_at: dateData.extracted_at,
+
+  // Cross-check with structured data
+  conflicts: dateData.conflicts,
+  sources: dateData.sources,
+  wikidata: dateData.wikidata,
+
+  // Cache info
+  revision: wikiData.revision,
+  cached: cached,
+  cached_at: cachedAt,
+});
+
+// ─────────────────────────────────────────────────────────────
+// Wikipedia card shown before the dates are ready
+//  @param {Object} wikiData - Output of searchArticle
+//  @returns {Object} - Article fields of the timeline response
+// ─────────────────────────────────────────────────────────────
+export const formatArticleCard = (wikiData) => ({
+  name: wikiData.name,
+  english_name: wikiData.englishName,
+  lang: wikiData.lang,
+  redirected_from: wikiData.redirectedFrom,
+  resolution: wikiData.resolvedFrom,
+  summary: wikiData.summary,
+  thumbnail: wikiData.thumbnail,
+  url: wikiData.url,
+  coordinates: wikiData.coordinates,
+  country: wikiData.country,
+});
+
+// ─────────────────────────────────────────────────────────────
+// Fill country and coordinates the summary didn't provide
+//  @param {Object} wikiData - Output of searchArticle
+//  @param {Object|null} wikidata - Wikidata facts kept with the dates
+//  @returns {Object} - wikiData with fallbacks applied
+// ─────────────────────────────────────────────────────────────
+export const withWikidataFallbacks = (wikiData, wikidata) => ({
+  ...wikiData,
+  country: wikiData.country || wikidata?.country || null,
+  coordinates: wikiData.coordinates || wikidata?.coordinates || null,
+});
+
+// ─────────────────────────────────────────────────────────────
+// Prepend the Wikipedia article to the sources list
+//  @param {Object} dateData - Cross-checked date data
+//  @param {Object} wikiData - Output of searchArticle
+//  @returns {Object} - dateData with the full sources list
+// ─────────────────────────────────────────────────────────────
+export const withWikipediaSource = (dateData, wikiData) => ({
+  ...dateData,
+  sources: [
+    {
+      name: "wikipedia",
+      title: wikiData.name,
+      url: wikiData.url,
+      revision: wikiData.revision,
+    },
+    ...dateData.sources,
+  ],
+});
@@ -0,0 +1,86 @@
+// ─────────────────────────────────────────────────────────────
+//  Schema Type Utilities
+//  Type checks, query string coercion and error message helpers
+//  shared by the schema validator
+// ─────────────────────────────────────────────────────────────
+
+// ─────────────────────────────────────────────────────────────
+// Convert a query string value to the schema's type when possible
+//  @param {Object} schema - JSON Schema
+//  @param {*} value - Raw value
+//  @returns {*} - Converted value, or the original when it doesn't convert
+// ─────────────────────────────────────────────────────────────
+export function coerce(schema, value) {
+  if (typeof value !== "string") return value;
+  const types = [].concat(schema.type || []);
+
+  if (
+    (types.includes("number") || types.includes("integer")) &&
+    value.trim() !== ""
+  ) {
+    const number = Number(value);
+    if (!Number.isNaN(number)) return number;
+  }
+
+  if (types.includes("boolean") && (value === "true" || value === "false")) {
+    return value === "true";
+  }
+
+  return value;
+}
+
+// ─────────────────────────────────────────────────────────────
+// Check a value against one JSON Schema type name
+//  @param {string} type - string|number|integer|boolean|array|object|null
+//  @param {*} value - Value to check
+//  @returns {boolean} - True when the value has that type
+// ─────────────────────────────────────────────────────────────
+export function matchesType(type, value) {
+  switch (type) {
+    case "string":
+      return typeof value === "string";
+    case "number":
+      return typeof value === "number" && Number.isFinite(value);
+    case "integer":
+      return Number.isInteger(value);
+    case "boolean":
+      return typeof value === "boolean";
+    case "array":
+      return Array.isArray(value);
+    case "object":
+      return isObject(value);
+    case "null":
+      return value === null;
+    default:
+      return true;
+  }
+}
+
+// ─────────────────────────────────────────────────────────────
+// Check for a plain object (not null, not an array)
+//  @param {*} value - Value to check
+//  @returns {boolean} - True for objects
+// ─────────────────────────────────────────────────────────────
+export function isObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+// ─────────────────────────────────────────────────────────────
+// Append a property name to a dotted field path
+//  @param {string} path - Parent path, empty at the root
+//  @param {string} name - Property name
+//  @returns {string} - e.g. "placeData.name"
+// ─────────────────────────────────────────────────────────────
+export function joinPath(path, name) {
+  return path ? `${path}.${name}` : name;
+}
+
+// ─────────────────────────────────────────────────────────────
+// Prefix a type name with "a" or "an" for error messages
+//  @param {string} type - JSON Schema type name
+//  @returns {string} - e.g. "an integer"
+// ─────────────────────────────────────────────────────────────
+export function withArticle(type) {
+  if (type === "null") return "null";
+  return /^[aeiou]/.test(type) ? `an ${type}` : `a ${type}`;
+}
@@ -0,0 +1,151 @@
+// ─────────────────────────────────────────────────────────────
+//  Schema Validation Utilities
+//  Validates request data against the JSON Schema subset used in
+//  routes/schemas (type, enum, bounds, required, properties, items, oneOf)
+//  plus "x-trim" to trim strings before checking them
+// ─────────────────────────────────────────────────────────────
+
+import {
+  coerce,
+  isObject,
+  joinPath,
+  matchesType,
+  withArticle,
+} from "./schemaTypes.js";
+
+// ─────────────────────────────────────────────────────────────
+// Validate a value and return the cleaned copy
+//  Defaults are applied, "x-trim" strings are trimmed and, with coerce,
+//  query string values are converted to numbers and booleans
+//  @param {Object} schema - JSON Schema
+//  @param {*} value - Value to validate
+//  @param {Object} options - { coerce: boolean, path: string }
+//  @returns {Object} - { value, errors: [{ field, message, rule }] }
+// ─────────────────────────────────────────────────────────────
+export function validateSchema(schema, value, options = {}) {
+  const errors = [];
+  const cleaned = validateValue(schema, value, options.path || "", {
+    coerce: options.coerce === true,
+    errors: errors,
+  });
+  return { value: cleaned, errors: errors };
+}
+
+// ─────────────────────────────────────────────────────────────
+// Validate one value, recording errors in state.errors
+//  @param {Object} schema - JSON Schema for the value
+//  @param {*} value - Value to validate
+//  @param {string} path - Dotted field path for error messages
+//  @param {Object} state - { coerce, errors }
+//  @returns {*} - Cleaned value
+// ─────────────────────────────────────────────────────────────
+function validateValue(schema, value, path, state) {
+  const fail = (rule, message) =>
+    state.errors.push({ field: path, message: message, rule: rule });
+
+  let current = state.coerce ? coerce(schema, value) : value;
+  if (typeof current === "string" && schema["x-trim"]) {
+    current = current.trim();
+  }
+
+  const types = [].concat(schema.type || []);
+  if (types.length > 0 && !types.some((type) => matchesType(type, current))) {
+    fail("type", `must be ${types.map(withArticle).join(" or ")}`);
+    return current;
+  }
+
+  if (schema.enum && !schema.enum.includes(current)) {
+    fail("enum", `must be one of: ${schema.enum.join(", ")}`);
+  }
+
+  if (typeof current === "string") {
+    if (schema.minLength !== undefined && current.length < schema.minLength) {
+      fail(
+        "minLength",
+        schema.minLength === 1
+          ? "must not be empty"
+          : `must be at least ${schema.minLength} characters long`
+      );
+    }
+    if (schema.maxLength !== undefined && current.length > schema.maxLength) {
+      fail("maxLength", `must be at most ${schema.maxLength} characters long`);
+    }
+  }
+
+  if (typeof current === "number") {
+    if (schema.minimum !== undefined && current < schema.minimum) {
+      fail("minimum", `must be at least ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && current > schema.maximum) {
+      fail("maximum", `must be at most ${schema.maximum}`);
+    }
+  }
+
+  if (Array.isArray(current) && schema.items) {
+    return current.map((item, index) =>
+      validateValue(schema.items, item, `${path}[${index}]`, state)
+    );
+  }
+
+  if (isObject(current)) {
+    return validateObject(schema, current, path, state);
+  }
+
+  return current;
+}
+
+// ─────────────────────────────────────────────────────────────
+// Validate object properties, required fields and oneOf branches
+//  Unknown properties are kept - the routes ignore them
+//  @param {Object} schema - Object schema
+//  @param {Object} value - Object to validate
+//  @param {string} path - Dotted path of the object
+//  @param {Object} state - { coerce, errors }
+//  @returns {Object} - Cleaned object
+// ─────────────────────────────────────────────────────────────
+function validateObject(schema, value, path, state) {
+  const cleaned = { ...value };
+  const properties = schema.properties || {};
+  const isPresent = (name) => cleaned[name] !== undefined;
+
+  for (const [name, propertySchema] of Object.entries(properties)) {
+    if (cleaned[name] === undefined && propertySchema.default !== undefined) {
+      cleaned[name] = propertySchema.default;
+    }
+    if (cleaned[name] !== undefined) {
+      cleaned[name] = validateValue(
+        propertySchema,
+        cleaned[name],
+        joinPath(path, name),
+        state
+      );
+    }
+  }
+
+  for (const name of schema.required || []) {
+    if (!isPresent(name)) {
+      state.errors.push({
+        field: joinPath(path, name),
+        message: "is required",
+        rule: "required",
+      });
+    }
+  }
+
+  // Only "exactly one group of fields" branches are supported
+  if (schema.oneOf) {
+    const groups = schema.oneOf.map((branch) => branch.required || []);
+    const matching = groups.filter((group) => group.every(isPresent));
+    if (matching.length !== 1) {
+      state.errors.push({
+        field: path,
+        message: `must provide exactly one of: ${groups
+          .map((group) => group.join(" and "))
+          .join("; ")}`,
+        rule: "oneOf",
+      });
+    }
+  }
+
+  return cleaned;
+}
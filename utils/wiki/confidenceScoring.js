@@ -3,8 +3,24 @@
 //  Handles confidence calculation and scoring for Wikipedia search results
 // ─────────────────────────────────────────────────────────────
 
+import config from "../config.js";
 import { normalizeText } from "./textNormalization.js";
 import { isPlace } from "./placeDetection.js";
+import { placeCategory } from "./placeTaxonomy.js";
+import { lexicalSimilarity } from "./lexicalMatching.js";
+import {
+  editSimilarity,
+  trigramSimilarity,
+  phoneticSimilarity,
+} from "./fuzzyMatching.js";
+
+// Similarity parts blended into the text confidence, by weight name
+const SIMILARITIES = {
+  lexical: lexicalSimilarity,
+  edit: editSimilarity,
+  trigram: trigramSimilarity,
+  phonetic: phoneticSimilarity,
+};
 
 // ─────────────────────────────────────────────────────────────
 // Calculate confidence score for search suggestions
@@ -14,66 +30,49 @@ import { isPlace } from "./placeDetection.js";
 //  @returns {number} - Confidence score between 0 and 1
 // ─────────────────────────────────────────────────────────────
 export function calculateConfidence(query, title, snippet) {
+  return scoreConfidence(query, title, snippet).confidence;
+}
+
+// ─────────────────────────────────────────────────────────────
+// Score how well a title matches a search query, with a breakdown
+//  Blends exact/substring/word matching with typo-tolerant similarities
+//  (edit distance, trigrams, Soundex), weighted by config.search.weights
+//  @param {string} query - Original search query
+//  @param {string} title - Wikipedia article title
+//  @param {string} snippet - Article snippet
+//  @returns {Object} - { confidence, breakdown: score of each part }
+// ─────────────────────────────────────────────────────────────
+export function scoreConfidence(query, title, snippet) {
   const normalizedQuery = normalizeText(query);
   const normalizedTitle = normalizeText(title);
   const normalizedSnippet = normalizeText(snippet);
 
-  let confidence = 0;
-
-  // Exact title match (highest priority)
-  if (normalizedTitle === normalizedQuery) {
-    confidence = 1.0;
-  }
-  // Title contains query
-  else if (normalizedTitle.includes(normalizedQuery)) {
-    confidence = 0.9;
-  }
-  // Query contains title (partial match)
-  else if (normalizedQuery.includes(normalizedTitle)) {
-    confidence = 0.8;
-  }
-  // Word-based matching
-  else {
-    const queryWords = normalizedQuery.split(/\s+/);
-    const titleWords = normalizedTitle.split(/\s+/);
-    const snippetWords = normalizedSnippet.split(/\s+/);
-
-    let wordMatches = 0;
-    let totalWords = queryWords.length;
-
-    // Check word matches in title
-    queryWords.forEach((queryWord) => {
-      if (queryWord.length > 2) {
-        // Ignore short words
-        if (
-          titleWords.some(
-            (titleWord) =>
-              titleWord.includes(queryWord) || queryWord.includes(titleWord)
-          )
-        ) {
-          wordMatches++;
-        }
-      }
-    });
-
-    // Boost confidence if snippet also contains query words
-    let snippetMatches = 0;
-    queryWords.forEach((queryWord) => {
-      if (queryWord.length > 2 && normalizedSnippet.includes(queryWord)) {
-        snippetMatches++;
-      }
-    });
+  const weights = config.search.weights;
+  const totalWeight = Object.values(weights).reduce((sum, w) => sum + w, 0);
 
-    confidence =
-      (wordMatches / totalWords) * 0.7 + (snippetMatches / totalWords) * 0.3;
-  }
+  const breakdown = Object.fromEntries(
+    Object.entries(SIMILARITIES).map(([part, similarity]) => [
+      part,
+      similarity(normalizedQuery, normalizedTitle, normalizedSnippet),
+    ])
+  );
+  let confidence =
+    totalWeight > 0
+      ? Object.entries(breakdown).reduce(
+          (sum, [part, score]) => sum + score * weights[part],
+          0
+        ) / totalWeight
+      : breakdown.lexical;
 
   // Apply length penalty for very short queries
   if (query.length < 3) {
     confidence *= 0.5;
   }
 
-  return Math.min(Math.max(confidence, 0), 1); // Ensure between 0 and 1
+  return {
+    confidence: Math.min(Math.max(confidence, 0), 1), // Ensure between 0 and 1
+    breakdown: breakdown,
+  };
 }
 
 // ─────────────────────────────────────────────────────────────
@@ -81,25 +80,47 @@ export function calculateConfidence(query, title, snippet) {
 //  @param {string} query - Original search query
 //  @param {string} title - Wikipedia article title
 //  @param {string} snippet - Article snippet
+//  @param {Object} placeCheck - Result of isPlace, when already classified
 //  @returns {number} - Confidence score between 0 and 1 (0 if not a place)
 // ─────────────────────────────────────────────────────────────
-export function calculatePlaceConfidence(query, title, snippet) {
-  // First check if it's a place
-  const placeCheck = isPlace(title, snippet);
+export function calculatePlaceConfidence(
+  query,
+  title,
+  snippet,
+  placeCheck = isPlace(title, snippet)
+) {
+  return scorePlaceConfidence(query, title, snippet, placeCheck).confidence;
+}
 
+// ─────────────────────────────────────────────────────────────
+// Place confidence with a breakdown of how it was reached
+//  @param {string} query - Original search query
+//  @param {string} title - Wikipedia article title
+//  @param {string} snippet - Article snippet
+//  @param {Object} placeCheck - Result of isPlace, when already classified
+//  @returns {Object} - { confidence, breakdown: { text, lexical, edit,
+//                      trigram, phonetic, placeBoost, typeBonus } };
+//                      breakdown is null when it isn't a place
+// ─────────────────────────────────────────────────────────────
+export function scorePlaceConfidence(
+  query,
+  title,
+  snippet,
+  placeCheck = isPlace(title, snippet)
+) {
   if (!placeCheck.isPlace) {
-    return 0; // Not a place, return 0 confidence
+    return { confidence: 0, breakdown: null }; // Not a place, return 0 confidence
   }
 
   // Calculate base confidence using existing method
-  const baseConfidence = calculateConfidence(query, title, snippet);
+  const text = scoreConfidence(query, title, snippet);
 
   // Boost confidence for places
   const placeBoost = placeCheck.confidence * 0.2;
 
   // Apply place type bonus
   let typeBonus = 0;
-  switch (placeCheck.placeType) {
+  switch (placeCategory(placeCheck.placeType)) {
     case "city":
       typeBonus = 0.1;
       break;
@@ -115,9 +136,17 @@ export function calculatePlaceConfidence(query, title, snippet) {
   }
 
   const finalConfidence = Math.min(
-    baseConfidence + placeBoost + typeBonus,
+    text.confidence + placeBoost + typeBonus,
     1.0
   );
 
-  return finalConfidence;
+  return {
+    confidence: finalConfidence,
+    breakdown: {
+      text: text.confidence,
+      ...text.breakdown,
+      placeBoost: placeBoost,
+      typeBonus: typeBonus,
+    },
+  };
 }
@@ -0,0 +1,156 @@
+// ─────────────────────────────────────────────────────────────
+//  Wiki Fuzzy Matching Utilities
+//  Typo-tolerant similarities between a search query and a title:
+//  edit distance, character trigrams and Soundex codes. Inputs are
+//  expected to be normalized with normalizeText.
+// ─────────────────────────────────────────────────────────────
+
+// Soundex digit of each consonant group; vowels, h, w and y have none
+const SOUNDEX_CODES = Object.fromEntries(
+  ["bfpv", "cgjkqsxz", "dt", "l", "mn", "r"].flatMap((letters, index) =>
+    [...letters].map((letter) => [letter, String(index + 1)])
+  )
+);
+
+// ─────────────────────────────────────────────────────────────
+// Split normalized text into words
+//  @param {string} text - Normalized text
+//  @returns {Array<string>} - Non-empty words
+// ─────────────────────────────────────────────────────────────
+const words = (text) => text.split(/\s+/).filter(Boolean);
+
+// ─────────────────────────────────────────────────────────────
+// Edit distance with adjacent transpositions (optimal string alignment)
+//  "towr" → "tower" is 1 edit, "towre" → "tower" is 1 as well
+//  @param {string} a - First string
+//  @param {string} b - Second string
+//  @returns {number} - Insertions, deletions, substitutions and swaps
+// ─────────────────────────────────────────────────────────────
+export function editDistance(a, b) {
+  const rows = Array.from({ length: a.length + 1 }, (_, i) =>
+    Array.from({ length: b.length + 1 }, (_, j) => (i === 0 ? j : i))
+  );
+
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      rows[i][j] = Math.min(
+        rows[i - 1][j] + 1,
+        rows[i][j - 1] + 1,
+        rows[i - 1][j - 1] + cost
+      );
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+      }
+    }
+  }
+
+  return rows[a.length][b.length];
+}
+
+// ─────────────────────────────────────────────────────────────
+// Similarity of two strings from their edit distance
+//  @param {string} a - First string
+//  @param {string} b - Second string
+//  @returns {number} - 1 for equal strings, 0 when nothing lines up
+// ─────────────────────────────────────────────────────────────
+const editRatio = (a, b) => {
+  const longest = Math.max(a.length, b.length);
+  return longest === 0 ? 1 : 1 - editDistance(a, b) / longest;
+};
+
+// ─────────────────────────────────────────────────────────────
+// Edit-distance similarity of a query to a title
+//  Each query word is matched to its closest title word, so word order
+//  and extra title words don't count; the whole strings without spaces
+//  are compared too, for "eiffeltower"
+//  @param {string} query - Normalized query
+//  @param {string} title - Normalized title
+//  @returns {number} - Similarity between 0 and 1
+// ─────────────────────────────────────────────────────────────
+export function editSimilarity(query, title) {
+  const queryWords = words(query);
+  const titleWords = words(title);
+  if (queryWords.length === 0 || titleWords.length === 0) return 0;
+
+  const perWord =
+    queryWords
+      .map((queryWord) =>
+        Math.max(...titleWords.map((word) => editRatio(queryWord, word)))
+      )
+      .reduce((sum, ratio) => sum + ratio, 0) / queryWords.length;
+
+  const compact = editRatio(queryWords.join(""), titleWords.join(""));
+  return Math.max(perWord, compact);
+}
+
+// ─────────────────────────────────────────────────────────────
+// Character trigrams of a text, each word padded like pg_trgm
+//  @param {string} text - Normalized text
+//  @returns {Set<string>} - e.g. "tower" → "  t", " to", "tow", ...
+// ─────────────────────────────────────────────────────────────
+const trigrams = (text) => {
+  const grams = new Set();
+  words(text).forEach((word) => {
+    const padded = `  ${word} `;
+    for (let i = 0; i < padded.length - 2; i++) {
+      grams.add(padded.slice(i, i + 3));
+    }
+  });
+  return grams;
+};
+
+// ─────────────────────────────────────────────────────────────
+// Trigram similarity of a query to a title (Jaccard index)
+//  Shared trigrams survive most typos; extra title words lower the score
+//  @param {string} query - Normalized query
+//  @param {string} title - Normalized title
+//  @returns {number} - Similarity between 0 and 1
+// ─────────────────────────────────────────────────────────────
+export function trigramSimilarity(query, title) {
+  const queryGrams = trigrams(query);
+  const titleGrams = trigrams(title);
+  if (queryGrams.size === 0 || titleGrams.size === 0) return 0;
+
+  const shared = [...queryGrams].filter((gram) => titleGrams.has(gram)).length;
+  return shared / (queryGrams.size + titleGrams.size - shared);
+}
+
+// ─────────────────────────────────────────────────────────────
+// Soundex code of a word
+//  @param {string} word - Normalized word
+//  @returns {string|null} - e.g. "eiffel" → "E140", null without letters
+// ─────────────────────────────────────────────────────────────
+export function soundex(word) {
+  const letters = word.replace(/[^a-z]/g, "");
+  if (!letters) return null;
+
+  let code = letters[0].toUpperCase();
+  let previous = SOUNDEX_CODES[letters[0]];
+
+  for (const letter of letters.slice(1)) {
+    const digit = SOUNDEX_CODES[letter];
+    if (digit && digit !== previous) code += digit;
+    // h and w don't separate consonants with the same code; vowels do
+    if (letter !== "h" && letter !== "w") previous = digit;
+    if (code.length === 4) break;
+  }
+
+  return code.padEnd(4, "0");
+}
+
+// ─────────────────────────────────────────────────────────────
+// Phonetic similarity of a query to a title
+//  @param {string} query - Normalized query
+//  @param {string} title - Normalized title
+//  @returns {number} - Share of query words that sound like a title word
+// ─────────────────────────────────────────────────────────────
+export function phoneticSimilarity(query, title) {
+  const queryCodes = words(query).map(soundex).filter(Boolean);
+  const titleCodes = new Set(words(title).map(soundex).filter(Boolean));
+  if (queryCodes.length === 0) return 0;
+
+  return (
+    queryCodes.filter((code) => titleCodes.has(code)).length / queryCodes.length
+  );
+}
@@ -0,0 +1,103 @@
+// ─────────────────────────────────────────────────────────────
+//  Wiki Language Utilities
+//  Picks the Wikipedia edition a request is served from and builds its
+//  API URLs. English is always available: interlanguage links point
+//  local articles at their English title.
+// ─────────────────────────────────────────────────────────────
+
+import config from "../config.js";
+
+export const ENGLISH = "en";
+
+// Editions requests may ask for, English first
+export const SUPPORTED_LANGUAGES = [
+  ...new Set([ENGLISH, ...config.wikipedia.languages]),
+];
+
+const languageNames = new Intl.DisplayNames([ENGLISH], { type: "language" });
+
+// ─────────────────────────────────────────────────────────────
+// Pick the language of a request
+//  An explicit `lang` wins, then the first supported Accept-Language
+//  entry by quality, then English
+//  @param {string|undefined} requested - Validated `lang` parameter
+//  @param {string|undefined} acceptLanguage - Accept-Language header
+//  @returns {string} - Supported language code, e.g. "de"
+// ─────────────────────────────────────────────────────────────
+export function resolveLanguage(requested, acceptLanguage) {
+  if (requested) return requested;
+
+  const preferred = parseAcceptLanguage(acceptLanguage).find((tag) =>
+    SUPPORTED_LANGUAGES.includes(tag)
+  );
+  return preferred || ENGLISH;
+}
+
+// ─────────────────────────────────────────────────────────────
+// List the languages of an Accept-Language header, best first
+//  Region subtags are dropped ("de-AT" → "de"); q=0 entries are skipped
+//  @param {string|undefined} header - e.g. "es-ES,es;q=0.9,en;q=0.8"
+//  @returns {Array<string>} - e.g. ["es", "es", "en"]
+// ─────────────────────────────────────────────────────────────
+function parseAcceptLanguage(header) {
+  if (!header) return [];
+
+  return header
+    .split(",")
+    .map((entry, index) => {
+      const [tag, ...params] = entry.trim().split(";");
+      const qParam = params.find((param) => param.trim().startsWith("q="));
+      const quality = qParam ? parseFloat(qParam.trim().slice(2)) : 1;
+      return {
+        language: tag.trim().toLowerCase().split("-")[0],
+        quality: Number.isFinite(quality) ? quality : 0,
+        index: index,
+      };
+    })
+    .filter(({ language, quality }) => language && quality > 0)
+    .sort((a, b) => b.quality - a.quality || a.index - b.index)
+    .map(({ language }) => language);
+}
+
+// ─────────────────────────────────────────────────────────────
+// English name of a language, for AI prompts
+//  @param {string} lang - Language code, e.g. "es"
+//  @returns {string} - e.g. "Spanish"
+// ─────────────────────────────────────────────────────────────
+export function languageName(lang) {
+  return languageNames.of(lang) || lang;
+}
+
+// ─────────────────────────────────────────────────────────────
+// Point a configured Wikipedia URL at one language edition
+//  URLs without {lang} keep working: a *.wikipedia.org host gets the
+//  edition swapped in, any other host (e.g. a mirror) is used as is
+//  @param {string} template - e.g. "https://{lang}.wikipedia.org/w/api.php"
+//  @param {string} lang - Language code
+//  @returns {string} - URL of that edition
+// ─────────────────────────────────────────────────────────────
+const editionUrl = (template, lang) =>
+  template.includes("{lang}")
+    ? template.replaceAll("{lang}", lang)
+    : template.replace(
+        /\/\/[a-z-]+\.wikipedia\.org/,
+        `//${lang}.wikipedia.org`
+      );
+
+// ─────────────────────────────────────────────────────────────
+// REST API base URL of a language edition (page summaries)
+//  @param {string} lang - Language code
+//  @returns {string} - e.g. "https://de.wikipedia.org/api/rest_v1"
+// ─────────────────────────────────────────────────────────────
+export function restApiUrl(lang = ENGLISH) {
+  return editionUrl(config.wikipedia.restUrl, lang);
+}
+
+// ─────────────────────────────────────────────────────────────
+// Action API URL of a language edition (search, page data, langlinks)
+//  @param {string} lang - Language code
+//  @returns {string} - e.g. "https://de.wikipedia.org/w/api.php"
+// ─────────────────────────────────────────────────────────────
+export function actionApiUrl(lang = ENGLISH) {
+  return editionUrl(config.wikipedia.actionUrl, lang);
+}
@@ -0,0 +1,70 @@
+// ─────────────────────────────────────────────────────────────
+//  Wiki Lexical Matching Utilities
+//  Exact, substring and shared-word similarity between a search query
+//  and a title. Inputs are expected to be normalized with normalizeText.
+// ─────────────────────────────────────────────────────────────
+
+// ─────────────────────────────────────────────────────────────
+// Lexical similarity - exact title, substring and shared words
+//  @param {string} normalizedQuery - Normalized search query
+//  @param {string} normalizedTitle - Normalized article title
+//  @param {string} normalizedSnippet - Normalized article snippet
+//  @returns {number} - Similarity between 0 and 1
+// ─────────────────────────────────────────────────────────────
+export function lexicalSimilarity(
+  normalizedQuery,
+  normalizedTitle,
+  normalizedSnippet
+) {
+  let confidence = 0;
+
+  // Exact title match (highest priority)
+  if (normalizedTitle === normalizedQuery) {
+    confidence = 1.0;
+  }
+  // Title contains query
+  else if (normalizedTitle.includes(normalizedQuery)) {
+    confidence = 0.9;
+  }
+  // Query contains title (partial match)
+  else if (normalizedQuery.includes(normalizedTitle)) {
+    confidence = 0.8;
+  }
+  // Word-based matching
+  else {
+    const queryWords = normalizedQuery.split(/\s+/);
+    const titleWords = normalizedTitle.split(/\s+/);
+    const snippetWords = normalizedSnippet.split(/\s+/);
+
+    let wordMatches = 0;
+    let totalWords = queryWords.length;
+
+    // Check word matches in title
+    queryWords.forEach((queryWord) => {
+      if (queryWord.length > 2) {
+        // Ignore short words
+        if (
+          titleWords.some(
+            (titleWord) =>
+              titleWord.includes(queryWord) || queryWord.includes(titleWord)
+          )
+        ) {
+          wordMatches++;
+        }
+      }
+    });
+
+    // Boost confidence if snippet also contains query words
+    let snippetMatches = 0;
+    queryWords.forEach((queryWord) => {
+      if (queryWord.length > 2 && normalizedSnippet.includes(queryWord)) {
+        snippetMatches++;
+      }
+    });
+
+    confidence =
+      (wordMatches / totalWords) * 0.7 + (snippetMatches / totalWords) * 0.3;
+  }
+
+  return confidence;
+}
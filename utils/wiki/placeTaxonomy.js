@@ -0,0 +1,198 @@
+// ─────────────────────────────────────────────────────────────
+//  Wiki Place Taxonomy
+//  Maps Wikidata classes (targets of P31 instance of / P279 subclass of)
+//  to the place types returned as placeType
+// ─────────────────────────────────────────────────────────────
+
+// Place types, most specific first. generic types only win when no
+// specific type is found further up the class chain. category is the
+// coarse type used for confidence scoring (see confidenceScoring.js).
+export const PLACE_TYPES = {
+  religious_building: {
+    category: "building",
+    classes: [
+      "Q24398318", // religious building
+      "Q16970", // church building
+      "Q2977", // cathedral
+      "Q163687", // basilica
+      "Q108325", // chapel
+      "Q32815", // mosque
+      "Q44539", // temple
+      "Q34627", // synagogue
+      "Q44613", // monastery
+    ],
+  },
+  fortification: {
+    category: "building",
+    classes: [
+      "Q57821", // fortification
+      "Q23413", // castle
+      "Q1785071", // fort
+      "Q16748868", // city walls
+    ],
+  },
+  palace: {
+    category: "building",
+    classes: ["Q16560"], // palace
+  },
+  museum: {
+    category: "building",
+    classes: [
+      "Q33506", // museum
+      "Q207694", // art museum
+    ],
+  },
+  bridge: {
+    category: "building",
+    classes: ["Q12280"], // bridge
+  },
+  tower: {
+    category: "building",
+    classes: [
+      "Q12518", // tower
+      "Q11303", // skyscraper
+    ],
+  },
+  monument: {
+    category: "landmark",
+    classes: [
+      "Q4989906", // monument
+      "Q5003624", // memorial
+      "Q179700", // statue
+    ],
+  },
+  venue: {
+    category: "building",
+    classes: [
+      "Q483110", // stadium
+      "Q24354", // theater building
+      "Q153562", // opera house
+      "Q7075", // library
+    ],
+  },
+  station: {
+    category: "building",
+    classes: [
+      "Q55488", // railway station
+      "Q1248784", // airport
+    ],
+  },
+  public_space: {
+    category: "landmark",
+    classes: [
+      "Q22698", // park
+      "Q1107656", // garden
+      "Q174782", // town square
+      "Q79007", // street
+    ],
+  },
+  settlement: {
+    category: "city",
+    classes: [
+      "Q486972", // human settlement
+      "Q515", // city
+      "Q1549591", // big city
+      "Q5119", // capital
+      "Q3957", // town
+      "Q532", // village
+    ],
+  },
+  administrative_area: {
+    category: "area",
+    classes: [
+      "Q56061", // administrative territorial entity
+      "Q6256", // country
+    ],
+  },
+  natural_feature: {
+    category: "landmark",
+    classes: [
+      "Q35145263", // natural geographic object
+      "Q8502", // mountain
+      "Q8072", // volcano
+      "Q4022", // river
+      "Q23397", // lake
+      "Q23442", // island
+      "Q34038", // waterfall
+      "Q39816", // valley
+      "Q35509", // cave
+      "Q4421", // forest
+    ],
+  },
+  building: {
+    category: "building",
+    generic: true,
+    classes: [
+      "Q41176", // building
+      "Q811979", // architectural structure
+    ],
+  },
+  landmark: {
+    category: "landmark",
+    generic: true,
+    classes: [
+      "Q2319498", // landmark
+      "Q570116", // tourist attraction
+    ],
+  },
+};
+
+// Classes that mark an item as not a place
+const NON_PLACE_CLASSES = new Set([
+  "Q5", // human
+  "Q215627", // person
+  "Q95074", // fictional character
+  "Q43229", // organization
+  "Q4830453", // business
+  "Q1190554", // occurrence
+  "Q1656682", // event
+  "Q178561", // battle
+  "Q198", // war
+  "Q17537576", // creative work
+  "Q7725634", // literary work
+  "Q11424", // film
+  "Q482994", // album
+  "Q13442814", // scholarly article
+  "Q16521", // taxon
+]);
+
+// Class ID → place type, built once from PLACE_TYPES
+const TYPE_BY_CLASS = new Map(
+  Object.entries(PLACE_TYPES).flatMap(([type, { classes }]) =>
+    classes.map((classId) => [classId, type])
+  )
+);
+
+const TYPE_ORDER = Object.keys(PLACE_TYPES);
+
+// ─────────────────────────────────────────────────────────────
+// Match one level of an item's class chain against the taxonomy
+//  @param {Array<string>} classIds - Wikidata class IDs
+//  @returns {Object|null} - { placeType, generic } for the most specific
+//                           match, { placeType: null } when the classes
+//                           mark a non-place, or null when nothing matched
+// ─────────────────────────────────────────────────────────────
+export function matchPlaceClasses(classIds) {
+  const [best] = classIds
+    .map((classId) => TYPE_BY_CLASS.get(classId))
+    .filter(Boolean)
+    .sort((a, b) => TYPE_ORDER.indexOf(a) - TYPE_ORDER.indexOf(b));
+
+  if (best) {
+    return { placeType: best, generic: PLACE_TYPES[best].generic === true };
+  }
+  if (classIds.some((classId) => NON_PLACE_CLASSES.has(classId))) {
+    return { placeType: null };
+  }
+  return null;
+}
+
+// ─────────────────────────────────────────────────────────────
+// Coarse category of a place type
+//  Keyword types (building, city, landmark, area) are their own category
+//  @param {string} placeType - Taxonomy or keyword place type
+//  @returns {string} - building | city | landmark | area
+// ─────────────────────────────────────────────────────────────
+export function placeCategory(placeType) {
+  return PLACE_TYPES[placeType]?.category || placeType;
+}
@@ -0,0 +1,60 @@
+// ─────────────────────────────────────────────────────────────
+//  Wiki Popularity Scoring Utilities
+//  Turns pageviews, incoming links and article size into a popularity
+//  prior, and blends it with the confidence of a search suggestion
+// ─────────────────────────────────────────────────────────────
+
+import config from "../config.js";
+
+// Share of each signal in the prior - pageviews say most about what
+// people look for, size the least
+const SIGNAL_WEIGHTS = { pageviews: 0.6, incomingLinks: 0.3, size: 0.1 };
+
+// Signal values that score 1 - on a log scale, so going from 100 to
+// 1,000 pageviews counts as much as going from 10,000 to 100,000
+const SATURATION = { pageviews: 1000000, incomingLinks: 20000, size: 200000 };
+
+// ─────────────────────────────────────────────────────────────
+// Scale a signal to 0-1 on a log scale
+//  @param {number} value - Signal value
+//  @param {number} saturation - Value that scores 1
+//  @returns {number} - Scaled value, capped at 1
+// ─────────────────────────────────────────────────────────────
+const logScale = (value, saturation) =>
+  Math.min(Math.log10(1 + value) / Math.log10(1 + saturation), 1);
+
+// ─────────────────────────────────────────────────────────────
+// Popularity prior of an article
+//  Missing signals (e.g. pageviews Wikipedia didn't return) are left out
+//  and the weights of the others rescaled
+//  @param {Object} signals - { pageviews, incomingLinks, size }, each a number or null
+//  @returns {number|null} - Prior between 0 and 1, null without any signal
+// ─────────────────────────────────────────────────────────────
+export function popularityPrior(signals) {
+  const available = Object.entries(SIGNAL_WEIGHTS).filter(([signal]) =>
+    Number.isFinite(signals[signal])
+  );
+  if (available.length === 0) return null;
+
+  const totalWeight = available.reduce((sum, [, weight]) => sum + weight, 0);
+  return (
+    available.reduce(
+      (sum, [signal, weight]) =>
+        sum + logScale(signals[signal], SATURATION[signal]) * weight,
+      0
+    ) / totalWeight
+  );
+}
+
+// ─────────────────────────────────────────────────────────────
+// Ranking score of a suggestion
+//  @param {number} confidence - Query match and place confidence
+//  @param {number|null} popularity - Output of popularityPrior
+//  @returns {number} - Score between 0 and 1; confidence alone without a prior
+// ─────────────────────────────────────────────────────────────
+export function rankingScore(confidence, popularity) {
+  if (popularity === null) return confidence;
+
+  const weight = Math.min(config.popularity.weight, 1);
+  return confidence * (1 - weight) + popularity * weight;
+}
@@ -3,8 +3,21 @@
 //  Handles basic text processing, normalization, and snippet cleaning
 // ─────────────────────────────────────────────────────────────
 
+// Letters that don't decompose to ASCII, and the Greek and Cyrillic
+// alphabets - "Straße" matches "strasse", "Москва" matches "moskva"
+const TRANSLITERATIONS = Object.fromEntries(
+  [
+    "ß ss,æ ae,œ oe,ø o,đ d,ð d,þ th,ł l,ı i,ħ h",
+    "α a,β v,γ g,δ d,ε e,ζ z,η i,θ th,ι i,κ k,λ l,μ m,ν n,ξ x,ο o,π p,ρ r,σ s,ς s,τ t,υ y,φ f,χ ch,ψ ps,ω o",
+    "а a,б b,в v,г g,ґ g,д d,е e,є ye,ж zh,з z,и i,і i,к k,л l,м m,н n,о o,п p,р r,с s,т t,у u,ф f,х kh,ц ts,ч ch,ш sh,щ shch,ъ ,ы y,ь ,э e,ю yu,я ya",
+  ]
+    .flatMap((table) => table.split(","))
+    .map((pair) => pair.split(" "))
+);
+
 // ─────────────────────────────────────────────────────────────
 // Normalize text for comparison (remove diacritics, lowercase, etc.)
+//  Non-Latin letters are transliterated instead of dropped
 //  @param {string} text - Text to normalize
 //  @returns {string} - Normalized text
 // ─────────────────────────────────────────────────────────────
@@ -15,6 +28,7 @@ export function normalizeText(text) {
     .toLowerCase()
     .normalize("NFD") // Decompose accented characters
     .replace(/[\u0300-\u036f]/g, "") // Remove diacritics
+    .replace(/[^\x00-\x7f]/g, (char) => TRANSLITERATIONS[char] ?? char)
     .replace(/[^\w\s]/g, "") // Remove punctuation
     .trim();
 }
@@ -0,0 +1,105 @@
+// ─────────────────────────────────────────────────────────────
+//  Wikidata Value Utilities
+//  Reads values out of Wikidata statements and formats time values
+//  the way the AI writes dates
+// ─────────────────────────────────────────────────────────────
+
+// Wikidata time precision codes → our precision names
+const TIME_PRECISIONS = {
+  6: "millennium",
+  7: "century",
+  8: "decade",
+  9: "year",
+  10: "month",
+  11: "day",
+};
+
+// ─────────────────────────────────────────────────────────────
+// Pick the value of the best-ranked statement for a property
+//  @param {Array} statements - Wikidata statements for one property
+//  @returns {*} - Datavalue value or null
+// ─────────────────────────────────────────────────────────────
+export const getBestValue = (statements) => {
+  if (!Array.isArray(statements)) return null;
+
+  const usable = statements.filter(
+    (statement) =>
+      statement.rank !== "deprecated" &&
+      statement.mainsnak?.snaktype === "value"
+  );
+  const best =
+    usable.find((statement) => statement.rank === "preferred") || usable[0];
+
+  return best?.mainsnak?.datavalue?.value || null;
+};
+
+// ─────────────────────────────────────────────────────────────
+// Pick the entity IDs of every non-deprecated statement for a property
+//  @param {Array} statements - Wikidata statements for one property
+//  @returns {Array<string>} - e.g. ["Q2977", "Q570116"]
+// ─────────────────────────────────────────────────────────────
+export const getValueIds = (statements) => {
+  if (!Array.isArray(statements)) return [];
+
+  return statements
+    .filter((statement) => statement.rank !== "deprecated")
+    .map((statement) => statement.mainsnak?.datavalue?.value?.id)
+    .filter(Boolean);
+};
+
+// ─────────────────────────────────────────────────────────────
+// Convert a Wikidata time value into a display date
+//  @param {Object|null} value - { time: "+1887-01-28T00:00:00Z", precision: 11 }
+//  @returns {Object|null} - { date, year, precision } (year is signed, -500 = 500 BCE)
+// ─────────────────────────────────────────────────────────────
+export const parseTime = (value) => {
+  const match = value?.time?.match(/^([+-])(\d+)-(\d{2})-(\d{2})/);
+  if (!match) return null;
+
+  const [, sign, yearDigits, month, day] = match;
+  const absoluteYear = parseInt(yearDigits, 10);
+  const year = absoluteYear * (sign === "-" ? -1 : 1);
+  const precision = TIME_PRECISIONS[value.precision] || "year";
+
+  return {
+    date: formatTime(absoluteYear, month, day, precision, year < 0),
+    year: year,
+    precision: precision,
+  };
+};
+
+// ─────────────────────────────────────────────────────────────
+// Format Wikidata time parts the way the AI writes dates
+//  @returns {string} - e.g. "1887-01-28", "1880s", "19th century", "2560 BCE"
+// ─────────────────────────────────────────────────────────────
+const formatTime = (absoluteYear, month, day, precision, isBce) => {
+  const era = isBce ? " BCE" : "";
+
+  if (precision === "millennium" || precision === "century") {
+    const size = precision === "millennium" ? 1000 : 100;
+    return `${ordinal(Math.ceil(absoluteYear / size))} ${precision}${era}`;
+  }
+  if (precision === "decade") {
+    return `${Math.floor(absoluteYear / 10) * 10}s${era}`;
+  }
+  if (isBce || precision === "year") {
+    return `${absoluteYear}${era}`;
+  }
+
+  const paddedYear = String(absoluteYear).padStart(4, "0");
+  return precision === "month"
+    ? `${paddedYear}-${month}`
+    : `${paddedYear}-${month}-${day}`;
+};
+
+// ─────────────────────────────────────────────────────────────
+// Format a number as an English ordinal
+//  @param {number} n - Number
+//  @returns {string} - e.g. "1st", "19th", "21st"
+// ─────────────────────────────────────────────────────────────
+const ordinal = (n) => {
+  const suffixes = { 1: "st", 2: "nd", 3: "rd" };
+  const suffix =
+    n % 100 >= 11 && n % 100 <= 13 ? "th" : suffixes[n % 10] || "th";
+  return `${n}${suffix}`;
+};